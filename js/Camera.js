@@ -0,0 +1,126 @@
+import { Vec2 } from 'planck';
+
+// Time constant of the follow smoothing in seconds
+const FOLLOW_TIME_CONSTANT = 0.25;
+
+/**
+ * Maps between world coordinates in meters and canvas pixels. The camera
+ * looks at a world point, which is drawn at the middle of the canvas, at a
+ * scale in pixels per meter. It can be zoomed around a point on screen,
+ * panned, made to follow a moving point with smoothing, or fitted to a box.
+ */
+class Camera {
+    /**
+     * @param {Object} [options] - Configuration options for the camera
+     * @param {number} [options.scale=200] - Initial scale in pixels per meter
+     * @param {number} [options.minScale=5] - Furthest zoomed out scale in pixels per meter
+     * @param {number} [options.maxScale=5000] - Furthest zoomed in scale in pixels per meter
+     */
+    constructor(options = {}) {
+        this.scale = options.scale || 200;
+        this.minScale = options.minScale || 5;
+        this.maxScale = options.maxScale || 5000;
+        this.center = Vec2(0, 0);
+        this.width = 0;
+        this.height = 0;
+        this.following = false;
+    }
+
+    /**
+     * Set the size of the canvas the camera draws to
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     */
+    setViewport(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    /**
+     * Convert a canvas point to world coordinates
+     * @param {number} x - Pixels from the left of the canvas
+     * @param {number} y - Pixels from the top of the canvas
+     * @returns {Vec2} The world point in meters
+     */
+    toWorld(x, y) {
+        return Vec2(
+            this.center.x + (x - this.width / 2) / this.scale,
+            this.center.y + (y - this.height / 2) / this.scale
+        );
+    }
+
+    /**
+     * Convert a world point to canvas coordinates
+     * @param {Vec2} point - The world point in meters
+     * @returns {{x: number, y: number}} Pixels from the left and top of the canvas
+     */
+    toScreen(point) {
+        return {
+            x: this.width / 2 + (point.x - this.center.x) * this.scale,
+            y: this.height / 2 + (point.y - this.center.y) * this.scale
+        };
+    }
+
+    /**
+     * Zoom in or out, keeping the world point under a canvas point where it is
+     * @param {number} x - Pixels from the left of the canvas
+     * @param {number} y - Pixels from the top of the canvas
+     * @param {number} factor - Scale multiplier, above 1 to zoom in
+     */
+    zoomAt(x, y, factor) {
+        const before = this.toWorld(x, y);
+        this.scale = Math.min(this.maxScale, Math.max(this.minScale, this.scale * factor));
+        const after = this.toWorld(x, y);
+        this.center = Vec2.add(this.center, Vec2.sub(before, after));
+    }
+
+    /**
+     * Move the view with the mouse, which stops following
+     * @param {number} dx - Pixels the mouse moved right
+     * @param {number} dy - Pixels the mouse moved down
+     */
+    pan(dx, dy) {
+        this.center = Vec2(this.center.x - dx / this.scale, this.center.y - dy / this.scale);
+        this.following = false;
+    }
+
+    /**
+     * Move towards a target point if following, easing in so that jolts of the target are smoothed out
+     * @param {Vec2} target - The world point to follow
+     * @param {number} elapsed - Time since the last call in seconds
+     */
+    follow(target, elapsed) {
+        if (!this.following) return;
+        const blend = 1 - Math.exp(-elapsed / FOLLOW_TIME_CONSTANT);
+        this.center = Vec2.add(this.center, Vec2.mul(Vec2.sub(target, this.center), blend));
+    }
+
+    /**
+     * Centre on a box and zoom so it fills the canvas, which stops following
+     * @param {Vec2} lowerBound - The box corner with the lowest coordinates
+     * @param {Vec2} upperBound - The box corner with the highest coordinates
+     * @param {number} [margin=0.05] - Space to leave around the box on each side, as a fraction of its size
+     */
+    fit(lowerBound, upperBound, margin = 0.05) {
+        const size = Vec2.sub(upperBound, lowerBound);
+        this.center = Vec2.mul(Vec2.add(lowerBound, upperBound), 0.5);
+        const scale = Math.min(
+            this.width / Math.max(size.x * (1 + 2 * margin), 1e-6),
+            this.height / Math.max(size.y * (1 + 2 * margin), 1e-6)
+        );
+        this.scale = Math.min(this.maxScale, Math.max(this.minScale, scale));
+        this.following = false;
+    }
+
+    /**
+     * Transform a canvas context from world coordinates to pixels
+     * @param {CanvasRenderingContext2D} ctx - The canvas context
+     */
+    apply(ctx) {
+        ctx.translate(this.width / 2, this.height / 2);
+        ctx.scale(this.scale, this.scale);
+        ctx.translate(-this.center.x, -this.center.y);
+    }
+}
+
+export { Camera };
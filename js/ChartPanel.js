@@ -0,0 +1,290 @@
+import { TELEMETRY_CHANNELS } from './Telemetry.js';
+import { DEFAULT_UNIT_SYSTEM, toDisplay, displayUnit } from './units.js';
+
+const CHART_CHANNELS = [
+    'forkTravel',
+    'shockTravel',
+    'frontWheelAcceleration',
+    'rearWheelAcceleration',
+    'chassisPitch',
+    'forkSpringForce',
+    'forkDamperForce',
+    'rearShockSpringForce',
+    'rearShockDamperForce'
+];
+
+const DEFAULT_VISIBLE_CHANNELS = ['forkTravel', 'shockTravel', 'chassisPitch'];
+
+const COLORS = ['#4169E1', '#3CB371', '#B22222', '#FF8C00', '#8A2BE2', '#FF69B4', '#333333', '#008B8B', '#8B4513'];
+
+/**
+ * Live strip charts of telemetry channels over a scrolling time window. Each
+ * visible channel gets its own autoscaled strip. Samples only arrive while the
+ * simulation steps, so the plot pauses with the simulation.
+ */
+class ChartPanel {
+    /**
+     * @param {HTMLElement} container - Element to build the panel in
+     * @param {SimulationCore} core - The simulation core to take telemetry from
+     * @param {Object} [options] - Configuration options for the panel
+     * @param {number} [options.timeWindow=5] - Initial visible time window in seconds
+     * @param {number} [options.maxTimeWindow=30] - Longest time window, and how much history is kept
+     * @param {string} [options.unitSystem='metric'] - The unit system to plot in
+     */
+    constructor(container, core, options = {}) {
+        this.core = core;
+        this.channels = TELEMETRY_CHANNELS.filter(channel => CHART_CHANNELS.includes(channel.key));
+        this.visible = new Set(DEFAULT_VISIBLE_CHANNELS);
+        this.timeWindow = options.timeWindow || 5;
+        this.minTimeWindow = 0.5;
+        this.maxTimeWindow = options.maxTimeWindow || 30;
+        this.unitSystem = options.unitSystem || DEFAULT_UNIT_SYSTEM;
+        this.samples = [];
+        this.dirty = true;
+        this.animationFrameId = null;
+
+        this.listener = (time, values) => this.addSample(time, values);
+        this.core.addTelemetryListener(this.listener);
+
+        this.createElements(container);
+        this.draw();
+    }
+
+    createElements(container) {
+        this.element = document.createElement('div');
+        this.element.className = 'chart-panel';
+
+        // Channel selection
+        const channelRow = document.createElement('div');
+        channelRow.style.display = 'flex';
+        channelRow.style.flexWrap = 'wrap';
+        channelRow.style.gap = '10px';
+        this.channels.forEach((channel, i) => {
+            const label = document.createElement('label');
+            label.style.color = COLORS[i % COLORS.length];
+            label.style.fontWeight = 'normal';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.visible.has(channel.key);
+            checkbox.addEventListener('change', (e) => {
+                this.setChannelVisible(channel.key, e.target.checked);
+            });
+
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(channel.displayName));
+            channelRow.appendChild(label);
+        });
+
+        // Time window zoom
+        const windowRow = document.createElement('div');
+        windowRow.style.display = 'flex';
+        windowRow.style.alignItems = 'center';
+        windowRow.style.gap = '10px';
+
+        const windowLabel = document.createElement('label');
+        windowLabel.htmlFor = 'chartTimeWindow';
+        windowLabel.textContent = 'Time Window';
+        windowLabel.style.marginBottom = '0';
+
+        this.windowSlider = document.createElement('input');
+        this.windowSlider.type = 'range';
+        this.windowSlider.id = 'chartTimeWindow';
+        this.windowSlider.min = this.minTimeWindow;
+        this.windowSlider.max = this.maxTimeWindow;
+        this.windowSlider.step = 0.5;
+        this.windowSlider.value = this.timeWindow;
+        this.windowSlider.addEventListener('input', (e) => {
+            this.setTimeWindow(parseFloat(e.target.value));
+        });
+
+        this.windowDisplay = document.createElement('span');
+        this.windowDisplay.className = 'value-display';
+
+        windowRow.appendChild(windowLabel);
+        windowRow.appendChild(this.windowSlider);
+        windowRow.appendChild(this.windowDisplay);
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 600;
+        this.canvas.height = 300;
+        this.canvas.style.width = '100%';
+        this.ctx = this.canvas.getContext('2d');
+
+        // Scroll over the chart to zoom the time window
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.setTimeWindow(this.timeWindow * (e.deltaY > 0 ? 1.25 : 0.8));
+        });
+
+        this.element.appendChild(channelRow);
+        this.element.appendChild(windowRow);
+        this.element.appendChild(this.canvas);
+        container.appendChild(this.element);
+    }
+
+    /**
+     * Add a telemetry sample. A sample earlier than the last one means the
+     * simulation was reset or carried on from a recorded frame, so the history
+     * from that time on is dropped.
+     * @param {number} time - Simulation time in seconds
+     * @param {Object} values - Channel values keyed by telemetry channel name
+     */
+    addSample(time, values) {
+        const last = this.samples[this.samples.length - 1];
+        if (last && time < last.time) {
+            this.samples = this.samples.filter(sample => sample.time < time);
+        }
+
+        const sample = { time };
+        this.channels.forEach(channel => {
+            sample[channel.key] = values[channel.key];
+        });
+        this.samples.push(sample);
+
+        // Drop samples older than the longest time window
+        const oldest = time - this.maxTimeWindow;
+        while (this.samples.length > 0 && this.samples[0].time < oldest) {
+            this.samples.shift();
+        }
+        this.dirty = true;
+    }
+
+    /**
+     * Show or hide a channel
+     * @param {string} key - The telemetry channel name
+     * @param {boolean} visible - Whether to plot the channel
+     */
+    setChannelVisible(key, visible) {
+        if (!this.channels.some(channel => channel.key === key)) {
+            throw new Error(`Unknown chart channel "${key}"`);
+        }
+        if (visible) {
+            this.visible.add(key);
+        } else {
+            this.visible.delete(key);
+        }
+        this.dirty = true;
+    }
+
+    /**
+     * Choose the unit system to plot in
+     * @param {string} unitSystem - A unit system from units.js
+     */
+    setUnitSystem(unitSystem) {
+        this.unitSystem = unitSystem;
+        this.dirty = true;
+    }
+
+    /**
+     * Zoom to a time window, clamped to the supported range
+     * @param {number} seconds - The visible time window in seconds
+     */
+    setTimeWindow(seconds) {
+        this.timeWindow = Math.min(this.maxTimeWindow, Math.max(this.minTimeWindow, seconds));
+        this.windowSlider.value = this.timeWindow;
+        this.dirty = true;
+    }
+
+    /**
+     * Get the samples inside the current time window, ending at the latest sample
+     * @returns {Array<Object>} The visible samples
+     */
+    getVisibleSamples() {
+        if (this.samples.length === 0) return [];
+        const start = this.samples[this.samples.length - 1].time - this.timeWindow;
+        return this.samples.filter(sample => sample.time >= start);
+    }
+
+    /**
+     * Redraw if anything changed and schedule the next frame
+     */
+    draw() {
+        if (this.dirty && this.ctx) {
+            this.drawCharts();
+            this.dirty = false;
+        }
+        this.animationFrameId = requestAnimationFrame(() => this.draw());
+    }
+
+    drawCharts() {
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        ctx.clearRect(0, 0, width, height);
+        this.windowDisplay.textContent = `${this.timeWindow.toFixed(1)} s`;
+
+        const channels = this.channels.filter(channel => this.visible.has(channel.key));
+        const samples = this.getVisibleSamples();
+        if (channels.length === 0 || samples.length === 0) return;
+
+        const endTime = samples[samples.length - 1].time;
+        const startTime = endTime - this.timeWindow;
+        const stripHeight = height / channels.length;
+        const xOf = (time) => (time - startTime) / this.timeWindow * width;
+
+        channels.forEach((channel, i) => {
+            const top = i * stripHeight;
+            const color = COLORS[this.channels.indexOf(channel) % COLORS.length];
+            const values = samples.map(sample => toDisplay(sample[channel.key], channel.unit, this.unitSystem));
+
+            // Autoscale to the visible data, with some headroom
+            let min = Math.min(...values);
+            let max = Math.max(...values);
+            if (max - min < 1e-9) {
+                min -= 1;
+                max += 1;
+            }
+            const padding = (max - min) * 0.1;
+            min -= padding;
+            max += padding;
+            const yOf = (value) => top + (max - value) / (max - min) * stripHeight;
+
+            // Strip border and zero line
+            ctx.strokeStyle = '#DDDDDD';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(0, top, width, stripHeight);
+            if (min < 0 && max > 0) {
+                ctx.beginPath();
+                ctx.moveTo(0, yOf(0));
+                ctx.lineTo(width, yOf(0));
+                ctx.stroke();
+            }
+
+            // Trace
+            ctx.beginPath();
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1.5;
+            samples.forEach((sample, j) => {
+                const x = xOf(sample.time);
+                const y = yOf(values[j]);
+                if (j === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.stroke();
+
+            // Label with the latest value and the scale
+            const latest = values[values.length - 1];
+            ctx.fillStyle = color;
+            ctx.font = '12px monospace';
+            ctx.fillText(`${channel.displayName}: ${latest.toFixed(3)} ${displayUnit(channel.unit, this.unitSystem)}`, 5, top + 14);
+            ctx.fillStyle = '#666666';
+            ctx.fillText(`${max.toPrecision(3)}`, width - 60, top + 14);
+            ctx.fillText(`${min.toPrecision(3)}`, width - 60, top + stripHeight - 4);
+        });
+    }
+
+    /**
+     * Stop drawing and listening for telemetry
+     */
+    destroy() {
+        cancelAnimationFrame(this.animationFrameId);
+        this.core.removeTelemetryListener(this.listener);
+        this.element.remove();
+    }
+}
+
+export { ChartPanel, CHART_CHANNELS };
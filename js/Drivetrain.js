@@ -0,0 +1,90 @@
+/**
+ * Engine and gearing model. Maps a throttle position and rear wheel speed to
+ * the torque delivered at the rear wheel using an engine torque-vs-RPM curve
+ * and an overall gear ratio (primary x gearbox x final drive).
+ */
+class Drivetrain {
+    /**
+     * @param {Object} params - Drivetrain parameters
+     * @param {Object} params.engineTorqueCurve - Curve as a value array of { rpm, torque } points sorted by rpm
+     * @param {Object} params.gearRatio - Overall ratio of engine speed to rear wheel speed
+     */
+    constructor(params) {
+        const curve = params.engineTorqueCurve.value;
+        if (!Array.isArray(curve) || curve.length < 2) {
+            throw new Error(`Invalid drivetrain: "${params.engineTorqueCurve.displayName}" must have at least two points`);
+        }
+        for (let i = 1; i < curve.length; i++) {
+            if (curve[i].rpm <= curve[i - 1].rpm) {
+                throw new Error(`Invalid drivetrain: "${params.engineTorqueCurve.displayName}" must be sorted by increasing rpm`);
+            }
+        }
+        if (!(params.gearRatio.value > 0)) {
+            throw new Error(`Invalid drivetrain: "${params.gearRatio.displayName}" must be positive`);
+        }
+
+        this.params = params;
+    }
+
+    /**
+     * The last point of the torque curve is the rev limiter
+     * @returns {number} Maximum engine speed in RPM
+     */
+    get redlineRpm() {
+        const curve = this.params.engineTorqueCurve.value;
+        return curve[curve.length - 1].rpm;
+    }
+
+    /**
+     * Engine speed for a rear wheel speed. Below the start of the torque curve
+     * the clutch is assumed to slip, so the engine never drops below that speed.
+     * @param {number} wheelSpeed - Rear wheel angular speed in rad/s
+     * @returns {number} Engine speed in RPM
+     */
+    engineRpm(wheelSpeed) {
+        const rpm = Math.abs(wheelSpeed) * this.params.gearRatio.value * 60 / (2 * Math.PI);
+        return Math.max(rpm, this.params.engineTorqueCurve.value[0].rpm);
+    }
+
+    /**
+     * Full throttle engine torque, linearly interpolated from the torque curve
+     * @param {number} rpm - Engine speed in RPM
+     * @returns {number} Engine torque in Nm, zero above the redline
+     */
+    engineTorque(rpm) {
+        const curve = this.params.engineTorqueCurve.value;
+        if (rpm > this.redlineRpm) {
+            return 0;
+        }
+        if (rpm <= curve[0].rpm) {
+            return curve[0].torque;
+        }
+
+        const upper = curve.findIndex(point => point.rpm >= rpm);
+        const a = curve[upper - 1];
+        const b = curve[upper];
+        const t = (rpm - a.rpm) / (b.rpm - a.rpm);
+        return a.torque + (b.torque - a.torque) * t;
+    }
+
+    /**
+     * Rear wheel torque for a throttle position at the current wheel speed
+     * @param {number} throttle - Throttle position from 0 to 1
+     * @param {number} wheelSpeed - Rear wheel angular speed in rad/s
+     * @returns {number} Torque at the rear wheel in Nm
+     */
+    wheelTorque(throttle, wheelSpeed) {
+        const clampedThrottle = Math.min(1, Math.max(0, throttle));
+        return clampedThrottle * this.engineTorque(this.engineRpm(wheelSpeed)) * this.params.gearRatio.value;
+    }
+
+    /**
+     * Rear wheel speed at the redline
+     * @returns {number} Maximum rear wheel angular speed in rad/s
+     */
+    maxWheelSpeed() {
+        return this.redlineRpm * 2 * Math.PI / 60 / this.params.gearRatio.value;
+    }
+}
+
+export { Drivetrain };
@@ -13,7 +13,6 @@ class GroundComponent extends SimulationComponent {
      * @param {Object} params - Ground parameters
      * @param {number} params.width - Width of the ground
      * @param {number} params.height - Height of the ground
-     * @param {number} params.density - Density of the ground material
      */
     constructor(simulation, params) {
         super(simulation, { type: 'static' });
@@ -28,7 +27,6 @@ class GroundComponent extends SimulationComponent {
         );
         
         this.body.createFixture(groundShape, {
-            density: this.params.density,
             friction: 0.3,
             restitution: 0.2,
             filterCategoryBits: CATEGORIES.GROUND,
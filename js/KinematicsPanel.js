@@ -0,0 +1,232 @@
+import { analyzeKinematics, kinematicsToCSV, kinematicsToJSON, KINEMATICS_CHANNELS } from './kinematics.js';
+import { DEFAULT_UNIT_SYSTEM, toDisplay, displayUnit } from './units.js';
+
+const ENDS = [
+    { key: 'rear', displayName: 'Rear' },
+    { key: 'front', displayName: 'Front' }
+];
+
+const DEFAULT_CHANNELS = { rear: 'leverageRatio', front: 'trailChange' };
+
+/**
+ * Plot of the static suspension kinematics against wheel travel, for judging a
+ * geometry change without running the simulation. One curve of either end is
+ * shown at a time, and both ends can be exported.
+ */
+class KinematicsPanel {
+    /**
+     * @param {HTMLElement} container - Element to build the panel in
+     * @param {Object} params - Motorcycle parameters to analyze
+     * @param {Object} [options] - Configuration options for the panel
+     * @param {Function} [options.onExport] - Called with the contents, MIME type and file extension of an export
+     * @param {string} [options.unitSystem='metric'] - The unit system to plot and export in
+     */
+    constructor(container, params, options = {}) {
+        this.onExport = options.onExport || (() => {});
+        this.unitSystem = options.unitSystem || DEFAULT_UNIT_SYSTEM;
+        this.end = 'rear';
+        this.channelKey = DEFAULT_CHANNELS.rear;
+
+        this.createElements(container);
+        this.update(params);
+    }
+
+    createElements(container) {
+        this.element = document.createElement('div');
+        this.element.className = 'kinematics-panel';
+
+        const selectRow = document.createElement('div');
+        selectRow.style.display = 'flex';
+        selectRow.style.gap = '5px';
+
+        this.endSelect = document.createElement('select');
+        this.endSelect.setAttribute('aria-label', 'Suspension end');
+        ENDS.forEach(end => {
+            const option = document.createElement('option');
+            option.value = end.key;
+            option.textContent = end.displayName;
+            this.endSelect.appendChild(option);
+        });
+        this.endSelect.addEventListener('change', (e) => {
+            this.setCurve(e.target.value, DEFAULT_CHANNELS[e.target.value]);
+        });
+
+        this.channelSelect = document.createElement('select');
+        this.channelSelect.setAttribute('aria-label', 'Kinematics curve');
+        this.channelSelect.style.flex = '1';
+        this.channelSelect.addEventListener('change', (e) => {
+            this.setCurve(this.end, e.target.value);
+        });
+
+        const exportCSVButton = document.createElement('button');
+        exportCSVButton.textContent = 'CSV';
+        exportCSVButton.style.padding = '5px 10px';
+        exportCSVButton.setAttribute('aria-label', 'Export kinematics as CSV');
+        exportCSVButton.addEventListener('click', () => {
+            this.onExport(this.exportCSV(), 'text/csv', 'csv');
+        });
+
+        const exportJSONButton = document.createElement('button');
+        exportJSONButton.textContent = 'JSON';
+        exportJSONButton.style.padding = '5px 10px';
+        exportJSONButton.setAttribute('aria-label', 'Export kinematics as JSON');
+        exportJSONButton.addEventListener('click', () => {
+            this.onExport(this.exportJSON(), 'application/json', 'json');
+        });
+
+        selectRow.appendChild(this.endSelect);
+        selectRow.appendChild(this.channelSelect);
+
+        const exportRow = document.createElement('div');
+        exportRow.style.display = 'flex';
+        exportRow.style.gap = '5px';
+        exportRow.style.marginTop = '5px';
+        exportRow.appendChild(exportCSVButton);
+        exportRow.appendChild(exportJSONButton);
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 260;
+        this.canvas.height = 160;
+        this.canvas.style.width = '100%';
+        this.ctx = this.canvas.getContext('2d');
+
+        this.element.appendChild(selectRow);
+        this.element.appendChild(this.canvas);
+        this.element.appendChild(exportRow);
+        container.appendChild(this.element);
+
+        this.populateChannels();
+    }
+
+    // Every channel of the selected end except wheel travel, which is the x axis
+    populateChannels() {
+        this.channelSelect.replaceChildren();
+        KINEMATICS_CHANNELS[this.end]
+            .filter(channel => channel.key !== 'wheelTravel')
+            .forEach(channel => {
+                const option = document.createElement('option');
+                option.value = channel.key;
+                option.textContent = channel.displayName;
+                this.channelSelect.appendChild(option);
+            });
+        this.channelSelect.value = this.channelKey;
+    }
+
+    /**
+     * Re-run the analysis for new parameters and redraw
+     * @param {Object} params - Motorcycle parameters to analyze
+     */
+    update(params) {
+        this.analysis = analyzeKinematics(params);
+        this.draw();
+    }
+
+    /**
+     * Choose the curve to plot
+     * @param {string} end - 'rear' or 'front'
+     * @param {string} channelKey - A channel of that end from KINEMATICS_CHANNELS
+     */
+    setCurve(end, channelKey) {
+        const channels = KINEMATICS_CHANNELS[end];
+        if (!channels || !channels.some(channel => channel.key === channelKey)) {
+            throw new Error(`Unknown kinematics curve "${end}.${channelKey}"`);
+        }
+        const endChanged = end !== this.end;
+        this.end = end;
+        this.channelKey = channelKey;
+        this.endSelect.value = end;
+        if (endChanged) {
+            this.populateChannels();
+        }
+        this.channelSelect.value = channelKey;
+        this.draw();
+    }
+
+    /**
+     * Choose the unit system to plot and export in
+     * @param {string} unitSystem - A unit system from units.js
+     */
+    setUnitSystem(unitSystem) {
+        this.unitSystem = unitSystem;
+        this.draw();
+    }
+
+    /**
+     * Export the selected end's curves as CSV
+     * @returns {string} The CSV text
+     */
+    exportCSV() {
+        return kinematicsToCSV(this.analysis[this.end], KINEMATICS_CHANNELS[this.end], this.unitSystem);
+    }
+
+    /**
+     * Export both ends' curves as JSON
+     * @returns {string} The JSON text
+     */
+    exportJSON() {
+        return kinematicsToJSON(this.analysis, this.unitSystem);
+    }
+
+    draw() {
+        if (!this.ctx) return;
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const margin = 30;
+        ctx.clearRect(0, 0, width, height);
+
+        const channel = KINEMATICS_CHANNELS[this.end].find(c => c.key === this.channelKey);
+        const points = this.analysis[this.end].filter(point => Number.isFinite(point[channel.key]));
+        if (points.length < 2) return;
+
+        // Wheel travel along x, the channel autoscaled along y
+        const xs = points.map(point => toDisplay(point.wheelTravel, 'm', this.unitSystem));
+        const ys = points.map(point => toDisplay(point[channel.key], channel.unit, this.unitSystem));
+        const unit = displayUnit(channel.unit, this.unitSystem);
+        const xMax = Math.max(...xs) || 1;
+        let yMin = Math.min(...ys);
+        let yMax = Math.max(...ys);
+        if (yMax - yMin < 1e-9) {
+            yMin -= 1;
+            yMax += 1;
+        }
+        const xOf = (x) => margin + x / xMax * (width - margin - 5);
+        const yOf = (y) => 5 + (yMax - y) / (yMax - yMin) * (height - margin - 5);
+
+        // Axes
+        ctx.strokeStyle = '#DDDDDD';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(margin, 5, width - margin - 5, height - margin - 5);
+
+        // Curve
+        ctx.beginPath();
+        ctx.strokeStyle = '#4169E1';
+        ctx.lineWidth = 1.5;
+        xs.forEach((x, i) => {
+            if (i === 0) {
+                ctx.moveTo(xOf(x), yOf(ys[i]));
+            } else {
+                ctx.lineTo(xOf(x), yOf(ys[i]));
+            }
+        });
+        ctx.stroke();
+
+        // Scale labels
+        ctx.fillStyle = '#666666';
+        ctx.font = '10px monospace';
+        ctx.fillText(yMax.toPrecision(3), 0, 12);
+        ctx.fillText(yMin.toPrecision(3), 0, height - margin);
+        ctx.fillText('0', margin, height - margin + 12);
+        ctx.fillText(`${xMax.toPrecision(3)} ${displayUnit('m', this.unitSystem)} wheel travel`, width - 130, height - margin + 12);
+        ctx.fillText(`${channel.displayName}${unit ? ` (${unit})` : ''}`, margin, height - 4);
+    }
+
+    /**
+     * Remove the panel
+     */
+    destroy() {
+        this.element.remove();
+    }
+}
+
+export { KinematicsPanel };
@@ -1,7 +1,13 @@
 import { SimulationComponent } from './SimulationComponent.js';
-import { Vec2, Box, Circle, Polygon, PrismaticJoint, DistanceJoint, RevoluteJoint } from 'planck';
-import { transformVec2, triangleVerticesNamed, triangleCentroid, triangleFromVerticesAndEdges } from './geometry.js';
+import { Vec2, Box, Circle, Polygon, PrismaticJoint, DistanceJoint, RevoluteJoint, RopeJoint } from 'planck';
+import { transformVec2, lineIntersection, externalTangentPoints } from './geometry.js';
 import { compose, translate, rotate } from 'transformation-matrix';
+import { Drivetrain } from './Drivetrain.js';
+import { analyzeChassisGeometry } from './chassisGeometry.js';
+import { createSpring } from './springs.js';
+import { createDamper, stableDamperForce } from './dampers.js';
+import { solveRearSuspension, shockLengthRate } from './rearLinkage.js';
+import { computeMotorcycleGeometry } from './kinematics.js';
 
 const CATEGORIES = {
     FRAME: 0x0001,
@@ -9,6 +15,46 @@ const CATEGORIES = {
     WHEEL: 0x0004
 };
 
+// Mass per unit area of the small linkage parts, which have no mass parameters of their own
+const LINKAGE_DENSITY = 250;
+
+// Body speed below which the motorcycle counts as settled, in m/s
+const SETTLED_SPEED = 0.01;
+
+/**
+ * Give a body an explicit mass, centre of mass and rotational inertia in place
+ * of what its fixtures would give
+ * @param {Body} body - The body
+ * @param {number} mass - The mass in kg
+ * @param {Vec2} center - The centre of mass in the body's local coordinates
+ * @param {number} inertia - The rotational inertia about the centre of mass in kg·m²
+ */
+const setMassProperties = (body, mass, center, inertia) => {
+    // planck takes the inertia about the body origin
+    body.setMassData({ mass, center, I: inertia + mass * Vec2.lengthSquared(center) });
+};
+
+/**
+ * Mass a body presents to a force along an axis at a point, from its mass and its rotational inertia
+ * @param {Body} body - The body
+ * @param {Vec2} point - The world point the force acts at
+ * @param {Vec2} axis - The unit direction of the force
+ * @returns {number} The effective mass in kg
+ */
+const pointMass = (body, point, axis) => {
+    const arm = Vec2.cross(Vec2.sub(point, body.getWorldCenter()), axis);
+    const centralInertia = body.getInertia() - body.getMass() * Vec2.lengthSquared(body.getLocalCenter());
+    return 1 / (1 / body.getMass() + arm * arm / centralInertia);
+};
+
+/**
+ * Mass of the relative motion between two masses pushed apart by a force
+ * @param {number} massA - The first mass in kg
+ * @param {number} massB - The second mass in kg
+ * @returns {number} The reduced mass in kg
+ */
+const combinedMass = (massA, massB) => 1 / (1 / massA + 1 / massB);
+
 class MotorcycleComponent extends SimulationComponent {
     /**
      * @param {Simulation} simulation - The simulation instance
@@ -17,6 +63,11 @@ class MotorcycleComponent extends SimulationComponent {
     constructor(simulation, params) {
         super(simulation, { type: 'dynamic' });
         this.params = params;
+        this.joints = [];
+        this.drivetrain = new Drivetrain(params.drivetrain);
+        this.springs = this.createSprings(params);
+        this.dampers = this.createDampers(params);
+        this.wheelVelocitiesBeforeStep = null;
         
         // Create subcomponents
         this.bottomFork = new SimulationComponent(simulation, { type: 'dynamic' });
@@ -29,39 +80,39 @@ class MotorcycleComponent extends SimulationComponent {
         this.addChild(this.frontWheel);
         this.addChild(this.swingarm);
         this.addChild(this.rearWheel);
+        this.rearCaliper = null;
+        this.syncRearCaliper();
+        this.rocker = null;
+        this.dogbone = null;
+        this.syncRearLinkage();
 
         // Create fixtures and joints
         this.createFixtures();
         this.createJoints();
     }
 
-    createFixtures() {
-        // Generate frame geometry
-        const frameVertices = triangleVerticesNamed(
-            this.params.frame.headTubeLength,
-            this.params.frame.swingArmPivotToHeadTubeTopCenter,
-            this.params.frame.swingArmPivotToHeadTubeBottomCenter
-        );
-        const swingArmPivot = frameVertices[0];
-        const headTubeBottom = frameVertices[1];
-        const headTubeTop = frameVertices[2];
+    /**
+     * Calculate the frame hardpoints and suspension limits for a set of parameters.
+     * Throws a descriptive error if the parameters do not form a valid geometry.
+     * @param {Object} params - Motorcycle parameters
+     * @returns {Object} The motorcycle geometry, see computeMotorcycleGeometry
+     */
+    computeGeometry(params = this.params) {
+        return computeMotorcycleGeometry(params);
+    }
 
-        // Calculate rear shock upper pivot point
-        const rearShockUpperPivot = triangleFromVerticesAndEdges(
-            headTubeTop,
-            swingArmPivot,
-            this.params.frame.rearShockUpperPivotToHeadTubeTop.value,
-            this.params.frame.rearShockUpperPivotToFramePivot.value
-        );
+    createFixtures() {
+        this.geometry = this.computeGeometry();
+        const { swingArmPivot, headTubeBottom, headTubeTop, rearShockUpperPivot, forkAxis } = this.geometry;
 
         // Create frame fixtures in local coordinates
-        const frameVerticesLocal = frameVertices.map(v => Vec2(
+        const frameVerticesLocal = [swingArmPivot, headTubeBottom, headTubeTop].map(v => Vec2(
             v.x - swingArmPivot.x,
             v.y - swingArmPivot.y
         ));
         const frameShape = Polygon(frameVerticesLocal);
         this.body.createFixture(frameShape, {
-            density: this.params.simulation.density.value,
+            density: 0,
             friction: 0.3,
             restitution: 0.2,
             filterCategoryBits: CATEGORIES.FRAME,
@@ -77,7 +128,7 @@ class MotorcycleComponent extends SimulationComponent {
         ));
         const shockFrameShape = Polygon(shockFrameVerticesLocal);
         this.body.createFixture(shockFrameShape, {
-            density: this.params.simulation.density.value,
+            density: 0,
             friction: 0.3,
             restitution: 0.2,
             filterCategoryBits: CATEGORIES.FRAME,
@@ -86,11 +137,6 @@ class MotorcycleComponent extends SimulationComponent {
         });
 
         // Calculate fork angle and create top fork tube
-        const forkAxis = Vec2(
-            headTubeTop.x - headTubeBottom.x,
-            headTubeTop.y - headTubeBottom.y
-        );
-        forkAxis.normalize();
         const forkAngle = Math.atan2(forkAxis.y, forkAxis.x) - Math.PI/2;
 
         // Generate top fork tube vertices
@@ -110,7 +156,7 @@ class MotorcycleComponent extends SimulationComponent {
         const forkTopVerticesTransformed = forkTopVertices.map(v => transformVec2(v, topForkTransform));
         const forkTopShape = Polygon(forkTopVerticesTransformed);
         this.body.createFixture(forkTopShape, {
-            density: this.params.simulation.density.value,
+            density: 0,
             friction: 0.3,
             restitution: 0.2,
             filterCategoryBits: CATEGORIES.FRAME,
@@ -128,7 +174,7 @@ class MotorcycleComponent extends SimulationComponent {
         ];
         const forkBottomShape = Polygon(forkBottomVertices);
         this.bottomFork.body.createFixture(forkBottomShape, {
-            density: this.params.simulation.density.value,
+            density: 0,
             friction: 0.3,
             restitution: 0.2,
             filterCategoryBits: CATEGORIES.FRAME,
@@ -139,7 +185,7 @@ class MotorcycleComponent extends SimulationComponent {
         // Create wheels
         const frontWheelShape = Circle(this.params.frame.frontWheelDiameter.value / 2);
         this.frontWheel.body.createFixture(frontWheelShape, {
-            density: this.params.simulation.density.value,
+            density: 0,
             friction: 0.7,
             restitution: 0.2,
             filterCategoryBits: CATEGORIES.WHEEL,
@@ -149,7 +195,7 @@ class MotorcycleComponent extends SimulationComponent {
 
         const rearWheelShape = Circle(this.params.frame.rearWheelDiameter.value / 2);
         this.rearWheel.body.createFixture(rearWheelShape, {
-            density: this.params.simulation.density.value,
+            density: 0,
             friction: 0.7,
             restitution: 0.2,
             filterCategoryBits: CATEGORIES.WHEEL,
@@ -168,28 +214,191 @@ class MotorcycleComponent extends SimulationComponent {
         ];
         const swingarmShape = Polygon(swingarmVertices);
         this.swingarm.body.createFixture(swingarmShape, {
-            density: this.params.simulation.density.value,
+            density: 0,
             friction: 0.3,
             restitution: 0.2,
             filterCategoryBits: CATEGORIES.FRAME,
             filterMaskBits: CATEGORIES.GROUND,
             userData: { color: '#333333' }
         });
+
+        // Create floating rear caliper arm, pointing up from the axle
+        if (this.rearCaliper) {
+            const armLength = this.params.brakes.rearCaliperArmLength.value;
+            const armWidth = armLength * 0.2;
+            const caliperShape = Polygon([
+                Vec2(-armWidth/2, 0),
+                Vec2(armWidth/2, 0),
+                Vec2(armWidth/2, -armLength),
+                Vec2(-armWidth/2, -armLength)
+            ]);
+            this.rearCaliper.body.createFixture(caliperShape, {
+                density: LINKAGE_DENSITY,
+                friction: 0.3,
+                restitution: 0.2,
+                filterCategoryBits: CATEGORIES.FRAME,
+                filterMaskBits: 0,
+                userData: { color: '#B22222' }
+            });
+        }
+
+        // Create the rocker, with its pivot at the origin and the dogbone mount along x,
+        // and the dogbone running along x from the end that is not on the rocker
+        const { rearSuspension } = this.geometry;
+        if (this.rocker) {
+            const rockerShape = Polygon([Vec2(0, 0), rearSuspension.rockerDogboneMount, rearSuspension.rockerShockMount]);
+            this.rocker.body.createFixture(rockerShape, {
+                density: LINKAGE_DENSITY,
+                friction: 0.3,
+                restitution: 0.2,
+                filterCategoryBits: CATEGORIES.FRAME,
+                filterMaskBits: 0,
+                userData: { color: '#FF8C00' }
+            });
+
+            const dogboneWidth = rearSuspension.dogboneLength * 0.1;
+            const dogboneShape = Polygon([
+                Vec2(0, -dogboneWidth/2),
+                Vec2(rearSuspension.dogboneLength, -dogboneWidth/2),
+                Vec2(rearSuspension.dogboneLength, dogboneWidth/2),
+                Vec2(0, dogboneWidth/2)
+            ]);
+            this.dogbone.body.createFixture(dogboneShape, {
+                density: LINKAGE_DENSITY,
+                friction: 0.3,
+                restitution: 0.2,
+                filterCategoryBits: CATEGORIES.FRAME,
+                filterMaskBits: 0,
+                userData: { color: '#FF8C00' }
+            });
+        }
+
+        // The main parts take their mass from the mass parameters rather than their shapes
+        const mass = this.params.mass;
+        setMassProperties(this.body, mass.chassisMass.value,
+            Vec2(-mass.chassisCenterOfMassForward.value, -mass.chassisCenterOfMassHeight.value), mass.chassisInertia.value);
+        setMassProperties(this.bottomFork.body, mass.forkLowerMass.value,
+            Vec2(0, -this.params.frame.bottomForkTubeLength.value / 2), mass.forkLowerInertia.value);
+        setMassProperties(this.frontWheel.body, mass.frontWheelMass.value, Vec2(0, 0), mass.frontWheelInertia.value);
+        setMassProperties(this.swingarm.body, mass.swingarmMass.value, Vec2(swingarmLength / 2, 0), mass.swingarmInertia.value);
+        setMassProperties(this.rearWheel.body, mass.rearWheelMass.value, Vec2(0, 0), mass.rearWheelInertia.value);
+    }
+
+    /**
+     * Add or remove the floating rear caliper subcomponent to match the brake parameters
+     */
+    syncRearCaliper() {
+        const floating = this.params.brakes.rearBrakeFloatingCaliper.value;
+        if (floating && !this.rearCaliper) {
+            this.rearCaliper = new SimulationComponent(this.simulation, { type: 'dynamic' });
+            this.addChild(this.rearCaliper);
+        } else if (!floating && this.rearCaliper) {
+            this.removeChild(this.rearCaliper);
+            this.rearCaliper.destroy();
+            this.rearCaliper = null;
+        }
+    }
+
+    /**
+     * Add or remove the rocker and dogbone subcomponents to match the rear suspension layout
+     */
+    syncRearLinkage() {
+        const linkage = this.params.suspension.rearSuspensionLayout.value !== 'direct';
+        if (linkage && !this.rocker) {
+            this.rocker = new SimulationComponent(this.simulation, { type: 'dynamic' });
+            this.dogbone = new SimulationComponent(this.simulation, { type: 'dynamic' });
+            this.addChild(this.rocker);
+            this.addChild(this.dogbone);
+        } else if (!linkage && this.rocker) {
+            [this.rocker, this.dogbone].forEach(component => {
+                this.removeChild(component);
+                component.destroy();
+            });
+            this.rocker = null;
+            this.dogbone = null;
+        }
+    }
+
+    /**
+     * Create the fork and rear shock spring models. Throws a descriptive error
+     * naming the suspension unit if its spring settings are invalid.
+     * @param {Object} params - Motorcycle parameters
+     * @returns {{fork: Object, rearShock: Object}} The spring models, see springs.js
+     */
+    createSprings(params) {
+        const springFor = (prefix, displayName, stroke) => {
+            const setting = (name) => params.suspension[`${prefix}${name}`].value;
+            try {
+                return createSpring({
+                    type: setting('SpringType'),
+                    stroke,
+                    rate: setting('SpringRate'),
+                    secondRate: setting('SpringSecondRate'),
+                    transition: setting('SpringTransition'),
+                    preload: setting('SpringPreload'),
+                    airPressure: setting('AirPressure'),
+                    airChamberVolume: setting('AirChamberVolume'),
+                    airOilVolume: setting('AirOilVolume'),
+                    airPistonDiameter: setting('AirPistonDiameter')
+                });
+            } catch (error) {
+                throw new Error(`${displayName}: ${error.message}`);
+            }
+        };
+
+        return {
+            fork: springFor('fork', 'Fork', params.frame.forkStroke.value),
+            rearShock: springFor('rearShock', 'Rear Shock', params.frame.rearShockStroke.value)
+        };
+    }
+
+    /**
+     * Create the fork and rear shock damper models. Throws a descriptive error
+     * naming the suspension unit if its damper settings are invalid.
+     * @param {Object} params - Motorcycle parameters
+     * @returns {{fork: Object, rearShock: Object}} The damper models, see dampers.js
+     */
+    createDampers(params) {
+        const damperFor = (prefix, displayName) => {
+            const setting = (name) => params.suspension[`${prefix}${name}`].value;
+            try {
+                return createDamper({
+                    type: setting('DamperType'),
+                    compression: {
+                        lowSpeed: setting('LowSpeedCompression'),
+                        highSpeed: setting('HighSpeedCompression'),
+                        knee: setting('CompressionKnee')
+                    },
+                    rebound: {
+                        lowSpeed: setting('LowSpeedRebound'),
+                        highSpeed: setting('HighSpeedRebound'),
+                        knee: setting('ReboundKnee')
+                    },
+                    table: setting('DamperTable')
+                });
+            } catch (error) {
+                throw new Error(`${displayName}: ${error.message}`);
+            }
+        };
+
+        return {
+            fork: damperFor('fork', 'Fork'),
+            rearShock: damperFor('rearShock', 'Rear Shock')
+        };
     }
 
     createJoints() {
-        const frameVertices = triangleVerticesNamed(
-            this.params.frame.headTubeLength,
-            this.params.frame.swingArmPivotToHeadTubeTopCenter,
-            this.params.frame.swingArmPivotToHeadTubeBottomCenter
-        );
-        const swingArmPivot = frameVertices[0];
-        const headTubeBottom = frameVertices[1];
-        const headTubeTop = frameVertices[2];
-        const forkAxis = Vec2(
-            headTubeTop.x - headTubeBottom.x,
-            headTubeTop.y - headTubeBottom.y
-        ).normalize();
+        const {
+            swingArmPivot,
+            headTubeBottom,
+            headTubeTop,
+            rearShockUpperPivot,
+            forkAxis,
+            swingarmLowerAngle,
+            swingarmUpperAngle,
+            swingarmBuildAngle,
+            rearSuspension
+        } = this.computeGeometry();
 
         // Position components
         const bottomForkPos = Vec2(
@@ -206,10 +415,10 @@ class MotorcycleComponent extends SimulationComponent {
         this.frontWheel.position = frontWheelPos;
 
         // Create front suspension joints
-        this.simulation.world.createJoint(PrismaticJoint({
+        this.forkJoint = this.createJoint(PrismaticJoint({
             enableLimit: true,
             lowerTranslation: 0,
-            upperTranslation: 0.15,
+            upperTranslation: this.params.frame.forkStroke.value,
             enableMotor: false,
             localAxisA: forkAxis,
             localAnchorA: Vec2(
@@ -219,22 +428,8 @@ class MotorcycleComponent extends SimulationComponent {
             localAnchorB: Vec2(0, 0)
         }, this.body, this.bottomFork.body));
 
-        const springRestLength = this.params.frame.bottomForkTubeLength.value
-            + this.params.frame.topForkTubeLength.value 
-            - this.params.frame.headTubeLength.value;
-        
-        this.simulation.world.createJoint(DistanceJoint({
-            frequencyHz: this.params.simulation.forkSpringFrequency.value,
-            dampingRatio: this.params.simulation.forkSpringDamping.value,
-            length: springRestLength,
-            localAnchorA: Vec2(
-                headTubeBottom.x - swingArmPivot.x,
-                headTubeBottom.y - swingArmPivot.y
-            ),
-            localAnchorB: Vec2(0, -this.params.frame.bottomForkTubeLength.value)
-        }, this.body, this.bottomFork.body));
-
-        this.simulation.world.createJoint(RevoluteJoint({
+        // The front wheel motor acts as the front brake, reacting into the bottom fork
+        this.frontWheelJoint = this.createJoint(RevoluteJoint({
             enableMotor: false,
             maxMotorTorque: 0,
             motorSpeed: 0,
@@ -243,21 +438,613 @@ class MotorcycleComponent extends SimulationComponent {
         }, this.bottomFork.body, this.frontWheel.body));
 
         // Create rear suspension joints
-        this.simulation.world.createJoint(RevoluteJoint({
+        const shockUpperPivotLocal = Vec2(
+            rearShockUpperPivot.x - swingArmPivot.x,
+            rearShockUpperPivot.y - swingArmPivot.y
+        );
+
+        this.swingarm.angle = swingarmBuildAngle;
+        // The joint angle and its limits are measured from the chassis, not from the build pose
+        this.swingarmJoint = this.createJoint(RevoluteJoint({
             enableMotor: false,
             maxMotorTorque: 0,
+            referenceAngle: 0,
             motorSpeed: 0,
+            enableLimit: true,
+            lowerAngle: swingarmLowerAngle,
+            upperAngle: swingarmUpperAngle,
             localAnchorA: Vec2(0, 0),
             localAnchorB: Vec2(0, 0)
         }, this.body, this.swingarm.body));
 
-        this.simulation.world.createJoint(RevoluteJoint({
+        // The shock runs to the swingarm, or to the rocker of a linkage, which pivots on
+        // the swingarm (Pro-Link) or the frame (Uni-Trak) and is tied to the other by the dogbone
+        let shockLowerBody = this.swingarm.body;
+        let shockLowerAnchor = rearSuspension.shockSwingarmMount;
+        if (this.rocker) {
+            const linkage = solveRearSuspension(rearSuspension, swingarmBuildAngle);
+            const rockerOnSwingarm = rearSuspension.layout === 'proLink';
+            const [rockerBase, dogboneBase] = rockerOnSwingarm ? [this.swingarm.body, this.body] : [this.body, this.swingarm.body];
+
+            this.rocker.position = linkage.rockerPivot;
+            this.rocker.angle = linkage.rockerAngle;
+            this.dogbone.position = linkage.dogboneEnd;
+            this.dogbone.angle = Math.atan2(
+                linkage.rockerDogboneMount.y - linkage.dogboneEnd.y,
+                linkage.rockerDogboneMount.x - linkage.dogboneEnd.x
+            );
+
+            // Hardpoints are given in the frame of the body they are on
+            this.createJoint(RevoluteJoint({
+                localAnchorA: rearSuspension.rockerPivot,
+                localAnchorB: Vec2(0, 0)
+            }, rockerBase, this.rocker.body));
+            this.createJoint(RevoluteJoint({
+                localAnchorA: rearSuspension.dogboneMount,
+                localAnchorB: Vec2(0, 0)
+            }, dogboneBase, this.dogbone.body));
+            this.createJoint(RevoluteJoint({
+                localAnchorA: rearSuspension.rockerDogboneMount,
+                localAnchorB: Vec2(rearSuspension.dogboneLength, 0)
+            }, this.rocker.body, this.dogbone.body));
+
+            shockLowerBody = this.rocker.body;
+            shockLowerAnchor = rearSuspension.rockerShockMount;
+        }
+
+        // The shock body only tops out, its spring and damper forces are applied every step
+        this.rearShock = this.createJoint(RopeJoint({
+            maxLength: this.params.frame.rearShockEyeToEyeLength.value,
+            localAnchorA: shockUpperPivotLocal,
+            localAnchorB: shockLowerAnchor
+        }, this.body, shockLowerBody));
+
+        const rearAxleLocal = Vec2(this.params.frame.swingarmLength.value, 0);
+        const rearAxle = this.swingarm.body.getWorldPoint(rearAxleLocal);
+        this.rearWheel.position = rearAxle;
+
+        this.rearWheelJoint = this.createJoint(RevoluteJoint({
             enableMotor: false,
             maxMotorTorque: 0,
             motorSpeed: 0,
-            localAnchorA: Vec2(this.params.frame.swingarmLength.value, 0),
+            localAnchorA: rearAxleLocal,
             localAnchorB: Vec2(0, 0)
         }, this.swingarm.body, this.rearWheel.body));
+
+        // The rear brake acts on the rear wheel motor and reacts into the swingarm,
+        // unless a floating caliper pivots on the axle and reacts into the frame through a torque rod
+        this.rearBrakeJoint = this.rearWheelJoint;
+        if (this.rearCaliper) {
+            this.rearCaliper.position = rearAxle;
+
+            this.rearBrakeJoint = this.createJoint(RevoluteJoint({
+                enableMotor: false,
+                maxMotorTorque: 0,
+                motorSpeed: 0,
+                localAnchorA: Vec2(0, 0),
+                localAnchorB: Vec2(0, 0)
+            }, this.rearCaliper.body, this.rearWheel.body));
+
+            const caliperArmEnd = Vec2(0, -this.params.brakes.rearCaliperArmLength.value);
+            const torqueRodFrameMount = Vec2(0, -this.params.brakes.rearTorqueRodFrameMountHeight.value);
+            this.createJoint(DistanceJoint({
+                frequencyHz: 0,  // Rigid rod
+                dampingRatio: 0,
+                length: Vec2.distance(torqueRodFrameMount, Vec2.add(rearAxle, caliperArmEnd)),
+                localAnchorA: torqueRodFrameMount,
+                localAnchorB: caliperArmEnd
+            }, this.body, this.rearCaliper.body));
+        }
+    }
+
+    /**
+     * Create a joint in the world and keep track of it so it can be rebuilt
+     * @param {Joint} joint - The joint definition to create
+     * @returns {Joint} The created joint
+     */
+    createJoint(joint) {
+        const created = this.simulation.world.createJoint(joint);
+        this.joints.push(created);
+        return created;
+    }
+
+    /**
+     * Get all the physics bodies that make up the motorcycle
+     * @returns {Body[]} The chassis body followed by the subcomponent bodies
+     */
+    getBodies() {
+        return [this.body, ...this.children.map(child => child.body)];
+    }
+
+    /**
+     * Move the whole motorcycle rigidly, keeping every body where it is
+     * relative to the chassis
+     * @param {Vec2} position - The new chassis position
+     * @param {number} angle - The new chassis angle in radians
+     */
+    setPose(position, angle) {
+        const relative = this.getBodies().map(body => ({
+            body,
+            local: this.body.getLocalPoint(body.getPosition()),
+            angle: body.getAngle() - this.angle
+        }));
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        relative.forEach(({ body, local, angle: bodyAngle }) => {
+            body.setTransform(
+                Vec2(position.x + local.x * cos - local.y * sin, position.y + local.x * sin + local.y * cos),
+                angle + bodyAngle
+            );
+        });
+    }
+
+    /**
+     * Rebuild fixtures and joints from new parameters while keeping the
+     * chassis position, angle and velocities. The geometry is validated before
+     * anything is changed, so an invalid edit leaves the motorcycle untouched.
+     * @param {Object} params - The new motorcycle parameters
+     */
+    updateImpl(params) {
+        this.computeGeometry(params);
+        const drivetrain = new Drivetrain(params.drivetrain);
+        const springs = this.createSprings(params);
+        const dampers = this.createDampers(params);
+
+        // Remember the current chassis state
+        const position = this.position.clone();
+        const angle = this.angle;
+        const linearVelocity = this.body.getLinearVelocity().clone();
+        const angularVelocity = this.body.getAngularVelocity();
+
+        // Remove the existing joints and fixtures
+        this.joints.forEach(joint => this.simulation.world.destroyJoint(joint));
+        this.joints = [];
+        this.getBodies().forEach(body => {
+            let fixture = body.getFixtureList();
+            while (fixture) {
+                const next = fixture.getNext();
+                body.destroyFixture(fixture);
+                fixture = next;
+            }
+        });
+
+        // Rebuild in the local frame, with the chassis at the origin
+        this.params = params;
+        this.drivetrain = drivetrain;
+        this.springs = springs;
+        this.dampers = dampers;
+        this.syncRearCaliper();
+        this.syncRearLinkage();
+        this.getBodies().forEach(body => {
+            body.setTransform(Vec2(0, 0), 0);
+            body.setLinearVelocity(Vec2(0, 0));
+            body.setAngularVelocity(0);
+        });
+        this.createFixtures();
+        this.createJoints();
+
+        // Move the rebuilt motorcycle back to the remembered chassis state
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this.getBodies().forEach(body => {
+            const local = body.getPosition();
+            const offset = Vec2(local.x * cos - local.y * sin, local.x * sin + local.y * cos);
+            body.setTransform(Vec2.add(position, offset), body.getAngle() + angle);
+            body.setLinearVelocity(Vec2.add(linearVelocity, Vec2.crossNumVec2(angularVelocity, offset)));
+            body.setAngularVelocity(angularVelocity);
+        });
+    }
+
+    /**
+     * Apply the throttle and brake inputs. The motorcycle faces negative x,
+     * so rolling forward is a negative wheel rotation.
+     * @param {number} dt - The time step in seconds
+     * @param {Object} inputs - The control inputs
+     * @param {number} inputs.throttle - Throttle position from 0 to 1
+     * @param {number} inputs.frontBrake - Front brake lever position from 0 to 1
+     * @param {number} inputs.rearBrake - Rear brake pedal position from 0 to 1
+     */
+    stepImpl(dt, inputs) {
+        const throttle = inputs.throttle || 0;
+        const frontBrake = inputs.frontBrake || 0;
+        const rearBrake = inputs.rearBrake || 0;
+
+        // Remember the wheel velocities so telemetry can report the acceleration over this step
+        this.wheelVelocitiesBeforeStep = {
+            front: this.frontWheel.body.getLinearVelocity().clone(),
+            rear: this.rearWheel.body.getLinearVelocity().clone()
+        };
+
+        // Drive torque is carried by the chain tension along the top run, which pulls the
+        // rear sprocket forward and the countershaft sprocket (and so the frame) back
+        const forwardWheelSpeed = -this.rearWheelJoint.getJointSpeed();
+        const driveTorque = this.drivetrain.wheelTorque(throttle, forwardWheelSpeed);
+        if (driveTorque > 0) {
+            const chainRun = this.getChainRun();
+            const chainDirection = Vec2.sub(chainRun.front, chainRun.rear);
+            chainDirection.normalize();
+            const tension = driveTorque / this.geometry.rearSprocketRadius;
+            this.rearWheel.body.applyForce(Vec2.mul(chainDirection, tension), chainRun.rear);
+            this.body.applyForce(Vec2.mul(chainDirection, -tension), chainRun.front);
+        }
+
+        // Spring and damper forces push the suspension apart along its axis
+        const suspension = this.getSuspensionState(dt);
+        const forkForce = Vec2.mul(suspension.fork.axis, suspension.fork.springForce + suspension.fork.damperForce);
+        const forkPoint = this.bottomFork.body.getWorldCenter();
+        this.bottomFork.body.applyForce(Vec2.neg(forkForce), forkPoint);
+        this.body.applyForce(forkForce, forkPoint);
+
+        const shockForce = Vec2.mul(suspension.rearShock.axis, suspension.rearShock.springForce + suspension.rearShock.damperForce);
+        this.rearShock.getBodyB().applyForce(shockForce, suspension.rearShock.lower);
+        this.body.applyForce(Vec2.neg(shockForce), suspension.rearShock.upper);
+
+        this.applyBrake(this.frontWheelJoint, frontBrake * this.params.brakes.frontBrakeMaxTorque.value);
+        this.applyBrake(this.rearBrakeJoint, rearBrake * this.params.brakes.rearBrakeMaxTorque.value);
+    }
+
+    /**
+     * Travel, velocity and forces of the fork and rear shock at the current state.
+     * Travel is measured from full extension and velocity is positive in compression.
+     * The fork axis points up the fork and the shock axis from the upper to the lower eye,
+     * both in world coordinates.
+     * @param {number} [dt] - Time step the damper forces will act over, which keeps stiff damping stable
+     * @returns {{fork: Object, rearShock: Object}} The suspension state
+     */
+    getSuspensionState(dt) {
+        const forkTravel = this.forkJoint.getJointTranslation();
+        const forkVelocity = this.forkJoint.getJointSpeed();
+
+        const upper = this.rearShock.getAnchorA();
+        const lower = this.rearShock.getAnchorB();
+        const shockAxis = Vec2.sub(lower, upper);
+        const shockLength = shockAxis.normalize();
+        const shockTravel = this.params.frame.rearShockEyeToEyeLength.value - shockLength;
+
+        // Shaft velocity follows from the swingarm rotation through the layout's kinematics. The
+        // linkage bodies' own velocities lag behind what the joint solver does to their positions.
+        const shockRate = shockLengthRate(this.geometry.rearSuspension, this.swingarmJoint.getJointAngle());
+        const shockVelocity = shockRate !== null
+            ? -shockRate * this.swingarmJoint.getJointSpeed()
+            : -Vec2.dot(
+                Vec2.sub(
+                    this.rearShock.getBodyB().getLinearVelocityFromWorldPoint(lower),
+                    this.body.getLinearVelocityFromWorldPoint(upper)
+                ),
+                shockAxis
+            );
+
+        // Mass moved along each unit's axis: the frame at its mount against the
+        // lower fork and front wheel sliding, or the swingarm and rear wheel rotating
+        // about the pivot, geared through any linkage. The linkage's own mass is small enough to leave out.
+        const forkAxis = this.body.getWorldVector(this.geometry.forkAxis);
+        const forkPoint = this.bottomFork.body.getWorldCenter();
+        const forkMass = combinedMass(
+            pointMass(this.body, forkPoint, forkAxis),
+            this.bottomFork.body.getMass() + this.frontWheel.body.getMass()
+        );
+
+        // The swingarm body origin is the pivot, which is what its inertia is measured about
+        const pivot = this.swingarm.body.getPosition();
+        const swingarmInertia = this.swingarm.body.getInertia()
+            + this.rearWheel.body.getMass() * Vec2.lengthSquared(Vec2.sub(this.rearWheel.body.getPosition(), pivot));
+        const shockMass = shockRate ? combinedMass(
+            pointMass(this.body, upper, shockAxis),
+            swingarmInertia / (shockRate * shockRate)
+        ) : 0;
+
+        const damperForce = (damper, velocity, mass) => stableDamperForce(damper.force(velocity), velocity, mass, dt);
+
+        return {
+            fork: {
+                axis: forkAxis,
+                travel: forkTravel,
+                velocity: forkVelocity,
+                springForce: this.springs.fork.force(forkTravel),
+                damperForce: damperForce(this.dampers.fork, forkVelocity, forkMass)
+            },
+            rearShock: {
+                axis: shockAxis,
+                upper,
+                lower,
+                length: shockLength,
+                travel: shockTravel,
+                velocity: shockVelocity,
+                springForce: this.springs.rearShock.force(shockTravel),
+                damperForce: damperForce(this.dampers.rearShock, shockVelocity, shockMass)
+            }
+        };
+    }
+
+    /**
+     * Get the top (driving) run of the chain in world coordinates
+     * @returns {{front: Vec2, rear: Vec2}} Where the chain leaves the countershaft and rear sprockets
+     */
+    getChainRun() {
+        const up = this.body.getWorldVector(Vec2(0, -1));
+        const [front, rear] = externalTangentPoints(
+            this.body.getWorldPoint(this.geometry.countershaft),
+            this.geometry.frontSprocketRadius,
+            this.rearWheel.body.getPosition(),
+            this.geometry.rearSprocketRadius,
+            up
+        );
+        return { front, rear };
+    }
+
+    /**
+     * Calculate the anti-squat percentage at the current pose, from the line through
+     * the rear contact patch and the intersection of the chain run with the swingarm line,
+     * compared to the line from the rear contact patch to the centre of mass height above the front axle.
+     * @returns {number} Anti-squat in percent, 100% means the chain exactly balances load transfer
+     */
+    getAntiSquat() {
+        const gravity = this.simulation.world.getGravity();
+        const down = gravity.length() > 0 ? Vec2.mul(gravity, 1 / gravity.length()) : Vec2(0, 1);
+        const forward = Vec2(-down.y, down.x);  // Negative x when gravity points along positive y
+
+        const rearAxle = this.rearWheel.body.getPosition();
+        const frontAxle = this.frontWheel.body.getPosition();
+        const rearContact = Vec2.add(rearAxle, Vec2.mul(down, this.params.frame.rearWheelDiameter.value / 2));
+        const swingarmPivot = this.body.getWorldPoint(this.geometry.swingArmPivot);
+        const chainRun = this.getChainRun();
+
+        // Height and forward distance of a point relative to the rear contact patch
+        const heightOf = (point) => -Vec2.dot(Vec2.sub(point, rearContact), down);
+        const distanceOf = (point) => Vec2.dot(Vec2.sub(point, rearContact), forward);
+
+        const instantCenter = lineIntersection(chainRun.front, chainRun.rear, swingarmPivot, rearAxle);
+        let antiSquatSlope;
+        if (instantCenter && distanceOf(instantCenter) > 0) {
+            antiSquatSlope = heightOf(instantCenter) / distanceOf(instantCenter);
+        } else {
+            // Parallel lines meet at infinity, so the anti-squat line follows the chain run
+            antiSquatSlope = (heightOf(chainRun.front) - heightOf(chainRun.rear)) / (distanceOf(chainRun.front) - distanceOf(chainRun.rear));
+        }
+
+        const centerOfMass = this.getCenterOfMass();
+        const loadTransferSlope = heightOf(centerOfMass) / distanceOf(frontAxle);
+        return 100 * antiSquatSlope / loadTransferSlope;
+    }
+
+    /**
+     * Combined centre of mass of all the motorcycle bodies
+     * @param {Function} [toPoint] - Maps a body to its centre of mass position, defaults to the world centre
+     * @returns {Vec2} The centre of mass
+     */
+    getCenterOfMass(toPoint = body => body.getWorldCenter()) {
+        let totalMass = 0;
+        const centerOfMass = Vec2(0, 0);
+        this.getBodies().forEach(body => {
+            totalMass += body.getMass();
+            centerOfMass.addMul(body.getMass(), toPoint(body));
+        });
+        return centerOfMass.mul(1 / totalMass);
+    }
+
+    /**
+     * Split the mass of the motorcycle into what the springs carry and what moves
+     * with the wheels. The swingarm and rear linkage pivot on the frame at one end
+     * and follow the rear wheel at the other, so half their mass counts as each.
+     * @returns {{total: number, sprung: number, unsprung: number, frontUnsprung: number, rearUnsprung: number}} The masses in kg
+     */
+    getMassDistribution() {
+        const mass = (component) => component ? component.body.getMass() : 0;
+        const total = this.getBodies().reduce((sum, body) => sum + body.getMass(), 0);
+        const frontUnsprung = mass(this.bottomFork) + mass(this.frontWheel);
+        const rearUnsprung = mass(this.rearWheel) + mass(this.rearCaliper)
+            + (mass(this.swingarm) + mass(this.rocker) + mass(this.dogbone)) / 2;
+        return {
+            total,
+            sprung: total - frontUnsprung - rearUnsprung,
+            unsprung: frontUnsprung + rearUnsprung,
+            frontUnsprung,
+            rearUnsprung
+        };
+    }
+
+    /**
+     * Upward forces the ground holds the front and rear of the motorcycle up with,
+     * from the contact impulses of the last step. Any body outside the motorcycle
+     * counts as ground, such as the terrain or the pans of a shaker rig. Contacts
+     * of the lower fork and front wheel count to the front, and those of every other part to the rear.
+     * @param {number} dt - The time step that was just taken in seconds
+     * @returns {{front: number, rear: number}} The forces in N
+     */
+    getGroundContactForces(dt) {
+        const gravity = this.simulation.world.getGravity();
+        const down = gravity.length() > 0 ? Vec2.mul(gravity, 1 / gravity.length()) : Vec2(0, 1);
+        const bodies = this.getBodies();
+        const frontBodies = [this.bottomFork.body, this.frontWheel.body];
+        const forces = { front: 0, rear: 0 };
+
+        for (let contact = this.simulation.world.getContactList(); contact; contact = contact.getNext()) {
+            if (!contact.isTouching()) continue;
+            const bodyA = contact.getFixtureA().getBody();
+            const bodyB = contact.getFixtureB().getBody();
+            // The contact normal points from A to B
+            let body, sign;
+            if (bodies.includes(bodyA) && !bodies.includes(bodyB)) {
+                body = bodyA;
+                sign = -1;
+            } else if (bodies.includes(bodyB) && !bodies.includes(bodyA)) {
+                body = bodyB;
+                sign = 1;
+            } else {
+                continue;
+            }
+
+            const manifold = contact.getManifold();
+            let impulse = 0;
+            for (let i = 0; i < manifold.pointCount; i++) {
+                impulse += manifold.points[i].normalImpulse;
+            }
+            const normal = contact.getWorldManifold(null).normal;
+            const upward = -sign * Vec2.dot(normal, down) * impulse / dt;
+            forces[frontBodies.includes(body) ? 'front' : 'rear'] += upward;
+        }
+        return forces;
+    }
+
+    /**
+     * Static weight on each wheel, from the ground contact forces of the last step.
+     * The split only means something once the motorcycle has settled, which is
+     * reported with it.
+     * @param {number} dt - The time step that was just taken in seconds
+     * @returns {{front: number, rear: number, frontShare: number|null, settled: boolean}} The forces in N,
+     * and the front's share of their total, or null with nothing on the ground
+     */
+    getWeightDistribution(dt) {
+        const { front, rear } = this.getGroundContactForces(dt);
+        const settled = this.getBodies().every(body => body.getLinearVelocity().length() < SETTLED_SPEED);
+        return {
+            front,
+            rear,
+            frontShare: front + rear > 0 ? front / (front + rear) : null,
+            settled
+        };
+    }
+
+    /**
+     * Rake, trail, wheelbase, fork offset, swingarm angle, seat height and centre of mass height
+     * at the current pose, measured against the ground line under both wheels
+     * @returns {Object} The chassis geometry, see analyzeChassisGeometry
+     */
+    getChassisGeometry() {
+        return analyzeChassisGeometry({
+            swingArmPivot: this.body.getWorldPoint(this.geometry.swingArmPivot),
+            headTubeBottom: this.body.getWorldPoint(this.geometry.headTubeBottom),
+            headTubeTop: this.body.getWorldPoint(this.geometry.headTubeTop),
+            frontAxle: this.frontWheel.body.getPosition(),
+            rearAxle: this.rearWheel.body.getPosition(),
+            frontWheelRadius: this.params.frame.frontWheelDiameter.value / 2,
+            rearWheelRadius: this.params.frame.rearWheelDiameter.value / 2,
+            centerOfMass: this.getCenterOfMass(),
+            seat: this.body.getWorldPoint(this.geometry.seat),
+            down: this.body.getWorldVector(Vec2(0, 1))
+        });
+    }
+
+    /**
+     * The chassis geometry with both ends topped out, as designed by the frame
+     * parameters, regardless of the current pose
+     * @returns {Object} The chassis geometry, see analyzeChassisGeometry
+     */
+    getStaticChassisGeometry() {
+        const { swingArmPivot, headTubeBottom, headTubeTop, forkAxis, swingarmExtendedAngle } = this.geometry;
+        const frame = this.params.frame;
+
+        // Fully extended fork and shock, in the chassis frame
+        const bottomForkPosition = Vec2.sub(headTubeTop, Vec2.mul(forkAxis, frame.topForkTubeLength.value));
+        const frontAxle = Vec2.sub(bottomForkPosition, Vec2.mul(forkAxis, frame.bottomForkTubeLength.value));
+        const rearAxle = Vec2.add(swingArmPivot, Vec2.mul(Vec2(Math.cos(swingarmExtendedAngle), Math.sin(swingarmExtendedAngle)), frame.swingarmLength.value));
+
+        // Place each body's centre of mass at its topped out pose
+        const poses = new Map([
+            [this.bottomFork.body, { position: bottomForkPosition, angle: Math.atan2(forkAxis.y, forkAxis.x) - Math.PI/2 }],
+            [this.frontWheel.body, { position: frontAxle, angle: 0 }],
+            [this.swingarm.body, { position: swingArmPivot, angle: swingarmExtendedAngle }],
+            [this.rearWheel.body, { position: rearAxle, angle: 0 }]
+        ]);
+        if (this.rearCaliper) {
+            poses.set(this.rearCaliper.body, { position: rearAxle, angle: 0 });
+        }
+        if (this.rocker) {
+            const linkage = solveRearSuspension(this.geometry.rearSuspension, swingarmExtendedAngle);
+            const dogboneDirection = Vec2.sub(linkage.rockerDogboneMount, linkage.dogboneEnd);
+            poses.set(this.rocker.body, { position: linkage.rockerPivot, angle: linkage.rockerAngle });
+            poses.set(this.dogbone.body, { position: linkage.dogboneEnd, angle: Math.atan2(dogboneDirection.y, dogboneDirection.x) });
+        }
+        const centerOfMass = this.getCenterOfMass(body => {
+            const pose = poses.get(body) || { position: Vec2(0, 0), angle: 0 };
+            const local = body.getLocalCenter();
+            const cos = Math.cos(pose.angle);
+            const sin = Math.sin(pose.angle);
+            return Vec2(
+                pose.position.x + local.x * cos - local.y * sin,
+                pose.position.y + local.x * sin + local.y * cos
+            );
+        });
+
+        return analyzeChassisGeometry({
+            swingArmPivot,
+            headTubeBottom,
+            headTubeTop,
+            frontAxle,
+            rearAxle,
+            frontWheelRadius: frame.frontWheelDiameter.value / 2,
+            rearWheelRadius: frame.rearWheelDiameter.value / 2,
+            centerOfMass,
+            seat: this.geometry.seat,
+            down: Vec2(0, 1)
+        });
+    }
+
+    /**
+     * Sample the suspension state for telemetry. Travel is measured from full
+     * extension, velocities are positive in compression, heights are positive
+     * upward and joint forces are reaction force magnitudes over the last time step.
+     * @param {number} dt - The time step that was just taken in seconds
+     * @returns {Object} Channel values keyed by telemetry channel name
+     */
+    getTelemetry(dt) {
+        const invDt = dt > 0 ? 1 / dt : 0;
+        const reaction = (joint) => joint.getReactionForce(invDt).length();
+
+        // Rear wheel travel is the axle height above its fully extended position, in the chassis frame
+        const swingarmLength = this.params.frame.swingarmLength.value;
+        const rearWheelTravel = swingarmLength
+            * (Math.sin(this.geometry.swingarmExtendedAngle) - Math.sin(this.swingarmJoint.getJointAngle()));
+
+        const { fork, rearShock } = this.getSuspensionState(dt);
+
+        const frontWheel = this.frontWheel.body.getPosition();
+        const rearWheel = this.rearWheel.body.getPosition();
+
+        // Vertical wheel accelerations over the step, positive upward
+        const verticalAcceleration = (body, velocityBefore) => {
+            if (!velocityBefore || !(dt > 0)) return 0;
+            return -(body.getLinearVelocity().y - velocityBefore.y) / dt;
+        };
+        const velocitiesBefore = this.wheelVelocitiesBeforeStep || {};
+
+        return {
+            forkTravel: fork.travel,
+            forkVelocity: fork.velocity,
+            rearWheelTravel,
+            shockLength: rearShock.length,
+            shockTravel: rearShock.travel,
+            shockVelocity: rearShock.velocity,
+            chassisPitch: this.angle,  // Nose up is positive, as the motorcycle faces negative x
+            chassisHeave: -this.position.y,
+            frontWheelX: frontWheel.x,
+            frontWheelY: -frontWheel.y,
+            rearWheelX: rearWheel.x,
+            rearWheelY: -rearWheel.y,
+            frontWheelAcceleration: verticalAcceleration(this.frontWheel.body, velocitiesBefore.front),
+            rearWheelAcceleration: verticalAcceleration(this.rearWheel.body, velocitiesBefore.rear),
+            forkSliderForce: reaction(this.forkJoint),
+            forkSpringForce: fork.springForce,
+            forkDamperForce: fork.damperForce,
+            frontAxleForce: reaction(this.frontWheelJoint),
+            swingarmPivotForce: reaction(this.swingarmJoint),
+            rearShockSpringForce: rearShock.springForce,
+            rearShockDamperForce: rearShock.damperForce,
+            rearShockTopOutForce: reaction(this.rearShock),
+            rearAxleForce: reaction(this.rearWheelJoint)
+        };
+    }
+
+    /**
+     * Brake a wheel joint by driving its motor towards zero relative speed
+     * with a limited torque, which reacts into the joint's other body
+     * @param {RevoluteJoint} joint - The wheel joint
+     * @param {number} torque - The maximum braking torque in Nm
+     */
+    applyBrake(joint, torque) {
+        joint.enableMotor(torque > 0);
+        joint.setMotorSpeed(0);
+        joint.setMaxMotorTorque(torque);
     }
 }
 
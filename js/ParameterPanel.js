@@ -0,0 +1,461 @@
+import { defaultParams } from './config.js';
+import { REAR_LAYOUTS } from './rearLinkage.js';
+import { DEFAULT_UNIT_SYSTEM, toDisplay, fromDisplay, displayUnit } from './units.js';
+
+// Parameter sections with controls, in the order they are shown. The linkage
+// hardpoints only show for their rear suspension layout.
+const SECTIONS = ['frame', 'drivetrain', 'proLink', 'uniTrak', 'suspension', 'brakes', 'mass'];
+const LINKAGE_SECTIONS = ['proLink', 'uniTrak'];
+
+// Categories with controls in sections where the others are shown elsewhere
+const SECTION_CATEGORIES = {
+    suspension: ['Fork Spring', 'Fork Damping', 'Rear Shock Spring', 'Rear Shock Damping']
+};
+
+const OPTION_NAMES = {
+    direct: 'Direct',
+    proLink: 'Pro-Link',
+    uniTrak: 'Uni-Trak',
+    linear: 'Linear',
+    dualRate: 'Dual Rate',
+    progressive: 'Progressive',
+    air: 'Air',
+    adjustable: 'Adjustable',
+    table: 'Table'
+};
+
+/**
+ * Controls for the motorcycle parameters, grouped under a heading for each
+ * category. Each number gets a slider and a text input in the selected unit
+ * system, with its range and step from the schema in config.js, each choice a
+ * select, each switch a checkbox, and each table a row of inputs per point. Values are kept in SI
+ * units as they are entered, so that rounding them for display does not change
+ * them, and parameters without a control keep the values they were loaded with.
+ */
+class ParameterPanel {
+    /**
+     * @param {HTMLElement} container - Element to build the panel in
+     * @param {Object} params - Motorcycle parameters to show
+     * @param {Object} [options] - Configuration options for the panel
+     * @param {string} [options.unitSystem] - Unit system to show and enter values in
+     * @param {Function} [options.onChange] - Called when a value is entered
+     */
+    constructor(container, params, options = {}) {
+        this.onChange = options.onChange || (() => {});
+        this.unitSystem = options.unitSystem || DEFAULT_UNIT_SYSTEM;
+        this.params = JSON.parse(JSON.stringify(params));
+        this.controls = {};
+
+        this.createElements(container);
+        this.setParams(params);
+    }
+
+    // Values are shown in the selected unit system, rounded to three decimal places
+    toDisplayValue(config, value = config.value) {
+        return Math.round(toDisplay(value, config.unit, this.unitSystem) * 1000) / 1000;
+    }
+
+    createElements(container) {
+        this.element = document.createElement('div');
+        this.element.className = 'parameter-panel';
+
+        // Rear suspension layout selection
+        const layoutContainer = document.createElement('div');
+        layoutContainer.className = 'slider-container';
+        layoutContainer.style.marginBottom = '15px';
+
+        const layoutLabel = document.createElement('label');
+        layoutLabel.htmlFor = 'rearSuspensionLayout';
+        layoutLabel.textContent = defaultParams.suspension.rearSuspensionLayout.displayName;
+
+        this.layoutSelect = document.createElement('select');
+        this.layoutSelect.id = 'rearSuspensionLayout';
+        this.layoutSelect.style.width = '100%';
+        REAR_LAYOUTS.forEach(layout => {
+            const option = document.createElement('option');
+            option.value = layout;
+            option.textContent = OPTION_NAMES[layout];
+            this.layoutSelect.appendChild(option);
+        });
+        this.layoutSelect.addEventListener('change', (e) => {
+            this.params.suspension.rearSuspensionLayout.value = e.target.value;
+            this.showLayoutSections();
+            this.onChange();
+        });
+
+        layoutContainer.appendChild(layoutLabel);
+        layoutContainer.appendChild(this.layoutSelect);
+        this.element.appendChild(layoutContainer);
+
+        // Controls are grouped under a heading for each category, which carries
+        // on into the next section except around the linkage sections that hide
+        this.sectionContainers = {};
+        let currentCategory = null;
+        SECTIONS.forEach(section => {
+            const sectionContainer = document.createElement('div');
+            this.sectionContainers[section] = sectionContainer;
+            this.element.appendChild(sectionContainer);
+            this.controls[section] = {};
+
+            if (LINKAGE_SECTIONS.includes(section)) {
+                currentCategory = null;
+            }
+            const categories = SECTION_CATEGORIES[section];
+            Object.entries(defaultParams[section]).forEach(([key, config]) => {
+                if (categories && !categories.includes(config.category)) return;
+                let create = this.createSlider;
+                if (Array.isArray(config.value)) {
+                    create = this.createTable;
+                } else if (config.options) {
+                    create = this.createSelect;
+                } else if (typeof config.value === 'boolean') {
+                    create = this.createCheckbox;
+                }
+                if (config.category !== currentCategory) {
+                    currentCategory = config.category;
+                    const heading = document.createElement('h3');
+                    heading.textContent = config.category;
+                    heading.style.fontSize = '14px';
+                    heading.style.color = '#666';
+                    sectionContainer.appendChild(heading);
+                }
+                sectionContainer.appendChild(create.call(this, section, key, config));
+            });
+            if (LINKAGE_SECTIONS.includes(section)) {
+                currentCategory = null;
+            }
+        });
+
+        container.appendChild(this.element);
+    }
+
+    createSlider(section, key, config) {
+        const container = document.createElement('div');
+        container.className = 'slider-container';
+        container.style.marginBottom = '15px';
+
+        // Top row container
+        const topRow = document.createElement('div');
+        topRow.style.display = 'flex';
+        topRow.style.alignItems = 'center';
+        topRow.style.gap = '10px';
+        topRow.style.marginBottom = '5px';
+        topRow.style.justifyContent = 'space-between';
+
+        const label = document.createElement('label');
+        label.htmlFor = key;
+        label.textContent = config.displayName;
+        label.title = config.description;
+        label.style.minWidth = '120px';
+
+        // Right-aligned container for text input and units
+        const rightContainer = document.createElement('div');
+        rightContainer.style.display = 'flex';
+        rightContainer.style.alignItems = 'center';
+        rightContainer.style.gap = '5px';
+
+        const textInput = document.createElement('input');
+        textInput.type = 'text';
+        textInput.id = `${key}Text`;
+        textInput.className = 'value-input';
+        textInput.style.width = '60px';
+        textInput.style.textAlign = 'right';
+
+        const unitSpan = document.createElement('span');
+        unitSpan.id = `${key}Unit`;
+        unitSpan.className = 'unit-display';
+        unitSpan.style.minWidth = '40px';
+
+        // Bottom row container
+        const bottomRow = document.createElement('div');
+        bottomRow.style.width = '100%';
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.id = key;
+        slider.style.width = '100%';
+
+        // Keep a value entered through the slider or its text input, in the selected unit system
+        const enterValue = (displayValue) => {
+            this.params[section][key].value = fromDisplay(displayValue, config.unit, this.unitSystem);
+        };
+
+        slider.addEventListener('input', (e) => {
+            textInput.value = e.target.value;
+            enterValue(parseFloat(e.target.value));
+            this.onChange();
+        });
+
+        textInput.addEventListener('keypress', (e) => {
+            if (e.key !== 'Enter') return;
+            if (isNaN(parseFloat(e.target.value))) {
+                // Revert text that is not a number
+                e.target.value = slider.value;
+                enterValue(parseFloat(slider.value));
+                return;
+            }
+
+            // The slider stops at its range, the text keeps the value so it can be validated
+            slider.value = e.target.value;
+            enterValue(parseFloat(e.target.value));
+            this.onChange();
+        });
+
+        // Assemble the layout
+        rightContainer.appendChild(textInput);
+        rightContainer.appendChild(unitSpan);
+        topRow.appendChild(label);
+        topRow.appendChild(rightContainer);
+        bottomRow.appendChild(slider);
+
+        container.appendChild(topRow);
+        container.appendChild(bottomRow);
+
+        this.controls[section][key] = {
+            // The range is changed before the value, which the slider clamps to the range
+            showUnits: () => {
+                slider.min = this.toDisplayValue(config, config.min);
+                slider.max = this.toDisplayValue(config, config.max);
+                slider.step = this.toDisplayValue(config, config.step);
+                unitSpan.textContent = displayUnit(config.unit, this.unitSystem);
+            },
+            show: (value) => {
+                const displayValue = this.toDisplayValue(config, value);
+                slider.value = displayValue;
+                textInput.value = displayValue;
+            }
+        };
+        this.controls[section][key].showUnits();
+        return container;
+    }
+
+    createSelect(section, key, config) {
+        const container = document.createElement('div');
+        container.className = 'slider-container';
+        container.style.marginBottom = '15px';
+
+        const label = document.createElement('label');
+        label.htmlFor = key;
+        label.textContent = config.displayName;
+        label.title = config.description;
+
+        const select = document.createElement('select');
+        select.id = key;
+        select.style.width = '100%';
+        config.options.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = OPTION_NAMES[value];
+            select.appendChild(option);
+        });
+        select.addEventListener('change', (e) => {
+            this.params[section][key].value = e.target.value;
+            this.onChange();
+        });
+
+        container.appendChild(label);
+        container.appendChild(select);
+
+        this.controls[section][key] = {
+            showUnits: () => {},
+            show: (value) => {
+                select.value = value;
+            }
+        };
+        return container;
+    }
+
+    createCheckbox(section, key, config) {
+        const container = document.createElement('div');
+        container.className = 'slider-container';
+        container.style.marginBottom = '15px';
+        container.style.display = 'flex';
+        container.style.alignItems = 'center';
+        container.style.gap = '5px';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = key;
+        checkbox.addEventListener('change', (e) => {
+            this.params[section][key].value = e.target.checked;
+            this.onChange();
+        });
+
+        const label = document.createElement('label');
+        label.htmlFor = key;
+        label.textContent = config.displayName;
+        label.title = config.description;
+
+        container.appendChild(checkbox);
+        container.appendChild(label);
+
+        this.controls[section][key] = {
+            showUnits: () => {},
+            show: (value) => {
+                checkbox.checked = value;
+            }
+        };
+        return container;
+    }
+
+    createTable(section, key, config) {
+        const container = document.createElement('div');
+        container.className = 'slider-container';
+        container.style.marginBottom = '15px';
+
+        const label = document.createElement('label');
+        label.textContent = config.displayName;
+        label.title = config.description;
+
+        const table = document.createElement('table');
+        table.style.width = '100%';
+        table.style.fontSize = '12px';
+        const headerRow = table.createTHead().insertRow();
+        const headers = config.columns.map(() => {
+            const th = document.createElement('th');
+            th.style.textAlign = 'right';
+            headerRow.appendChild(th);
+            return th;
+        });
+        const body = table.createTBody();
+
+        // Points are added as a copy of the last one and removed from the end, down to two
+        const buttonRow = document.createElement('div');
+        buttonRow.style.display = 'flex';
+        buttonRow.style.gap = '5px';
+
+        const addButton = document.createElement('button');
+        addButton.textContent = 'Add Point';
+        addButton.setAttribute('aria-label', `Add a point to ${config.displayName}`);
+        addButton.addEventListener('click', () => {
+            const points = this.params[section][key].value;
+            points.push({ ...points[points.length - 1] });
+            show(points);
+            this.onChange();
+        });
+
+        const removeButton = document.createElement('button');
+        removeButton.textContent = 'Remove Point';
+        removeButton.setAttribute('aria-label', `Remove the last point of ${config.displayName}`);
+        removeButton.addEventListener('click', () => {
+            this.params[section][key].value.pop();
+            show(this.params[section][key].value);
+            this.onChange();
+        });
+
+        buttonRow.appendChild(addButton);
+        buttonRow.appendChild(removeButton);
+
+        // One number input per cell, in the display unit of its column
+        const show = (points) => {
+            body.replaceChildren();
+            points.forEach((point, i) => {
+                const row = body.insertRow();
+                config.columns.forEach(column => {
+                    const input = document.createElement('input');
+                    input.type = 'number';
+                    input.step = 'any';
+                    input.style.width = '70px';
+                    input.value = Math.round(toDisplay(point[column.key], column.unit, this.unitSystem) * 1000) / 1000;
+                    input.setAttribute('aria-label', `${config.displayName} point ${i + 1} ${column.displayName}`);
+                    input.addEventListener('change', (e) => {
+                        const number = parseFloat(e.target.value);
+                        if (isNaN(number)) {
+                            // Revert text that is not a number
+                            show(this.params[section][key].value);
+                            return;
+                        }
+                        this.params[section][key].value[i][column.key] = fromDisplay(number, column.unit, this.unitSystem);
+                        this.onChange();
+                    });
+                    const cell = row.insertCell();
+                    cell.style.textAlign = 'right';
+                    cell.appendChild(input);
+                });
+            });
+            removeButton.disabled = points.length <= 2;
+        };
+
+        container.appendChild(label);
+        container.appendChild(table);
+        container.appendChild(buttonRow);
+
+        this.controls[section][key] = {
+            showUnits: () => {
+                config.columns.forEach((column, i) => {
+                    const unit = displayUnit(column.unit, this.unitSystem);
+                    headers[i].textContent = unit ? `${column.displayName} (${unit})` : column.displayName;
+                });
+            },
+            show: (value) => show(value)
+        };
+        this.controls[section][key].showUnits();
+        return container;
+    }
+
+    // Show the hardpoint sliders of the selected layout only
+    showLayoutSections() {
+        LINKAGE_SECTIONS.forEach(section => {
+            this.sectionContainers[section].style.display = this.layoutSelect.value === section ? 'block' : 'none';
+        });
+    }
+
+    /**
+     * The parameters as last loaded or entered
+     * @returns {Object} A copy of the motorcycle parameters
+     */
+    getParams() {
+        return JSON.parse(JSON.stringify(this.params));
+    }
+
+    /**
+     * Set one parameter, and its control if it has one
+     * @param {string} section - The parameter section
+     * @param {string} key - The parameter key
+     * @param {*} value - The value in its stored unit
+     */
+    setValue(section, key, value) {
+        this.params[section][key].value = value;
+        if (key === 'rearSuspensionLayout') {
+            this.layoutSelect.value = value;
+            this.showLayoutSections();
+            return;
+        }
+        const control = this.controls[section] && this.controls[section][key];
+        if (control) {
+            control.show(value);
+        }
+    }
+
+    /**
+     * Load a full set of parameters into the controls
+     * @param {Object} params - Motorcycle parameters
+     */
+    setParams(params) {
+        this.params = JSON.parse(JSON.stringify(params));
+        Object.entries(this.params).forEach(([section, configs]) => Object.entries(configs).forEach(([key, config]) => {
+            this.setValue(section, key, config.value);
+        }));
+    }
+
+    /**
+     * Show and enter the values in another unit system
+     * @param {string} unitSystem - A unit system from units.js
+     */
+    setUnitSystem(unitSystem) {
+        this.unitSystem = unitSystem;
+        Object.entries(this.controls).forEach(([section, controls]) => Object.entries(controls).forEach(([key, control]) => {
+            control.showUnits();
+            control.show(this.params[section][key].value);
+        }));
+    }
+
+    /**
+     * Remove the panel
+     */
+    destroy() {
+        this.element.remove();
+    }
+}
+
+export { ParameterPanel };
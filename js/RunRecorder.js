@@ -0,0 +1,182 @@
+import { Vec2 } from 'planck';
+
+// Numbers kept per body: position x and y, angle, linear velocity x and y, angular velocity
+const BODY_STATE_SIZE = 6;
+
+// Numbers kept per joint: reaction force x and y, reaction torque
+const JOINT_STATE_SIZE = 3;
+
+/**
+ * Records the state of every body and joint in the world after each physics
+ * step into a ring buffer, so a run can be scrubbed through and replayed. A
+ * recorded frame is shown by putting the bodies back where they were, and a
+ * run can carry on from it as the velocities are kept too. The buffer is
+ * cleared whenever the world gains or loses a body or joint, other than the
+ * mouse joint used for dragging.
+ */
+class RunRecorder {
+    /**
+     * @param {Object} [options] - Configuration options for the recorder
+     * @param {number} [options.capacity=7200] - Frames to keep, the oldest are overwritten first
+     */
+    constructor(options = {}) {
+        this.capacity = options.capacity || 7200;
+        this.recording = true;
+        this.frames = new Array(this.capacity);
+        this.clear();
+    }
+
+    /**
+     * Discard every recorded frame
+     */
+    clear() {
+        // Index of the oldest frame in the ring, and how many frames there are
+        this.start = 0;
+        this.length = 0;
+        this.bodies = [];
+        this.joints = [];
+    }
+
+    /**
+     * Time of the oldest recorded frame
+     * @returns {number|null} The time in seconds, or null if nothing is recorded
+     */
+    get startTime() {
+        return this.length > 0 ? this.frameAt(0).time : null;
+    }
+
+    /**
+     * Time of the newest recorded frame
+     * @returns {number|null} The time in seconds, or null if nothing is recorded
+     */
+    get endTime() {
+        return this.length > 0 ? this.frameAt(this.length - 1).time : null;
+    }
+
+    /**
+     * A recorded frame
+     * @param {number} index - 0 for the oldest frame up to length - 1 for the newest
+     * @returns {{time: number, bodies: Float64Array, joints: Float64Array}} The frame
+     */
+    frameAt(index) {
+        if (!(index >= 0 && index < this.length)) {
+            throw new Error(`Invalid frame ${index}: ${this.length} frames are recorded`);
+        }
+        return this.frames[(this.start + index) % this.capacity];
+    }
+
+    /**
+     * Find the last frame recorded at or before a time
+     * @param {number} time - Simulation time in seconds
+     * @returns {number} The frame index, the oldest frame for a time before it, or -1 if nothing is recorded
+     */
+    indexAt(time) {
+        if (this.length === 0) return -1;
+        let low = 0;
+        let high = this.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.frameAt(middle).time <= time) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Record the world after a physics step, if recording
+     * @param {number} time - Simulation time in seconds
+     * @param {World} world - The planck world
+     * @param {number} dt - The time step just taken in seconds, for the joint reactions
+     */
+    record(time, world, dt) {
+        if (!this.recording) return;
+
+        const bodies = [];
+        for (let body = world.getBodyList(); body; body = body.getNext()) bodies.push(body);
+        const joints = [];
+        // A mouse joint only lives while a body is dragged, and is not part of the run
+        for (let joint = world.getJointList(); joint; joint = joint.getNext()) {
+            if (joint.getType() !== 'mouse-joint') joints.push(joint);
+        }
+        const same = (a, b) => a.length === b.length && a.every((item, i) => item === b[i]);
+        if (!same(bodies, this.bodies) || !same(joints, this.joints)) {
+            this.clear();
+            this.bodies = bodies;
+            this.joints = joints;
+        }
+
+        // Reuse the arrays of the frame being overwritten
+        const slot = (this.start + this.length) % this.capacity;
+        let frame = this.frames[slot];
+        if (!frame || frame.bodies.length !== bodies.length * BODY_STATE_SIZE || frame.joints.length !== joints.length * JOINT_STATE_SIZE) {
+            frame = {
+                time: 0,
+                bodies: new Float64Array(bodies.length * BODY_STATE_SIZE),
+                joints: new Float64Array(joints.length * JOINT_STATE_SIZE)
+            };
+            this.frames[slot] = frame;
+        }
+        frame.time = time;
+
+        bodies.forEach((body, i) => {
+            const position = body.getPosition();
+            const velocity = body.getLinearVelocity();
+            frame.bodies.set([position.x, position.y, body.getAngle(), velocity.x, velocity.y, body.getAngularVelocity()], i * BODY_STATE_SIZE);
+        });
+        joints.forEach((joint, i) => {
+            const force = joint.getReactionForce(1 / dt);
+            frame.joints.set([force.x, force.y, joint.getReactionTorque(1 / dt)], i * JOINT_STATE_SIZE);
+        });
+
+        if (this.length < this.capacity) {
+            this.length++;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    /**
+     * Put every body back to its state in a recorded frame
+     * @param {number} index - The frame index
+     * @returns {number} The time of the frame in seconds
+     */
+    restore(index) {
+        const frame = this.frameAt(index);
+        this.bodies.forEach((body, i) => {
+            const state = frame.bodies.subarray(i * BODY_STATE_SIZE, (i + 1) * BODY_STATE_SIZE);
+            body.setTransform(Vec2(state[0], state[1]), state[2]);
+            body.setLinearVelocity(Vec2(state[3], state[4]));
+            body.setAngularVelocity(state[5]);
+            body.setAwake(true);
+        });
+        return frame.time;
+    }
+
+    /**
+     * The reaction of a joint in a recorded frame
+     * @param {number} index - The frame index
+     * @param {Joint} joint - A joint of the recorded world
+     * @returns {{force: {x: number, y: number}, torque: number}|null} The reaction force in N and torque in N·m
+     * on the joint's second body, or null if the joint was not recorded
+     */
+    getJointReaction(index, joint) {
+        const i = this.joints.indexOf(joint);
+        if (i < 0) return null;
+        const state = this.frameAt(index).joints.subarray(i * JOINT_STATE_SIZE, (i + 1) * JOINT_STATE_SIZE);
+        return { force: { x: state[0], y: state[1] }, torque: state[2] };
+    }
+
+    /**
+     * Drop the frames after one, so a run carried on from it is recorded in their place
+     * @param {number} index - The frame index to keep up to
+     */
+    truncate(index) {
+        this.frameAt(index);
+        this.length = index + 1;
+    }
+}
+
+export { RunRecorder };
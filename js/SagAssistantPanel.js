@@ -0,0 +1,206 @@
+import { DEFAULT_SAG_OPTIONS, solveSag, sagReportToText } from './sagAssistant.js';
+import { DEFAULT_UNIT_SYSTEM, displayUnit, toDisplay, fromDisplay } from './units.js';
+
+// Target sag inputs, entered as percentages of the full wheel travel
+const TARGETS = [
+    { key: 'frontStaticSag', displayName: 'Front static' },
+    { key: 'frontRiderSag', displayName: 'Front rider' },
+    { key: 'rearStaticSag', displayName: 'Rear static' },
+    { key: 'rearRiderSag', displayName: 'Rear rider' }
+];
+
+/**
+ * Controls and report for the sag assistant. The rider's weight and the target
+ * sag are entered here, the assistant runs without a display on a copy of the
+ * motorcycle, and the recommended spring settings can be loaded into the controls.
+ */
+class SagAssistantPanel {
+    /**
+     * @param {HTMLElement} container - Element to build the panel in
+     * @param {Object} params - Motorcycle parameters to set up
+     * @param {Object} [options] - Configuration options for the panel
+     * @param {string} [options.unitSystem] - Unit system for the rider's weight and the report
+     * @param {Function} [options.onApply] - Called with the recommended parameters when they should be loaded
+     */
+    constructor(container, params, options = {}) {
+        this.onApply = options.onApply || (() => {});
+        this.unitSystem = options.unitSystem || DEFAULT_UNIT_SYSTEM;
+        this.params = params;
+        this.options = { ...DEFAULT_SAG_OPTIONS };
+        this.result = null;
+        this.error = null;
+
+        this.createElements(container);
+        this.showReport();
+    }
+
+    createElements(container) {
+        this.element = document.createElement('div');
+        this.element.className = 'sag-assistant-panel';
+
+        const input = (label, value, step, onChange) => {
+            const element = document.createElement('input');
+            element.type = 'number';
+            element.step = step;
+            element.value = value;
+            element.style.width = '60px';
+            element.setAttribute('aria-label', label);
+            element.addEventListener('change', (e) => {
+                const number = parseFloat(e.target.value);
+                if (isNaN(number)) {
+                    this.showInputs();
+                    return;
+                }
+                onChange(number);
+            });
+            return element;
+        };
+
+        const riderRow = document.createElement('label');
+        riderRow.style.display = 'flex';
+        riderRow.style.alignItems = 'center';
+        riderRow.style.gap = '5px';
+        this.riderMassInput = input('Rider weight', 0, 1,
+            (value) => this.setOptions({ riderMass: fromDisplay(value, 'kg', this.unitSystem) }));
+        this.riderMassUnit = document.createElement('span');
+        riderRow.appendChild(document.createTextNode('Rider'));
+        riderRow.appendChild(this.riderMassInput);
+        riderRow.appendChild(this.riderMassUnit);
+
+        const targetsGrid = document.createElement('div');
+        targetsGrid.style.display = 'grid';
+        targetsGrid.style.gridTemplateColumns = '1fr auto';
+        targetsGrid.style.gap = '5px';
+        targetsGrid.style.marginTop = '5px';
+        targetsGrid.style.fontSize = '12px';
+        this.targetInputs = TARGETS.map(target => {
+            const element = input(`${target.displayName} sag target in percent`, 0, 1,
+                (value) => this.setOptions({ [target.key]: value / 100 }));
+            const label = document.createElement('span');
+            label.textContent = `${target.displayName} sag %`;
+            targetsGrid.appendChild(label);
+            targetsGrid.appendChild(element);
+            return element;
+        });
+
+        const runRow = document.createElement('div');
+        runRow.style.display = 'flex';
+        runRow.style.gap = '5px';
+        runRow.style.marginTop = '5px';
+
+        const runButton = document.createElement('button');
+        runButton.textContent = 'Find Sag Settings';
+        runButton.style.padding = '5px 10px';
+        runButton.addEventListener('click', () => this.run());
+
+        this.applyButton = document.createElement('button');
+        this.applyButton.textContent = 'Apply';
+        this.applyButton.style.padding = '5px 10px';
+        this.applyButton.setAttribute('aria-label', 'Apply recommended spring settings');
+        this.applyButton.disabled = true;
+        this.applyButton.addEventListener('click', () => this.apply());
+
+        runRow.appendChild(runButton);
+        runRow.appendChild(this.applyButton);
+
+        this.reportDisplay = document.createElement('pre');
+        this.reportDisplay.style.fontSize = '12px';
+        this.reportDisplay.style.whiteSpace = 'pre-wrap';
+        this.reportDisplay.setAttribute('aria-live', 'polite');
+
+        this.element.appendChild(riderRow);
+        this.element.appendChild(targetsGrid);
+        this.element.appendChild(runRow);
+        this.element.appendChild(this.reportDisplay);
+        container.appendChild(this.element);
+
+        this.showInputs();
+    }
+
+    showInputs() {
+        this.riderMassInput.value = Number(toDisplay(this.options.riderMass, 'kg', this.unitSystem).toFixed(1));
+        this.riderMassUnit.textContent = displayUnit('kg', this.unitSystem);
+        TARGETS.forEach((target, i) => {
+            this.targetInputs[i].value = Number((this.options[target.key] * 100).toFixed(1));
+        });
+    }
+
+    /**
+     * Keep new parameters for the next run. The last report stays on show,
+     * marked as out of date, as running the assistant takes a while, unless
+     * the new parameters are the recommended ones it reports on.
+     * @param {Object} params - Motorcycle parameters to set up
+     */
+    update(params) {
+        this.params = params;
+        if (this.result && JSON.stringify(params) !== JSON.stringify(this.result.params)) {
+            this.result.outdated = true;
+            this.showReport();
+        }
+    }
+
+    /**
+     * Change the rider's weight or targets for the next run
+     * @param {Object} settings - Settings overriding the current ones, see DEFAULT_SAG_OPTIONS
+     */
+    setOptions(settings) {
+        this.options = { ...this.options, ...settings };
+        this.showInputs();
+    }
+
+    /**
+     * Show the rider's weight and the report in another unit system
+     * @param {string} unitSystem - A unit system from units.js
+     */
+    setUnitSystem(unitSystem) {
+        this.unitSystem = unitSystem;
+        this.showInputs();
+        this.showReport();
+    }
+
+    /**
+     * Run the assistant on the current parameters and show its report. Invalid
+     * settings or an air spring are reported in place of a result.
+     * @returns {Object|null} The result of solveSag, or null if it could not run
+     */
+    run() {
+        try {
+            this.result = solveSag(this.params, this.options);
+            this.error = null;
+        } catch (error) {
+            this.result = null;
+            this.error = error.message;
+        }
+        this.applyButton.disabled = !this.result;
+        this.showReport();
+        return this.result;
+    }
+
+    /**
+     * Load the recommended spring settings of the last run
+     */
+    apply() {
+        if (!this.result) return;
+        this.onApply(JSON.parse(JSON.stringify(this.result.params)));
+    }
+
+    showReport() {
+        if (this.error) {
+            this.reportDisplay.textContent = this.error;
+        } else if (!this.result) {
+            this.reportDisplay.textContent = 'Enter the rider and target sag, then find the spring settings';
+        } else {
+            this.reportDisplay.textContent = sagReportToText(this.result, this.unitSystem)
+                + (this.result.outdated ? '\n(parameters changed since the run)' : '');
+        }
+    }
+
+    /**
+     * Remove the panel
+     */
+    destroy() {
+        this.element.remove();
+    }
+}
+
+export { SagAssistantPanel };
@@ -0,0 +1,100 @@
+import { SimulationComponent } from './SimulationComponent.js';
+import { Box, Vec2, WheelJoint } from 'planck';
+
+const CATEGORIES = {
+    FRAME: 0x0001,
+    GROUND: 0x0002,
+    WHEEL: 0x0004
+};
+
+const PAN_WIDTH = 0.6;
+const PAN_THICKNESS = 0.02;
+const LIP_HEIGHT = 0.04;
+const PAN_MASS = 2;
+const ACTUATOR_HEIGHT = 0.2;
+
+/**
+ * One post of a shaker rig: a kinematic actuator that follows a displacement
+ * signal, and a pan on top of it for a wheel to sit in. The pan rides on a
+ * vertical spring and damper standing in for the tyre, as the wheels
+ * themselves are rigid, and has lips at its ends to keep the wheel from rolling out.
+ */
+class ShakerPostComponent extends SimulationComponent {
+    /**
+     * @param {SimulationCore} simulation - The simulation instance
+     * @param {Object} params - Post parameters
+     * @param {Vec2} params.position - Centre of the top of the pan at rest, with the tyre unloaded
+     * @param {Function} params.signal - Maps the simulation time in seconds to the upward displacement of the actuator in m
+     * @param {number} params.tyreRate - Tyre stiffness in N/mm
+     * @param {number} params.tyreDamping - Tyre damping in N·s/m
+     */
+    constructor(simulation, params) {
+        super(simulation, { type: 'kinematic' });
+        this.params = params;
+        this.restPosition = Vec2(params.position.x, params.position.y + PAN_THICKNESS + ACTUATOR_HEIGHT / 2);
+        this.position = this.restPosition;
+
+        this.pan = new SimulationComponent(simulation, { type: 'dynamic' });
+        this.pan.position = Vec2(params.position.x, params.position.y);
+        this.pan.body.setFixedRotation(true);
+        this.addChild(this.pan);
+
+        this.createFixtures();
+
+        // The pan slides vertically on the tyre spring. A wheel joint's spring is solved
+        // implicitly, which keeps a stiff tyre under a light pan stable.
+        const mass = this.pan.body.getMass();
+        const omega = Math.sqrt(params.tyreRate * 1000 / mass);
+        this.joint = simulation.world.createJoint(WheelJoint({
+            frequencyHz: omega / (2 * Math.PI),
+            dampingRatio: params.tyreDamping / (2 * mass * omega)
+        }, this.body, this.pan.body, this.pan.body.getPosition(), Vec2(0, 1)));
+    }
+
+    createFixtures() {
+        this.body.createFixture(Box(PAN_WIDTH / 2, ACTUATOR_HEIGHT / 2), {
+            density: 0,
+            filterCategoryBits: CATEGORIES.GROUND,
+            filterMaskBits: 0,
+            userData: { color: '#999999' }
+        });
+
+        // The pan's origin is the middle of its top surface, positive y is downward
+        const fixture = (shape) => this.pan.body.createFixture(shape, {
+            density: PAN_MASS / (PAN_WIDTH * PAN_THICKNESS + 2 * PAN_THICKNESS * LIP_HEIGHT),
+            friction: 0.9,
+            restitution: 0,
+            filterCategoryBits: CATEGORIES.GROUND,
+            filterMaskBits: CATEGORIES.WHEEL | CATEGORIES.FRAME,
+            userData: { color: '#333333' }
+        });
+        fixture(Box(PAN_WIDTH / 2, PAN_THICKNESS / 2, Vec2(0, PAN_THICKNESS / 2), 0));
+        [-1, 1].forEach(side => {
+            fixture(Box(PAN_THICKNESS / 2, LIP_HEIGHT / 2, Vec2(side * (PAN_WIDTH - PAN_THICKNESS) / 2, -LIP_HEIGHT / 2), 0));
+        });
+    }
+
+    /**
+     * Upward displacement of the actuator from rest
+     * @returns {number} The displacement in m
+     */
+    getDisplacement() {
+        return this.restPosition.y - this.position.y;
+    }
+
+    /**
+     * Compression of the tyre spring from its unloaded length
+     * @returns {number} The compression in m
+     */
+    getTyreCompression() {
+        return this.joint.getJointTranslation();
+    }
+
+    stepImpl(dt) {
+        // Move the actuator so it reaches the signal at the end of the step
+        const target = this.restPosition.y - this.params.signal(this.simulation.time + dt);
+        this.body.setLinearVelocity(Vec2(0, (target - this.position.y) / dt));
+    }
+}
+
+export { ShakerPostComponent };
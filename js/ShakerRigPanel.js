@@ -0,0 +1,314 @@
+import { DEFAULT_SHAKER_OPTIONS, SHAKER_SIGNALS, SHAKER_EXCITATIONS, SHAKER_RESPONSES, shakerResponseToCSV, shakerResponseToJSON } from './shakerRig.js';
+import { runShakerTest } from './shakerRun.js';
+
+/**
+ * Controls and Bode plot for the shaker rig. The test runs without a display
+ * on a copy of the motorcycle, and the live simulation can be mounted on the
+ * same rig to watch it. The gain and phase of one response are shown at a time,
+ * with the resonances read off the test, and every response can be exported.
+ */
+class ShakerRigPanel {
+    /**
+     * @param {HTMLElement} container - Element to build the panel in
+     * @param {Object} params - Motorcycle parameters to test
+     * @param {Object} [options] - Configuration options for the panel
+     * @param {Function} [options.onExport] - Called with the contents, MIME type and file extension of an export
+     * @param {Function} [options.onMount] - Called with the rig settings when the live simulation should be
+     * mounted on the rig, or null when it should go back on the ground
+     */
+    constructor(container, params, options = {}) {
+        this.onExport = options.onExport || (() => {});
+        this.onMount = options.onMount || (() => {});
+        this.params = params;
+        this.options = { ...DEFAULT_SHAKER_OPTIONS };
+        this.mounted = false;
+        this.result = null;
+        this.responseKey = this.options.excitation;
+
+        this.createElements(container);
+        this.draw();
+    }
+
+    createElements(container) {
+        this.element = document.createElement('div');
+        this.element.className = 'shaker-rig-panel';
+
+        const select = (label, choices, value, onChange) => {
+            const element = document.createElement('select');
+            element.setAttribute('aria-label', label);
+            element.style.flex = '1';
+            choices.forEach(choice => {
+                const option = document.createElement('option');
+                option.value = choice.key;
+                option.textContent = choice.displayName;
+                element.appendChild(option);
+            });
+            element.value = value;
+            element.addEventListener('change', (e) => onChange(e.target.value));
+            return element;
+        };
+
+        const settingsRow = document.createElement('div');
+        settingsRow.style.display = 'flex';
+        settingsRow.style.gap = '5px';
+        this.signalSelect = select('Shaker signal', SHAKER_SIGNALS, this.options.signal,
+            (signal) => this.setOptions({ signal }));
+        this.excitationSelect = select('Shaker excitation', SHAKER_EXCITATIONS, this.options.excitation,
+            (excitation) => this.setOptions({ excitation }));
+        settingsRow.appendChild(this.signalSelect);
+        settingsRow.appendChild(this.excitationSelect);
+
+        const runRow = document.createElement('div');
+        runRow.style.display = 'flex';
+        runRow.style.gap = '5px';
+        runRow.style.marginTop = '5px';
+        runRow.style.alignItems = 'center';
+
+        const mountLabel = document.createElement('label');
+        mountLabel.style.flex = '1';
+        this.mountCheckbox = document.createElement('input');
+        this.mountCheckbox.type = 'checkbox';
+        this.mountCheckbox.addEventListener('change', (e) => this.setMounted(e.target.checked));
+        mountLabel.appendChild(this.mountCheckbox);
+        mountLabel.appendChild(document.createTextNode(' Mount on rig'));
+
+        const runButton = document.createElement('button');
+        runButton.textContent = 'Run Test';
+        runButton.style.padding = '5px 10px';
+        runButton.addEventListener('click', () => this.run());
+
+        runRow.appendChild(mountLabel);
+        runRow.appendChild(runButton);
+
+        this.responseSelect = select('Shaker response', [], '', (key) => this.setResponse(key));
+        this.responseSelect.style.marginTop = '5px';
+        this.responseSelect.style.width = '100%';
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 260;
+        this.canvas.height = 200;
+        this.canvas.style.width = '100%';
+        this.ctx = this.canvas.getContext('2d');
+
+        this.resonanceDisplay = document.createElement('div');
+        this.resonanceDisplay.style.fontSize = '12px';
+        this.resonanceDisplay.setAttribute('aria-live', 'polite');
+
+        const exportCSVButton = document.createElement('button');
+        exportCSVButton.textContent = 'CSV';
+        exportCSVButton.style.padding = '5px 10px';
+        exportCSVButton.setAttribute('aria-label', 'Export frequency response as CSV');
+        exportCSVButton.addEventListener('click', () => {
+            this.onExport(this.exportCSV(), 'text/csv', 'csv');
+        });
+
+        const exportJSONButton = document.createElement('button');
+        exportJSONButton.textContent = 'JSON';
+        exportJSONButton.style.padding = '5px 10px';
+        exportJSONButton.setAttribute('aria-label', 'Export frequency response as JSON');
+        exportJSONButton.addEventListener('click', () => {
+            this.onExport(this.exportJSON(), 'application/json', 'json');
+        });
+
+        this.exportButtons = [exportCSVButton, exportJSONButton];
+        this.exportButtons.forEach(button => {
+            button.disabled = true;
+        });
+
+        const exportRow = document.createElement('div');
+        exportRow.style.display = 'flex';
+        exportRow.style.gap = '5px';
+        exportRow.style.marginTop = '5px';
+        exportRow.appendChild(exportCSVButton);
+        exportRow.appendChild(exportJSONButton);
+
+        this.element.appendChild(settingsRow);
+        this.element.appendChild(runRow);
+        this.element.appendChild(this.responseSelect);
+        this.element.appendChild(this.canvas);
+        this.element.appendChild(this.resonanceDisplay);
+        this.element.appendChild(exportRow);
+        container.appendChild(this.element);
+
+        this.showResonances();
+    }
+
+    /**
+     * Keep new parameters for the next test. The last test stays on show,
+     * marked as out of date, as running one takes a while.
+     * @param {Object} params - Motorcycle parameters to test
+     */
+    update(params) {
+        this.params = params;
+        if (this.result) {
+            this.result.outdated = true;
+            this.showResonances();
+        }
+    }
+
+    /**
+     * Change rig settings, remounting the live simulation if it is on the rig
+     * @param {Object} settings - Settings overriding the current ones, see DEFAULT_SHAKER_OPTIONS
+     */
+    setOptions(settings) {
+        this.options = { ...this.options, ...settings };
+        this.signalSelect.value = this.options.signal;
+        this.excitationSelect.value = this.options.excitation;
+        if (this.mounted) {
+            this.onMount(this.options);
+        }
+    }
+
+    /**
+     * Mount the live simulation on the rig or put it back on the ground
+     * @param {boolean} mounted - Whether the live simulation should be on the rig
+     */
+    setMounted(mounted) {
+        this.mounted = mounted;
+        this.mountCheckbox.checked = mounted;
+        this.onMount(mounted ? this.options : null);
+    }
+
+    /**
+     * Run a test with the current parameters and settings and show its responses
+     * @returns {Object} The result of runShakerTest
+     */
+    run() {
+        this.result = runShakerTest(this.params, this.options);
+        const keys = Object.keys(this.result.analysis.responses);
+        if (!keys.includes(this.responseKey)) {
+            this.responseKey = this.result.options.excitation;
+        }
+        this.populateResponses(keys);
+        this.exportButtons.forEach(button => {
+            button.disabled = false;
+        });
+        this.showResonances();
+        this.draw();
+        return this.result;
+    }
+
+    populateResponses(keys) {
+        this.responseSelect.replaceChildren();
+        SHAKER_RESPONSES
+            .filter(response => keys.includes(response.key))
+            .forEach(response => {
+                const option = document.createElement('option');
+                option.value = response.key;
+                option.textContent = response.displayName;
+                this.responseSelect.appendChild(option);
+            });
+        this.responseSelect.value = this.responseKey;
+    }
+
+    /**
+     * Choose the response to plot
+     * @param {string} key - A response of the last test, keyed as SHAKER_RESPONSES
+     */
+    setResponse(key) {
+        if (!this.result || !this.result.analysis.responses[key]) {
+            throw new Error(`Unknown shaker response "${key}"`);
+        }
+        this.responseKey = key;
+        this.responseSelect.value = key;
+        this.draw();
+    }
+
+    showResonances() {
+        if (!this.result) {
+            this.resonanceDisplay.textContent = 'Run a test to measure the frequency response';
+            return;
+        }
+        const { resonances } = this.result.analysis;
+        const format = (resonance) => resonance
+            ? `${resonance.frequency.toFixed(2)}Hz ×${resonance.gain.toFixed(2)}`
+            : 'none found';
+        this.resonanceDisplay.textContent = [
+            `Body: ${format(resonances.body)}`,
+            `Front hop: ${format(resonances.frontWheelHop)}`,
+            `Rear hop: ${format(resonances.rearWheelHop)}`
+        ].join(', ') + (this.result.outdated ? ' (parameters changed since the test)' : '');
+    }
+
+    /**
+     * Export every response of the last test as CSV
+     * @returns {string} The CSV text
+     */
+    exportCSV() {
+        return shakerResponseToCSV(this.result.analysis);
+    }
+
+    /**
+     * Export every response and the resonances of the last test as JSON
+     * @returns {string} The JSON text
+     */
+    exportJSON() {
+        return shakerResponseToJSON(this.result.analysis, this.result.options);
+    }
+
+    draw() {
+        if (!this.ctx) return;
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const margin = 30;
+        ctx.clearRect(0, 0, width, height);
+        if (!this.result) return;
+
+        // Gain above phase, both against a log frequency axis
+        const { frequencies, gain, phase } = this.result.analysis.responses[this.responseKey];
+        if (frequencies.length < 2) return;
+        const { startFrequency, endFrequency } = this.result.options;
+        const plotHeight = (height - margin - 10) / 2;
+        const xOf = (frequency) => margin + Math.log(frequency / startFrequency) /
+            Math.log(endFrequency / startFrequency) * (width - margin - 5);
+
+        const plot = (values, top, format) => {
+            let min = Math.min(...values);
+            let max = Math.max(...values);
+            if (max - min < 1e-9) {
+                min -= 1;
+                max += 1;
+            }
+            const yOf = (value) => top + (max - value) / (max - min) * plotHeight;
+
+            ctx.strokeStyle = '#DDDDDD';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(margin, top, width - margin - 5, plotHeight);
+
+            ctx.beginPath();
+            ctx.strokeStyle = '#4169E1';
+            ctx.lineWidth = 1.5;
+            values.forEach((value, i) => {
+                if (i === 0) {
+                    ctx.moveTo(xOf(frequencies[i]), yOf(value));
+                } else {
+                    ctx.lineTo(xOf(frequencies[i]), yOf(value));
+                }
+            });
+            ctx.stroke();
+
+            ctx.fillStyle = '#666666';
+            ctx.font = '10px monospace';
+            ctx.fillText(format(max), 0, top + 8);
+            ctx.fillText(format(min), 0, top + plotHeight);
+        };
+        plot(gain, 5, (value) => value.toPrecision(2));
+        plot(phase, 10 + plotHeight, (value) => `${value.toFixed(0)}°`);
+
+        ctx.fillStyle = '#666666';
+        ctx.font = '10px monospace';
+        ctx.fillText(`${startFrequency}Hz`, margin, height - margin + 12);
+        ctx.fillText(`${endFrequency}Hz`, width - 40, height - margin + 12);
+        ctx.fillText('Gain and phase against frequency', margin, height - 4);
+    }
+
+    /**
+     * Remove the panel
+     */
+    destroy() {
+        this.element.remove();
+    }
+}
+
+export { ShakerRigPanel };
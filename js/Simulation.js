@@ -1,7 +1,7 @@
-import { World, Vec2, MouseJoint } from 'planck';
+import { Vec2, MouseJoint } from 'planck';
 import { transformVec2 } from './geometry.js';
-import { GroundComponent } from './GroundComponent.js';
-import { MotorcycleComponent } from './MotorcycleComponent.js';
+import { SimulationCore } from './SimulationCore.js';
+import { Camera } from './Camera.js';
 
 const CATEGORIES = {
     FRAME: 0x0001,
@@ -9,28 +9,70 @@ const CATEGORIES = {
     WHEEL: 0x0004
 };
 
+// Radius of the centre of mass marker in pixels, whatever the zoom
+const CENTER_OF_MASS_MARKER_RADIUS = 8;
+
+/**
+ * Browser simulation: wraps a headless SimulationCore with a canvas renderer,
+ * mouse interaction and a requestAnimationFrame loop.
+ */
 class Simulation {
     constructor(canvasContainer, canvasSize) {
-        this.world = null;
+        this.core = null;
         this.canvas = null;
         this.ctx = null;
-        this.viewportScale = 200; // Scale factor (1 meter = 200 pixels)
-        this.viewportTranslateX = 0;
-        this.viewportTranslateY = 0;
+        this.camera = new Camera({ scale: 200 }); // 1 meter = 200 pixels, centred on the origin
         this.mouseBody = null;
         this.mouseJoint = null;
+        // Last mouse position in canvas pixels while dragging empty space to pan
+        this.panFrom = null;
+        this.showCenterOfMass = true;
         this.isRunning = false;
         this.animationFrameId = null;
-        this.components = [];
+        // Time of the last animation frame in milliseconds, null before the first
+        this.lastFrameTime = null;
+        // Replay of the recorded run: the time shown, whether it is playing, at what
+        // speed, and the interval it loops, if any
+        this.replay = { time: null, playing: false, speed: 1, loop: null };
 
         this.init(canvasContainer, canvasSize);
     }
 
+    /**
+     * The physics world of the underlying simulation core
+     * @returns {World} The planck world
+     */
+    get world() {
+        return this.core.world;
+    }
+
+    /**
+     * The top level components of the underlying simulation core
+     * @returns {SimulationComponent[]} The components
+     */
+    get components() {
+        return this.core.components;
+    }
+
+    /**
+     * Replace the top level components of the underlying simulation core
+     * @param {SimulationComponent[]} components - The new components
+     */
+    set components(components) {
+        this.core.components = components;
+    }
+
+    /**
+     * The telemetry recorder of the underlying simulation core
+     * @returns {TelemetryRecorder} The recorder
+     */
+    get telemetry() {
+        return this.core.telemetry;
+    }
+
     init(canvasContainer, canvasSize) {
-        // Initialize Planck.js world
-        this.world = World({
-            gravity: Vec2(0, 9.81)  // Enable gravity (positive y is downward)
-        });
+        // Initialize the headless physics simulation, stepping finely enough to catch a bottom out
+        this.core = new SimulationCore({ timeStep: 1/240 });
 
         // Create canvas and context
         this.canvas = document.createElement('canvas');
@@ -39,9 +81,7 @@ class Simulation {
         canvasContainer.appendChild(this.canvas);
         this.ctx = this.canvas.getContext('2d');
 
-        // Update viewport translation
-        this.viewportTranslateX = this.canvas.width / 2;
-        this.viewportTranslateY = this.canvas.height / 2;
+        this.camera.setViewport(this.canvas.width, this.canvas.height);
 
         // Create a static body for the mouse joint
         this.mouseBody = this.world.createBody();
@@ -50,9 +90,7 @@ class Simulation {
         window.addEventListener('resize', () => {
             this.canvas.width = canvasSize.width;
             this.canvas.height = canvasSize.height;
-            // Update viewport translation on resize
-            this.viewportTranslateX = this.canvas.width / 2;
-            this.viewportTranslateY = this.canvas.height / 2;
+            this.camera.setViewport(this.canvas.width, this.canvas.height);
         });
 
         // Setup mouse event handlers
@@ -62,12 +100,27 @@ class Simulation {
         this.step();
     }
 
-    getWorldPoint(e) {
+    /**
+     * Position of a mouse event on the canvas, in canvas pixels even if the
+     * canvas is stretched by CSS
+     * @param {MouseEvent} e - The mouse event
+     * @returns {{x: number, y: number}} Pixels from the left and top of the canvas
+     */
+    getCanvasPoint(e) {
         const rect = this.canvas.getBoundingClientRect();
-        // Apply inverse viewport transform
-        const x = (e.clientX - rect.left - this.viewportTranslateX) / this.viewportScale;
-        const y = (e.clientY - rect.top - this.viewportTranslateY) / this.viewportScale;
-        return Vec2(x, y);
+        const scaleX = rect.width ? this.canvas.width / rect.width : 1;
+        const scaleY = rect.height ? this.canvas.height / rect.height : 1;
+        return { x: (e.clientX - rect.left) * scaleX, y: (e.clientY - rect.top) * scaleY };
+    }
+
+    /**
+     * World point under a mouse event, through the camera
+     * @param {MouseEvent} e - The mouse event
+     * @returns {Vec2} The world point in meters
+     */
+    getWorldPoint(e) {
+        const point = this.getCanvasPoint(e);
+        return this.camera.toWorld(point.x, point.y);
     }
 
     setupMouseHandlers() {
@@ -78,7 +131,7 @@ class Simulation {
             
             // Query the world for bodies at the click position using AABB
             let clickedBody = null;
-            const clickRadius = 0.05 / this.viewportScale;
+            const clickRadius = 0.05 / this.camera.scale;
             const aabb = {
                 lowerBound: Vec2(worldPoint.x - clickRadius, worldPoint.y - clickRadius),
                 upperBound: Vec2(worldPoint.x + clickRadius, worldPoint.y + clickRadius)
@@ -100,12 +153,20 @@ class Simulation {
                     dampingRatio: 0.5,
                     target: worldPoint,
                 }, this.mouseBody, clickedBody, worldPoint));
+            } else {
+                // Dragging empty space pans the view
+                this.panFrom = this.getCanvasPoint(e);
             }
         });
 
         this.canvas.addEventListener('mousemove', (e) => {
             if (this.mouseJoint) {
                 this.mouseJoint.setTarget(this.getWorldPoint(e));
+            } else if (this.panFrom) {
+                const point = this.getCanvasPoint(e);
+                this.camera.pan(point.x - this.panFrom.x, point.y - this.panFrom.y);
+                this.panFrom = point;
+                this.draw();
             }
         });
 
@@ -114,24 +175,170 @@ class Simulation {
                 this.world.destroyJoint(this.mouseJoint);
                 this.mouseJoint = null;
             }
+            this.panFrom = null;
+        });
+
+        this.canvas.addEventListener('mouseleave', () => {
+            this.panFrom = null;
         });
+
+        // Zoom around the cursor, one notch of a mouse wheel at a time by about 10%
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault(); // Prevent page scrolling
+            const point = this.getCanvasPoint(e);
+            this.camera.zoomAt(point.x, point.y, Math.exp(-e.deltaY * 0.001));
+            this.draw();
+        }, { passive: false });
+    }
+
+    /**
+     * Track the motorcycle's chassis with the camera, or stop tracking it
+     * @param {boolean} following - Whether the camera should follow the chassis
+     */
+    setFollowing(following) {
+        this.camera.following = following;
+    }
+
+    /**
+     * Mark the motorcycle's combined centre of mass on the canvas, or stop marking it
+     * @param {boolean} show - Whether to draw the marker
+     */
+    setShowCenterOfMass(show) {
+        this.showCenterOfMass = show;
+        this.draw();
+    }
+
+    /**
+     * Fit the view to every fixture in the world
+     */
+    fitToScene() {
+        const boxes = [];
+        for (let body = this.world.getBodyList(); body; body = body.getNext()) {
+            for (let fixture = body.getFixtureList(); fixture; fixture = fixture.getNext()) {
+                for (let i = 0; i < fixture.getShape().getChildCount(); i++) {
+                    boxes.push(fixture.getAABB(i));
+                }
+            }
+        }
+        if (boxes.length === 0) return;
+
+        this.camera.fit(
+            Vec2(Math.min(...boxes.map(box => box.lowerBound.x)), Math.min(...boxes.map(box => box.lowerBound.y))),
+            Vec2(Math.max(...boxes.map(box => box.upperBound.x)), Math.max(...boxes.map(box => box.upperBound.y)))
+        );
+        this.draw();
+    }
+
+    /**
+     * Animation loop: advance the physics by the real time since the last
+     * frame while running, or the replay while it plays, move the camera and draw
+     * @param {number} [timestamp] - The frame time in milliseconds, as given by requestAnimationFrame
+     */
+    step(timestamp) {
+        if (this.lastFrameTime !== null && timestamp !== undefined) {
+            const elapsed = (timestamp - this.lastFrameTime) / 1000;
+            if (this.isRunning) {
+                this.core.advance(elapsed);
+            } else if (this.replay.playing) {
+                this.advanceReplay(elapsed);
+            }
+            const motorcycle = this.core.motorcycle;
+            if (motorcycle) {
+                this.camera.follow(motorcycle.body.getWorldCenter(), elapsed);
+            }
+        }
+        this.lastFrameTime = timestamp === undefined ? null : timestamp;
+        this.draw();
+        this.animationFrameId = requestAnimationFrame((time) => this.step(time));
+    }
+
+    /**
+     * Move the replay on by real time at its speed, wrapping around its loop
+     * or stopping at the end of the recording
+     * @param {number} elapsed - Real time since the last frame in seconds
+     */
+    advanceReplay(elapsed) {
+        const { recorder } = this.core;
+        if (recorder.length === 0) return;
+        const { start, end } = this.replay.loop || { start: recorder.startTime, end: recorder.endTime };
+        let time = (this.replay.time === null ? start : this.replay.time) + elapsed * this.replay.speed;
+        if (time > end) {
+            if (this.replay.loop && end > start) {
+                time = start + (time - end) % (end - start);
+            } else {
+                time = end;
+                this.replay.playing = false;
+            }
+        }
+        this.seek(time);
     }
 
-    step() {
-        if (this.isRunning) {
-            this.world.step(1/60);
+    /**
+     * Show the recorded frame at or before a time. Running or stepping carries on from it.
+     * @param {number} time - Simulation time in seconds
+     */
+    seek(time) {
+        const shown = this.core.showRecordedFrame(time);
+        // Keep the requested time, so a slow replay moves on between recorded frames
+        this.replay.time = shown === null ? null : time;
+        this.draw();
+    }
+
+    /**
+     * Play or pause the replay of the recorded run. Playing pauses the simulation,
+     * and starts from the beginning of the loop or recording once the end is reached.
+     * @param {boolean} playing - Whether the replay should play
+     */
+    setReplayPlaying(playing) {
+        const { recorder } = this.core;
+        if (playing) {
+            this.isRunning = false;
+            const end = this.replay.loop ? this.replay.loop.end : recorder.endTime;
+            if (this.replay.time === null || this.replay.time >= end) {
+                this.replay.time = this.replay.loop ? this.replay.loop.start : recorder.startTime;
+            }
         }
+        this.replay.playing = playing && recorder.length > 0;
+    }
+
+    /**
+     * Set the replay speed
+     * @param {number} speed - Recorded time per unit of real time, above 0
+     */
+    setReplaySpeed(speed) {
+        if (!(speed > 0)) {
+            throw new Error(`Invalid replay speed ${speed}: must be above 0`);
+        }
+        this.replay.speed = speed;
+    }
+
+    /**
+     * Loop the replay over an interval of the recording
+     * @param {{start: number, end: number}|null} loop - Start and end times in seconds, or null to play to the end
+     */
+    setReplayLoop(loop) {
+        if (loop && !(loop.end > loop.start)) {
+            throw new Error(`Invalid replay loop ${loop.start}s to ${loop.end}s: must end after it starts`);
+        }
+        this.replay.loop = loop;
+    }
+
+    /**
+     * Take one fixed time step and draw it, for stepping through a paused simulation
+     */
+    stepOnce() {
+        this.replay.playing = false;
+        this.replay.time = null;
+        this.core.stepFixed();
         this.draw();
-        this.animationFrameId = requestAnimationFrame(() => this.step());
     }
 
     draw() {
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
-        // Center the viewport
+        // Look through the camera
         this.ctx.save();
-        this.ctx.translate(this.viewportTranslateX, this.viewportTranslateY);
-        this.ctx.scale(this.viewportScale, this.viewportScale);
+        this.camera.apply(this.ctx);
         
         // Draw all components
         this.components.forEach(component => component.draw(this.ctx));
@@ -160,7 +367,7 @@ class Simulation {
                 this.ctx.moveTo(anchorA.x, anchorA.y);
                 this.ctx.lineTo(anchorB.x, anchorB.y);
                 this.ctx.stroke();
-            } else if (type === 'distance-joint') {
+            } else if (type === 'distance-joint' || type === 'rope-joint') {
                 const dx = anchorB.x - anchorA.x;
                 const dy = anchorB.y - anchorA.y;
                 const distance = Math.sqrt(dx * dx + dy * dy);
@@ -193,32 +400,90 @@ class Simulation {
                 this.ctx.stroke();
             }
         }
+
+        if (this.showCenterOfMass) {
+            this.drawCenterOfMass();
+        }
         
         this.ctx.restore();
     }
 
+    /**
+     * Draw the usual quartered circle at the combined centre of mass of the
+     * motorcycle, and everything carried by its component tree
+     */
+    drawCenterOfMass() {
+        const motorcycle = this.core.motorcycle;
+        if (!motorcycle) return;
+        const center = motorcycle.getCenterOfMass();
+        const radius = CENTER_OF_MASS_MARKER_RADIUS / this.camera.scale;
+
+        // Alternate black and white quarters, starting from the top right
+        for (let i = 0; i < 4; i++) {
+            this.ctx.beginPath();
+            this.ctx.moveTo(center.x, center.y);
+            this.ctx.arc(center.x, center.y, radius, (i - 1) * Math.PI / 2, i * Math.PI / 2);
+            this.ctx.closePath();
+            this.ctx.fillStyle = i % 2 === 0 ? '#000000' : '#FFFFFF';
+            this.ctx.fill();
+        }
+        this.ctx.beginPath();
+        this.ctx.arc(center.x, center.y, radius, 0, 2 * Math.PI);
+        this.ctx.strokeStyle = '#000000';
+        this.ctx.lineWidth = 1 / this.camera.scale;
+        this.ctx.stroke();
+    }
+
     createWorld(params) {
-        // Clear existing components
-        this.components.forEach(component => component.destroy());
-        this.components = [];
-
-        // Create ground
-        const ground = new GroundComponent(this, {
-            width: params.simulation.groundWidth.value,
-            height: params.simulation.groundHeight.value,
-            density: params.simulation.density.value
-        });
-        ground.position = Vec2(0, 1);
-        this.components.push(ground);
+        this.core.createWorld(params);
+        this.replay = { ...this.replay, time: null, playing: false, loop: null };
+    }
+
+    /**
+     * Choose whether createWorld puts the motorcycle on the ground or on a shaker rig
+     * @param {Object|null} options - Rig settings, see DEFAULT_SHAKER_OPTIONS in shakerRig.js, or null for the ground
+     */
+    setShakerRig(options) {
+        this.core.setShakerRig(options);
+    }
+
+    /**
+     * Apply edited parameters to the existing components without resetting
+     * the simulation. Throws if the parameters describe an invalid geometry,
+     * in which case the components are left unchanged.
+     * @param {Object} params - The simulation parameters
+     */
+    updateBodies(params) {
+        this.core.updateBodies(params);
+    }
+
+    /**
+     * Set a control input on the underlying simulation core
+     * @param {string} name - The input name, such as 'throttle'
+     * @param {number} value - The input value from 0 to 1
+     */
+    setInput(name, value) {
+        this.core.setInput(name, value);
+    }
 
-        // Create motorcycle
-        const motorcycle = new MotorcycleComponent(this, params);
-        motorcycle.position = Vec2(0, 0);
-        this.components.push(motorcycle);
+    /**
+     * Change how the simulation steps
+     * @param {Object} options - The settings to change, see SimulationCore.setTiming
+     */
+    setTiming(options) {
+        this.core.setTiming(options);
     }
 
+    /**
+     * Run or pause the simulation. Running stops the replay and carries on from the frame it shows.
+     * @param {boolean} running - Whether the simulation should run
+     */
     setRunning(running) {
         this.isRunning = running;
+        if (running) {
+            this.replay.playing = false;
+            this.replay.time = null;
+        }
     }
 }
 
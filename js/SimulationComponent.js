@@ -116,6 +116,20 @@ class SimulationComponent {
         this.children.forEach(child => child.update(params));
     }
 
+    /**
+     * Advance this component and all its children by one physics step.
+     * Called before the world is stepped.
+     * @param {number} dt - The time step in seconds
+     * @param {Object} inputs - The control inputs, such as throttle
+     */
+    step(dt, inputs) {
+        // Step this component
+        this.stepImpl(dt, inputs);
+
+        // Step all children
+        this.children.forEach(child => child.step(dt, inputs));
+    }
+
     /**
      * Implementation of component-specific drawing.
      * To be overridden by derived classes.
@@ -174,6 +188,17 @@ class SimulationComponent {
         // Derived classes should override this
     }
 
+    /**
+     * Implementation of component-specific stepping, such as applying forces.
+     * To be overridden by derived classes.
+     * @param {number} dt - The time step in seconds
+     * @param {Object} inputs - The control inputs, such as throttle
+     */
+    stepImpl(dt, inputs) {
+        // Default implementation does nothing
+        // Derived classes should override this
+    }
+
     /**
      * Clean up this component and all its children
      */
@@ -0,0 +1,333 @@
+import { World, Vec2 } from 'planck';
+import { TerrainComponent } from './TerrainComponent.js';
+import { MotorcycleComponent } from './MotorcycleComponent.js';
+import { createTerrainProfile } from './terrain.js';
+import { TelemetryRecorder } from './Telemetry.js';
+import { RunRecorder } from './RunRecorder.js';
+import { ShakerPostComponent } from './ShakerPostComponent.js';
+import { createShakerSignal, SHAKER_EXCITATIONS } from './shakerRig.js';
+
+// Longest real time advance takes into account, in seconds
+const MAX_ELAPSED = 0.25;
+
+// Most fixed steps advance takes at once, so a slow machine cannot fall ever further behind
+const MAX_STEPS_PER_ADVANCE = 200;
+
+/**
+ * Headless simulation: owns the physics world and the component tree and
+ * steps them forward. Has no knowledge of the DOM, canvas or user input, so it
+ * can be built and run from plain Node.
+ */
+class SimulationCore {
+    /**
+     * @param {Object} [options] - Configuration options for the simulation, see setTiming
+     * @param {number} [options.recordingCapacity] - Steps the run recorder keeps, see RunRecorder
+     */
+    constructor(options = {}) {
+        this.world = World({
+            gravity: Vec2(0, 9.81)  // Enable gravity (positive y is downward)
+        });
+        this.timeStep = 1/60;
+        this.substeps = 1;
+        // Above planck's defaults, so the closed loop of a rear linkage converges within a step
+        this.velocityIterations = 20;
+        this.positionIterations = 8;
+        this.timeScale = 1;
+        this.setTiming(options);
+        // Scaled time not yet stepped through by advance
+        this.accumulator = 0;
+        this.time = 0;
+        this.components = [];
+        this.inputs = {
+            throttle: 0,
+            frontBrake: 0,
+            rearBrake: 0
+        };
+        this.telemetry = new TelemetryRecorder();
+        this.telemetryListeners = [];
+        this.recorder = new RunRecorder({ capacity: options.recordingCapacity });
+        // Recorded frame the world was put back to, until the next step carries on from it
+        this.shownFrame = null;
+        // Length of the last physics step, which the contact impulses were built up over
+        this.lastTimeStep = null;
+        this.shakerRig = null;
+    }
+
+    /**
+     * The motorcycle component, if the world has been created
+     * @returns {MotorcycleComponent|undefined} The motorcycle
+     */
+    get motorcycle() {
+        return this.components.find(component => component instanceof MotorcycleComponent);
+    }
+
+    /**
+     * The shaker rig posts, if the world was created on the rig
+     * @returns {{front: ShakerPostComponent, rear: ShakerPostComponent}|null} The posts
+     */
+    get shakerPosts() {
+        const posts = this.components.filter(component => component instanceof ShakerPostComponent);
+        return posts.length > 0 ? { front: posts[0], rear: posts[1] } : null;
+    }
+
+    /**
+     * Choose whether createWorld puts the motorcycle on the ground or on a shaker rig
+     * @param {Object|null} options - Rig settings, see DEFAULT_SHAKER_OPTIONS in shakerRig.js, or null for the ground
+     */
+    setShakerRig(options) {
+        if (options && !SHAKER_EXCITATIONS.some(excitation => excitation.key === options.excitation)) {
+            throw new Error(`Invalid shaker excitation "${options.excitation}": must be one of ${SHAKER_EXCITATIONS.map(e => e.key).join(', ')}`);
+        }
+        this.shakerRig = options;
+    }
+
+    /**
+     * Replace all components with a fresh ground, or shaker rig, and motorcycle
+     * @param {Object} params - The simulation parameters
+     */
+    createWorld(params) {
+        // Clear existing components
+        this.components.forEach(component => component.destroy());
+        this.components = [];
+        this.time = 0;
+        this.accumulator = 0;
+        this.recorder.clear();
+        this.shownFrame = null;
+        this.lastTimeStep = null;
+
+        if (this.shakerRig) {
+            this.createShakerRig(params);
+            return;
+        }
+
+        // Create ground
+        const ground = new TerrainComponent(this, {
+            profile: createTerrainProfile({
+                type: params.simulation.terrainType.value,
+                length: params.simulation.groundWidth.value,
+                position: params.simulation.terrainFeaturePosition.value,
+                height: params.simulation.terrainFeatureHeight.value,
+                width: params.simulation.terrainFeatureLength.value,
+                count: params.simulation.terrainFeatureCount.value,
+                roadClass: params.simulation.terrainRoadClass.value,
+                seed: params.simulation.terrainSeed.value,
+                resolution: params.simulation.terrainResolution.value
+            }),
+            height: params.simulation.groundHeight.value
+        });
+        ground.position = Vec2(0, 1);
+        this.components.push(ground);
+
+        // Create motorcycle
+        const motorcycle = new MotorcycleComponent(this, params);
+        motorcycle.position = Vec2(0, 0);
+        this.components.push(motorcycle);
+    }
+
+    /**
+     * Put the motorcycle on a post under each wheel, with the pans level with the
+     * top of the ground. The motorcycle is tilted from its build pose so both
+     * tyres touch their pans, and the input starts once it has had time to settle.
+     * @param {Object} params - The simulation parameters
+     */
+    createShakerRig(params) {
+        const options = this.shakerRig;
+        const signal = createShakerSignal(options);
+        const rearSign = options.excitation === 'pitch' ? -1 : 1;
+        const surfaceY = 1 - params.simulation.groundHeight.value / 2;
+        const frontRadius = params.frame.frontWheelDiameter.value / 2;
+        const rearRadius = params.frame.rearWheelDiameter.value / 2;
+
+        const motorcycle = new MotorcycleComponent(this, params);
+        motorcycle.position = Vec2(0, 0);
+
+        // Turn the line through the axles, which faces negative x, until the
+        // tyres' lowest points are level, then stand the rear tyre on its pan
+        const axles = Vec2.sub(motorcycle.frontWheel.position, motorcycle.rearWheel.position);
+        const angle = Math.PI - Math.asin((rearRadius - frontRadius) / axles.length()) - Math.atan2(axles.y, axles.x);
+        motorcycle.setPose(Vec2(0, 0), angle);
+        motorcycle.setPose(Vec2(0, surfaceY - rearRadius - motorcycle.rearWheel.position.y), angle);
+
+        const post = (wheel, tyreRate, sign) => new ShakerPostComponent(this, {
+            position: Vec2(wheel.position.x, surfaceY),
+            signal: (time) => sign * signal(time - options.settleTime),
+            tyreRate,
+            tyreDamping: options.tyreDamping
+        });
+        this.components.push(post(motorcycle.frontWheel, options.frontTyreRate, 1));
+        this.components.push(post(motorcycle.rearWheel, options.rearTyreRate, rearSign));
+        this.components.push(motorcycle);
+    }
+
+    /**
+     * Apply edited parameters to the existing components without resetting
+     * the simulation. Throws if the parameters describe an invalid geometry,
+     * in which case the components are left unchanged.
+     * @param {Object} params - The simulation parameters
+     */
+    updateBodies(params) {
+        this.components.forEach(component => component.update(params));
+    }
+
+    /**
+     * Set a control input
+     * @param {string} name - The input name, such as 'throttle'
+     * @param {number} value - The input value from 0 to 1
+     */
+    setInput(name, value) {
+        if (!(name in this.inputs)) {
+            throw new Error(`Unknown input "${name}": must be one of ${Object.keys(this.inputs).join(', ')}`);
+        }
+        this.inputs[name] = Math.min(1, Math.max(0, value));
+    }
+
+    /**
+     * Register a function to receive the telemetry values after every step
+     * @param {Function} listener - Called with the simulation time and the channel values
+     */
+    addTelemetryListener(listener) {
+        this.telemetryListeners.push(listener);
+    }
+
+    /**
+     * Stop a function from receiving telemetry values
+     * @param {Function} listener - A listener passed to addTelemetryListener
+     */
+    removeTelemetryListener(listener) {
+        this.telemetryListeners = this.telemetryListeners.filter(l => l !== listener);
+    }
+
+    /**
+     * Change how the simulation steps. Settings that are left out keep their values.
+     * @param {Object} options - The settings to change
+     * @param {number} [options.timeStep] - Fixed time step in seconds, 1/60 by default
+     * @param {number} [options.substeps] - Physics steps each fixed time step is split into, 1 by default
+     * @param {number} [options.velocityIterations] - Constraint solver velocity iterations per physics step, 20 by default
+     * @param {number} [options.positionIterations] - Constraint solver position iterations per physics step, 8 by default
+     * @param {number} [options.timeScale] - Simulated time per unit of real time for advance, 1 by default
+     */
+    setTiming(options) {
+        const positive = (name) => {
+            if (options[name] !== undefined && !(options[name] > 0 && Number.isFinite(options[name]))) {
+                throw new Error(`Invalid ${name} ${options[name]}: must be a positive number`);
+            }
+        };
+        const count = (name) => {
+            if (options[name] !== undefined && !(Number.isInteger(options[name]) && options[name] >= 1)) {
+                throw new Error(`Invalid ${name} ${options[name]}: must be a whole number of at least 1`);
+            }
+        };
+        positive('timeStep');
+        positive('timeScale');
+        count('substeps');
+        count('velocityIterations');
+        count('positionIterations');
+
+        ['timeStep', 'substeps', 'velocityIterations', 'positionIterations', 'timeScale'].forEach(name => {
+            if (options[name] !== undefined) {
+                this[name] = options[name];
+            }
+        });
+    }
+
+    /**
+     * Advance by real time with a fixed time step: the elapsed time, scaled by
+     * the time scale, is added to what is left over from earlier calls, and as
+     * many whole fixed steps are taken as it holds. The physics therefore runs at
+     * the same speed whatever rate this is called at. A long pause, such as a
+     * hidden browser tab, is cut short rather than caught up on.
+     * @param {number} elapsed - Real time since the last call in seconds
+     * @returns {number} The number of fixed steps taken
+     */
+    advance(elapsed) {
+        this.accumulator += Math.min(elapsed, MAX_ELAPSED) * this.timeScale;
+        let steps = 0;
+        // Allow for rounding, so that a whole number of steps' time takes that many steps
+        while (this.accumulator >= this.timeStep * (1 - 1e-9)) {
+            if (steps === MAX_STEPS_PER_ADVANCE) {
+                // Falling behind, drop the backlog instead of growing it
+                this.accumulator = 0;
+                break;
+            }
+            this.stepFixed();
+            this.accumulator -= this.timeStep;
+            steps++;
+        }
+        this.accumulator = Math.max(0, this.accumulator);
+        return steps;
+    }
+
+    /**
+     * Take one fixed time step, as substeps physics steps
+     */
+    stepFixed() {
+        this.run(this.substeps, this.timeStep / this.substeps);
+    }
+
+    /**
+     * Advance the components and the physics world by one time step, then
+     * sample telemetry if recording or anyone is listening
+     * @param {number} [dt] - Time step in seconds, defaults to the configured time step
+     */
+    step(dt = this.timeStep) {
+        if (this.shownFrame !== null) {
+            // Carrying on from a recorded frame replaces what was recorded after it
+            this.recorder.truncate(this.shownFrame);
+            this.shownFrame = null;
+        }
+
+        this.components.forEach(component => component.step(dt, this.inputs));
+        this.world.step(dt, this.velocityIterations, this.positionIterations);
+        this.time += dt;
+        this.lastTimeStep = dt;
+        this.recorder.record(this.time, this.world, dt);
+
+        const motorcycle = this.motorcycle;
+        if (motorcycle && (this.telemetry.recording || this.telemetryListeners.length > 0)) {
+            const values = motorcycle.getTelemetry(dt);
+            this.telemetry.record(this.time, values);
+            this.telemetryListeners.forEach(listener => listener(this.time, values));
+        }
+    }
+
+    /**
+     * Put the world back to the recorded frame at or before a time. Stepping
+     * carries on from there, replacing the frames recorded after it.
+     * @param {number} time - Simulation time in seconds
+     * @returns {number} The time of the frame shown, or null if nothing is recorded
+     */
+    showRecordedFrame(time) {
+        const index = this.recorder.indexAt(time);
+        if (index < 0) return null;
+        this.time = this.recorder.restore(index);
+        this.accumulator = 0;
+        this.shownFrame = index;
+        // The contacts still hold the impulses of the last step taken, not of this frame
+        this.lastTimeStep = null;
+        return this.time;
+    }
+
+    /**
+     * Static weight on each wheel of the motorcycle, from the ground contacts of the last step
+     * @returns {Object|null} The weight distribution, see MotorcycleComponent.getWeightDistribution,
+     * or null before the first step or while a recorded frame is shown
+     */
+    getWeightDistribution() {
+        const motorcycle = this.motorcycle;
+        if (!motorcycle || this.lastTimeStep === null) return null;
+        return motorcycle.getWeightDistribution(this.lastTimeStep);
+    }
+
+    /**
+     * Advance the physics world by a number of time steps
+     * @param {number} steps - Number of steps to take
+     * @param {number} [dt] - Time step in seconds, defaults to the configured time step
+     */
+    run(steps, dt = this.timeStep) {
+        for (let i = 0; i < steps; i++) {
+            this.step(dt);
+        }
+    }
+}
+
+export { SimulationCore };
@@ -0,0 +1,111 @@
+import { convertChannels } from './units.js';
+
+/**
+ * Channels sampled from MotorcycleComponent.getTelemetry. Relative channels
+ * are recorded as the change from their value in the first sample.
+ */
+const TELEMETRY_CHANNELS = [
+    { key: 'forkTravel', displayName: 'Fork Travel', unit: 'm' },
+    { key: 'forkVelocity', displayName: 'Fork Velocity', unit: 'm/s' },
+    { key: 'rearWheelTravel', displayName: 'Rear Wheel Travel', unit: 'm' },
+    { key: 'shockLength', displayName: 'Shock Length', unit: 'm' },
+    { key: 'shockTravel', displayName: 'Shock Travel', unit: 'm' },
+    { key: 'shockVelocity', displayName: 'Shock Velocity', unit: 'm/s' },
+    { key: 'chassisPitch', displayName: 'Chassis Pitch', unit: 'rad' },
+    { key: 'chassisHeave', displayName: 'Chassis Heave', unit: 'm', relative: true },
+    { key: 'frontWheelX', displayName: 'Front Wheel X', unit: 'm' },
+    { key: 'frontWheelY', displayName: 'Front Wheel Y', unit: 'm' },
+    { key: 'rearWheelX', displayName: 'Rear Wheel X', unit: 'm' },
+    { key: 'rearWheelY', displayName: 'Rear Wheel Y', unit: 'm' },
+    { key: 'frontWheelAcceleration', displayName: 'Front Wheel Vertical Acceleration', unit: 'm/s²' },
+    { key: 'rearWheelAcceleration', displayName: 'Rear Wheel Vertical Acceleration', unit: 'm/s²' },
+    { key: 'forkSliderForce', displayName: 'Fork Slider Force', unit: 'N' },
+    { key: 'forkSpringForce', displayName: 'Fork Spring Force', unit: 'N' },
+    { key: 'forkDamperForce', displayName: 'Fork Damper Force', unit: 'N' },
+    { key: 'frontAxleForce', displayName: 'Front Axle Force', unit: 'N' },
+    { key: 'swingarmPivotForce', displayName: 'Swingarm Pivot Force', unit: 'N' },
+    { key: 'rearShockSpringForce', displayName: 'Rear Shock Spring Force', unit: 'N' },
+    { key: 'rearShockDamperForce', displayName: 'Rear Shock Damper Force', unit: 'N' },
+    { key: 'rearShockTopOutForce', displayName: 'Rear Shock Top Out Force', unit: 'N' },
+    { key: 'rearAxleForce', displayName: 'Rear Axle Force', unit: 'N' }
+];
+
+/**
+ * Records telemetry samples while recording is switched on and exports the
+ * capture as CSV or JSON. Samples are taken by the simulation core after
+ * every physics step, so the sample rate is the physics step rate.
+ */
+class TelemetryRecorder {
+    /**
+     * @param {Array<Object>} [channels=TELEMETRY_CHANNELS] - The channels to record
+     */
+    constructor(channels = TELEMETRY_CHANNELS) {
+        this.channels = channels;
+        this.recording = false;
+        this.samples = [];
+        this.baseline = null;
+    }
+
+    /**
+     * Discard any previous capture and start recording
+     */
+    start() {
+        this.samples = [];
+        this.baseline = null;
+        this.recording = true;
+    }
+
+    /**
+     * Stop recording, keeping the capture for export
+     */
+    stop() {
+        this.recording = false;
+    }
+
+    /**
+     * Add a sample to the capture if recording
+     * @param {number} time - Simulation time in seconds
+     * @param {Object} values - Channel values keyed by channel name
+     */
+    record(time, values) {
+        if (!this.recording) return;
+
+        if (!this.baseline) {
+            this.baseline = values;
+        }
+
+        const sample = { time };
+        this.channels.forEach(channel => {
+            const value = values[channel.key];
+            sample[channel.key] = channel.relative ? value - this.baseline[channel.key] : value;
+        });
+        this.samples.push(sample);
+    }
+
+    /**
+     * Export the capture as CSV with a header row of channel names and units
+     * @param {string} [unitSystem] - A unit system from units.js, or none for the stored units
+     * @returns {string} The CSV text
+     */
+    exportCSV(unitSystem) {
+        const { channels, rows: samples } = convertChannels(this.channels, this.samples, unitSystem);
+        const header = ['time (s)', ...channels.map(channel => `${channel.key} (${channel.unit})`)];
+        const rows = samples.map(sample => [sample.time, ...channels.map(channel => sample[channel.key])]);
+        return [header, ...rows].map(row => row.join(',')).join('\n') + '\n';
+    }
+
+    /**
+     * Export the capture as JSON, including the channel descriptions
+     * @param {string} [unitSystem] - A unit system from units.js, or none for the stored units
+     * @returns {string} The JSON text
+     */
+    exportJSON(unitSystem) {
+        const { channels, rows: samples } = convertChannels(this.channels, this.samples, unitSystem);
+        return JSON.stringify({
+            channels: [{ key: 'time', displayName: 'Time', unit: 's' }, ...channels],
+            samples
+        }, null, 2);
+    }
+}
+
+export { TelemetryRecorder, TELEMETRY_CHANNELS };
@@ -0,0 +1,61 @@
+import { GroundComponent } from './GroundComponent.js';
+import { Chain, Vec2 } from 'planck';
+
+const CATEGORIES = {
+    FRAME: 0x0001,
+    GROUND: 0x0002,
+    WHEEL: 0x0004
+};
+
+/**
+ * Ground built from a height profile. The profile surface sits on top of a
+ * slab of the given height centered on the body, so a flat profile matches
+ * the top of the plain box ground. Takes the GroundComponent parameters plus
+ * `profile`, the height profile from terrain.js.
+ */
+class TerrainComponent extends GroundComponent {
+    /**
+     * Get the profile as body-local points (positive y is downward)
+     * @returns {Vec2[]} The surface points
+     */
+    getSurfacePoints() {
+        const surfaceY = -this.params.height / 2;
+        return this.params.profile.map(p => Vec2(p.x, surfaceY - p.y));
+    }
+
+    createFixture() {
+        if (!this.params.profile || this.params.profile.length < 2) {
+            throw new Error('Invalid terrain: profile must have at least two points');
+        }
+
+        const terrainShape = Chain(this.getSurfacePoints(), false);
+
+        this.body.createFixture(terrainShape, {
+            friction: 0.3,
+            restitution: 0.2,
+            filterCategoryBits: CATEGORIES.GROUND,
+            filterMaskBits: CATEGORIES.WHEEL | CATEGORIES.FRAME,
+            userData: { color: '#333333' }
+        });
+    }
+
+    drawImpl(ctx) {
+        const points = this.getSurfacePoints();
+        const bottom = this.params.height / 2;
+
+        // Draw the surface and close it along the bottom of the slab
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i].x, points[i].y);
+        }
+        ctx.lineTo(points[points.length - 1].x, bottom);
+        ctx.lineTo(points[0].x, bottom);
+        ctx.closePath();
+        ctx.strokeStyle = '#333333';
+        ctx.lineWidth = 0.005;
+        ctx.stroke();
+    }
+}
+
+export { TerrainComponent };
@@ -0,0 +1,198 @@
+const SPEEDS = [0.1, 0.25, 0.5, 1, 2, 4];
+
+/**
+ * Timeline of the recorded run: a scrubber over the recording, replay at a
+ * choice of speeds and a loop between two marked times. Scrubbing or playing
+ * pauses the simulation, and running it again carries on from the frame shown.
+ */
+class TimelinePanel {
+    /**
+     * @param {HTMLElement} container - Element to build the panel in
+     * @param {Simulation} simulation - The browser simulation whose recording to show
+     * @param {Object} [options] - Configuration options for the panel
+     * @param {Function} [options.onPause] - Called when scrubbing or a replay pauses the simulation
+     */
+    constructor(container, simulation, options = {}) {
+        this.simulation = simulation;
+        this.onPause = options.onPause || (() => {});
+        // Loop start marked before its end is
+        this.loopStart = null;
+        this.scrubbing = false;
+        this.animationFrameId = null;
+
+        this.createElements(container);
+        this.update();
+    }
+
+    createElements(container) {
+        this.element = document.createElement('div');
+        this.element.className = 'timeline-panel';
+
+        const button = (text, label, onClick) => {
+            const element = document.createElement('button');
+            element.textContent = text;
+            element.style.width = 'auto';
+            element.style.padding = '5px 10px';
+            element.style.fontSize = '12px';
+            element.setAttribute('aria-label', label);
+            element.addEventListener('click', onClick);
+            return element;
+        };
+
+        const scrubRow = document.createElement('div');
+        scrubRow.style.display = 'flex';
+        scrubRow.style.alignItems = 'center';
+        scrubRow.style.gap = '10px';
+
+        this.playButton = button('Play', 'Play replay', () => {
+            this.pauseSimulation();
+            this.simulation.setReplayPlaying(!this.simulation.replay.playing);
+        });
+
+        this.scrubber = document.createElement('input');
+        this.scrubber.type = 'range';
+        this.scrubber.style.flex = '1';
+        this.scrubber.style.margin = '0';
+        this.scrubber.min = 0;
+        this.scrubber.max = 0;
+        this.scrubber.step = 'any';
+        this.scrubber.setAttribute('aria-label', 'Timeline');
+        this.scrubber.addEventListener('input', (e) => {
+            this.scrubbing = true;
+            this.pauseSimulation();
+            this.simulation.setReplayPlaying(false);
+            this.simulation.seek(parseFloat(e.target.value));
+        });
+        this.scrubber.addEventListener('change', () => {
+            this.scrubbing = false;
+        });
+
+        this.timeDisplay = document.createElement('span');
+        this.timeDisplay.className = 'value-display';
+        this.timeDisplay.style.fontSize = '12px';
+
+        scrubRow.appendChild(this.playButton);
+        scrubRow.appendChild(this.scrubber);
+        scrubRow.appendChild(this.timeDisplay);
+
+        const replayRow = document.createElement('div');
+        replayRow.style.display = 'flex';
+        replayRow.style.alignItems = 'center';
+        replayRow.style.gap = '10px';
+        replayRow.style.marginTop = '5px';
+
+        this.speedSelect = document.createElement('select');
+        this.speedSelect.setAttribute('aria-label', 'Replay speed');
+        SPEEDS.forEach(speed => {
+            const option = document.createElement('option');
+            option.value = speed;
+            option.textContent = `${speed}×`;
+            this.speedSelect.appendChild(option);
+        });
+        this.speedSelect.value = this.simulation.replay.speed;
+        this.speedSelect.addEventListener('change', (e) => {
+            this.simulation.setReplaySpeed(parseFloat(e.target.value));
+        });
+
+        this.loopDisplay = document.createElement('span');
+        this.loopDisplay.className = 'value-display';
+        this.loopDisplay.style.fontSize = '12px';
+
+        replayRow.appendChild(this.speedSelect);
+        replayRow.appendChild(button('Loop In', 'Start loop here', () => this.markLoopStart()));
+        replayRow.appendChild(button('Loop Out', 'End loop here', () => this.markLoopEnd()));
+        replayRow.appendChild(button('Clear Loop', 'Clear loop', () => this.clearLoop()));
+        replayRow.appendChild(this.loopDisplay);
+
+        this.element.appendChild(scrubRow);
+        this.element.appendChild(replayRow);
+        container.appendChild(this.element);
+    }
+
+    pauseSimulation() {
+        if (this.simulation.isRunning) {
+            this.simulation.setRunning(false);
+            this.onPause();
+        }
+    }
+
+    // The time shown: the replay position, or the live simulation time
+    currentTime() {
+        const { replay, core } = this.simulation;
+        return replay.time === null ? core.time : replay.time;
+    }
+
+    /**
+     * Mark the current time as the start of the loop
+     */
+    markLoopStart() {
+        this.loopStart = this.currentTime();
+        this.simulation.setReplayLoop(null);
+    }
+
+    /**
+     * Loop between the marked start and the current time. The times are swapped if the end is marked first.
+     */
+    markLoopEnd() {
+        const time = this.currentTime();
+        const recorder = this.simulation.core.recorder;
+        const start = this.loopStart === null ? recorder.startTime : this.loopStart;
+        if (start === null || time === start) return;
+        this.simulation.setReplayLoop({ start: Math.min(start, time), end: Math.max(start, time) });
+        this.loopStart = null;
+    }
+
+    /**
+     * Replay to the end of the recording again
+     */
+    clearLoop() {
+        this.loopStart = null;
+        this.simulation.setReplayLoop(null);
+    }
+
+    /**
+     * Bring the scrubber, play button and readouts up to date with the simulation
+     */
+    refresh() {
+        const { replay, core } = this.simulation;
+        const { recorder } = core;
+        const time = this.currentTime();
+        if (recorder.length > 0) {
+            this.scrubber.min = recorder.startTime;
+            this.scrubber.max = recorder.endTime;
+            if (!this.scrubbing) {
+                this.scrubber.value = time;
+            }
+        }
+        this.scrubber.disabled = recorder.length === 0;
+        this.playButton.textContent = replay.playing ? 'Pause' : 'Play';
+        this.playButton.setAttribute('aria-label', replay.playing ? 'Pause replay' : 'Play replay');
+        this.timeDisplay.textContent = `${time.toFixed(2)}s`;
+
+        if (replay.loop) {
+            this.loopDisplay.textContent = `Loop ${replay.loop.start.toFixed(2)}–${replay.loop.end.toFixed(2)}s`;
+        } else if (this.loopStart !== null) {
+            this.loopDisplay.textContent = `Loop from ${this.loopStart.toFixed(2)}s`;
+        } else {
+            this.loopDisplay.textContent = '';
+        }
+    }
+
+    /**
+     * Refresh and schedule the next frame
+     */
+    update() {
+        this.refresh();
+        this.animationFrameId = requestAnimationFrame(() => this.update());
+    }
+
+    /**
+     * Stop updating and remove the panel
+     */
+    destroy() {
+        cancelAnimationFrame(this.animationFrameId);
+        this.element.remove();
+    }
+}
+
+export { TimelinePanel };
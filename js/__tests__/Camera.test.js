@@ -0,0 +1,61 @@
+/**
+ * @jest-environment node
+ */
+import { Vec2 } from 'planck';
+import { Camera } from '../Camera.js';
+
+describe('Camera', () => {
+    let camera;
+
+    beforeEach(() => {
+        camera = new Camera({ scale: 200 });
+        camera.setViewport(800, 600);
+    });
+
+    test('should centre the origin at 200 pixels per meter', () => {
+        expect(camera.toScreen(Vec2(0, 0))).toEqual({ x: 400, y: 300 });
+        expect(camera.toScreen(Vec2(1, -0.5))).toEqual({ x: 600, y: 200 });
+        expect(camera.toWorld(600, 200)).toEqual(Vec2(1, -0.5));
+    });
+
+    test('should keep the point under the cursor while zooming', () => {
+        const before = camera.toWorld(700, 100);
+        camera.zoomAt(700, 100, 2.5);
+        expect(camera.scale).toBe(500);
+        const after = camera.toWorld(700, 100);
+        expect(after.x).toBeCloseTo(before.x);
+        expect(after.y).toBeCloseTo(before.y);
+
+        camera.zoomAt(0, 0, 1000);
+        expect(camera.scale).toBe(camera.maxScale);
+    });
+
+    test('should pan with the mouse and stop following', () => {
+        camera.following = true;
+        camera.pan(200, -100);
+        expect(camera.center.x).toBeCloseTo(-1);
+        expect(camera.center.y).toBeCloseTo(0.5);
+        expect(camera.following).toBe(false);
+    });
+
+    test('should ease towards a target while following', () => {
+        const target = Vec2(10, 0);
+        camera.follow(target, 1);
+        expect(camera.center.x).toBe(0);
+
+        camera.following = true;
+        camera.follow(target, 0.1);
+        expect(camera.center.x).toBeGreaterThan(0);
+        expect(camera.center.x).toBeLessThan(5);
+        for (let i = 0; i < 200; i++) camera.follow(target, 1/60);
+        expect(camera.center.x).toBeCloseTo(10, 2);
+    });
+
+    test('should fit a box into the viewport', () => {
+        camera.fit(Vec2(-10, 0), Vec2(30, 2), 0);
+        expect(camera.center).toEqual(Vec2(10, 1));
+        expect(camera.scale).toBe(20);
+        expect(camera.toScreen(Vec2(-10, 1)).x).toBeCloseTo(0);
+        expect(camera.toScreen(Vec2(30, 1)).x).toBeCloseTo(800);
+    });
+});
@@ -0,0 +1,82 @@
+import { ChartPanel, CHART_CHANNELS } from '../ChartPanel.js';
+import { SimulationCore } from '../SimulationCore.js';
+import { defaultParams } from '../config.js';
+
+// Helper function to clone params to avoid modifying the original
+const cloneParams = () => {
+    return JSON.parse(JSON.stringify(defaultParams));
+};
+
+describe('ChartPanel', () => {
+    let container;
+    let core;
+    let panel;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        core = new SimulationCore();
+        core.createWorld(cloneParams());
+        panel = new ChartPanel(container, core);
+    });
+
+    afterEach(() => {
+        panel.destroy();
+        container.remove();
+    });
+
+    test('should create a checkbox per channel and a canvas', () => {
+        expect(container.querySelectorAll('input[type="checkbox"]')).toHaveLength(CHART_CHANNELS.length);
+        expect(container.querySelector('canvas')).not.toBeNull();
+    });
+
+    test('should receive samples while the simulation steps', () => {
+        core.run(10);
+        expect(panel.samples).toHaveLength(10);
+        expect(panel.samples[9].time).toBeCloseTo(10 / 60);
+        CHART_CHANNELS.forEach(key => {
+            expect(Number.isFinite(panel.samples[9][key])).toBe(true);
+        });
+    });
+
+    test('should stop receiving samples when destroyed', () => {
+        panel.destroy();
+        core.run(10);
+        expect(panel.samples).toHaveLength(0);
+    });
+
+    test('should keep only the longest time window of history', () => {
+        for (let i = 0; i <= 40 * 60; i++) {
+            panel.addSample(i / 60, {});
+        }
+        expect(panel.samples[0].time).toBeGreaterThanOrEqual(40 - panel.maxTimeWindow);
+    });
+
+    test('should clear the history when the simulation is reset', () => {
+        core.run(10);
+        core.createWorld(cloneParams());
+        core.run(1);
+        expect(panel.samples).toHaveLength(1);
+    });
+
+    test('should zoom the visible samples to the time window', () => {
+        for (let i = 0; i <= 10 * 60; i++) {
+            panel.addSample(i / 60, {});
+        }
+        panel.setTimeWindow(2);
+        const visible = panel.getVisibleSamples();
+        expect(visible[0].time).toBeGreaterThanOrEqual(8 - 1e-9);
+        expect(visible[visible.length - 1].time).toBeCloseTo(10);
+
+        panel.setTimeWindow(1000);
+        expect(panel.timeWindow).toBe(panel.maxTimeWindow);
+    });
+
+    test('should toggle channel visibility', () => {
+        panel.setChannelVisible('forkSpringForce', true);
+        expect(panel.visible.has('forkSpringForce')).toBe(true);
+        panel.setChannelVisible('forkSpringForce', false);
+        expect(panel.visible.has('forkSpringForce')).toBe(false);
+        expect(() => panel.setChannelVisible('nitrous', true)).toThrow('Unknown chart channel');
+    });
+});
@@ -0,0 +1,61 @@
+import { Drivetrain } from '../Drivetrain.js';
+import { defaultParams } from '../config.js';
+
+// Helper function to clone params to avoid modifying the original
+const cloneParams = () => {
+    return JSON.parse(JSON.stringify(defaultParams));
+};
+
+describe('Drivetrain', () => {
+    let drivetrain;
+
+    beforeEach(() => {
+        drivetrain = new Drivetrain(cloneParams().drivetrain);
+    });
+
+    describe('engineTorque', () => {
+        test('should interpolate the torque curve', () => {
+            expect(drivetrain.engineTorque(4000)).toBeCloseTo(45);
+            expect(drivetrain.engineTorque(5500)).toBeCloseTo(47.5);
+        });
+
+        test('should cut torque above the redline', () => {
+            expect(drivetrain.engineTorque(drivetrain.redlineRpm + 1)).toBe(0);
+        });
+    });
+
+    describe('engineRpm', () => {
+        test('should follow the wheel speed through the gear ratio', () => {
+            const wheelSpeed = 50; // rad/s
+            const expectedRpm = wheelSpeed * 10 * 60 / (2 * Math.PI);
+            expect(drivetrain.engineRpm(wheelSpeed)).toBeCloseTo(expectedRpm);
+        });
+
+        test('should not drop below the start of the torque curve', () => {
+            expect(drivetrain.engineRpm(0)).toBe(1500);
+        });
+    });
+
+    describe('wheelTorque', () => {
+        test('should scale with throttle and gear ratio', () => {
+            expect(drivetrain.wheelTorque(0, 0)).toBe(0);
+            expect(drivetrain.wheelTorque(1, 0)).toBeCloseTo(30 * 10);
+            expect(drivetrain.wheelTorque(0.5, 0)).toBeCloseTo(15 * 10);
+            expect(drivetrain.wheelTorque(2, 0)).toBeCloseTo(30 * 10);
+        });
+
+        test('should reach zero at the maximum wheel speed', () => {
+            expect(drivetrain.wheelTorque(1, drivetrain.maxWheelSpeed() * 1.01)).toBe(0);
+        });
+    });
+
+    test('should reject invalid parameters', () => {
+        const unsorted = cloneParams().drivetrain;
+        unsorted.engineTorqueCurve.value.reverse();
+        expect(() => new Drivetrain(unsorted)).toThrow('Engine Torque Curve');
+
+        const noRatio = cloneParams().drivetrain;
+        noRatio.gearRatio.value = 0;
+        expect(() => new Drivetrain(noRatio)).toThrow('Overall Gear Ratio');
+    });
+});
@@ -0,0 +1,66 @@
+import { jest } from '@jest/globals';
+import { KinematicsPanel } from '../KinematicsPanel.js';
+import { KINEMATICS_CHANNELS } from '../kinematics.js';
+import { defaultParams } from '../config.js';
+
+// Helper function to clone params to avoid modifying the original
+const cloneParams = () => {
+    return JSON.parse(JSON.stringify(defaultParams));
+};
+
+describe('KinematicsPanel', () => {
+    let container;
+    let panel;
+    let onExport;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        onExport = jest.fn();
+        panel = new KinematicsPanel(container, cloneParams(), { onExport });
+    });
+
+    afterEach(() => {
+        panel.destroy();
+        container.remove();
+    });
+
+    test('should list the rear curves against wheel travel', () => {
+        const [, channelSelect] = container.querySelectorAll('select');
+        expect(channelSelect.options).toHaveLength(KINEMATICS_CHANNELS.rear.length - 1);
+        expect(channelSelect.value).toBe('leverageRatio');
+        expect(container.querySelector('canvas')).not.toBeNull();
+    });
+
+    test('should switch to the front curves', () => {
+        panel.setCurve('front', 'trailChange');
+        const [endSelect, channelSelect] = container.querySelectorAll('select');
+        expect(endSelect.value).toBe('front');
+        expect(channelSelect.options).toHaveLength(KINEMATICS_CHANNELS.front.length - 1);
+        expect(panel.exportCSV().split('\n')[0]).toContain('forkTravel');
+    });
+
+    test('should reject unknown curves', () => {
+        expect(() => panel.setCurve('rear', 'forkTravel')).toThrow('Unknown kinematics curve');
+    });
+
+    test('should re-analyze new parameters', () => {
+        const before = panel.analysis.rear[0].leverageRatio;
+        const params = cloneParams();
+        params.suspension.rearSuspensionLayout.value = 'uniTrak';
+        panel.update(params);
+        expect(panel.analysis.rear[0].leverageRatio).not.toBeCloseTo(before);
+    });
+
+    test('should export in its unit system', () => {
+        expect(panel.exportCSV().split('\n')[0]).toContain('wheelTravel (mm)');
+        panel.setUnitSystem('imperial');
+        expect(panel.exportCSV().split('\n')[0]).toContain('wheelTravel (in)');
+    });
+
+    test('should hand exports to the export callback', () => {
+        container.querySelector('button[aria-label="Export kinematics as JSON"]').click();
+        expect(onExport).toHaveBeenCalledWith(expect.any(String), 'application/json', 'json');
+        expect(JSON.parse(onExport.mock.calls[0][0]).rear.points.length).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,464 @@
+import { MotorcycleComponent } from '../MotorcycleComponent.js';
+import { defaultParams } from '../config.js';
+import { Vec2, World, Box } from 'planck';
+
+// Helper function to clone params to avoid modifying the original
+const cloneParams = () => {
+    return JSON.parse(JSON.stringify(defaultParams));
+};
+
+// Mock Simulation class
+class MockSimulation {
+    constructor() {
+        this.world = World({
+            gravity: Vec2(0, 9.81)
+        });
+    }
+}
+
+describe('MotorcycleComponent', () => {
+    let simulation;
+
+    beforeEach(() => {
+        simulation = new MockSimulation();
+    });
+
+    describe('rear shock', () => {
+        test('should connect the frame and swingarm with a shock that tops out at its eye to eye length', () => {
+            const motorcycle = new MotorcycleComponent(simulation, cloneParams());
+            const shock = motorcycle.rearShock;
+
+            expect(shock.getType()).toBe('rope-joint');
+            expect(shock.getBodyA()).toBe(motorcycle.body);
+            expect(shock.getBodyB()).toBe(motorcycle.swingarm.body);
+            expect(shock.getMaxLength()).toBeCloseTo(defaultParams.frame.rearShockEyeToEyeLength.value);
+        });
+
+        test('should keep the shock within its stroke while stepping', () => {
+            const params = cloneParams();
+            const motorcycle = new MotorcycleComponent(simulation, params);
+            const extendedLength = params.frame.rearShockEyeToEyeLength.value;
+            const compressedLength = extendedLength - params.frame.rearShockStroke.value;
+
+            for (let i = 0; i < 120; i++) {
+                simulation.world.step(1/60);
+            }
+
+            const shock = motorcycle.rearShock;
+            const shockLength = Vec2.distance(shock.getAnchorA(), shock.getAnchorB());
+            expect(motorcycle.position.x).not.toBeNaN();
+            expect(shockLength).toBeGreaterThan(compressedLength - 0.01);
+            expect(shockLength).toBeLessThan(extendedLength + 0.01);
+        });
+
+        test('should limit the swingarm from the chassis when it cannot sit level', () => {
+            const params = cloneParams();
+            params.frame.rearShockEyeToEyeLength.value = 0.4;
+            params.frame.rearShockStroke.value = 0.05;
+            const motorcycle = new MotorcycleComponent(simulation, params);
+
+            let joint = simulation.world.getJointList();
+            while (joint && !(joint.getType() === 'revolute-joint'
+                && joint.getBodyA() === motorcycle.body && joint.getBodyB() === motorcycle.swingarm.body)) {
+                joint = joint.getNext();
+            }
+            expect(joint.getReferenceAngle()).toBe(0);
+            expect(joint.getLowerLimit()).toBeGreaterThan(0);
+            expect(joint.getLowerLimit()).toBeCloseTo(motorcycle.geometry.swingarmLowerAngle);
+            expect(joint.getUpperLimit()).toBeCloseTo(motorcycle.geometry.swingarmUpperAngle);
+            expect(joint.getJointAngle()).toBeCloseTo(joint.getLowerLimit());
+        });
+
+        test('should reject a mount point that cannot reach the shock length', () => {
+            const params = cloneParams();
+            params.frame.rearShockSwingarmMountDistance.value = 0.01;
+            expect(() => new MotorcycleComponent(simulation, params)).toThrow('Invalid geometry');
+        });
+    });
+
+    describe('updateImpl', () => {
+        test('should rebuild from new params and keep the chassis state', () => {
+            const motorcycle = new MotorcycleComponent(simulation, cloneParams());
+            motorcycle.body.setTransform(Vec2(1, -0.5), 0.2);
+            motorcycle.body.setLinearVelocity(Vec2(2, 0));
+            motorcycle.body.setAngularVelocity(0.5);
+
+            const params = cloneParams();
+            params.frame.swingarmLength.value = 0.6;
+            motorcycle.update(params);
+
+            expect(motorcycle.params).toBe(params);
+            expect(motorcycle.position.x).toBeCloseTo(1);
+            expect(motorcycle.position.y).toBeCloseTo(-0.5);
+            expect(motorcycle.angle).toBeCloseTo(0.2);
+            expect(motorcycle.body.getLinearVelocity().x).toBeCloseTo(2);
+            expect(motorcycle.body.getAngularVelocity()).toBeCloseTo(0.5);
+            expect(motorcycle.swingarm.angle).toBeCloseTo(0.2);
+            expect(motorcycle.joints).toHaveLength(5);
+
+            simulation.world.step(1/60);
+            expect(motorcycle.position.x).not.toBeNaN();
+        });
+
+        test('should leave the motorcycle unchanged on invalid geometry', () => {
+            const originalParams = cloneParams();
+            const motorcycle = new MotorcycleComponent(simulation, originalParams);
+            const jointCount = simulation.world.getJointCount();
+
+            const params = cloneParams();
+            params.frame.headTubeLength.value = 2;
+            expect(() => motorcycle.update(params)).toThrow('Head Tube Length');
+
+            expect(motorcycle.params).toBe(originalParams);
+            expect(simulation.world.getJointCount()).toBe(jointCount);
+        });
+    });
+
+    describe('stepImpl', () => {
+        test('should leave the wheel motors off without inputs', () => {
+            const motorcycle = new MotorcycleComponent(simulation, cloneParams());
+            motorcycle.step(1/60, { throttle: 0, frontBrake: 0, rearBrake: 0 });
+            expect(motorcycle.frontWheelJoint.isMotorEnabled()).toBe(false);
+            expect(motorcycle.rearWheelJoint.isMotorEnabled()).toBe(false);
+        });
+
+        test('should drive the rear wheel forward with throttle', () => {
+            const motorcycle = new MotorcycleComponent(simulation, cloneParams());
+            motorcycle.step(1/60, { throttle: 1 });
+            simulation.world.step(1/60);
+            expect(motorcycle.rearWheelJoint.getJointSpeed()).toBeLessThan(0); // Forward is negative rotation
+        });
+
+        test('should brake the front wheel against the bottom fork', () => {
+            const params = cloneParams();
+            const motorcycle = new MotorcycleComponent(simulation, params);
+            motorcycle.step(1/60, { frontBrake: 0.5 });
+
+            expect(motorcycle.frontWheelJoint.isMotorEnabled()).toBe(true);
+            expect(motorcycle.frontWheelJoint.getMotorSpeed()).toBe(0);
+            expect(motorcycle.frontWheelJoint.getMaxMotorTorque()).toBeCloseTo(0.5 * params.brakes.frontBrakeMaxTorque.value);
+            expect(motorcycle.frontWheelJoint.getBodyA()).toBe(motorcycle.bottomFork.body);
+        });
+
+        test('should brake the rear wheel against the swingarm', () => {
+            const params = cloneParams();
+            const motorcycle = new MotorcycleComponent(simulation, params);
+            motorcycle.step(1/60, { rearBrake: 1 });
+
+            expect(motorcycle.rearCaliper).toBeNull();
+            expect(motorcycle.rearBrakeJoint).toBe(motorcycle.rearWheelJoint);
+            expect(motorcycle.rearBrakeJoint.getBodyA()).toBe(motorcycle.swingarm.body);
+            expect(motorcycle.rearBrakeJoint.getMaxMotorTorque()).toBeCloseTo(params.brakes.rearBrakeMaxTorque.value);
+        });
+
+        test('should brake the rear wheel against a floating caliper', () => {
+            const params = cloneParams();
+            params.brakes.rearBrakeFloatingCaliper.value = true;
+            const motorcycle = new MotorcycleComponent(simulation, params);
+            motorcycle.step(1/60, { rearBrake: 1 });
+
+            expect(motorcycle.children).toContain(motorcycle.rearCaliper);
+            expect(motorcycle.rearBrakeJoint.getBodyA()).toBe(motorcycle.rearCaliper.body);
+            expect(motorcycle.rearBrakeJoint.isMotorEnabled()).toBe(true);
+            expect(motorcycle.rearWheelJoint.isMotorEnabled()).toBe(false);
+
+            for (let i = 0; i < 60; i++) {
+                simulation.world.step(1/60);
+            }
+            expect(motorcycle.rearCaliper.position.x).not.toBeNaN();
+        });
+
+        test('should add and remove the floating caliper on update', () => {
+            const motorcycle = new MotorcycleComponent(simulation, cloneParams());
+
+            const floating = cloneParams();
+            floating.brakes.rearBrakeFloatingCaliper.value = true;
+            motorcycle.update(floating);
+            expect(motorcycle.rearCaliper).not.toBeNull();
+            expect(motorcycle.children).toHaveLength(5);
+
+            motorcycle.update(cloneParams());
+            expect(motorcycle.rearCaliper).toBeNull();
+            expect(motorcycle.children).toHaveLength(4);
+        });
+    });
+
+    describe('chain drive', () => {
+        test('should run the chain over the top of both sprockets', () => {
+            const motorcycle = new MotorcycleComponent(simulation, cloneParams());
+            const { front, rear } = motorcycle.getChainRun();
+            const countershaft = motorcycle.body.getWorldPoint(motorcycle.geometry.countershaft);
+            const rearAxle = motorcycle.rearWheel.position;
+
+            expect(front.y).toBeLessThan(countershaft.y);
+            expect(rear.y).toBeLessThan(rearAxle.y);
+            expect(Vec2.distance(front, countershaft)).toBeCloseTo(motorcycle.geometry.frontSprocketRadius);
+            expect(Vec2.distance(rear, rearAxle)).toBeCloseTo(motorcycle.geometry.rearSprocketRadius);
+        });
+
+        test('should report a finite anti-squat percentage', () => {
+            const motorcycle = new MotorcycleComponent(simulation, cloneParams());
+            const antiSquat = motorcycle.getAntiSquat();
+            expect(Number.isFinite(antiSquat)).toBe(true);
+            expect(antiSquat).toBeGreaterThan(0);
+        });
+
+        test('should increase anti-squat as the chain run converges on the swingarm', () => {
+            const standard = new MotorcycleComponent(simulation, cloneParams());
+
+            // Dropping the countershaft moves the instant centre back towards the pivot
+            const params = cloneParams();
+            params.frame.countershaftAboveSwingArmPivot.value = 0;
+            const lowered = new MotorcycleComponent(new MockSimulation(), params);
+
+            expect(lowered.getAntiSquat()).toBeGreaterThan(standard.getAntiSquat());
+        });
+
+        test('should reject invalid sprockets', () => {
+            const params = cloneParams();
+            params.frame.frontSprocketTeeth.value = 0;
+            expect(() => new MotorcycleComponent(simulation, params)).toThrow('Front Sprocket Teeth');
+        });
+    });
+
+    describe('mass properties', () => {
+        test('should give each part the mass, centre of mass and inertia of its parameters', () => {
+            const params = cloneParams();
+            const motorcycle = new MotorcycleComponent(simulation, params);
+            const { mass } = params;
+
+            expect(motorcycle.body.getMass()).toBeCloseTo(mass.chassisMass.value);
+            expect(motorcycle.body.getLocalCenter().x).toBeCloseTo(-mass.chassisCenterOfMassForward.value);
+            expect(motorcycle.body.getLocalCenter().y).toBeCloseTo(-mass.chassisCenterOfMassHeight.value);
+            const center = motorcycle.body.getLocalCenter();
+            expect(motorcycle.body.getInertia() - mass.chassisMass.value * Vec2.lengthSquared(center)).toBeCloseTo(mass.chassisInertia.value);
+
+            expect(motorcycle.bottomFork.body.getMass()).toBeCloseTo(mass.forkLowerMass.value);
+            expect(motorcycle.swingarm.body.getMass()).toBeCloseTo(mass.swingarmMass.value);
+            expect(motorcycle.frontWheel.body.getMass()).toBeCloseTo(mass.frontWheelMass.value);
+            expect(motorcycle.frontWheel.body.getInertia()).toBeCloseTo(mass.frontWheelInertia.value);
+            expect(motorcycle.rearWheel.body.getMass()).toBeCloseTo(mass.rearWheelMass.value);
+            expect(motorcycle.rearWheel.body.getInertia()).toBeCloseTo(mass.rearWheelInertia.value);
+        });
+
+        test('should split the total into sprung and unsprung mass', () => {
+            const params = cloneParams();
+            const motorcycle = new MotorcycleComponent(simulation, params);
+            const { mass } = params;
+            const distribution = motorcycle.getMassDistribution();
+
+            expect(distribution.total).toBeCloseTo(mass.chassisMass.value + mass.forkLowerMass.value
+                + mass.frontWheelMass.value + mass.swingarmMass.value + mass.rearWheelMass.value);
+            expect(distribution.frontUnsprung).toBeCloseTo(mass.forkLowerMass.value + mass.frontWheelMass.value);
+            expect(distribution.rearUnsprung).toBeCloseTo(mass.rearWheelMass.value + mass.swingarmMass.value / 2);
+            expect(distribution.sprung + distribution.unsprung).toBeCloseTo(distribution.total);
+        });
+
+        test('should apply edited masses on update', () => {
+            const params = cloneParams();
+            const motorcycle = new MotorcycleComponent(simulation, params);
+            const updated = cloneParams();
+            updated.mass.chassisMass.value = 150;
+            updated.mass.rearWheelMass.value = 20;
+            motorcycle.update(updated);
+
+            expect(motorcycle.body.getMass()).toBeCloseTo(150);
+            expect(motorcycle.rearWheel.body.getMass()).toBeCloseTo(20);
+        });
+    });
+
+    describe('chassis geometry', () => {
+        test('should match the static geometry at the topped out pose', () => {
+            const motorcycle = new MotorcycleComponent(simulation, cloneParams());
+            const staticGeometry = motorcycle.getStaticChassisGeometry();
+            const params = motorcycle.params.frame;
+
+            expect(staticGeometry.rake).toBeGreaterThan(0);
+            expect(staticGeometry.trail).toBeGreaterThan(0);
+            expect(staticGeometry.wheelbase).toBeGreaterThan(params.swingarmLength.value);
+            expect(staticGeometry.forkOffset).toBeCloseTo(0);  // The front axle is on the fork axis
+            expect(staticGeometry.centerOfMassHeight).toBeGreaterThan(0);
+        });
+
+        test('should report finite dynamic geometry', () => {
+            const motorcycle = new MotorcycleComponent(simulation, cloneParams());
+            Object.values(motorcycle.getChassisGeometry()).forEach(value => {
+                expect(Number.isFinite(value)).toBe(true);
+            });
+        });
+
+        test('should lengthen the wheelbase with a longer swingarm', () => {
+            const standard = new MotorcycleComponent(simulation, cloneParams());
+            const params = cloneParams();
+            params.frame.swingarmLength.value += 0.05;
+            const longer = new MotorcycleComponent(new MockSimulation(), params);
+
+            expect(longer.getStaticChassisGeometry().wheelbase).toBeGreaterThan(standard.getStaticChassisGeometry().wheelbase);
+        });
+
+        test('should raise the seat height with the seat hardpoint', () => {
+            const standard = new MotorcycleComponent(simulation, cloneParams());
+            const params = cloneParams();
+            params.frame.seatAboveSwingArmPivot.value += 0.05;
+            const taller = new MotorcycleComponent(new MockSimulation(), params);
+
+            const standardGeometry = standard.getStaticChassisGeometry();
+            expect(standardGeometry.seatHeight).toBeGreaterThan(standardGeometry.centerOfMassHeight);
+            expect(taller.getStaticChassisGeometry().seatHeight).toBeCloseTo(standardGeometry.seatHeight + 0.05, 2);
+        });
+    });
+
+    describe('springs', () => {
+        // Step the motorcycle with its spring and damper forces until it settles on the ground
+        const settle = (params) => {
+            const world = new MockSimulation();
+            const ground = world.world.createBody();
+            ground.createFixture(Box(5, 0.1, Vec2(0, 1.1), 0), { filterCategoryBits: 0x0002, filterMaskBits: 0xFFFF });
+            const motorcycle = new MotorcycleComponent(world, params);
+            for (let i = 0; i < 180; i++) {
+                motorcycle.step(1/60, {});
+                world.world.step(1/60);
+            }
+            return motorcycle.getSuspensionState();
+        };
+
+        test('should support the motorcycle within its travel', () => {
+            const params = cloneParams();
+            const { fork, rearShock } = settle(params);
+
+            expect(fork.travel).toBeGreaterThan(0);
+            expect(fork.travel).toBeLessThan(params.frame.forkStroke.value);
+            expect(rearShock.travel).toBeGreaterThan(0);
+            expect(rearShock.travel).toBeLessThan(params.frame.rearShockStroke.value);
+            expect(fork.springForce).toBeGreaterThan(0);
+        });
+
+        test('should sag less with a stiffer spring', () => {
+            const soft = settle(cloneParams());
+
+            const params = cloneParams();
+            params.suspension.forkSpringRate.value *= 2;
+            const stiff = settle(params);
+
+            expect(stiff.fork.travel).toBeLessThan(soft.fork.travel);
+        });
+
+        test.each(['dualRate', 'progressive', 'air'])('should settle with %s springs', (type) => {
+            const params = cloneParams();
+            params.suspension.forkSpringType.value = type;
+            params.suspension.rearShockSpringType.value = type;
+            const { fork, rearShock } = settle(params);
+
+            expect(Number.isFinite(fork.travel)).toBe(true);
+            expect(Number.isFinite(rearShock.travel)).toBe(true);
+            expect(rearShock.travel).toBeLessThan(params.frame.rearShockStroke.value);
+        });
+
+        test('should name the suspension unit with invalid spring settings', () => {
+            const params = cloneParams();
+            params.suspension.rearShockSpringType.value = 'rubber';
+            expect(() => new MotorcycleComponent(simulation, params)).toThrow('Rear Shock: Invalid spring type');
+        });
+
+        test('should leave the motorcycle unchanged on invalid spring settings', () => {
+            const originalParams = cloneParams();
+            const motorcycle = new MotorcycleComponent(simulation, originalParams);
+
+            const params = cloneParams();
+            params.suspension.forkSpringRate.value = -1;
+            expect(() => motorcycle.update(params)).toThrow('Fork: Invalid spring');
+            expect(motorcycle.params).toBe(originalParams);
+        });
+    });
+
+    describe('dampers', () => {
+        test('should resist compression and rebound', () => {
+            const motorcycle = new MotorcycleComponent(simulation, cloneParams());
+            motorcycle.bottomFork.body.setLinearVelocity(Vec2.mul(motorcycle.body.getWorldVector(motorcycle.geometry.forkAxis), 0.5));
+            const compressing = motorcycle.getSuspensionState(1/60).fork;
+            expect(compressing.velocity).toBeCloseTo(0.5);
+            expect(compressing.damperForce).toBeGreaterThan(0);
+
+            motorcycle.bottomFork.body.setLinearVelocity(Vec2.mul(motorcycle.body.getWorldVector(motorcycle.geometry.forkAxis), -0.5));
+            expect(motorcycle.getSuspensionState(1/60).fork.damperForce).toBeLessThan(0);
+        });
+
+        test('should use a force/velocity table', () => {
+            const params = cloneParams();
+            params.suspension.forkDamperType.value = 'table';
+            params.suspension.forkDamperTable.value = [
+                { velocity: -1, force: -100 },
+                { velocity: 1, force: 100 }
+            ];
+            const motorcycle = new MotorcycleComponent(simulation, params);
+            motorcycle.bottomFork.body.setLinearVelocity(Vec2.mul(motorcycle.body.getWorldVector(motorcycle.geometry.forkAxis), 0.5));
+            expect(motorcycle.getSuspensionState().fork.damperForce).toBeCloseTo(50);
+        });
+
+        test('should name the suspension unit with invalid damper settings', () => {
+            const params = cloneParams();
+            params.suspension.rearShockReboundKnee.value = 0;
+            expect(() => new MotorcycleComponent(simulation, params)).toThrow('Rear Shock: Invalid damper');
+        });
+    });
+
+    describe('rear linkage', () => {
+        const linkageParams = (layout) => {
+            const params = cloneParams();
+            params.suspension.rearSuspensionLayout.value = layout;
+            return params;
+        };
+
+        test.each(['proLink', 'uniTrak'])('should drive the shock through a %s rocker and dogbone', (layout) => {
+            const motorcycle = new MotorcycleComponent(simulation, linkageParams(layout));
+
+            expect(motorcycle.rocker).not.toBeNull();
+            expect(motorcycle.dogbone).not.toBeNull();
+            expect(motorcycle.rearShock.getBodyB()).toBe(motorcycle.rocker.body);
+            expect(motorcycle.joints.length).toBe(8);
+
+            // The rocker and dogbone are assembled where the linkage solution puts them
+            const dogboneEnd = motorcycle.dogbone.body.getWorldPoint(Vec2(motorcycle.geometry.rearSuspension.dogboneLength, 0));
+            const rockerDogboneMount = motorcycle.rocker.body.getWorldPoint(motorcycle.geometry.rearSuspension.rockerDogboneMount);
+            expect(Vec2.distance(dogboneEnd, rockerDogboneMount)).toBeCloseTo(0);
+        });
+
+        test.each(['proLink', 'uniTrak'])('should settle within the shock stroke with a %s linkage', (layout) => {
+            const params = linkageParams(layout);
+            const world = new MockSimulation();
+            const ground = world.world.createBody();
+            ground.createFixture(Box(5, 0.1, Vec2(0, 1.1), 0), { filterCategoryBits: 0x0002, filterMaskBits: 0xFFFF });
+            const motorcycle = new MotorcycleComponent(world, params);
+            for (let i = 0; i < 240; i++) {
+                motorcycle.step(1/60, {});
+                world.world.step(1/60, 20, 8);
+            }
+            const { rearShock } = motorcycle.getSuspensionState();
+
+            expect(rearShock.travel).toBeGreaterThan(0);
+            expect(rearShock.travel).toBeLessThan(params.frame.rearShockStroke.value);
+            expect(Math.abs(rearShock.velocity)).toBeLessThan(0.01);
+        });
+
+        test('should add and remove the linkage when the layout changes', () => {
+            const motorcycle = new MotorcycleComponent(simulation, cloneParams());
+            expect(motorcycle.rocker).toBeNull();
+
+            motorcycle.update(linkageParams('uniTrak'));
+            expect(motorcycle.rocker).not.toBeNull();
+            expect(motorcycle.getBodies().length).toBe(7);
+
+            motorcycle.update(cloneParams());
+            expect(motorcycle.rocker).toBeNull();
+            expect(motorcycle.dogbone).toBeNull();
+            expect(motorcycle.getBodies().length).toBe(5);
+            expect(motorcycle.rearShock.getBodyB()).toBe(motorcycle.swingarm.body);
+        });
+
+        test('should reject a linkage that cannot reach the shock length', () => {
+            const params = linkageParams('proLink');
+            params.proLink.proLinkDogboneLength.value = 0.5;
+            expect(() => new MotorcycleComponent(simulation, params)).toThrow('Invalid geometry');
+        });
+    });
+});
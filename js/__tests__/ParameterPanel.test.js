@@ -0,0 +1,220 @@
+import { jest } from '@jest/globals';
+import { ParameterPanel } from '../ParameterPanel.js';
+import { defaultParams } from '../config.js';
+
+// Helper function to clone params to avoid modifying the original
+const cloneParams = () => {
+    return JSON.parse(JSON.stringify(defaultParams));
+};
+
+describe('ParameterPanel', () => {
+    let container;
+    let panel;
+    let onChange;
+
+    // Enter text into a parameter's text input as if typed and confirmed with Enter
+    const enterText = (key, text) => {
+        const textInput = container.querySelector(`#${key}Text`);
+        textInput.value = text;
+        textInput.dispatchEvent(new KeyboardEvent('keypress', { key: 'Enter' }));
+    };
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        onChange = jest.fn();
+        panel = new ParameterPanel(container, cloneParams(), { onChange });
+    });
+
+    afterEach(() => {
+        panel.destroy();
+        container.remove();
+    });
+
+    test('should show each slider with its range and value in the unit system', () => {
+        const config = defaultParams.frame.headTubeLength;
+        const slider = container.querySelector('#headTubeLength');
+        expect(parseFloat(slider.min)).toBeCloseTo(config.min * 1000, 6);
+        expect(parseFloat(slider.max)).toBeCloseTo(config.max * 1000, 6);
+        expect(parseFloat(slider.value)).toBeCloseTo(config.value * 1000, 6);
+        expect(container.querySelector('#headTubeLengthUnit').textContent).toBe('mm');
+    });
+
+    test('should keep an entered value in SI units and report the change', () => {
+        const slider = container.querySelector('#swingarmLength');
+        slider.value = '600';
+        slider.dispatchEvent(new Event('input'));
+        expect(onChange).toHaveBeenCalledTimes(1);
+        expect(panel.getParams().frame.swingarmLength.value).toBeCloseTo(0.6, 9);
+        expect(container.querySelector('#swingarmLengthText').value).toBe('600');
+
+        // The text keeps a value outside the slider's range so it can be validated
+        enterText('swingarmLength', '5000');
+        expect(panel.getParams().frame.swingarmLength.value).toBeCloseTo(5, 9);
+
+        // Text that is not a number is put back
+        enterText('swingarmLength', 'long');
+        expect(onChange).toHaveBeenCalledTimes(2);
+        expect(container.querySelector('#swingarmLengthText').value).toBe(slider.value);
+    });
+
+    test('should show the linkage hardpoints of the selected layout only', () => {
+        const layoutSelect = container.querySelector('#rearSuspensionLayout');
+        const proLink = container.querySelector('#proLinkRockerPivotToShockMount').closest('.parameter-panel > div');
+        expect(proLink.style.display).toBe('none');
+
+        layoutSelect.value = 'proLink';
+        layoutSelect.dispatchEvent(new Event('change'));
+        expect(proLink.style.display).toBe('block');
+        expect(panel.getParams().suspension.rearSuspensionLayout.value).toBe('proLink');
+        expect(onChange).toHaveBeenCalledTimes(1);
+    });
+
+    test('should load a full set of parameters into the controls', () => {
+        const params = cloneParams();
+        params.frame.headTubeLength.value = 0.15;
+        params.suspension.rearSuspensionLayout.value = 'uniTrak';
+        panel.setParams(params);
+        expect(container.querySelector('#headTubeLengthText').value).toBe('150');
+        expect(container.querySelector('#rearSuspensionLayout').value).toBe('uniTrak');
+        expect(panel.getParams()).toEqual(params);
+        expect(onChange).not.toHaveBeenCalled();
+    });
+
+    test('should enter values in imperial units and keep them through a round trip', () => {
+        const params = cloneParams();
+        params.frame.swingarmLength.value = 0.5678;
+        panel.setParams(params);
+
+        panel.setUnitSystem('imperial');
+        expect(container.querySelector('#swingarmLengthUnit').textContent).toBe('in');
+        expect(parseFloat(container.querySelector('#swingarmLengthText').value)).toBeCloseTo(22.354, 3);
+
+        // Showing a value rounded to the unit system does not change it
+        panel.setUnitSystem('metric');
+        expect(panel.getParams().frame.swingarmLength.value).toBe(0.5678);
+
+        panel.setUnitSystem('imperial');
+        enterText('swingarmLength', '20');
+        expect(panel.getParams().frame.swingarmLength.value).toBeCloseTo(0.508, 9);
+    });
+
+    test('should keep a spring rate through an imperial round trip of its slider', () => {
+        panel.setUnitSystem('imperial');
+        const slider = container.querySelector('#forkSpringRate');
+        expect(container.querySelector('#forkSpringRateUnit').textContent).toBe('lb/in');
+        expect(parseFloat(container.querySelector('#forkSpringRateText').value)).toBeCloseTo(51.391, 3);
+
+        // Showing the rate rounded to the unit system does not change it
+        panel.setUnitSystem('metric');
+        expect(panel.getParams().suspension.forkSpringRate.value).toBe(defaultParams.suspension.forkSpringRate.value);
+        expect(parseFloat(slider.value)).toBe(defaultParams.suspension.forkSpringRate.value);
+
+        panel.setUnitSystem('imperial');
+        slider.value = '60';
+        slider.dispatchEvent(new Event('input'));
+        expect(panel.getParams().suspension.forkSpringRate.value).toBeCloseTo(10.508, 3);
+
+        panel.setUnitSystem('metric');
+        expect(container.querySelector('#forkSpringRateText').value).toBe('10.508');
+        panel.setUnitSystem('imperial');
+        expect(container.querySelector('#forkSpringRateText').value).toBe('60');
+    });
+
+    test('should show the gear ratio and enter torque curve points in the unit system', () => {
+        expect(parseFloat(container.querySelector('#gearRatio').value)).toBe(defaultParams.drivetrain.gearRatio.value);
+
+        panel.setUnitSystem('imperial');
+        const headers = [...container.querySelectorAll('th')].map(th => th.textContent);
+        expect(headers).toEqual(expect.arrayContaining(['Engine Speed (rpm)', 'Torque (lb·ft)']));
+
+        const torque = container.querySelector('[aria-label="Engine Torque Curve point 1 Torque"]');
+        torque.value = '30';
+        torque.dispatchEvent(new Event('change'));
+        expect(onChange).toHaveBeenCalledTimes(1);
+        expect(panel.getParams().drivetrain.engineTorqueCurve.value[0].torque).toBeCloseTo(40.675, 3);
+
+        // Text that is not a number is put back
+        torque.value = '';
+        torque.dispatchEvent(new Event('change'));
+        expect(onChange).toHaveBeenCalledTimes(1);
+        expect(container.querySelector('[aria-label="Engine Torque Curve point 1 Torque"]').value).toBe('30');
+    });
+
+    test('should choose the spring type and set its rates and air chamber in the unit system', () => {
+        const springType = container.querySelector('#rearShockSpringType');
+        expect([...springType.options].map(option => option.textContent)).toEqual(['Linear', 'Dual Rate', 'Progressive', 'Air']);
+        springType.value = 'air';
+        springType.dispatchEvent(new Event('change'));
+        expect(panel.getParams().suspension.rearShockSpringType.value).toBe('air');
+        expect(onChange).toHaveBeenCalledTimes(1);
+
+        expect(container.querySelector('#forkSpringSecondRateUnit').textContent).toBe('N/mm');
+        panel.setUnitSystem('imperial');
+        expect(container.querySelector('#rearShockAirPressureUnit').textContent).toBe('psi');
+        expect(container.querySelector('#rearShockAirChamberVolumeUnit').textContent).toBe('in³');
+        enterText('rearShockAirPressure', '150');
+        expect(panel.getParams().suspension.rearShockAirPressure.value).toBeCloseTo(1034.214, 3);
+        enterText('forkAirOilVolume', '6');
+        expect(panel.getParams().suspension.forkAirOilVolume.value).toBeCloseTo(98.322, 3);
+    });
+
+    test('should set the damper adjusters and force/velocity table in the unit system', () => {
+        const config = defaultParams.suspension.forkLowSpeedCompression;
+        const slider = container.querySelector('#forkLowSpeedCompression');
+        expect(parseFloat(slider.min)).toBe(config.min);
+        expect(parseFloat(slider.max)).toBe(config.max);
+        expect(parseFloat(slider.step)).toBe(config.step);
+
+        const damperType = container.querySelector('#rearShockDamperType');
+        damperType.value = 'table';
+        damperType.dispatchEvent(new Event('change'));
+        expect(panel.getParams().suspension.rearShockDamperType.value).toBe('table');
+
+        panel.setUnitSystem('imperial');
+        expect(container.querySelector('#rearShockHighSpeedReboundUnit').textContent).toBe('lb·s/in');
+        expect(container.querySelector('#forkCompressionKneeUnit').textContent).toBe('in/s');
+        enterText('rearShockLowSpeedRebound', '40');
+        expect(panel.getParams().suspension.rearShockLowSpeedRebound.value).toBeCloseTo(7005.073, 3);
+
+        const velocity = container.querySelector('[aria-label="Rear Shock Damper Force/Velocity Table point 1 Shaft Velocity"]');
+        expect(parseFloat(velocity.value)).toBeCloseTo(-39.37, 2);
+        velocity.value = '-20';
+        velocity.dispatchEvent(new Event('change'));
+        expect(panel.getParams().suspension.rearShockDamperTable.value[0].velocity).toBeCloseTo(-0.508, 9);
+    });
+
+    test('should switch the rear caliper mount and set the brake torques', () => {
+        const checkbox = container.querySelector('#rearBrakeFloatingCaliper');
+        expect(checkbox.checked).toBe(false);
+        checkbox.checked = true;
+        checkbox.dispatchEvent(new Event('change'));
+        expect(panel.getParams().brakes.rearBrakeFloatingCaliper.value).toBe(true);
+        expect(onChange).toHaveBeenCalledTimes(1);
+
+        panel.setUnitSystem('imperial');
+        expect(container.querySelector('#frontBrakeMaxTorqueUnit').textContent).toBe('lb·ft');
+        enterText('frontBrakeMaxTorque', '1000');
+        expect(panel.getParams().brakes.frontBrakeMaxTorque.value).toBeCloseTo(1355.818, 3);
+
+        panel.setParams(cloneParams());
+        expect(checkbox.checked).toBe(false);
+    });
+
+    test('should add and remove torque curve points down to two', () => {
+        const points = defaultParams.drivetrain.engineTorqueCurve.value;
+        const addButton = container.querySelector('[aria-label="Add a point to Engine Torque Curve"]');
+        const removeButton = container.querySelector('[aria-label="Remove the last point of Engine Torque Curve"]');
+
+        addButton.click();
+        const added = panel.getParams().drivetrain.engineTorqueCurve.value;
+        expect(added).toHaveLength(points.length + 1);
+        expect(added[points.length]).toEqual(points[points.length - 1]);
+
+        while (!removeButton.disabled) {
+            removeButton.click();
+        }
+        expect(panel.getParams().drivetrain.engineTorqueCurve.value).toEqual(points.slice(0, 2));
+        expect(container.querySelectorAll('[aria-label^="Engine Torque Curve point"]')).toHaveLength(4);
+    });
+});
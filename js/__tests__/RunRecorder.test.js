@@ -0,0 +1,92 @@
+/**
+ * @jest-environment node
+ */
+import { World, Vec2, Circle, MouseJoint } from 'planck';
+import { RunRecorder } from '../RunRecorder.js';
+import { SimulationCore } from '../SimulationCore.js';
+import { defaultParams } from '../config.js';
+
+// Helper function to clone params to avoid modifying the original
+const cloneParams = () => {
+    return JSON.parse(JSON.stringify(defaultParams));
+};
+
+// A world with a ball falling under gravity
+const createWorld = () => {
+    const world = World({ gravity: Vec2(0, 9.81) });
+    const ball = world.createDynamicBody(Vec2(0, 0));
+    ball.createFixture(Circle(0.1), { density: 1 });
+    return { world, ball };
+};
+
+describe('RunRecorder', () => {
+    test('should keep the newest frames up to its capacity', () => {
+        const { world } = createWorld();
+        const recorder = new RunRecorder({ capacity: 5 });
+        for (let i = 1; i <= 8; i++) {
+            world.step(0.1);
+            recorder.record(i * 0.1, world, 0.1);
+        }
+        expect(recorder.length).toBe(5);
+        expect(recorder.startTime).toBeCloseTo(0.4);
+        expect(recorder.endTime).toBeCloseTo(0.8);
+        expect(recorder.indexAt(0.65)).toBe(2);
+        expect(recorder.indexAt(0)).toBe(0);
+        expect(() => recorder.frameAt(5)).toThrow('Invalid frame 5: 5 frames are recorded');
+    });
+
+    test('should put the bodies back where they were', () => {
+        const { world, ball } = createWorld();
+        const recorder = new RunRecorder();
+        for (let i = 1; i <= 10; i++) {
+            world.step(0.1);
+            recorder.record(i * 0.1, world, 0.1);
+        }
+        const position = recorder.frameAt(4).bodies[1];
+        const velocity = recorder.frameAt(4).bodies[4];
+
+        expect(recorder.restore(4)).toBeCloseTo(0.5);
+        expect(ball.getPosition().y).toBe(position);
+        expect(ball.getLinearVelocity().y).toBe(velocity);
+    });
+
+    test('should start again when the world changes, but not for dragging', () => {
+        const { world, ball } = createWorld();
+        const recorder = new RunRecorder();
+        world.step(0.1);
+        recorder.record(0.1, world, 0.1);
+
+        const ground = world.createBody();
+        const mouseJoint = world.createJoint(MouseJoint({ maxForce: 100 }, ground, ball, Vec2(0, 0)));
+        world.step(0.1);
+        recorder.record(0.2, world, 0.1);
+        expect(recorder.length).toBe(1);
+
+        world.destroyJoint(mouseJoint);
+        world.step(0.1);
+        recorder.record(0.3, world, 0.1);
+        expect(recorder.length).toBe(2);
+    });
+
+    test('should drop the frames after one', () => {
+        const { world } = createWorld();
+        const recorder = new RunRecorder();
+        for (let i = 1; i <= 10; i++) {
+            world.step(0.1);
+            recorder.record(i * 0.1, world, 0.1);
+        }
+        recorder.truncate(3);
+        expect(recorder.length).toBe(4);
+        expect(recorder.endTime).toBeCloseTo(0.4);
+    });
+
+    test('should record the joint reactions of a simulation', () => {
+        const core = new SimulationCore();
+        core.createWorld(cloneParams());
+        core.run(60);
+        const pivot = core.motorcycle.joints[0];
+        const reaction = core.recorder.getJointReaction(core.recorder.length - 1, pivot);
+        expect(core.recorder.length).toBe(60);
+        expect(Math.hypot(reaction.force.x, reaction.force.y)).toBeGreaterThan(0);
+    });
+});
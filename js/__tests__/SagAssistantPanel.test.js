@@ -0,0 +1,81 @@
+import { jest } from '@jest/globals';
+import { SagAssistantPanel } from '../SagAssistantPanel.js';
+import { DEFAULT_SAG_OPTIONS } from '../sagAssistant.js';
+import { defaultParams } from '../config.js';
+
+// Helper function to clone params to avoid modifying the original
+const cloneParams = () => {
+    return JSON.parse(JSON.stringify(defaultParams));
+};
+
+describe('SagAssistantPanel', () => {
+    let container;
+    let panel;
+    let onApply;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        onApply = jest.fn();
+        panel = new SagAssistantPanel(container, cloneParams(), { onApply });
+    });
+
+    afterEach(() => {
+        panel.destroy();
+        container.remove();
+    });
+
+    test('should show the default rider and targets and wait for a run', () => {
+        const [riderMass, frontStatic, frontRider] = container.querySelectorAll('input');
+        expect(parseFloat(riderMass.value)).toBe(DEFAULT_SAG_OPTIONS.riderMass);
+        expect(parseFloat(frontStatic.value)).toBe(10);
+        expect(parseFloat(frontRider.value)).toBe(25);
+        expect(container.querySelector('button[aria-label="Apply recommended spring settings"]').disabled).toBe(true);
+        expect(container.textContent).toContain('find the spring settings');
+    });
+
+    test('should take the rider weight and targets from the inputs', () => {
+        const [riderMass, , , , rearRider] = container.querySelectorAll('input');
+        riderMass.value = '90';
+        riderMass.dispatchEvent(new Event('change'));
+        rearRider.value = '33';
+        rearRider.dispatchEvent(new Event('change'));
+        expect(panel.options.riderMass).toBe(90);
+        expect(panel.options.rearRiderSag).toBeCloseTo(0.33, 9);
+
+        // Text that is not a number is put back
+        riderMass.value = 'heavy';
+        riderMass.dispatchEvent(new Event('change'));
+        expect(parseFloat(riderMass.value)).toBe(90);
+
+        panel.setUnitSystem('imperial');
+        expect(parseFloat(riderMass.value)).toBeCloseTo(198.4, 1);
+        expect(container.textContent).toContain('lb');
+    });
+
+    test('should run, report and apply the recommended settings', () => {
+        const result = panel.run();
+        expect(result.converged).toBe(true);
+        expect(container.querySelector('pre').textContent).toContain('Targets hit');
+
+        const applyButton = container.querySelector('button[aria-label="Apply recommended spring settings"]');
+        expect(applyButton.disabled).toBe(false);
+        applyButton.click();
+        expect(onApply).toHaveBeenCalledWith(result.params);
+
+        // Loading the recommended settings keeps the report current, other changes outdate it
+        panel.update(JSON.parse(JSON.stringify(result.params)));
+        expect(container.textContent).not.toContain('parameters changed');
+        panel.update(cloneParams());
+        expect(container.textContent).toContain('parameters changed since the run');
+    });
+
+    test('should report an air spring in place of a result', () => {
+        const params = cloneParams();
+        params.suspension.forkSpringType.value = 'air';
+        panel.update(params);
+        expect(panel.run()).toBeNull();
+        expect(container.textContent).toContain('Fork: the sag assistant needs a coil spring');
+        expect(container.querySelector('button[aria-label="Apply recommended spring settings"]').disabled).toBe(true);
+    });
+});
@@ -0,0 +1,72 @@
+import { jest } from '@jest/globals';
+import { ShakerRigPanel } from '../ShakerRigPanel.js';
+import { DEFAULT_SHAKER_OPTIONS } from '../shakerRig.js';
+import { defaultParams } from '../config.js';
+
+// Helper function to clone params to avoid modifying the original
+const cloneParams = () => {
+    return JSON.parse(JSON.stringify(defaultParams));
+};
+
+describe('ShakerRigPanel', () => {
+    let container;
+    let panel;
+    let onExport;
+    let onMount;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        onExport = jest.fn();
+        onMount = jest.fn();
+        panel = new ShakerRigPanel(container, cloneParams(), { onExport, onMount });
+    });
+
+    afterEach(() => {
+        panel.destroy();
+        container.remove();
+    });
+
+    test('should wait for a test before exporting', () => {
+        const [signalSelect, excitationSelect, responseSelect] = container.querySelectorAll('select');
+        expect(signalSelect.value).toBe(DEFAULT_SHAKER_OPTIONS.signal);
+        expect(excitationSelect.value).toBe(DEFAULT_SHAKER_OPTIONS.excitation);
+        expect(responseSelect.options).toHaveLength(0);
+        expect(container.querySelector('button[aria-label="Export frequency response as CSV"]').disabled).toBe(true);
+        expect(container.textContent).toContain('Run a test');
+    });
+
+    test('should mount the live simulation on the rig with its settings', () => {
+        const checkbox = container.querySelector('input[type="checkbox"]');
+        checkbox.checked = true;
+        checkbox.dispatchEvent(new Event('change'));
+        expect(onMount).toHaveBeenLastCalledWith(expect.objectContaining({ excitation: 'heave' }));
+
+        panel.setOptions({ excitation: 'pitch' });
+        expect(onMount).toHaveBeenLastCalledWith(expect.objectContaining({ excitation: 'pitch' }));
+
+        panel.setMounted(false);
+        expect(onMount).toHaveBeenLastCalledWith(null);
+    });
+
+    test('should run a test and show its responses and resonances', () => {
+        panel.setOptions({ duration: 8 });
+        panel.run();
+        const [, , responseSelect] = container.querySelectorAll('select');
+        expect(Array.from(responseSelect.options).map(option => option.value)).toEqual(['heave', 'frontWheel', 'rearWheel']);
+        expect(container.textContent).toMatch(/Body: [\d.]+Hz/);
+
+        panel.setResponse('rearWheel');
+        expect(responseSelect.value).toBe('rearWheel');
+        expect(() => panel.setResponse('pitch')).toThrow('Unknown shaker response');
+
+        panel.update(cloneParams());
+        expect(container.textContent).toContain('parameters changed since the test');
+
+        container.querySelector('button[aria-label="Export frequency response as JSON"]').click();
+        expect(onExport).toHaveBeenCalledWith(expect.any(String), 'application/json', 'json');
+        const exported = JSON.parse(onExport.mock.calls[0][0]);
+        expect(exported.options.duration).toBe(8);
+        expect(exported.resonances.body).not.toBeNull();
+    });
+});
@@ -142,6 +142,77 @@ describe('Simulation', () => {
         });
     });
 
+    describe('updateBodies', () => {
+        let simulation;
+
+        beforeEach(() => {
+            const canvasContainer = new MockElement('div');
+            simulation = new Simulation(canvasContainer, { width: 800, height: 600 });
+            simulation.createWorld(cloneParams());
+        });
+
+        test('should update components without recreating them', () => {
+            const motorcycle = simulation.components[1];
+            const params = cloneParams();
+            params.frame.frontWheelDiameter.value = 0.6;
+
+            simulation.updateBodies(params);
+
+            expect(simulation.components).toHaveLength(2);
+            expect(simulation.components[1]).toBe(motorcycle);
+            expect(motorcycle.params).toBe(params);
+        });
+
+        test('should report invalid geometry', () => {
+            const params = cloneParams();
+            params.frame.headTubeLength.value = 2;
+            expect(() => simulation.updateBodies(params)).toThrow('Invalid geometry');
+        });
+    });
+
+    describe('stepping', () => {
+        let simulation;
+
+        beforeEach(() => {
+            const canvasContainer = new MockElement('div');
+            simulation = new Simulation(canvasContainer, { width: 800, height: 600 });
+            simulation.createWorld(cloneParams());
+        });
+
+        test('should advance by the time between frames only while running', () => {
+            simulation.step(1000);
+            simulation.step(1100);
+            expect(simulation.core.time).toBe(0);
+
+            simulation.setRunning(true);
+            simulation.step(1200);
+            expect(simulation.core.time).toBeCloseTo(0.1, 2);
+        });
+
+        test('should find the world point under the mouse through the camera', () => {
+            simulation.camera.zoomAt(100, 50, 3);
+            simulation.camera.pan(-40, 25);
+            const point = Vec2(0.3, -0.2);
+            const screen = simulation.camera.toScreen(point);
+            const worldPoint = simulation.getWorldPoint({ clientX: screen.x, clientY: screen.y });
+            expect(worldPoint.x).toBeCloseTo(point.x);
+            expect(worldPoint.y).toBeCloseTo(point.y);
+        });
+
+        test('should fit the view to the scene', () => {
+            simulation.fitToScene();
+            const ground = simulation.components[0].body.getFixtureList().getAABB(0);
+            expect(simulation.camera.toScreen(ground.lowerBound).x).toBeGreaterThanOrEqual(0);
+            expect(simulation.camera.toScreen(ground.upperBound).x).toBeLessThanOrEqual(800);
+        });
+
+        test('should step once while paused', () => {
+            simulation.setTiming({ timeStep: 1/100 });
+            simulation.stepOnce();
+            expect(simulation.core.time).toBeCloseTo(0.01);
+        });
+    });
+
     /**
      * A simple box component for testing that draws a solid colored box.
      * Uses putImageData for drawing since node-canvas's fillRect doesn't work in tests.
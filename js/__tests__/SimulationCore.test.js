@@ -0,0 +1,249 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from '@jest/globals';
+import { SimulationCore } from '../SimulationCore.js';
+import { defaultParams } from '../config.js';
+import { PRESETS, presetParams } from '../presets.js';
+import { DEFAULT_SHAKER_OPTIONS } from '../shakerRig.js';
+
+// Helper function to clone params to avoid modifying the original
+const cloneParams = () => {
+    return JSON.parse(JSON.stringify(defaultParams));
+};
+
+describe('SimulationCore', () => {
+    test('should build without a DOM', () => {
+        expect(typeof document).toBe('undefined');
+        const core = new SimulationCore();
+        expect(core.world).toBeDefined();
+        expect(core.components).toHaveLength(0);
+    });
+
+    describe('createWorld', () => {
+        test('should create ground and motorcycle', () => {
+            const core = new SimulationCore();
+            core.createWorld(cloneParams());
+            expect(core.components).toHaveLength(2);
+            expect(core.components[0].body.getType()).toBe('static');
+            expect(core.components[1].body.getType()).toBe('dynamic');
+        });
+
+        test('should handle invalid parameters', () => {
+            const core = new SimulationCore();
+            expect(() => core.createWorld({})).toThrow();
+        });
+
+        test('should stand the motorcycle on a shaker rig post under each wheel', () => {
+            const core = new SimulationCore();
+            core.setShakerRig({ ...DEFAULT_SHAKER_OPTIONS, excitation: 'pitch' });
+            PRESETS.forEach(preset => {
+                core.createWorld(presetParams(preset.key));
+                core.run(120);
+                const { front, rear } = core.shakerPosts;
+                const { frontWheel, rearWheel } = core.motorcycle;
+                expect(core.components).toHaveLength(3);
+                expect(Math.abs(frontWheel.position.x - front.position.x)).toBeLessThan(0.2);
+                expect(Math.abs(rearWheel.position.x - rear.position.x)).toBeLessThan(0.2);
+                expect(front.getTyreCompression()).toBeGreaterThan(0);
+                expect(rear.getTyreCompression()).toBeGreaterThan(0);
+            });
+
+            core.setShakerRig(null);
+            core.createWorld(cloneParams());
+            expect(core.shakerPosts).toBeNull();
+        });
+
+        test('should reject an unknown shaker excitation', () => {
+            const core = new SimulationCore();
+            expect(() => core.setShakerRig({ ...DEFAULT_SHAKER_OPTIONS, excitation: 'roll' }))
+                .toThrow('Invalid shaker excitation "roll"');
+        });
+    });
+
+    describe('stepping', () => {
+        test('should step the world N times', () => {
+            const core = new SimulationCore();
+            core.createWorld(cloneParams());
+            const motorcycle = core.components[1];
+            const startY = motorcycle.position.y;
+
+            core.run(60);
+
+            expect(core.time).toBeCloseTo(1);
+            expect(motorcycle.position.y).not.toBeNaN();
+            expect(motorcycle.position.y).toBeGreaterThan(startY); // Falls under gravity (positive y is down)
+        });
+
+        test('should use the configured time step', () => {
+            const core = new SimulationCore({ timeStep: 1/120 });
+            core.createWorld(cloneParams());
+            core.step();
+            expect(core.time).toBeCloseTo(1/120);
+        });
+
+        test('should advance by real time whatever the frame rate', () => {
+            [30, 60, 144].forEach(frameRate => {
+                const core = new SimulationCore({ timeStep: 1/240 });
+                core.createWorld(cloneParams());
+                for (let i = 0; i < frameRate; i++) {
+                    core.advance(1 / frameRate);
+                }
+                expect(core.time).toBeCloseTo(1, 2);
+            });
+        });
+
+        test('should carry time over to the next advance', () => {
+            const core = new SimulationCore({ timeStep: 1/100 });
+            core.createWorld(cloneParams());
+            expect(core.advance(0.015)).toBe(1);
+            expect(core.advance(0.015)).toBe(2);
+            expect(core.time).toBeCloseTo(0.03);
+        });
+
+        test('should scale time and split steps into substeps', () => {
+            const core = new SimulationCore({ timeStep: 1/100, substeps: 4, timeScale: 0.5 });
+            core.createWorld(cloneParams());
+            const dts = [];
+            core.addTelemetryListener(() => dts.push(core.time));
+            expect(core.advance(0.1)).toBe(5);
+            expect(core.time).toBeCloseTo(0.05);
+            expect(dts).toHaveLength(20);
+        });
+
+        test('should cut a long pause short', () => {
+            const core = new SimulationCore();
+            core.createWorld(cloneParams());
+            core.advance(10);
+            expect(core.time).toBeLessThan(1);
+        });
+
+        test('should carry on from a recorded frame', () => {
+            const core = new SimulationCore();
+            core.createWorld(cloneParams());
+            core.run(60);
+            const motorcycle = core.motorcycle;
+            const recorded = motorcycle.position.clone();
+
+            core.run(30);
+            expect(core.showRecordedFrame(core.recorder.frameAt(59).time)).toBeCloseTo(1);
+            expect(motorcycle.position.x).toBe(recorded.x);
+            expect(motorcycle.position.y).toBe(recorded.y);
+            expect(core.recorder.length).toBe(90);
+
+            core.step();
+            expect(core.time).toBeCloseTo(61 / 60);
+            expect(core.recorder.length).toBe(61);
+        });
+
+        test('should reject invalid timing', () => {
+            const core = new SimulationCore();
+            expect(() => core.setTiming({ timeStep: 0 })).toThrow('Invalid timeStep 0: must be a positive number');
+            expect(() => core.setTiming({ substeps: 1.5 })).toThrow('Invalid substeps 1.5: must be a whole number of at least 1');
+            expect(() => core.setTiming({ velocityIterations: 0 })).toThrow('Invalid velocityIterations');
+            expect(() => core.setTiming({ timeScale: -1 })).toThrow('Invalid timeScale');
+            core.setTiming({ positionIterations: 12 });
+            expect(core.positionIterations).toBe(12);
+            expect(core.velocityIterations).toBe(20);
+        });
+    });
+
+    describe('weight distribution', () => {
+        test('should split the weight between the wheels once the motorcycle settles', () => {
+            const core = new SimulationCore();
+            core.createWorld(cloneParams());
+            expect(core.getWeightDistribution()).toBeNull();
+
+            core.run(240);
+            const motorcycle = core.motorcycle;
+            const weight = core.getWeightDistribution();
+            expect(weight.settled).toBe(true);
+            expect(weight.front + weight.rear).toBeCloseTo(motorcycle.getMassDistribution().total * 9.81, -1);
+
+            // The ground holds each axle up in proportion to how near the centre of mass is to it
+            const centerOfMass = motorcycle.getCenterOfMass();
+            const frontAxle = motorcycle.frontWheel.body.getPosition();
+            const rearAxle = motorcycle.rearWheel.body.getPosition();
+            expect(weight.frontShare).toBeCloseTo((rearAxle.x - centerOfMass.x) / (rearAxle.x - frontAxle.x), 2);
+        });
+
+        test('should put more weight on the front with the chassis mass further forward', () => {
+            const frontShare = (forward) => {
+                const params = cloneParams();
+                params.mass.chassisCenterOfMassForward.value = forward;
+                const core = new SimulationCore();
+                core.createWorld(params);
+                core.run(240);
+                return core.getWeightDistribution().frontShare;
+            };
+            expect(frontShare(0.5)).toBeGreaterThan(frontShare(0.2) + 0.05);
+        });
+
+        test('should count the pans of a shaker rig as ground', () => {
+            const core = new SimulationCore();
+            core.setShakerRig({ ...DEFAULT_SHAKER_OPTIONS, settleTime: 10 });
+            core.createWorld(cloneParams());
+            core.run(240);
+            const weight = core.getWeightDistribution();
+            expect(weight.settled).toBe(true);
+            expect(weight.frontShare).not.toBeNull();
+            expect(weight.front + weight.rear).toBeCloseTo(core.motorcycle.getMassDistribution().total * 9.81, -1);
+        });
+
+        test('should not report the contacts of a step while a recorded frame is shown', () => {
+            const core = new SimulationCore();
+            core.createWorld(cloneParams());
+            core.run(10);
+            core.showRecordedFrame(0);
+            expect(core.getWeightDistribution()).toBeNull();
+        });
+    });
+
+    describe('updateBodies', () => {
+        test('should update the motorcycle in place', () => {
+            const core = new SimulationCore();
+            core.createWorld(cloneParams());
+            const motorcycle = core.components[1];
+
+            const params = cloneParams();
+            params.frame.rearWheelDiameter.value = 0.6;
+            core.updateBodies(params);
+
+            expect(core.components[1]).toBe(motorcycle);
+            expect(motorcycle.params).toBe(params);
+        });
+    });
+
+    describe('setInput', () => {
+        test('should clamp inputs to the range 0 to 1', () => {
+            const core = new SimulationCore();
+            core.setInput('throttle', 1.5);
+            expect(core.inputs.throttle).toBe(1);
+            core.setInput('throttle', -1);
+            expect(core.inputs.throttle).toBe(0);
+        });
+
+        test('should reject unknown inputs', () => {
+            const core = new SimulationCore();
+            expect(() => core.setInput('nitrous', 1)).toThrow('Unknown input');
+        });
+    });
+
+    describe('telemetry listeners', () => {
+        test('should call listeners after every step', () => {
+            const core = new SimulationCore();
+            core.createWorld(cloneParams());
+            const listener = jest.fn();
+            core.addTelemetryListener(listener);
+            core.run(3);
+
+            expect(listener).toHaveBeenCalledTimes(3);
+            expect(listener.mock.calls[2][0]).toBeCloseTo(3 / 60);
+            expect(listener.mock.calls[2][1]).toHaveProperty('forkTravel');
+
+            core.removeTelemetryListener(listener);
+            core.run(1);
+            expect(listener).toHaveBeenCalledTimes(3);
+        });
+    });
+});
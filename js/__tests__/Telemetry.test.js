@@ -0,0 +1,119 @@
+/**
+ * @jest-environment node
+ */
+import { TelemetryRecorder, TELEMETRY_CHANNELS } from '../Telemetry.js';
+import { SimulationCore } from '../SimulationCore.js';
+import { defaultParams } from '../config.js';
+
+// Helper function to clone params to avoid modifying the original
+const cloneParams = () => {
+    return JSON.parse(JSON.stringify(defaultParams));
+};
+
+const channels = [
+    { key: 'forkTravel', displayName: 'Fork Travel', unit: 'm' },
+    { key: 'chassisHeave', displayName: 'Chassis Heave', unit: 'm', relative: true }
+];
+
+describe('TelemetryRecorder', () => {
+    test('should only record while recording', () => {
+        const recorder = new TelemetryRecorder(channels);
+        recorder.record(0, { forkTravel: 0.01, chassisHeave: 1 });
+        expect(recorder.samples).toHaveLength(0);
+
+        recorder.start();
+        recorder.record(0.1, { forkTravel: 0.02, chassisHeave: 1 });
+        recorder.stop();
+        recorder.record(0.2, { forkTravel: 0.03, chassisHeave: 1 });
+        expect(recorder.samples).toHaveLength(1);
+    });
+
+    test('should record relative channels from the first sample', () => {
+        const recorder = new TelemetryRecorder(channels);
+        recorder.start();
+        recorder.record(0, { forkTravel: 0.01, chassisHeave: 1 });
+        recorder.record(0.1, { forkTravel: 0.02, chassisHeave: 0.9 });
+
+        expect(recorder.samples[0].chassisHeave).toBeCloseTo(0);
+        expect(recorder.samples[1].chassisHeave).toBeCloseTo(-0.1);
+        expect(recorder.samples[1].forkTravel).toBeCloseTo(0.02);
+    });
+
+    test('should discard the previous capture on start', () => {
+        const recorder = new TelemetryRecorder(channels);
+        recorder.start();
+        recorder.record(0, { forkTravel: 0.01, chassisHeave: 1 });
+        recorder.start();
+        expect(recorder.samples).toHaveLength(0);
+    });
+
+    test('should export CSV with a header row', () => {
+        const recorder = new TelemetryRecorder(channels);
+        recorder.start();
+        recorder.record(0.5, { forkTravel: 0.02, chassisHeave: 1 });
+
+        const lines = recorder.exportCSV().trim().split('\n');
+        expect(lines[0]).toBe('time (s),forkTravel (m),chassisHeave (m)');
+        expect(lines[1]).toBe('0.5,0.02,0');
+    });
+
+    test('should export JSON with channel descriptions', () => {
+        const recorder = new TelemetryRecorder(channels);
+        recorder.start();
+        recorder.record(0.5, { forkTravel: 0.02, chassisHeave: 1 });
+
+        const capture = JSON.parse(recorder.exportJSON());
+        expect(capture.channels.map(channel => channel.key)).toEqual(['time', 'forkTravel', 'chassisHeave']);
+        expect(capture.samples).toEqual([{ time: 0.5, forkTravel: 0.02, chassisHeave: 0 }]);
+    });
+
+    test('should export in a unit system', () => {
+        const recorder = new TelemetryRecorder(channels);
+        recorder.start();
+        recorder.record(0.5, { forkTravel: 0.0254, chassisHeave: 1 });
+
+        const lines = recorder.exportCSV('imperial').trim().split('\n');
+        expect(lines[0]).toBe('time (s),forkTravel (in),chassisHeave (in)');
+        expect(lines[1]).toBe('0.5,1,0');
+        const capture = JSON.parse(recorder.exportJSON('metric'));
+        expect(capture.channels[1].unit).toBe('mm');
+        expect(capture.samples[0].forkTravel).toBeCloseTo(25.4);
+        expect(recorder.samples[0].forkTravel).toBe(0.0254);
+    });
+});
+
+describe('SimulationCore telemetry', () => {
+    test('should sample every channel once per physics step', () => {
+        const core = new SimulationCore();
+        core.createWorld(cloneParams());
+        core.telemetry.start();
+        core.run(30);
+
+        expect(core.telemetry.samples).toHaveLength(30);
+        expect(core.telemetry.samples[29].time).toBeCloseTo(0.5);
+        core.telemetry.samples.forEach(sample => {
+            TELEMETRY_CHANNELS.forEach(channel => {
+                expect(Number.isFinite(sample[channel.key])).toBe(true);
+            });
+        });
+    });
+
+    test('should not sample when not recording', () => {
+        const core = new SimulationCore();
+        core.createWorld(cloneParams());
+        core.run(10);
+        expect(core.telemetry.samples).toHaveLength(0);
+    });
+
+    test('should measure suspension travel when the motorcycle lands', () => {
+        const core = new SimulationCore();
+        core.createWorld(cloneParams());
+        core.telemetry.start();
+        core.run(120);
+
+        const samples = core.telemetry.samples;
+        expect(Math.max(...samples.map(sample => sample.forkTravel))).toBeGreaterThan(0);
+        expect(Math.max(...samples.map(sample => sample.rearWheelTravel))).toBeGreaterThan(0);
+        expect(samples[samples.length - 1].chassisHeave).toBeLessThan(0); // Falls onto the ground
+    });
+});
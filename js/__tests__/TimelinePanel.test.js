@@ -0,0 +1,74 @@
+import { TimelinePanel } from '../TimelinePanel.js';
+import { Simulation } from '../Simulation.js';
+import { defaultParams } from '../config.js';
+
+// Helper function to clone params to avoid modifying the original
+const cloneParams = () => {
+    return JSON.parse(JSON.stringify(defaultParams));
+};
+
+describe('TimelinePanel', () => {
+    let canvasContainer;
+    let container;
+    let simulation;
+    let panel;
+    let paused;
+
+    beforeEach(() => {
+        canvasContainer = document.createElement('div');
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        simulation = new Simulation(canvasContainer, { width: 200, height: 100 });
+        simulation.createWorld(cloneParams());
+        simulation.core.run(240);
+        paused = 0;
+        panel = new TimelinePanel(container, simulation, { onPause: () => paused++ });
+    });
+
+    afterEach(() => {
+        panel.destroy();
+        container.remove();
+        cancelAnimationFrame(simulation.animationFrameId);
+    });
+
+    test('should span the recording with the scrubber', () => {
+        const scrubber = container.querySelector('input[aria-label="Timeline"]');
+        expect(parseFloat(scrubber.min)).toBeCloseTo(1 / 240);
+        expect(parseFloat(scrubber.max)).toBeCloseTo(1);
+        expect(parseFloat(scrubber.value)).toBeCloseTo(1);
+    });
+
+    test('should pause the simulation and show the frame scrubbed to', () => {
+        simulation.setRunning(true);
+        const scrubber = container.querySelector('input[aria-label="Timeline"]');
+        scrubber.value = 0.5;
+        scrubber.dispatchEvent(new Event('input'));
+        expect(simulation.isRunning).toBe(false);
+        expect(paused).toBe(1);
+        expect(simulation.core.time).toBeCloseTo(0.5, 2);
+    });
+
+    test('should replay at its speed and wrap around the loop', () => {
+        simulation.seek(0.2);
+        panel.markLoopStart();
+        simulation.seek(0.4);
+        panel.markLoopEnd();
+        expect(simulation.replay.loop).toEqual({ start: 0.2, end: 0.4 });
+
+        container.querySelector('select[aria-label="Replay speed"]').value = '0.5';
+        container.querySelector('select[aria-label="Replay speed"]').dispatchEvent(new Event('change'));
+        container.querySelector('button[aria-label="Play replay"]').click();
+        expect(simulation.replay.playing).toBe(true);
+        expect(simulation.replay.time).toBeCloseTo(0.2);
+
+        simulation.advanceReplay(0.1);
+        expect(simulation.replay.time).toBeCloseTo(0.25);
+        simulation.advanceReplay(0.4);
+        expect(simulation.replay.time).toBeCloseTo(0.25);
+
+        panel.clearLoop();
+        simulation.advanceReplay(10);
+        expect(simulation.replay.playing).toBe(false);
+        expect(simulation.core.time).toBeCloseTo(1);
+    });
+});
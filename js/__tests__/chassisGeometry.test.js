@@ -0,0 +1,71 @@
+import { Vec2 } from 'planck';
+import { analyzeChassisGeometry } from '../chassisGeometry.js';
+
+// A simple chassis on flat ground facing negative x, positive y is downward
+const chassis = (overrides = {}) => ({
+    swingArmPivot: Vec2(0, -0.4),
+    headTubeBottom: Vec2(-0.9, -0.7),
+    headTubeTop: Vec2(-0.9 + 0.2 * Math.tan(Math.PI / 6), -0.9),
+    frontAxle: Vec2(-1.0, -0.3),
+    rearAxle: Vec2(0.5, -0.3),
+    frontWheelRadius: 0.3,
+    rearWheelRadius: 0.3,
+    centerOfMass: Vec2(-0.5, -0.6),
+    seat: Vec2(-0.2, -0.85),
+    down: Vec2(0, 1),
+    ...overrides
+});
+
+describe('analyzeChassisGeometry', () => {
+    test('should measure a level chassis', () => {
+        const geometry = analyzeChassisGeometry(chassis());
+
+        expect(geometry.rake).toBeCloseTo(Math.PI / 6);
+        expect(geometry.wheelbase).toBeCloseTo(1.5);
+        expect(geometry.centerOfMassHeight).toBeCloseTo(0.6);
+        expect(geometry.seatHeight).toBeCloseTo(0.85);
+        expect(geometry.swingarmAngle).toBeCloseTo(Math.atan2(0.1, 0.5));
+    });
+
+    test('should measure trail from the steering axis ground intersection', () => {
+        const geometry = analyzeChassisGeometry(chassis());
+
+        // The steering axis meets the ground 0.7 below the head tube bottom
+        const groundIntersectionX = -0.9 - 0.7 * Math.tan(Math.PI / 6);
+        expect(geometry.trail).toBeCloseTo(-1.0 - groundIntersectionX);
+    });
+
+    test('should measure fork offset ahead of the steering axis', () => {
+        const onAxis = analyzeChassisGeometry(chassis({
+            frontAxle: Vec2(-0.9 - 0.4 * Math.tan(Math.PI / 6), -0.3)
+        }));
+        expect(onAxis.forkOffset).toBeCloseTo(0);
+
+        const ahead = analyzeChassisGeometry(chassis({
+            frontAxle: Vec2(-0.9 - 0.4 * Math.tan(Math.PI / 6) - 0.05, -0.3)
+        }));
+        expect(ahead.forkOffset).toBeCloseTo(0.05 * Math.cos(Math.PI / 6));
+    });
+
+    test('should not depend on the frame the points are given in', () => {
+        const level = analyzeChassisGeometry(chassis());
+
+        const angle = 0.3;
+        const rotatePoint = (p) => Vec2(p.x * Math.cos(angle) - p.y * Math.sin(angle), p.x * Math.sin(angle) + p.y * Math.cos(angle));
+        const points = chassis();
+        const rotated = Object.fromEntries(Object.entries(points).map(([key, value]) => [key, value instanceof Vec2 ? rotatePoint(value) : value]));
+        const tilted = analyzeChassisGeometry(rotated);
+
+        Object.keys(level).forEach(key => {
+            expect(tilted[key]).toBeCloseTo(level[key]);
+        });
+    });
+
+    test('should follow the chassis pitch relative to the ground', () => {
+        const level = analyzeChassisGeometry(chassis());
+
+        // Compressing the fork pitches the chassis forward and reduces rake
+        const diving = analyzeChassisGeometry(chassis({ frontAxle: Vec2(-1.0, -0.4) }));
+        expect(diving.rake).toBeLessThan(level.rake);
+    });
+});
@@ -0,0 +1,86 @@
+import { createDamper, stableDamperForce, DAMPER_TYPES } from '../dampers.js';
+
+const adjustable = {
+    type: 'adjustable',
+    compression: { lowSpeed: 1000, highSpeed: 200, knee: 0.2 },
+    rebound: { lowSpeed: 2000, highSpeed: 500, knee: 0.1 }
+};
+
+const table = {
+    type: 'table',
+    table: [
+        { velocity: -1, force: -1500 },
+        { velocity: 0, force: 0 },
+        { velocity: 0.5, force: 400 },
+        { velocity: 1, force: 600 }
+    ]
+};
+
+describe('dampers.js', () => {
+    describe('adjustable damper', () => {
+        test('should use the low speed rate below the knee', () => {
+            const damper = createDamper(adjustable);
+            expect(damper.force(0.1)).toBeCloseTo(100);
+            expect(damper.force(-0.05)).toBeCloseTo(-100);
+            expect(damper.force(0)).toBeCloseTo(0);
+        });
+
+        test('should blow off to the high speed rate above the knee', () => {
+            const damper = createDamper(adjustable);
+            expect(damper.force(0.7)).toBeCloseTo(1000 * 0.2 + 200 * 0.5);
+            expect(damper.force(-0.6)).toBeCloseTo(-(2000 * 0.1 + 500 * 0.5));
+        });
+
+        test('should reject invalid circuits', () => {
+            expect(() => createDamper({ ...adjustable, compression: { lowSpeed: -1, highSpeed: 0, knee: 0.1 } })).toThrow('Invalid damper: compression');
+            expect(() => createDamper({ ...adjustable, rebound: { lowSpeed: 1, highSpeed: 1, knee: 0 } })).toThrow('Invalid damper: rebound');
+        });
+    });
+
+    describe('table damper', () => {
+        test('should interpolate between points', () => {
+            const damper = createDamper(table);
+            expect(damper.force(0.25)).toBeCloseTo(200);
+            expect(damper.force(-0.5)).toBeCloseTo(-750);
+            expect(damper.force(1)).toBeCloseTo(600);
+        });
+
+        test('should extrapolate along the end segments', () => {
+            const damper = createDamper(table);
+            expect(damper.force(2)).toBeCloseTo(1000);
+            expect(damper.force(-2)).toBeCloseTo(-3000);
+        });
+
+        test('should reject unsorted or short tables', () => {
+            expect(() => createDamper({ type: 'table', table: [{ velocity: 0, force: 0 }] })).toThrow('Invalid damper');
+            expect(() => createDamper({ type: 'table', table: [{ velocity: 1, force: 0 }, { velocity: 0, force: 0 }] })).toThrow('Invalid damper');
+        });
+    });
+
+    test('should reject unknown damper types', () => {
+        expect(DAMPER_TYPES).toContain('adjustable');
+        expect(() => createDamper({ type: 'friction' })).toThrow('Invalid damper type');
+    });
+
+    describe('stableDamperForce', () => {
+        test('should leave light damping unchanged', () => {
+            expect(stableDamperForce(100, 0.1, 1000, 1/60)).toBeCloseTo(100 / (1 + 1000 / 60 / 1000));
+            expect(stableDamperForce(100, 0.1, 1e9, 1/60)).toBeCloseTo(100);
+        });
+
+        test('should never reverse the velocity within a step', () => {
+            const mass = 10;
+            const dt = 1/60;
+            const velocity = 1;
+            [100, 1e3, 1e4, 1e6].forEach(damping => {
+                const force = stableDamperForce(damping * velocity, velocity, mass, dt);
+                const velocityAfter = velocity - force / mass * dt;
+                expect(velocityAfter).toBeGreaterThanOrEqual(0);
+            });
+        });
+
+        test('should pass the force through without a time step', () => {
+            expect(stableDamperForce(100, 0.1, 10)).toBe(100);
+        });
+    });
+});
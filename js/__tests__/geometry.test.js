@@ -1,4 +1,4 @@
-import { triangleVertices, triangleCentroid, triangleVerticesNamed, distance, triangleFromVerticesAndEdges } from '../geometry.js';
+import { triangleVertices, triangleCentroid, triangleVerticesNamed, distance, triangleFromVerticesAndEdges, angleAtDistance, lineIntersection, sprocketPitchRadius, externalTangentPoints, circleIntersection } from '../geometry.js';
 import { transformPoints } from '../geometry.js';
 import { scale, rotate, translate, compose } from 'transformation-matrix';
 import { defaultParams } from '../config.js';
@@ -120,4 +120,87 @@ describe('geometry.js', () => {
             expect(() => triangleFromVerticesAndEdges(vertexA, vertexB, 'invalid', 5)).toThrow();
         });
     });
-}); 
\ No newline at end of file
+
+    describe('angleAtDistance', () => {
+        test('should place the orbiting point at the target distance', () => {
+            const fixedPoint = { x: 0.1, y: -0.3 };
+            const radius = 0.3;
+            const targetDistance = 0.35;
+
+            const angle = angleAtDistance(fixedPoint, radius, targetDistance);
+            const point = { x: radius * Math.cos(angle), y: radius * Math.sin(angle) };
+
+            expect(distance(point, fixedPoint)).toBeCloseTo(targetDistance);
+        });
+
+        test('should pick the solution on the same side as nearAngle', () => {
+            const fixedPoint = { x: 0, y: -1 };
+            expect(angleAtDistance(fixedPoint, 1, 1, 0)).toBeGreaterThan(-Math.PI/2);
+            expect(angleAtDistance(fixedPoint, 1, 1, Math.PI)).toBeLessThan(-Math.PI/2);
+        });
+
+        test('should reject unreachable distances', () => {
+            expect(() => angleAtDistance({ x: 0, y: -1 }, 0.1, 2)).toThrow();
+            expect(() => angleAtDistance(null, 1, 1)).toThrow();
+            expect(() => angleAtDistance({ x: 0, y: -1 }, 0, 1)).toThrow();
+        });
+    });
+
+    describe('chain drive helpers', () => {
+        test('lineIntersection should find crossing lines and reject parallel ones', () => {
+            const point = lineIntersection({ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }, { x: 1, y: 0 });
+            expect(point.x).toBeCloseTo(0.5);
+            expect(point.y).toBeCloseTo(0.5);
+
+            expect(lineIntersection({ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 })).toBeNull();
+        });
+
+        test('sprocketPitchRadius should grow with tooth count', () => {
+            const pitch = 0.015875;
+            expect(sprocketPitchRadius(48, pitch)).toBeGreaterThan(sprocketPitchRadius(14, pitch));
+            expect(sprocketPitchRadius(48, pitch) * 2 * Math.PI).toBeCloseTo(48 * pitch, 2);
+            expect(() => sprocketPitchRadius(2, pitch)).toThrow();
+            expect(() => sprocketPitchRadius(14, 0)).toThrow();
+        });
+
+        test('externalTangentPoints should touch both circles on the requested side', () => {
+            const center1 = { x: 0, y: 0 };
+            const center2 = { x: 1, y: 0 };
+            const [p1, p2] = externalTangentPoints(center1, 0.1, center2, 0.3, { x: 0, y: -1 });
+
+            expect(distance(center1, p1)).toBeCloseTo(0.1);
+            expect(distance(center2, p2)).toBeCloseTo(0.3);
+            expect(p1.y).toBeLessThan(0);
+            expect(p2.y).toBeLessThan(0);
+
+            // The tangent line is perpendicular to both radii
+            const tangent = { x: p2.x - p1.x, y: p2.y - p1.y };
+            expect(tangent.x * (p1.x - center1.x) + tangent.y * (p1.y - center1.y)).toBeCloseTo(0);
+            expect(tangent.x * (p2.x - center2.x) + tangent.y * (p2.y - center2.y)).toBeCloseTo(0);
+        });
+
+        test('externalTangentPoints should reject nested circles', () => {
+            expect(() => externalTangentPoints({ x: 0, y: 0 }, 1, { x: 0.1, y: 0 }, 0.1, { x: 0, y: -1 })).toThrow();
+        });
+    });
+
+    describe('circleIntersection', () => {
+        test('should find the point at both radii on the requested side', () => {
+            const center1 = { x: 0, y: 0 };
+            const center2 = { x: 1, y: 0 };
+            const above = circleIntersection(center1, 0.6, center2, 0.8, 1);
+            const below = circleIntersection(center1, 0.6, center2, 0.8, -1);
+
+            expect(distance(center1, above)).toBeCloseTo(0.6);
+            expect(distance(center2, above)).toBeCloseTo(0.8);
+            expect(above.y).toBeGreaterThan(0);
+            expect(below.x).toBeCloseTo(above.x);
+            expect(below.y).toBeCloseTo(-above.y);
+        });
+
+        test('should reject circles that do not intersect', () => {
+            expect(() => circleIntersection({ x: 0, y: 0 }, 0.1, { x: 1, y: 0 }, 0.1, 1)).toThrow('Invalid circles');
+            expect(() => circleIntersection({ x: 0, y: 0 }, 1, { x: 0.1, y: 0 }, 0.1, 1)).toThrow('Invalid circles');
+        });
+    });
+});
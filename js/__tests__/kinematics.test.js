@@ -0,0 +1,122 @@
+import { analyzeKinematics, computeMotorcycleGeometry, kinematicsToCSV, kinematicsToJSON, KINEMATICS_CHANNELS } from '../kinematics.js';
+import { defaultParams } from '../config.js';
+
+// Helper function to clone params to avoid modifying the original
+const cloneParams = () => {
+    return JSON.parse(JSON.stringify(defaultParams));
+};
+
+describe('kinematics.js', () => {
+    describe('computeMotorcycleGeometry', () => {
+        test('should limit the swingarm to the shock stroke', () => {
+            const geometry = computeMotorcycleGeometry(cloneParams());
+            expect(geometry.swingarmLowerAngle).toBeCloseTo(geometry.swingarmCompressedAngle);
+            expect(geometry.swingarmUpperAngle).toBeCloseTo(geometry.swingarmExtendedAngle);
+            expect(geometry.swingarmBuildAngle).toBeGreaterThanOrEqual(geometry.swingarmLowerAngle);
+            expect(geometry.swingarmBuildAngle).toBeLessThanOrEqual(geometry.swingarmUpperAngle);
+        });
+
+        test('should name the parameters of an invalid geometry', () => {
+            const params = cloneParams();
+            params.frame.rearShockUpperPivotToFramePivot.value = 5;
+            expect(() => computeMotorcycleGeometry(params)).toThrow('Invalid geometry: "Rear Shock Upper Pivot to Head Tube Top"');
+        });
+    });
+
+    describe('analyzeKinematics', () => {
+        test('should sweep both ends from full extension to full compression', () => {
+            const params = cloneParams();
+            const { rear, front } = analyzeKinematics(params, 10);
+
+            expect(rear).toHaveLength(11);
+            expect(front).toHaveLength(11);
+            expect(rear[0].shockTravel).toBeCloseTo(0);
+            expect(rear[10].shockTravel).toBeCloseTo(params.frame.rearShockStroke.value);
+            expect(front[0].forkTravel).toBeCloseTo(0);
+            expect(front[10].forkTravel).toBeCloseTo(params.frame.forkStroke.value);
+            [...rear, ...front].forEach(point => {
+                Object.values(point).forEach(value => expect(Number.isFinite(value)).toBe(true));
+            });
+        });
+
+        test('should start every change and path at zero', () => {
+            const { rear, front } = analyzeKinematics(cloneParams(), 10);
+            ['wheelTravel', 'axleX', 'axleY', 'chainGrowth', 'wheelbaseChange', 'trailChange'].forEach(key => {
+                expect(rear[0][key]).toBeCloseTo(0);
+            });
+            ['wheelTravel', 'axleX', 'axleY', 'wheelbaseChange', 'trailChange'].forEach(key => {
+                expect(front[0][key]).toBeCloseTo(0);
+            });
+        });
+
+        test('should raise the wheels as they compress', () => {
+            const { rear, front } = analyzeKinematics(cloneParams(), 10);
+            for (let i = 1; i < rear.length; i++) {
+                expect(rear[i].wheelTravel).toBeGreaterThan(rear[i - 1].wheelTravel);
+                expect(front[i].wheelTravel).toBeGreaterThan(front[i - 1].wheelTravel);
+            }
+        });
+
+        test('should match the leverage ratio to the slope of wheel travel over shock travel', () => {
+            const { rear } = analyzeKinematics(cloneParams(), 100);
+            const slope = (rear[51].wheelTravel - rear[49].wheelTravel) / (rear[51].shockTravel - rear[49].shockTravel);
+            expect(rear[50].leverageRatio).toBeCloseTo(slope, 2);
+        });
+
+        test('should reduce trail as the fork compresses and increase it as the rear squats', () => {
+            const { rear, front } = analyzeKinematics(cloneParams(), 10);
+            expect(front[10].trailChange).toBeLessThan(0);
+            expect(front[10].wheelbaseChange).toBeLessThan(0);
+            expect(rear[10].trailChange).toBeGreaterThan(0);
+        });
+
+        test('should grow the chain more with the countershaft below the swingarm pivot', () => {
+            const above = analyzeKinematics(cloneParams(), 10).rear;
+
+            const params = cloneParams();
+            params.frame.countershaftAboveSwingArmPivot.value = -0.1;
+            const below = analyzeKinematics(params, 10).rear;
+
+            expect(below[10].chainGrowth).toBeGreaterThan(above[10].chainGrowth);
+        });
+
+        test('should give a linkage a falling leverage ratio', () => {
+            const params = cloneParams();
+            params.suspension.rearSuspensionLayout.value = 'proLink';
+            const { rear } = analyzeKinematics(params, 10);
+            expect(rear[10].leverageRatio).toBeLessThan(rear[0].leverageRatio);
+        });
+    });
+
+    describe('export', () => {
+        test('should export a curve as CSV with units in the header', () => {
+            const { rear } = analyzeKinematics(cloneParams(), 4);
+            const lines = kinematicsToCSV(rear, KINEMATICS_CHANNELS.rear).trim().split('\n');
+
+            expect(lines).toHaveLength(6);
+            expect(lines[0]).toBe('wheelTravel (m),shockTravel (m),leverageRatio,axleX (m),axleY (m),chainGrowth (m),wheelbaseChange (m),trailChange (m)');
+            expect(parseFloat(lines[5].split(',')[1])).toBeCloseTo(defaultParams.frame.rearShockStroke.value);
+        });
+
+        test('should export both curves as JSON with their channels', () => {
+            const analysis = analyzeKinematics(cloneParams(), 4);
+            const exported = JSON.parse(kinematicsToJSON(analysis));
+
+            expect(exported.rear.channels).toEqual(KINEMATICS_CHANNELS.rear);
+            expect(exported.front.points).toHaveLength(5);
+            expect(exported.rear.points[4].leverageRatio).toBeCloseTo(analysis.rear[4].leverageRatio);
+        });
+
+        test('should export in a unit system', () => {
+            const analysis = analyzeKinematics(cloneParams(), 4);
+            const lines = kinematicsToCSV(analysis.rear, KINEMATICS_CHANNELS.rear, 'imperial').trim().split('\n');
+            expect(lines[0]).toBe('wheelTravel (in),shockTravel (in),leverageRatio,axleX (in),axleY (in),chainGrowth (in),wheelbaseChange (in),trailChange (in)');
+            expect(parseFloat(lines[5].split(',')[1])).toBeCloseTo(defaultParams.frame.rearShockStroke.value / 0.0254);
+
+            const exported = JSON.parse(kinematicsToJSON(analysis, 'metric'));
+            expect(exported.front.channels[0].unit).toBe('mm');
+            expect(exported.front.points[4].forkTravel).toBeCloseTo(defaultParams.frame.forkStroke.value * 1000);
+            expect(exported.rear.points[4].leverageRatio).toBeCloseTo(analysis.rear[4].leverageRatio);
+        });
+    });
+});
@@ -0,0 +1,47 @@
+/**
+ * @jest-environment node
+ */
+import { PRESETS, presetParams } from '../presets.js';
+import { SimulationCore } from '../SimulationCore.js';
+import { defaultParams } from '../config.js';
+
+const degrees = (radians) => radians * 180 / Math.PI;
+
+describe('presets.js', () => {
+    test('should offer the reference motorcycle classes', () => {
+        expect(PRESETS.map(preset => preset.key)).toEqual(['motocross', 'sport', 'adventure', 'trials', 'pitBike']);
+    });
+
+    test('should fill the parameters a preset does not set from the defaults', () => {
+        const params = presetParams('motocross');
+        expect(params.frame.frontWheelDiameter.value).toBeGreaterThan(defaultParams.frame.frontWheelDiameter.value);
+        expect(params.frame.chainPitch).toEqual(defaultParams.frame.chainPitch);
+    });
+
+    test('should reject an unknown preset', () => {
+        expect(() => presetParams('chopper')).toThrow('Unknown preset "chopper"');
+    });
+
+    describe.each(PRESETS.map(preset => preset.key))('%s', (key) => {
+        test('should build a motorcycle with road-going geometry', () => {
+            const core = new SimulationCore();
+            core.createWorld(presetParams(key));
+            const geometry = core.motorcycle.getStaticChassisGeometry();
+            expect(degrees(geometry.rake)).toBeGreaterThan(20);
+            expect(degrees(geometry.rake)).toBeLessThan(30);
+            expect(geometry.wheelbase).toBeGreaterThan(1.1);
+            expect(geometry.wheelbase).toBeLessThan(1.7);
+        });
+
+        test('should settle within its travel', () => {
+            const params = presetParams(key);
+            const core = new SimulationCore();
+            core.createWorld(params);
+            core.run(120);
+            const { fork, rearShock } = core.motorcycle.getSuspensionState();
+            expect(fork.travel).toBeGreaterThan(0);
+            expect(fork.travel).toBeLessThan(params.frame.forkStroke.value / 2);
+            expect(rearShock.travel).toBeLessThan(params.frame.rearShockStroke.value / 2);
+        });
+    });
+});
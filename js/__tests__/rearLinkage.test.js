@@ -0,0 +1,87 @@
+import { Vec2 } from 'planck';
+import { rearSuspensionGeometry, solveRearSuspension, swingarmAngleAtShockLength, shockLengthRate, REAR_LAYOUTS } from '../rearLinkage.js';
+import { defaultParams } from '../config.js';
+
+const cloneParams = () => JSON.parse(JSON.stringify(defaultParams));
+
+// Default rear shock upper pivot relative to the swing arm pivot
+const shockUpper = Vec2(0.1357, -0.2675);
+
+const geometryFor = (layout, edit = () => {}) => {
+    const params = cloneParams();
+    params.suspension.rearSuspensionLayout.value = layout;
+    edit(params);
+    return rearSuspensionGeometry(params, shockUpper);
+};
+
+// Leverage ratio of rear axle rise to shock compression
+const leverageRatio = (geometry, angle) => {
+    const swingarmLength = defaultParams.frame.swingarmLength.value;
+    return swingarmLength * Math.cos(angle) / shockLengthRate(geometry, angle);
+};
+
+describe('rearLinkage.js', () => {
+    test('should mount the direct shock on the swingarm', () => {
+        const geometry = geometryFor('direct');
+        const solution = solveRearSuspension(geometry, 0);
+
+        expect(solution.shockLower.x).toBeCloseTo(defaultParams.frame.rearShockSwingarmMountDistance.value);
+        expect(solution.shockLower.y).toBeCloseTo(0);
+        expect(solution.shockLength).toBeCloseTo(Vec2.distance(shockUpper, solution.shockLower));
+        expect(solution.rockerPivot).toBeUndefined();
+    });
+
+    test.each(['proLink', 'uniTrak'])('should keep the %s rocker and dogbone lengths through the travel', (layout) => {
+        const geometry = geometryFor(layout);
+        [0.1, 0, -0.2].forEach(angle => {
+            const solution = solveRearSuspension(geometry, angle);
+
+            expect(Vec2.distance(solution.rockerPivot, solution.rockerDogboneMount)).toBeCloseTo(geometry.rockerDogboneMount.x);
+            expect(Vec2.distance(solution.dogboneEnd, solution.rockerDogboneMount)).toBeCloseTo(geometry.dogboneLength);
+            expect(Vec2.distance(solution.rockerPivot, solution.shockLower)).toBeCloseTo(geometry.rockerShockMount.length());
+            expect(solution.shockLength).toBeCloseTo(Vec2.distance(shockUpper, solution.shockLower));
+        });
+    });
+
+    test.each(REAR_LAYOUTS)('should compress the %s shock as the swingarm rises', (layout) => {
+        const geometry = geometryFor(layout);
+        const extended = swingarmAngleAtShockLength(geometry, defaultParams.frame.rearShockEyeToEyeLength.value);
+        const compressed = swingarmAngleAtShockLength(geometry, defaultParams.frame.rearShockEyeToEyeLength.value - defaultParams.frame.rearShockStroke.value);
+
+        expect(extended).not.toBeNull();
+        expect(compressed).toBeLessThan(extended);
+        expect(solveRearSuspension(geometry, extended).shockLength).toBeCloseTo(defaultParams.frame.rearShockEyeToEyeLength.value, 5);
+        expect(shockLengthRate(geometry, (extended + compressed) / 2)).toBeGreaterThan(0);
+    });
+
+    test.each(['proLink', 'uniTrak'])('should give the %s linkage a progressive leverage ratio', (layout) => {
+        const geometry = geometryFor(layout);
+        const extended = swingarmAngleAtShockLength(geometry, defaultParams.frame.rearShockEyeToEyeLength.value);
+        const compressed = swingarmAngleAtShockLength(geometry, defaultParams.frame.rearShockEyeToEyeLength.value - defaultParams.frame.rearShockStroke.value);
+
+        expect(leverageRatio(geometry, compressed)).toBeLessThan(leverageRatio(geometry, extended));
+    });
+
+    test('should report shock lengths the linkage cannot reach', () => {
+        const geometry = geometryFor('proLink');
+        expect(swingarmAngleAtShockLength(geometry, 2)).toBeNull();
+    });
+
+    test('should return null where the dogbone cannot reach the rocker', () => {
+        const geometry = geometryFor('uniTrak', params => {
+            params.uniTrak.uniTrakDogboneLength.value = 0.01;
+        });
+        expect(solveRearSuspension(geometry, 0)).toBeNull();
+        expect(shockLengthRate(geometry, 0)).toBeNull();
+    });
+
+    test('should name the rocker dimensions that cannot form a triangle', () => {
+        expect(() => geometryFor('proLink', params => {
+            params.proLink.proLinkRockerPivotToShockMount.value = 1;
+        })).toThrow('Invalid geometry: "Pro-Link Rocker Pivot to Shock Mount"');
+    });
+
+    test('should reject unknown layouts', () => {
+        expect(() => geometryFor('cantilever')).toThrow('Invalid rear suspension layout "cantilever"');
+    });
+});
@@ -0,0 +1,153 @@
+/**
+ * @jest-environment node
+ */
+import { DEFAULT_SAG_OPTIONS, measureSag, solveSag, sagReportToText } from '../sagAssistant.js';
+import { defaultParams } from '../config.js';
+import { PRESETS, presetParams } from '../presets.js';
+
+// Helper function to clone params to avoid modifying the original
+const cloneParams = () => {
+    return JSON.parse(JSON.stringify(defaultParams));
+};
+
+describe('sagAssistant.js', () => {
+    describe('measureSag', () => {
+        test('should settle with more sag at both ends under the rider', () => {
+            const sag = measureSag(cloneParams());
+            expect(sag.static.settled).toBe(true);
+            expect(sag.rider.settled).toBe(true);
+            ['front', 'rear'].forEach(end => {
+                expect(sag.static[end].travel).toBeGreaterThan(0);
+                expect(sag.rider[end].travel).toBeGreaterThan(sag.static[end].travel + 0.01);
+                expect(sag.rider[end].springForce).toBeGreaterThan(sag.static[end].springForce);
+            });
+        });
+
+        test('should sag more under a heavier rider', () => {
+            const light = measureSag(cloneParams(), { riderMass: 60 });
+            const heavy = measureSag(cloneParams(), { riderMass: 100 });
+            expect(heavy.rider.front.travel).toBeGreaterThan(light.rider.front.travel);
+            expect(heavy.rider.rear.travel).toBeGreaterThan(light.rider.rear.travel);
+            expect(heavy.static.rear.travel).toBeCloseTo(light.static.rear.travel, 6);
+        });
+
+        test('should load the front more with the seat further forward', () => {
+            const forward = cloneParams();
+            forward.frame.seatForwardOfSwingArmPivot.value = 0.5;
+            const back = cloneParams();
+            back.frame.seatForwardOfSwingArmPivot.value = 0;
+            const forwardSag = measureSag(forward);
+            const backSag = measureSag(back);
+            expect(forwardSag.rider.front.travel).toBeGreaterThan(backSag.rider.front.travel);
+            expect(forwardSag.rider.rear.travel).toBeLessThan(backSag.rider.rear.travel);
+            expect(forwardSag.static.front.travel).toBeCloseTo(backSag.static.front.travel, 6);
+        });
+
+        test('should reject invalid settings', () => {
+            expect(() => measureSag(cloneParams(), { riderMass: 0 })).toThrow('Invalid sag riderMass');
+            expect(() => measureSag(cloneParams(), { frontRiderSag: 1.5 })).toThrow('Invalid sag frontRiderSag');
+            expect(() => measureSag(cloneParams(), { rearStaticSag: 0.4 })).toThrow('rider sag must be more than the static sag');
+            expect(() => measureSag(cloneParams(), { maxIterations: 0.5 })).toThrow('Invalid sag maxIterations');
+        });
+    });
+
+    describe('solveSag', () => {
+        test('should put the rider sag on target by preload and leave the params alone', () => {
+            const params = cloneParams();
+            const result = solveSag(params);
+            expect(result.converged).toBe(true);
+            expect(params).toEqual(defaultParams);
+            ['front', 'rear'].forEach(end => {
+                const { target, after } = result[end];
+                expect(target.rider).toBeCloseTo(DEFAULT_SAG_OPTIONS[`${end}RiderSag`] * result[end].fullTravel, 9);
+                expect(Math.abs(after.rider - target.rider)).toBeLessThanOrEqual(DEFAULT_SAG_OPTIONS.tolerance);
+            });
+            expect(result.params.suspension.forkSpringPreload.value).toBe(result.front.preload.after);
+            expect(result.params.suspension.rearShockSpringPreload.value).toBe(result.rear.preload.after);
+
+            // Measuring the recommended setup gives the sag it was solved for
+            const check = measureSag(result.params);
+            expect(check.rider.front.travel).toBeCloseTo(result.front.after.rider, 6);
+        });
+
+        test('should recommend a spring rate when preload alone cannot hit both targets', () => {
+            const result = solveSag(presetParams('motocross'));
+            expect(result.converged).toBe(true);
+            expect(result.front.rateChanged).toBe(true);
+            expect(result.front.rate.after).toBeLessThan(result.front.rate.before);
+            expect(result.params.suspension.forkSpringRate.value).toBe(result.front.rate.after);
+            expect(Math.abs(result.front.after.static - result.front.target.static))
+                .toBeLessThanOrEqual(DEFAULT_SAG_OPTIONS.staticTolerance);
+        });
+
+        test.each([
+            ['default', cloneParams],
+            ...PRESETS.map(preset => [preset.key, () => presetParams(preset.key)])
+        ])('should hit the sag targets of the %s motorcycle or report the preload limit', (key, makeParams) => {
+            const result = solveSag(makeParams());
+            const onTarget = ['front', 'rear'].map(end => {
+                const { target, before, after } = result[end];
+                // In tolerances past each target, as the assistant weighs them
+                const { tolerance, staticTolerance } = DEFAULT_SAG_OPTIONS;
+                const error = (sag) => Math.max(Math.abs(sag.rider - target.rider) / tolerance - 1, 0)
+                    + Math.max(Math.abs(sag.static - target.static) / staticTolerance - 1, 0);
+                expect(error(after)).toBeLessThanOrEqual(error(before));
+                expect(result[end].staticOnTarget).toBe(Math.abs(after.static - target.static) <= staticTolerance);
+                if (error(after) > 0) {
+                    expect(result[end].preloadLimited).toBe(true);
+                }
+                return error(after) === 0;
+            });
+            expect(result.converged).toBe(onTarget.every(Boolean));
+        });
+
+        test('should report the preload limit and never end further from target than it started', () => {
+            const result = solveSag(presetParams('pitBike'), { riderMass: 120, adjustRate: false });
+            expect(result.converged).toBe(false);
+            expect(result.rear.preloadLimited).toBe(true);
+            expect(result.rear.preload.after).toBe(result.params.suspension.rearShockSpringPreload.max);
+            ['front', 'rear'].forEach(end => {
+                const { target, before, after } = result[end];
+                expect(Math.abs(after.rider - target.rider)).toBeLessThanOrEqual(Math.abs(before.rider - target.rider));
+            });
+            expect(sagReportToText(result)).toMatch(/Targets not hit after \d+ iterations/);
+        });
+
+        test('should come closer at both ends when the preload range limits the spring rate', () => {
+            const result = solveSag(presetParams('adventure'), { riderMass: 55 });
+            ['front', 'rear'].forEach(end => {
+                const preload = result.params.suspension[end === 'front' ? 'forkSpringPreload' : 'rearShockSpringPreload'];
+                expect(preload.value).toBeGreaterThanOrEqual(preload.min);
+                expect(preload.value).toBeLessThanOrEqual(preload.max);
+                const { target, before, after } = result[end];
+                const error = (sag) => Math.abs(sag.rider - target.rider) + Math.abs(sag.static - target.static);
+                expect(error(after)).toBeLessThan(error(before));
+            });
+        });
+
+        test('should only change preload when the spring rate is fixed', () => {
+            const result = solveSag(presetParams('motocross'), { adjustRate: false });
+            expect(result.front.rateChanged).toBe(false);
+            expect(result.rear.rateChanged).toBe(false);
+            expect(result.params.suspension.forkSpringRate.value).toBe(result.front.rate.before);
+        });
+
+        test('should need a coil spring', () => {
+            const params = cloneParams();
+            params.suspension.rearShockSpringType.value = 'air';
+            expect(() => solveSag(params)).toThrow('Rear Shock: the sag assistant needs a coil spring');
+        });
+    });
+
+    describe('sagReportToText', () => {
+        test('should report the recommended settings in the chosen units', () => {
+            const result = solveSag(cloneParams());
+            const metric = sagReportToText(result, 'metric');
+            expect(metric).toContain('Rider 80kg');
+            expect(metric).toMatch(/Fork: 150mm travel/);
+            expect(metric).toMatch(/Preload: (set|keep) /);
+            expect(metric).toMatch(/Targets hit after \d+ iterations$/);
+            expect(sagReportToText(result, 'imperial')).toContain('in travel');
+        });
+    });
+});
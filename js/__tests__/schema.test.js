@@ -0,0 +1,167 @@
+import { validateParams, checkParam, CONSTRAINTS } from '../schema.js';
+import { defaultParams } from '../config.js';
+import { PRESETS, presetParams } from '../presets.js';
+import { seededRandom } from '../terrain.js';
+import { computeMotorcycleGeometry } from '../kinematics.js';
+import { SimulationCore } from '../SimulationCore.js';
+
+// Helper function to clone params to avoid modifying the original
+const cloneParams = () => {
+    return JSON.parse(JSON.stringify(defaultParams));
+};
+
+describe('schema.js', () => {
+    describe('config schema', () => {
+        test('should give every parameter a category and description', () => {
+            Object.values(defaultParams).forEach(configs => Object.values(configs).forEach(config => {
+                expect(typeof config.category).toBe('string');
+                expect(typeof config.description).toBe('string');
+            }));
+        });
+
+        test('should give every number a range and step that holds its default', () => {
+            Object.values(defaultParams).forEach(configs => Object.values(configs).forEach(config => {
+                if (typeof config.value !== 'number') return;
+                expect(config.min).toBeLessThanOrEqual(config.value);
+                expect(config.max).toBeGreaterThanOrEqual(config.value);
+                expect(config.step).toBeGreaterThan(0);
+            }));
+        });
+
+        test('should only reference existing parameters in the constraints', () => {
+            CONSTRAINTS.forEach(constraint => {
+                const paths = [constraint.sides, constraint.param, constraint.limit, constraint.chamber,
+                    constraint.oil, constraint.piston, constraint.stroke, constraint.pivotDistance, constraint.mount,
+                    constraint.length, constraint.when && constraint.when.param]
+                    .flat()
+                    .filter(Boolean);
+                paths.forEach(path => {
+                    const [section, key] = path.split('.');
+                    expect(defaultParams[section][key]).toBeDefined();
+                });
+            });
+        });
+
+        test('should accept the defaults and every preset', () => {
+            expect(validateParams(cloneParams())).toEqual([]);
+            PRESETS.forEach(preset => {
+                expect(validateParams(presetParams(preset.key))).toEqual([]);
+            });
+        });
+    });
+
+    describe('checkParam', () => {
+        test('should suggest the nearest end of the range', () => {
+            const config = { ...defaultParams.frame.headTubeLength, value: 0.5 };
+            const violation = checkParam('frame', 'headTubeLength', config);
+            expect(violation.message).toBe('"Head Tube Length" (0.5m) must be between 0.05m and 0.3m');
+            expect(violation.suggestion).toBe(0.3);
+        });
+
+        test('should suggest the first option for an unknown option', () => {
+            const config = { ...defaultParams.suspension.forkSpringType, value: 'coil' };
+            expect(checkParam('suspension', 'forkSpringType', config).suggestion).toBe('linear');
+        });
+
+        test('should show the values in a unit system', () => {
+            const config = { ...defaultParams.frame.headTubeLength, value: 0.5 };
+            expect(checkParam('frame', 'headTubeLength', config, 'metric').message)
+                .toBe('"Head Tube Length" (500mm) must be between 50mm and 300mm');
+        });
+
+        test('should reject a value that is not a number', () => {
+            const config = { ...defaultParams.frame.headTubeLength, value: NaN };
+            expect(checkParam('frame', 'headTubeLength', config).message).toBe('"Head Tube Length" must be a number');
+        });
+    });
+
+    describe('validateParams', () => {
+        test('should report every violation at once', () => {
+            const params = cloneParams();
+            params.frame.headTubeLength.value = 0.5;
+            params.frame.rearShockStroke.value = 0.2;
+            params.frame.rearShockEyeToEyeLength.value = 0.18;
+            const violations = validateParams(params);
+            expect(violations.map(violation => violation.key)).toEqual(['headTubeLength', 'rearShockStroke']);
+        });
+
+        test('should shorten the longest side of a triangle', () => {
+            const params = cloneParams();
+            params.frame.rearShockUpperPivotToHeadTubeTop.value = 1.2;
+            const [violation] = validateParams(params);
+            expect(violation.key).toBe('rearShockUpperPivotToHeadTubeTop');
+            expect(violation.message).toContain('to form the rear shock upper pivot');
+            expect(violation.suggestion).toBeCloseTo(1.049);
+
+            params.frame.rearShockUpperPivotToHeadTubeTop.value = violation.suggestion;
+            expect(validateParams(params)).toEqual([]);
+        });
+
+        test('should only check a rocker for its own layout', () => {
+            const params = cloneParams();
+            params.uniTrak.uniTrakRockerPivotToShockMount.value = 0.2;
+            expect(validateParams(params)).toEqual([]);
+
+            params.suspension.rearSuspensionLayout.value = 'uniTrak';
+            expect(validateParams(params).map(violation => violation.key)).toEqual(['uniTrakRockerPivotToShockMount']);
+        });
+
+        test('should leave room for the air an air spring compresses', () => {
+            const params = cloneParams();
+            params.suspension.forkSpringType.value = 'air';
+            params.suspension.forkAirOilVolume.value = 390;
+            const [violation] = validateParams(params);
+            expect(violation.key).toBe('forkAirOilVolume');
+
+            params.suspension.forkAirOilVolume.value = violation.suggestion;
+            expect(validateParams(params)).toEqual([]);
+        });
+
+        test('should keep the shock mount where the shock reaches it at both ends of its stroke', () => {
+            [0.05, 0.6].forEach(mountDistance => {
+                const params = cloneParams();
+                params.frame.rearShockSwingarmMountDistance.value = mountDistance;
+                const [violation] = validateParams(params);
+                expect(violation.key).toBe('rearShockSwingarmMountDistance');
+                expect(violation.message).toContain('for the shock to reach it from the frame');
+                expect(() => computeMotorcycleGeometry(params)).toThrow('cannot reach a shock length');
+
+                params.frame.rearShockSwingarmMountDistance.value = violation.suggestion;
+                expect(validateParams(params)).toEqual([]);
+                expect(() => computeMotorcycleGeometry(params)).not.toThrow();
+            });
+
+            const params = cloneParams();
+            params.frame.rearShockEyeToEyeLength.value = params.frame.rearShockEyeToEyeLength.max;
+            expect(validateParams(params).map(violation => violation.key)).toEqual(['rearShockSwingarmMountDistance']);
+
+            // The linkage layouts do not use the mount on the swingarm
+            params.suspension.rearSuspensionLayout.value = 'proLink';
+            expect(validateParams(params).map(violation => violation.key)).not.toContain('rearShockSwingarmMountDistance');
+        });
+
+        test('should build every direct layout frame it accepts', () => {
+            const random = seededRandom(17);
+            let accepted = 0;
+            for (let i = 0; i < 300; i++) {
+                const params = cloneParams();
+                Object.values(params.frame).forEach(config => {
+                    if (typeof config.value !== 'number') return;
+                    config.value = Math.round((config.min + random() * (config.max - config.min)) / config.step) * config.step;
+                });
+                if (validateParams(params).length > 0) continue;
+                accepted++;
+                const core = new SimulationCore();
+                core.recorder.recording = false;
+                expect(() => core.createWorld(params)).not.toThrow();
+            }
+            expect(accepted).toBeGreaterThan(20);
+        });
+
+        test('should skip cross-field rules on parameters outside their range', () => {
+            const params = cloneParams();
+            params.frame.headTubeLength.value = 2;
+            expect(validateParams(params).map(violation => violation.key)).toEqual(['headTubeLength']);
+        });
+    });
+});
@@ -0,0 +1,100 @@
+import { serializeSetup, exportSetup, importSetup, deserializeSetup, encodeSetupHash, decodeSetupHash, SETUP_FORMAT, SETUP_VERSION } from '../setup.js';
+import { defaultParams } from '../config.js';
+
+// Helper function to clone params to avoid modifying the original
+const cloneParams = () => {
+    return JSON.parse(JSON.stringify(defaultParams));
+};
+
+describe('setup.js', () => {
+    describe('JSON files', () => {
+        test('should save only the values of every section with the version', () => {
+            const setup = serializeSetup(cloneParams());
+            expect(setup.format).toBe(SETUP_FORMAT);
+            expect(setup.version).toBe(SETUP_VERSION);
+            expect(Object.keys(setup.params)).toEqual(Object.keys(defaultParams));
+            expect(setup.params.frame.headTubeLength).toBe(defaultParams.frame.headTubeLength.value);
+        });
+
+        test('should round-trip a setup', () => {
+            const params = cloneParams();
+            params.frame.headTubeLength.value = 0.12;
+            params.suspension.rearSuspensionLayout.value = 'proLink';
+            params.simulation.terrainType.value = 'whoops';
+            expect(importSetup(exportSetup(params))).toEqual(params);
+        });
+
+        test('should keep the defaults for parameters a setup does not mention', () => {
+            const params = deserializeSetup({ format: SETUP_FORMAT, version: SETUP_VERSION, params: { frame: { headTubeLength: 0.12 } } });
+            expect(params.frame.headTubeLength.value).toBe(0.12);
+            expect(params.suspension).toEqual(defaultParams.suspension);
+        });
+
+        test('should reject text that is not JSON', () => {
+            expect(() => importSetup('not json')).toThrow('Invalid setup');
+        });
+
+        test('should reject JSON that is not a setup before migrating it', () => {
+            expect(() => deserializeSetup({ version: 1 })).toThrow('not a motorcycle suspension setup');
+            expect(() => deserializeSetup({ format: 'other', version: SETUP_VERSION, params: {} })).toThrow('not a motorcycle suspension setup');
+            expect(() => deserializeSetup({ format: SETUP_FORMAT, version: SETUP_VERSION })).toThrow('missing parameters');
+            expect(() => deserializeSetup({ format: SETUP_FORMAT, version: 1 })).toThrow('missing parameters');
+        });
+
+        test('should reject a setup from a newer version', () => {
+            expect(() => deserializeSetup({ format: SETUP_FORMAT, version: SETUP_VERSION + 1, params: {} })).toThrow('newer');
+        });
+
+        test('should list every invalid parameter', () => {
+            const setup = serializeSetup(cloneParams());
+            setup.params.frame.headTubeLength = 'long';
+            setup.params.frame.unknownLength = 1;
+            setup.params.extras = {};
+            expect(() => deserializeSetup(setup)).toThrow('Invalid setup: "Head Tube Length" has an invalid value "long"; unknown parameter "frame.unknownLength"; unknown section "extras"');
+        });
+    });
+
+    describe('migration', () => {
+        test('should scale the default masses by the density of version 1', () => {
+            const params = deserializeSetup({
+                format: SETUP_FORMAT,
+                version: 1,
+                params: { simulation: { groundWidth: 5, density: 125 } }
+            });
+            expect(params.simulation.groundWidth.value).toBe(5);
+            expect(params.simulation.density).toBeUndefined();
+            expect(params.mass.chassisMass.value).toBeCloseTo(defaultParams.mass.chassisMass.value / 2);
+            expect(params.mass.rearWheelInertia.value).toBeCloseTo(defaultParams.mass.rearWheelInertia.value / 2);
+            expect(params.mass.chassisCenterOfMassHeight.value).toBe(defaultParams.mass.chassisCenterOfMassHeight.value);
+        });
+    });
+
+    describe('URL hash', () => {
+        test('should round-trip a setup', () => {
+            const params = cloneParams();
+            params.frame.headTubeLength.value = 0.12;
+            params.suspension.rearSuspensionLayout.value = 'uniTrak';
+            const hash = encodeSetupHash(params);
+            expect(hash).toMatch(/^#setup=[A-Za-z0-9_-]+$/);
+            expect(decodeSetupHash(hash)).toEqual(params);
+        });
+
+        test('should only store values that differ from the defaults', () => {
+            const params = cloneParams();
+            params.frame.headTubeLength.value = 0.12;
+            const hash = encodeSetupHash(params);
+            const payload = JSON.parse(atob(hash.slice('#setup='.length).replace(/-/g, '+').replace(/_/g, '/')));
+            expect(payload.p).toEqual({ frame: { headTubeLength: 0.12 } });
+            expect(decodeSetupHash(encodeSetupHash(cloneParams()))).toEqual(defaultParams);
+        });
+
+        test('should ignore a hash without a setup', () => {
+            expect(decodeSetupHash('')).toBeNull();
+            expect(decodeSetupHash('#other')).toBeNull();
+        });
+
+        test('should reject a damaged link', () => {
+            expect(() => decodeSetupHash('#setup=!!!')).toThrow('Invalid setup: the link is damaged');
+        });
+    });
+});
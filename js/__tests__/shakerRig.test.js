@@ -0,0 +1,111 @@
+/**
+ * @jest-environment node
+ */
+import { DEFAULT_SHAKER_OPTIONS, createShakerSignal, frequencyResponse, findResonance, shakerResponseToCSV } from '../shakerRig.js';
+import { runShakerTest } from '../shakerRun.js';
+import { defaultParams } from '../config.js';
+
+// Helper function to clone params to avoid modifying the original
+const cloneParams = () => {
+    return JSON.parse(JSON.stringify(defaultParams));
+};
+
+// Sample a signal over its duration
+const sample = (signal, duration, sampleRate) =>
+    Array.from({ length: Math.round(duration * sampleRate) }, (_, i) => signal(i / sampleRate));
+
+describe('shakerRig.js', () => {
+    describe('createShakerSignal', () => {
+        test('should stay within the amplitude and rest outside the input', () => {
+            ['sineSweep', 'chirp', 'random'].forEach(signal => {
+                const options = { ...DEFAULT_SHAKER_OPTIONS, signal, duration: 10 };
+                const displacement = createShakerSignal(options);
+                const values = sample(displacement, options.duration, options.sampleRate);
+                const peak = Math.max(...values.map(Math.abs));
+                expect(peak).toBeGreaterThan(options.amplitude / 2);
+                expect(peak).toBeLessThan(options.amplitude * 4);
+                expect(displacement(-1)).toBe(0);
+                expect(displacement(options.duration + 1)).toBe(0);
+            });
+        });
+
+        test('should lower the amplitude to keep under the maximum acceleration', () => {
+            const options = { ...DEFAULT_SHAKER_OPTIONS, signal: 'sineSweep', steps: 2, startFrequency: 1, duration: 10 };
+            const values = sample(createShakerSignal(options), options.duration, options.sampleRate);
+            const low = Math.max(...values.slice(0, values.length / 2).map(Math.abs));
+            const high = Math.max(...values.slice(values.length / 2).map(Math.abs));
+            expect(low).toBeCloseTo(options.amplitude, 5);
+            expect(high).toBeCloseTo(options.maxAcceleration / (2 * Math.PI * options.endFrequency) ** 2, 5);
+        });
+
+        test('should reject invalid settings', () => {
+            expect(() => createShakerSignal({ ...DEFAULT_SHAKER_OPTIONS, signal: 'square' }))
+                .toThrow('Invalid shaker signal "square"');
+            expect(() => createShakerSignal({ ...DEFAULT_SHAKER_OPTIONS, endFrequency: 0.1 }))
+                .toThrow('the end frequency must be above a positive start frequency');
+            expect(() => createShakerSignal({ ...DEFAULT_SHAKER_OPTIONS, duration: 0.5 }))
+                .toThrow('duration must be longer than');
+        });
+    });
+
+    describe('frequencyResponse', () => {
+        test('should measure the gain and delay of a known system', () => {
+            const sampleRate = 240;
+            const options = { ...DEFAULT_SHAKER_OPTIONS, signal: 'random', duration: 20 };
+            const input = sample(createShakerSignal(options), options.duration, sampleRate);
+            // Twice the input, two samples late
+            const output = input.map((_, i) => 2 * (input[i - 2] || 0));
+            const response = frequencyResponse(input, output, sampleRate, { minFrequency: 1, maxFrequency: 10 });
+            expect(response.frequencies.length).toBeGreaterThan(10);
+            response.frequencies.forEach((frequency, i) => {
+                expect(response.gain[i]).toBeCloseTo(2, 1);
+                expect(response.phase[i]).toBeCloseTo(-360 * frequency * 2 / sampleRate, 0);
+                expect(response.coherence[i]).toBeGreaterThan(0.95);
+            });
+        });
+    });
+
+    describe('findResonance', () => {
+        test('should find the highest trusted peak above a frequency', () => {
+            const response = {
+                frequencies: [1, 2, 3, 4, 5, 6, 7],
+                gain: [1, 3, 1, 2, 1, 9, 1],
+                coherence: [1, 1, 1, 1, 1, 0.2, 1]
+            };
+            expect(findResonance(response)).toEqual({ frequency: 2, gain: 3 });
+            expect(findResonance(response, 2)).toEqual({ frequency: 4, gain: 2 });
+            expect(findResonance(response, 4)).toBeNull();
+        });
+    });
+
+    describe('runShakerTest', () => {
+        test('should find the body and wheel hop resonances in heave', () => {
+            const { recording, analysis } = runShakerTest(cloneParams(), { duration: 10 });
+            expect(recording.time).toHaveLength(10 * DEFAULT_SHAKER_OPTIONS.sampleRate);
+            expect(Object.keys(analysis.responses)).toEqual(['heave', 'frontWheel', 'rearWheel']);
+
+            // The whole motorcycle follows the platforms at low frequency
+            const { frequencies, gain } = analysis.responses.frontWheel;
+            expect(gain[frequencies.findIndex(frequency => frequency >= 1)]).toBeCloseTo(1, 1);
+
+            const { body, frontWheelHop, rearWheelHop } = analysis.resonances;
+            expect(body.frequency).toBeGreaterThan(2);
+            expect(body.frequency).toBeLessThan(8);
+            expect(body.gain).toBeGreaterThan(1);
+            expect(frontWheelHop.frequency).toBeGreaterThan(body.frequency);
+            expect(rearWheelHop.frequency).toBeGreaterThan(body.frequency);
+            expect(shakerResponseToCSV(analysis).split('\n')[0]).toBe(
+                'frequency (Hz),heave gain,heave phase (°),heave coherence,frontWheel gain,frontWheel phase (°),' +
+                'frontWheel coherence,rearWheel gain,rearWheel phase (°),rearWheel coherence'
+            );
+        });
+
+        test('should drive the platforms in opposition for pitch', () => {
+            const { recording, analysis } = runShakerTest(cloneParams(), { excitation: 'pitch', duration: 10 });
+            const i = recording.time.findIndex(time => time >= 2);
+            expect(recording.rearPlatform[i]).toBeCloseTo(-recording.frontPlatform[i], 9);
+            expect(Object.keys(analysis.responses)).toEqual(['pitch', 'frontWheel', 'rearWheel']);
+            expect(analysis.resonances.body).not.toBeNull();
+        });
+    });
+});
@@ -0,0 +1,69 @@
+import { createSpring, SPRING_TYPES } from '../springs.js';
+
+const settings = (type) => ({
+    type,
+    stroke: 0.1,
+    rate: 10,
+    secondRate: 20,
+    transition: 0.05,
+    preload: 0.005,
+    airPressure: 1000,
+    airChamberVolume: 200,
+    airOilVolume: 20,
+    airPistonDiameter: 0.03
+});
+
+describe('springs.js', () => {
+    test.each(SPRING_TYPES)('%s spring force should rise with travel', (type) => {
+        const spring = createSpring(settings(type));
+        let previous = spring.force(0);
+        for (let travel = 0.01; travel <= 0.1; travel += 0.01) {
+            const force = spring.force(travel);
+            expect(force).toBeGreaterThan(previous);
+            previous = force;
+        }
+    });
+
+    test('linear spring should use the rate in N/mm and the preload', () => {
+        const spring = createSpring(settings('linear'));
+        expect(spring.force(0)).toBeCloseTo(50);  // 10 N/mm over 5mm preload
+        expect(spring.force(0.01)).toBeCloseTo(150);
+    });
+
+    test('dual rate spring should change rate at the transition', () => {
+        const spring = createSpring(settings('dualRate'));
+        const firstRate = (spring.force(0.04) - spring.force(0.03)) / 0.01;
+        const secondRate = (spring.force(0.07) - spring.force(0.06)) / 0.01;
+        expect(firstRate).toBeCloseTo(10000);
+        expect(secondRate).toBeCloseTo(20000);
+    });
+
+    test('progressive spring should reach the second rate at full stroke', () => {
+        const spring = createSpring(settings('progressive'));
+        const initialRate = (spring.force(0.001) - spring.force(0)) / 0.001;
+        const finalRate = (spring.force(0.1) - spring.force(0.099)) / 0.001;
+        expect(initialRate).toBeCloseTo(10000, -2);
+        expect(finalRate).toBeCloseTo(20000, -2);
+    });
+
+    test('air spring should push with its pressure at full extension', () => {
+        const spring = createSpring(settings('air'));
+        const pistonArea = Math.PI * 0.03 * 0.03 / 4;
+        expect(spring.force(0)).toBeCloseTo(1000 * 1000 * pistonArea);
+    });
+
+    test('air spring should get more progressive with more oil', () => {
+        const lowOil = createSpring(settings('air'));
+        const highOil = createSpring({ ...settings('air'), airOilVolume: 80 });
+        expect(highOil.force(0)).toBeCloseTo(lowOil.force(0));
+        expect(highOil.force(0.1)).toBeGreaterThan(lowOil.force(0.1));
+    });
+
+    test('should reject invalid settings', () => {
+        expect(() => createSpring(settings('elastomer'))).toThrow('Invalid spring type');
+        expect(() => createSpring({ ...settings('linear'), rate: 0 })).toThrow('Invalid spring');
+        expect(() => createSpring({ ...settings('linear'), preload: -0.01 })).toThrow('Invalid spring');
+        expect(() => createSpring({ ...settings('dualRate'), secondRate: 0 })).toThrow('Invalid spring');
+        expect(() => createSpring({ ...settings('air'), airOilVolume: 190 })).toThrow('Invalid spring');
+    });
+});
@@ -0,0 +1,109 @@
+import { createTerrainProfile, roughnessProfile, seededRandom, TERRAIN_TYPES } from '../terrain.js';
+import { TerrainComponent } from '../TerrainComponent.js';
+import { SimulationCore } from '../SimulationCore.js';
+import { defaultParams } from '../config.js';
+import { World } from 'planck';
+
+// Helper function to clone params to avoid modifying the original
+const cloneParams = () => {
+    return JSON.parse(JSON.stringify(defaultParams));
+};
+
+const settings = (type) => ({
+    type,
+    length: 4,
+    position: -1,
+    height: 0.05,
+    width: 0.3,
+    count: 3,
+    roadClass: 'C',
+    seed: 1,
+    resolution: 0.02
+});
+
+describe('terrain.js', () => {
+    describe('createTerrainProfile', () => {
+        test.each(TERRAIN_TYPES)('should generate a valid %s profile', (type) => {
+            const profile = createTerrainProfile(settings(type));
+
+            expect(profile.length).toBeGreaterThanOrEqual(2);
+            expect(profile[0].x).toBeCloseTo(-2);
+            expect(profile[profile.length - 1].x).toBeCloseTo(2);
+            for (let i = 1; i < profile.length; i++) {
+                expect(profile[i].x).toBeGreaterThanOrEqual(profile[i - 1].x);
+                expect(Number.isFinite(profile[i].y)).toBe(true);
+            }
+        });
+
+        test('should place feature heights where expected', () => {
+            const step = createTerrainProfile(settings('step'));
+            expect(step[0].y).toBeCloseTo(0.05);
+            expect(step[step.length - 1].y).toBeCloseTo(0);
+
+            const pothole = createTerrainProfile(settings('pothole'));
+            expect(Math.min(...pothole.map(p => p.y))).toBeCloseTo(-0.05);
+
+            const bump = createTerrainProfile(settings('bump'));
+            expect(Math.max(...bump.map(p => p.y))).toBeCloseTo(0.05);
+        });
+
+        test('should reject unknown terrain types and road classes', () => {
+            expect(() => createTerrainProfile(settings('lava'))).toThrow('Invalid terrain type');
+            expect(() => createTerrainProfile({ ...settings('roughness'), roadClass: 'Z' })).toThrow('Invalid road class');
+        });
+    });
+
+    describe('roughnessProfile', () => {
+        test('should be reproducible for a seed', () => {
+            const a = roughnessProfile(4, settings('roughness'));
+            const b = roughnessProfile(4, settings('roughness'));
+            expect(a).toEqual(b);
+        });
+
+        test('should get rougher with worse road classes', () => {
+            const rms = (profile) => Math.sqrt(profile.reduce((sum, p) => sum + p.y * p.y, 0) / profile.length);
+            const classA = roughnessProfile(4, { ...settings('roughness'), roadClass: 'A' });
+            const classE = roughnessProfile(4, { ...settings('roughness'), roadClass: 'E' });
+            expect(rms(classE)).toBeGreaterThan(rms(classA));
+        });
+    });
+
+    test('seededRandom should return numbers in [0, 1)', () => {
+        const random = seededRandom(42);
+        for (let i = 0; i < 100; i++) {
+            const value = random();
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        }
+    });
+});
+
+describe('TerrainComponent', () => {
+    test('should create a static chain fixture from a profile', () => {
+        const simulation = { world: World() };
+        const terrain = new TerrainComponent(simulation, {
+            profile: createTerrainProfile(settings('whoops')),
+            height: 0.1,
+            density: 0.01
+        });
+
+        expect(terrain.body.getType()).toBe('static');
+        expect(terrain.body.getFixtureList().getShape().getType()).toBe('chain');
+    });
+
+    test('should reject an empty profile', () => {
+        const simulation = { world: World() };
+        expect(() => new TerrainComponent(simulation, { profile: [], height: 0.1, density: 0.01 })).toThrow();
+    });
+
+    test.each(TERRAIN_TYPES)('should be usable through createWorld with %s terrain', (type) => {
+        const params = cloneParams();
+        params.simulation.terrainType.value = type;
+        const core = new SimulationCore();
+        core.createWorld(params);
+
+        expect(core.components[0]).toBeInstanceOf(TerrainComponent);
+        core.run(30);
+        expect(core.components[1].position.y).not.toBeNaN();
+    });
+});
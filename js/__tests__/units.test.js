@@ -0,0 +1,78 @@
+/**
+ * @jest-environment node
+ */
+import { UNIT_SYSTEMS, DIMENSIONS, displayUnit, toDisplay, fromDisplay, formatValue, convertChannels } from '../units.js';
+import { defaultParams } from '../config.js';
+
+describe('units.js', () => {
+    test('should show lengths in millimeters or inches', () => {
+        expect(displayUnit('m', 'metric')).toBe('mm');
+        expect(displayUnit('m', 'imperial')).toBe('in');
+        expect(toDisplay(0.6, 'm', 'metric')).toBe(600);
+        expect(toDisplay(0.0254, 'm', 'imperial')).toBe(1);
+    });
+
+    test('should convert spring rates, masses and forces to imperial', () => {
+        expect(toDisplay(1, 'N/mm', 'imperial')).toBeCloseTo(5.7101, 4);
+        expect(toDisplay(1, 'kg', 'imperial')).toBeCloseTo(2.20462, 5);
+        expect(toDisplay(1, 'kg·m²', 'imperial')).toBeCloseTo(23.7304, 4);
+        expect(toDisplay(4.4482216152605, 'N', 'imperial')).toBe(1);
+        expect(toDisplay(6.894757, 'kPa', 'imperial')).toBeCloseTo(1, 6);
+        expect(toDisplay(16.387064, 'cc', 'imperial')).toBeCloseTo(1, 9);
+    });
+
+    test('should leave dimensionless and angular units as stored', () => {
+        ['', 'teeth', 'rad', '°', 's'].forEach(unit => {
+            UNIT_SYSTEMS.forEach(system => {
+                expect(displayUnit(unit, system.key)).toBe(unit);
+                expect(toDisplay(1.5, unit, system.key)).toBe(1.5);
+            });
+        });
+    });
+
+    test('should keep the stored units without a unit system', () => {
+        expect(displayUnit('m')).toBe('m');
+        expect(toDisplay(0.6, 'm')).toBe(0.6);
+        expect(formatValue(0.6, 'm')).toBe('0.6m');
+    });
+
+    test('should convert every parameter back to the value it was shown from', () => {
+        Object.values(defaultParams).forEach(configs => Object.values(configs).forEach(config => {
+            if (typeof config.value !== 'number') return;
+            UNIT_SYSTEMS.forEach(system => {
+                const shown = toDisplay(config.value, config.unit, system.key);
+                const stored = fromDisplay(shown, config.unit, system.key);
+                expect(Math.abs(stored - config.value)).toBeLessThanOrEqual(Math.abs(config.value) * 1e-9);
+            });
+        }));
+    });
+
+    test('should know the dimension of every parameter unit', () => {
+        Object.values(defaultParams).forEach(configs => Object.values(configs).forEach(config => {
+            if (typeof config.value !== 'number' || ['', 'teeth'].includes(config.unit)) return;
+            expect(DIMENSIONS[config.unit]).toBeDefined();
+        }));
+    });
+
+    test('should format a value with its display unit', () => {
+        expect(formatValue(0.6, 'm', 'metric')).toBe('600mm');
+        expect(formatValue(0.6, 'm', 'imperial')).toBe('23.622in');
+        expect(formatValue(0.6, 'm', 'imperial', 3)).toBe('23.6in');
+    });
+
+    test('should convert recorded channels and relabel their units', () => {
+        const channels = [
+            { key: 'forkTravel', displayName: 'Fork Travel', unit: 'm' },
+            { key: 'chassisPitch', displayName: 'Chassis Pitch', unit: 'rad' }
+        ];
+        const rows = [{ time: 0.5, forkTravel: 0.0254, chassisPitch: 0.1 }];
+        const converted = convertChannels(channels, rows, 'imperial');
+        expect(converted.channels.map(channel => channel.unit)).toEqual(['in', 'rad']);
+        expect(converted.rows).toEqual([{ time: 0.5, forkTravel: 1, chassisPitch: 0.1 }]);
+        expect(rows[0].forkTravel).toBe(0.0254);
+    });
+
+    test('should reject an unknown unit system', () => {
+        expect(() => toDisplay(1, 'm', 'furlongs')).toThrow('Unknown unit system "furlongs"');
+    });
+});
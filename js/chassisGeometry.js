@@ -0,0 +1,63 @@
+import { Vec2 } from 'planck';
+import { lineIntersection, externalTangentPoints } from './geometry.js';
+
+/**
+ * Rider-facing chassis geometry derived from the hardpoints. All points must
+ * be in the same frame, which can be the chassis frame for the static geometry
+ * or the world frame for the dynamic geometry. The ground line is the tangent
+ * under both wheels, so the values follow the motorcycle's pitch relative to
+ * the ground rather than the world.
+ * @param {Object} points - Hardpoints in a common frame (positive y is downward)
+ * @param {Vec2} points.swingArmPivot - The swing arm pivot
+ * @param {Vec2} points.headTubeBottom - Bottom of the head tube, on the steering axis
+ * @param {Vec2} points.headTubeTop - Top of the head tube, on the steering axis
+ * @param {Vec2} points.frontAxle - The front axle
+ * @param {Vec2} points.rearAxle - The rear axle
+ * @param {number} points.frontWheelRadius - Front wheel radius
+ * @param {number} points.rearWheelRadius - Rear wheel radius
+ * @param {Vec2} points.centerOfMass - Combined centre of mass
+ * @param {Vec2} points.seat - Lowest point of the seat
+ * @param {Vec2} points.down - Downward direction of the motorcycle, picks the side of the wheels the ground is on
+ * @returns {Object} rake and swingarmAngle in radians; trail, wheelbase, forkOffset, seatHeight and centerOfMassHeight in meters.
+ * The swingarm angle is positive when the pivot is above the rear axle.
+ */
+export function analyzeChassisGeometry(points) {
+    const { swingArmPivot, headTubeBottom, headTubeTop, frontAxle, rearAxle, frontWheelRadius, rearWheelRadius, centerOfMass, seat, down } = points;
+
+    // Ground line under both wheels, with a forward direction and an upward normal
+    const [frontContact, rearContact] = externalTangentPoints(frontAxle, frontWheelRadius, rearAxle, rearWheelRadius, down);
+    const forward = Vec2.sub(frontContact, rearContact);
+    forward.normalize();
+    let up = Vec2(-forward.y, forward.x);
+    if (Vec2.dot(up, down) > 0) {
+        up = Vec2.neg(up);
+    }
+
+    const along = (point, origin) => Vec2.dot(Vec2.sub(point, origin), forward);
+    const above = (point, origin) => Vec2.dot(Vec2.sub(point, origin), up);
+
+    // Steering axis pointing up the head tube
+    const steeringAxis = Vec2.sub(headTubeTop, headTubeBottom);
+    steeringAxis.normalize();
+
+    // Rake is the steering axis angle back from the ground normal
+    const rake = Math.atan2(-Vec2.dot(steeringAxis, forward), Vec2.dot(steeringAxis, up));
+
+    // Trail is how far the front contact patch sits behind where the steering axis meets the ground
+    const steeringAxisGround = lineIntersection(headTubeBottom, headTubeTop, rearContact, frontContact);
+    const trail = steeringAxisGround ? along(steeringAxisGround, frontContact) : 0;
+
+    // Fork offset is the perpendicular distance of the front axle ahead of the steering axis
+    const offsetDirection = Vec2(-steeringAxis.y, steeringAxis.x);
+    const forkOffset = Vec2.dot(Vec2.sub(frontAxle, headTubeBottom), offsetDirection) * Math.sign(Vec2.dot(offsetDirection, forward));
+
+    return {
+        rake,
+        trail,
+        wheelbase: along(frontAxle, rearAxle),
+        forkOffset,
+        swingarmAngle: Math.atan2(above(swingArmPivot, rearAxle), along(swingArmPivot, rearAxle)),
+        seatHeight: above(seat, rearContact),
+        centerOfMassHeight: above(centerOfMass, rearContact)
+    };
+}
@@ -1,83 +1,1045 @@
+import { REAR_LAYOUTS } from './rearLinkage.js';
+import { SPRING_TYPES } from './springs.js';
+import { DAMPER_TYPES } from './dampers.js';
+import { TERRAIN_TYPES, ROAD_CLASSES } from './terrain.js';
+
 // Default parameters are specified in meters for physics simulation
-// but UI sliders and display values are in millimeters
+// but UI sliders and display values are in millimeters.
+// Numeric parameters give their valid range and slider step, text parameters
+// their options, tables the key, name and unit of each column, and every
+// parameter a category and description. Rules that span several parameters
+// are in schema.js.
 export const defaultParams = {
     frame: {
         swingArmPivotToHeadTubeTopCenter: {
             displayName: "Swing Arm Pivot to Head Tube Top Center",
             value: 0.75,  
-            unit: "m"
+            unit: "m",
+            min: 0.4,
+            max: 1.2,
+            step: 0.001,
+            category: "Chassis",
+            description: "Straight line from the swing arm pivot to the top of the steering axis"
         },
         swingArmPivotToHeadTubeBottomCenter: {
             displayName: "Swing Arm Pivot to Head Tube Bottom Center",
             value: 0.8,  
-            unit: "m"
+            unit: "m",
+            min: 0.4,
+            max: 1.2,
+            step: 0.001,
+            category: "Chassis",
+            description: "Straight line from the swing arm pivot to the bottom of the steering axis"
         },
         headTubeLength: {
             displayName: "Head Tube Length",
             value: 0.1,  
-            unit: "m"
+            unit: "m",
+            min: 0.05,
+            max: 0.3,
+            step: 0.001,
+            category: "Chassis",
+            description: "Length of the steering axis between the top and bottom of the head tube"
         },
         topForkTubeLength: {
             displayName: "Top Fork Tube Length",
             value: 0.3,  
-            unit: "m"
+            unit: "m",
+            min: 0.15,
+            max: 0.8,
+            step: 0.001,
+            category: "Front End",
+            description: "From the top of the head tube down to the top of the sliding lower fork tube"
         },
         bottomForkTubeLength: {
             displayName: "Bottom Fork Tube Length",
             value: 0.2,  
-            unit: "m"
+            unit: "m",
+            min: 0.1,
+            max: 0.7,
+            step: 0.001,
+            category: "Front End",
+            description: "From the top of the sliding lower fork tube down to the front axle"
         },
         frontWheelDiameter: {
             displayName: "Front Wheel Diameter",
             value: 0.5,  // 500mm diameter
-            unit: "m"
+            unit: "m",
+            min: 0.3,
+            max: 0.9,
+            step: 0.001,
+            category: "Front End",
+            description: "Outside diameter of the front tyre"
         },
         swingarmLength: {
             displayName: "Swingarm Length",
             value: 0.5,  // 500mm length
-            unit: "m"
+            unit: "m",
+            min: 0.3,
+            max: 0.8,
+            step: 0.001,
+            category: "Rear End",
+            description: "From the swing arm pivot to the rear axle"
         },
         rearWheelDiameter: {
             displayName: "Rear Wheel Diameter",
             value: 0.5,  // 500mm diameter
-            unit: "m"
+            unit: "m",
+            min: 0.3,
+            max: 0.9,
+            step: 0.001,
+            category: "Rear End",
+            description: "Outside diameter of the rear tyre"
         },
         rearShockUpperPivotToHeadTubeTop: {
             displayName: "Rear Shock Upper Pivot to Head Tube Top",
             value: 0.9,  
-            unit: "m"
+            unit: "m",
+            min: 0.3,
+            max: 1.4,
+            step: 0.001,
+            category: "Chassis",
+            description: "Places the rear shock frame mount, together with its distance to the swing arm pivot"
         },
         rearShockUpperPivotToFramePivot: {
             displayName: "Rear Shock Upper Pivot to Frame Pivot",
             value: 0.3,  
-            unit: "m"
+            unit: "m",
+            min: 0.1,
+            max: 0.7,
+            step: 0.001,
+            category: "Chassis",
+            description: "Places the rear shock frame mount, together with its distance to the head tube top"
+        },
+        seatForwardOfSwingArmPivot: {
+            displayName: "Seat Forward of Swing Arm Pivot",
+            value: 0.2,
+            unit: "m",
+            min: -0.2,
+            max: 0.6,
+            step: 0.001,
+            category: "Chassis",
+            description: "How far the lowest point of the seat, where the rider sits, is ahead of the swing arm pivot"
+        },
+        seatAboveSwingArmPivot: {
+            displayName: "Seat Above Swing Arm Pivot",
+            value: 0.4,
+            unit: "m",
+            min: 0.1,
+            max: 0.8,
+            step: 0.001,
+            category: "Chassis",
+            description: "How far the lowest point of the seat is above the swing arm pivot, which sets the seat height"
+        },
+        rearShockSwingarmMountDistance: {
+            displayName: "Rear Shock Mount Distance Along Swingarm",
+            value: 0.3,
+            unit: "m",
+            min: 0.05,
+            max: 0.6,
+            step: 0.001,
+            category: "Rear End",
+            description: "Where a direct rear shock mounts on the swingarm, measured from the pivot towards the axle"
+        },
+        forkStroke: {
+            displayName: "Fork Stroke",
+            value: 0.15,
+            unit: "m",
+            min: 0.05,
+            max: 0.4,
+            step: 0.001,
+            category: "Front End",
+            description: "Fork travel from full extension to full compression"
+        },
+        rearShockEyeToEyeLength: {
+            displayName: "Rear Shock Eye to Eye Length",
+            value: 0.35,  // Fully extended length
+            unit: "m",
+            min: 0.15,
+            max: 0.7,
+            step: 0.001,
+            category: "Rear End",
+            description: "Rear shock length between its mounting eyes at full extension"
+        },
+        rearShockStroke: {
+            displayName: "Rear Shock Stroke",
+            value: 0.1,
+            unit: "m",
+            min: 0.02,
+            max: 0.2,
+            step: 0.001,
+            category: "Rear End",
+            description: "Rear shock travel from full extension to full compression"
+        },
+        countershaftForwardOfSwingArmPivot: {
+            displayName: "Countershaft Forward of Swing Arm Pivot",
+            value: 0.07,
+            unit: "m",
+            min: 0,
+            max: 0.2,
+            step: 0.001,
+            category: "Drivetrain",
+            description: "How far the front sprocket sits ahead of the swing arm pivot"
+        },
+        countershaftAboveSwingArmPivot: {
+            displayName: "Countershaft Above Swing Arm Pivot",
+            value: 0.02,
+            unit: "m",
+            min: -0.1,
+            max: 0.15,
+            step: 0.001,
+            category: "Drivetrain",
+            description: "How far the front sprocket sits above the swing arm pivot, negative below it"
+        },
+        frontSprocketTeeth: {
+            displayName: "Front Sprocket Teeth",
+            value: 14,
+            unit: "teeth",
+            min: 9,
+            max: 25,
+            step: 1,
+            category: "Drivetrain",
+            description: "Teeth on the countershaft sprocket"
+        },
+        rearSprocketTeeth: {
+            displayName: "Rear Sprocket Teeth",
+            value: 48,
+            unit: "teeth",
+            min: 30,
+            max: 60,
+            step: 1,
+            category: "Drivetrain",
+            description: "Teeth on the rear wheel sprocket"
+        },
+        chainPitch: {
+            displayName: "Chain Pitch",
+            value: 0.015875,  // 520 chain, sets the sprocket radii and so the chain run
+            unit: "m",
+            min: 0.00635,
+            max: 0.01905,
+            step: 0.003175,
+            category: "Drivetrain",
+            description: "Chain pitch in steps of 1/8 inch, 15.875 mm for 520 to 530 chains"
+        }
+    },
+    proLink: {
+        // Rocker pivoting on the underside of the swingarm, tied to the frame by the dogbone
+        proLinkRockerPivotAlongSwingarm: {
+            displayName: "Pro-Link Rocker Pivot Along Swingarm",
+            value: 0.305,
+            unit: "m",
+            min: 0.05,
+            max: 0.5,
+            step: 0.001,
+            category: "Rear Linkage",
+            description: "Rocker pivot position along the swingarm, from the swing arm pivot"
+        },
+        proLinkRockerPivotBelowSwingarm: {
+            displayName: "Pro-Link Rocker Pivot Below Swingarm",
+            value: 0.075,
+            unit: "m",
+            min: 0,
+            max: 0.2,
+            step: 0.001,
+            category: "Rear Linkage",
+            description: "Rocker pivot position below the swingarm centre line"
+        },
+        proLinkRockerPivotToShockMount: {
+            displayName: "Pro-Link Rocker Pivot to Shock Mount",
+            value: 0.065,
+            unit: "m",
+            min: 0.02,
+            max: 0.25,
+            step: 0.001,
+            category: "Rear Linkage",
+            description: "Rocker side between its pivot and the shock lower eye"
+        },
+        proLinkRockerPivotToDogboneMount: {
+            displayName: "Pro-Link Rocker Pivot to Dogbone Mount",
+            value: 0.14,
+            unit: "m",
+            min: 0.02,
+            max: 0.25,
+            step: 0.001,
+            category: "Rear Linkage",
+            description: "Rocker side between its pivot and the dogbone"
+        },
+        proLinkRockerShockMountToDogboneMount: {
+            displayName: "Pro-Link Rocker Shock Mount to Dogbone Mount",
+            value: 0.105,
+            unit: "m",
+            min: 0.02,
+            max: 0.25,
+            step: 0.001,
+            category: "Rear Linkage",
+            description: "Rocker side between the shock lower eye and the dogbone"
+        },
+        proLinkDogboneLength: {
+            displayName: "Pro-Link Dogbone Length",
+            value: 0.27,
+            unit: "m",
+            min: 0.05,
+            max: 0.5,
+            step: 0.001,
+            category: "Rear Linkage",
+            description: "Distance between the dogbone eyes"
+        },
+        proLinkDogboneMountBehindSwingArmPivot: {
+            displayName: "Pro-Link Dogbone Frame Mount Behind Swing Arm Pivot",
+            value: 0.025,
+            unit: "m",
+            min: -0.2,
+            max: 0.3,
+            step: 0.001,
+            category: "Rear Linkage",
+            description: "Dogbone frame mount behind the swing arm pivot"
+        },
+        proLinkDogboneMountBelowSwingArmPivot: {
+            displayName: "Pro-Link Dogbone Frame Mount Below Swing Arm Pivot",
+            value: 0.03,
+            unit: "m",
+            min: -0.1,
+            max: 0.3,
+            step: 0.001,
+            category: "Rear Linkage",
+            description: "Dogbone frame mount below the swing arm pivot"
+        }
+    },
+    uniTrak: {
+        // Rocker pivoting on the frame, tied to the swingarm by the dogbone
+        uniTrakRockerPivotBehindSwingArmPivot: {
+            displayName: "Uni-Trak Rocker Pivot Behind Swing Arm Pivot",
+            value: 0.095,
+            unit: "m",
+            min: -0.1,
+            max: 0.3,
+            step: 0.001,
+            category: "Rear Linkage",
+            description: "Rocker frame pivot behind the swing arm pivot"
+        },
+        uniTrakRockerPivotBelowSwingArmPivot: {
+            displayName: "Uni-Trak Rocker Pivot Below Swing Arm Pivot",
+            value: 0.045,
+            unit: "m",
+            min: 0,
+            max: 0.3,
+            step: 0.001,
+            category: "Rear Linkage",
+            description: "Rocker frame pivot below the swing arm pivot"
+        },
+        uniTrakRockerPivotToShockMount: {
+            displayName: "Uni-Trak Rocker Pivot to Shock Mount",
+            value: 0.11,
+            unit: "m",
+            min: 0.02,
+            max: 0.25,
+            step: 0.001,
+            category: "Rear Linkage",
+            description: "Rocker side between its pivot and the shock lower eye"
+        },
+        uniTrakRockerPivotToDogboneMount: {
+            displayName: "Uni-Trak Rocker Pivot to Dogbone Mount",
+            value: 0.075,
+            unit: "m",
+            min: 0.02,
+            max: 0.25,
+            step: 0.001,
+            category: "Rear Linkage",
+            description: "Rocker side between its pivot and the dogbone"
+        },
+        uniTrakRockerShockMountToDogboneMount: {
+            displayName: "Uni-Trak Rocker Shock Mount to Dogbone Mount",
+            value: 0.1,
+            unit: "m",
+            min: 0.02,
+            max: 0.25,
+            step: 0.001,
+            category: "Rear Linkage",
+            description: "Rocker side between the shock lower eye and the dogbone"
+        },
+        uniTrakDogboneLength: {
+            displayName: "Uni-Trak Dogbone Length",
+            value: 0.185,
+            unit: "m",
+            min: 0.05,
+            max: 0.5,
+            step: 0.001,
+            category: "Rear Linkage",
+            description: "Distance between the dogbone eyes"
+        },
+        uniTrakDogboneMountAlongSwingarm: {
+            displayName: "Uni-Trak Dogbone Mount Along Swingarm",
+            value: 0.305,
+            unit: "m",
+            min: 0.05,
+            max: 0.5,
+            step: 0.001,
+            category: "Rear Linkage",
+            description: "Dogbone swingarm mount along the swingarm, from the swing arm pivot"
+        },
+        uniTrakDogboneMountBelowSwingarm: {
+            displayName: "Uni-Trak Dogbone Mount Below Swingarm",
+            value: 0.05,
+            unit: "m",
+            min: 0,
+            max: 0.2,
+            step: 0.001,
+            category: "Rear Linkage",
+            description: "Dogbone swingarm mount below the swingarm centre line"
         }
     },
     simulation: {
         groundHeight: {
             displayName: "Ground Height",
             value: 0.1,  
-            unit: "m"
+            unit: "m",
+            min: 0.01,
+            max: 1,
+            step: 0.01,
+            category: "Terrain",
+            description: "Thickness of the ground below the riding surface"
         },
         groundWidth: {
             displayName: "Ground Width",
             value: 4.0,  
-            unit: "m"
+            unit: "m",
+            min: 1,
+            max: 200,
+            step: 0.1,
+            category: "Terrain",
+            description: "Length of the ground"
         },
-        forkSpringFrequency: {
-            displayName: "Fork Spring Frequency",
-            value: 1.0,
-            unit: "Hz"
+        terrainType: {
+            displayName: "Terrain Type",
+            value: "flat",  // flat, bump, whoops, step, pothole, ramp or roughness
+            unit: "",
+            options: TERRAIN_TYPES,
+            category: "Terrain",
+            description: "Shape of the riding surface"
         },
-        forkSpringDamping: {
-            displayName: "Fork Spring Damping",
+        terrainFeaturePosition: {
+            displayName: "Terrain Feature Position",
+            value: -1.5,  // Features extend from here towards negative x, ahead of the bike
+            unit: "m",
+            min: -50,
+            max: 5,
+            step: 0.01,
+            category: "Terrain",
+            description: "Where the terrain features start, negative is ahead of the motorcycle"
+        },
+        terrainFeatureHeight: {
+            displayName: "Terrain Feature Height",
+            value: 0.05,  // Pothole depth for potholes
+            unit: "m",
+            min: 0,
+            max: 0.5,
+            step: 0.005,
+            category: "Terrain",
+            description: "Height of bumps, whoops, steps and ramps, or depth of potholes"
+        },
+        terrainFeatureLength: {
+            displayName: "Terrain Feature Length",
+            value: 0.3,  // Bump width, whoop wavelength, pothole width or ramp length
+            unit: "m",
+            min: 0.05,
+            max: 5,
+            step: 0.01,
+            category: "Terrain",
+            description: "Bump width, whoop wavelength, pothole width or ramp length"
+        },
+        terrainFeatureCount: {
+            displayName: "Terrain Feature Count",
+            value: 3,  // Number of whoops
+            unit: "",
+            min: 1,
+            max: 50,
+            step: 1,
+            category: "Terrain",
+            description: "Number of whoops"
+        },
+        terrainRoadClass: {
+            displayName: "Terrain Road Class (ISO 8608)",
+            value: "C",
+            unit: "",
+            options: Object.keys(ROAD_CLASSES),
+            category: "Terrain",
+            description: "Road roughness class for random terrain, A is smoothest"
+        },
+        terrainSeed: {
+            displayName: "Terrain Random Seed",
             value: 1,
-            unit: ""
+            unit: "",
+            min: 0,
+            max: 999999,
+            step: 1,
+            category: "Terrain",
+            description: "Seed for random terrain, the same seed gives the same road"
+        },
+        terrainResolution: {
+            displayName: "Terrain Resolution",
+            value: 0.02,
+            unit: "m",
+            min: 0.005,
+            max: 0.5,
+            step: 0.005,
+            category: "Terrain",
+            description: "Spacing of the points along random terrain"
+        }
+    },
+    suspension: {
+        rearSuspensionLayout: {
+            displayName: "Rear Suspension Layout",
+            value: "direct",  // direct, or the proLink or uniTrak rocker and dogbone linkages
+            unit: "",
+            options: REAR_LAYOUTS,
+            category: "Rear Linkage",
+            description: "How the rear shock connects the frame to the swingarm"
+        },
+        forkSpringType: {
+            displayName: "Fork Spring Type",
+            value: "linear",  // linear, dualRate, progressive or air
+            unit: "",
+            options: SPRING_TYPES,
+            category: "Fork Spring",
+            description: "Linear, dual rate, progressive or air spring"
+        },
+        forkSpringRate: {
+            displayName: "Fork Spring Rate",
+            value: 9,  // Both legs combined, the initial rate for dual rate and progressive springs
+            unit: "N/mm",
+            min: 1,
+            max: 50,
+            step: 0.1,
+            category: "Fork Spring",
+            description: "Spring rate, or the initial rate of dual rate and progressive springs, both legs combined"
+        },
+        forkSpringSecondRate: {
+            displayName: "Fork Spring Second Rate",
+            value: 14,  // Final rate for dual rate and progressive springs
+            unit: "N/mm",
+            min: 1,
+            max: 80,
+            step: 0.1,
+            category: "Fork Spring",
+            description: "Final rate of dual rate and progressive springs"
+        },
+        forkSpringTransition: {
+            displayName: "Fork Spring Dual Rate Transition",
+            value: 0.1,  // Travel where a dual rate spring changes to the second rate
+            unit: "m",
+            min: 0,
+            max: 0.4,
+            step: 0.001,
+            category: "Fork Spring",
+            description: "Travel where a dual rate spring changes to its second rate"
+        },
+        forkSpringPreload: {
+            displayName: "Fork Spring Preload",
+            value: 0.005,
+            unit: "m",
+            min: 0,
+            max: 0.05,
+            step: 0.0005,
+            category: "Fork Spring",
+            description: "How far the spring is compressed at full extension"
+        },
+        forkAirPressure: {
+            displayName: "Fork Air Pressure",
+            value: 150,  // Gauge pressure at full extension
+            unit: "kPa",
+            min: 0,
+            max: 2000,
+            step: 5,
+            category: "Fork Spring",
+            description: "Air spring gauge pressure at full extension"
+        },
+        forkAirChamberVolume: {
+            displayName: "Fork Air Chamber Volume",
+            value: 400,
+            unit: "cc",
+            min: 50,
+            max: 2000,
+            step: 5,
+            category: "Fork Spring",
+            description: "Air spring chamber volume at full extension"
+        },
+        forkAirOilVolume: {
+            displayName: "Fork Air Chamber Oil Level",
+            value: 100,  // Volume of oil in the air chamber, more oil makes the spring more progressive
+            unit: "cc",
+            min: 0,
+            max: 1000,
+            step: 1,
+            category: "Fork Spring",
+            description: "Oil in the air chamber, more oil makes the air spring more progressive"
+        },
+        forkAirPistonDiameter: {
+            displayName: "Fork Air Piston Diameter",
+            value: 0.04,
+            unit: "m",
+            min: 0.01,
+            max: 0.1,
+            step: 0.001,
+            category: "Fork Spring",
+            description: "Air spring piston diameter"
+        },
+        forkDamperType: {
+            displayName: "Fork Damper Type",
+            value: "adjustable",  // adjustable, or table to use the force/velocity table
+            unit: "",
+            options: DAMPER_TYPES,
+            category: "Fork Damping",
+            description: "Adjustable low and high speed circuits, or a force/velocity table"
+        },
+        forkLowSpeedCompression: {
+            displayName: "Fork Low Speed Compression",
+            value: 1500,
+            unit: "N·s/m",
+            min: 0,
+            max: 20000,
+            step: 50,
+            category: "Fork Damping",
+            description: "Compression damping below the knee velocity"
+        },
+        forkHighSpeedCompression: {
+            displayName: "Fork High Speed Compression",
+            value: 500,
+            unit: "N·s/m",
+            min: 0,
+            max: 20000,
+            step: 50,
+            category: "Fork Damping",
+            description: "Compression damping above the knee velocity"
+        },
+        forkCompressionKnee: {
+            displayName: "Fork Compression Knee Velocity",
+            value: 0.3,  // Where the high speed compression circuit opens
+            unit: "m/s",
+            min: 0.01,
+            max: 5,
+            step: 0.01,
+            category: "Fork Damping",
+            description: "Shaft velocity where the high speed compression circuit opens"
+        },
+        forkLowSpeedRebound: {
+            displayName: "Fork Low Speed Rebound",
+            value: 2500,
+            unit: "N·s/m",
+            min: 0,
+            max: 20000,
+            step: 50,
+            category: "Fork Damping",
+            description: "Rebound damping below the knee velocity"
+        },
+        forkHighSpeedRebound: {
+            displayName: "Fork High Speed Rebound",
+            value: 800,
+            unit: "N·s/m",
+            min: 0,
+            max: 20000,
+            step: 50,
+            category: "Fork Damping",
+            description: "Rebound damping above the knee velocity"
+        },
+        forkReboundKnee: {
+            displayName: "Fork Rebound Knee Velocity",
+            value: 0.3,  // Where the high speed rebound circuit opens
+            unit: "m/s",
+            min: 0.01,
+            max: 5,
+            step: 0.01,
+            category: "Fork Damping",
+            description: "Shaft velocity where the high speed rebound circuit opens"
+        },
+        forkDamperTable: {
+            displayName: "Fork Damper Force/Velocity Table",
+            value: [  // Sorted by velocity, positive in compression
+                { velocity: -2, force: -2100 },
+                { velocity: -0.3, force: -750 },
+                { velocity: 0, force: 0 },
+                { velocity: 0.3, force: 450 },
+                { velocity: 2, force: 1300 }
+            ],
+            unit: "N",
+            columns: [
+                { key: "velocity", displayName: "Shaft Velocity", unit: "m/s" },
+                { key: "force", displayName: "Force", unit: "N" }
+            ],
+            category: "Fork Damping",
+            description: "Damper force at each shaft velocity, used by the table damper type"
+        },
+        rearShockSpringType: {
+            displayName: "Rear Shock Spring Type",
+            value: "linear",  // linear, dualRate, progressive or air
+            unit: "",
+            options: SPRING_TYPES,
+            category: "Rear Shock Spring",
+            description: "Linear, dual rate, progressive or air spring"
+        },
+        rearShockSpringRate: {
+            displayName: "Rear Shock Spring Rate",
+            value: 45,  // The initial rate for dual rate and progressive springs
+            unit: "N/mm",
+            min: 5,
+            max: 300,
+            step: 0.5,
+            category: "Rear Shock Spring",
+            description: "Spring rate, or the initial rate of dual rate and progressive springs"
+        },
+        rearShockSpringSecondRate: {
+            displayName: "Rear Shock Spring Second Rate",
+            value: 60,  // Final rate for dual rate and progressive springs
+            unit: "N/mm",
+            min: 5,
+            max: 400,
+            step: 0.5,
+            category: "Rear Shock Spring",
+            description: "Final rate of dual rate and progressive springs"
+        },
+        rearShockSpringTransition: {
+            displayName: "Rear Shock Spring Dual Rate Transition",
+            value: 0.06,  // Shock travel where a dual rate spring changes to the second rate
+            unit: "m",
+            min: 0,
+            max: 0.2,
+            step: 0.001,
+            category: "Rear Shock Spring",
+            description: "Travel where a dual rate spring changes to its second rate"
+        },
+        rearShockSpringPreload: {
+            displayName: "Rear Shock Spring Preload",
+            value: 0.005,
+            unit: "m",
+            min: 0,
+            max: 0.03,
+            step: 0.0005,
+            category: "Rear Shock Spring",
+            description: "How far the spring is compressed at full extension"
+        },
+        rearShockAirPressure: {
+            displayName: "Rear Shock Air Pressure",
+            value: 1000,  // Gauge pressure at full extension
+            unit: "kPa",
+            min: 0,
+            max: 4000,
+            step: 5,
+            category: "Rear Shock Spring",
+            description: "Air spring gauge pressure at full extension"
+        },
+        rearShockAirChamberVolume: {
+            displayName: "Rear Shock Air Chamber Volume",
+            value: 200,
+            unit: "cc",
+            min: 20,
+            max: 1000,
+            step: 5,
+            category: "Rear Shock Spring",
+            description: "Air spring chamber volume at full extension"
+        },
+        rearShockAirOilVolume: {
+            displayName: "Rear Shock Air Chamber Oil Level",
+            value: 20,  // Volume of oil in the air chamber, more oil makes the spring more progressive
+            unit: "cc",
+            min: 0,
+            max: 500,
+            step: 1,
+            category: "Rear Shock Spring",
+            description: "Oil in the air chamber, more oil makes the air spring more progressive"
+        },
+        rearShockAirPistonDiameter: {
+            displayName: "Rear Shock Air Piston Diameter",
+            value: 0.03,
+            unit: "m",
+            min: 0.01,
+            max: 0.08,
+            step: 0.001,
+            category: "Rear Shock Spring",
+            description: "Air spring piston diameter"
+        },
+        rearShockDamperType: {
+            displayName: "Rear Shock Damper Type",
+            value: "adjustable",  // adjustable, or table to use the force/velocity table
+            unit: "",
+            options: DAMPER_TYPES,
+            category: "Rear Shock Damping",
+            description: "Adjustable low and high speed circuits, or a force/velocity table"
+        },
+        rearShockLowSpeedCompression: {
+            displayName: "Rear Shock Low Speed Compression",
+            value: 4000,
+            unit: "N·s/m",
+            min: 0,
+            max: 40000,
+            step: 50,
+            category: "Rear Shock Damping",
+            description: "Compression damping below the knee velocity"
+        },
+        rearShockHighSpeedCompression: {
+            displayName: "Rear Shock High Speed Compression",
+            value: 1200,
+            unit: "N·s/m",
+            min: 0,
+            max: 40000,
+            step: 50,
+            category: "Rear Shock Damping",
+            description: "Compression damping above the knee velocity"
+        },
+        rearShockCompressionKnee: {
+            displayName: "Rear Shock Compression Knee Velocity",
+            value: 0.15,  // Where the high speed compression circuit opens
+            unit: "m/s",
+            min: 0.01,
+            max: 5,
+            step: 0.01,
+            category: "Rear Shock Damping",
+            description: "Shaft velocity where the high speed compression circuit opens"
+        },
+        rearShockLowSpeedRebound: {
+            displayName: "Rear Shock Low Speed Rebound",
+            value: 7000,
+            unit: "N·s/m",
+            min: 0,
+            max: 40000,
+            step: 50,
+            category: "Rear Shock Damping",
+            description: "Rebound damping below the knee velocity"
+        },
+        rearShockHighSpeedRebound: {
+            displayName: "Rear Shock High Speed Rebound",
+            value: 2000,
+            unit: "N·s/m",
+            min: 0,
+            max: 40000,
+            step: 50,
+            category: "Rear Shock Damping",
+            description: "Rebound damping above the knee velocity"
+        },
+        rearShockReboundKnee: {
+            displayName: "Rear Shock Rebound Knee Velocity",
+            value: 0.15,  // Where the high speed rebound circuit opens
+            unit: "m/s",
+            min: 0.01,
+            max: 5,
+            step: 0.01,
+            category: "Rear Shock Damping",
+            description: "Shaft velocity where the high speed rebound circuit opens"
+        },
+        rearShockDamperTable: {
+            displayName: "Rear Shock Damper Force/Velocity Table",
+            value: [  // Sorted by velocity, positive in compression
+                { velocity: -1, force: -2750 },
+                { velocity: -0.15, force: -1050 },
+                { velocity: 0, force: 0 },
+                { velocity: 0.15, force: 600 },
+                { velocity: 1, force: 1600 }
+            ],
+            unit: "N",
+            columns: [
+                { key: "velocity", displayName: "Shaft Velocity", unit: "m/s" },
+                { key: "force", displayName: "Force", unit: "N" }
+            ],
+            category: "Rear Shock Damping",
+            description: "Damper force at each shaft velocity, used by the table damper type"
+        }
+    },
+    drivetrain: {
+        engineTorqueCurve: {
+            displayName: "Engine Torque Curve",
+            value: [  // Full throttle torque, the last point is the rev limiter
+                { rpm: 1500, torque: 30 },
+                { rpm: 4000, torque: 45 },
+                { rpm: 7000, torque: 50 },
+                { rpm: 9000, torque: 42 },
+                { rpm: 10500, torque: 30 }
+            ],
+            unit: "Nm",
+            columns: [
+                { key: "rpm", displayName: "Engine Speed", unit: "rpm" },
+                { key: "torque", displayName: "Torque", unit: "Nm" }
+            ],
+            category: "Drivetrain",
+            description: "Full throttle torque at each engine speed, the last point is the rev limiter"
+        },
+        gearRatio: {
+            displayName: "Overall Gear Ratio",
+            value: 10,  // Primary x gearbox x final drive
+            unit: "",
+            min: 1,
+            max: 60,
+            step: 0.1,
+            category: "Drivetrain",
+            description: "Engine revolutions per rear wheel revolution in the selected gear"
+        }
+    },
+    brakes: {
+        frontBrakeMaxTorque: {
+            displayName: "Front Brake Max Torque",
+            value: 1500,
+            unit: "Nm",
+            min: 0,
+            max: 5000,
+            step: 10,
+            category: "Brakes",
+            description: "Front brake torque at full lever"
+        },
+        rearBrakeMaxTorque: {
+            displayName: "Rear Brake Max Torque",
+            value: 500,
+            unit: "Nm",
+            min: 0,
+            max: 3000,
+            step: 10,
+            category: "Brakes",
+            description: "Rear brake torque at full pedal"
+        },
+        rearBrakeFloatingCaliper: {
+            displayName: "Rear Floating Caliper",
+            value: false,  // When false the rear caliper is mounted on the swingarm
+            unit: "",
+            category: "Brakes",
+            description: "Mount the rear caliper on a torque rod to the frame instead of the swingarm"
+        },
+        rearCaliperArmLength: {
+            displayName: "Rear Caliper Arm Length",
+            value: 0.1,  // From the rear axle up to the torque rod
+            unit: "m",
+            min: 0.02,
+            max: 0.3,
+            step: 0.001,
+            category: "Brakes",
+            description: "From the rear axle up to the torque rod"
+        },
+        rearTorqueRodFrameMountHeight: {
+            displayName: "Rear Torque Rod Frame Mount Height",
+            value: 0.1,  // Above the swing arm pivot, equal to the arm length gives a parallel rod
+            unit: "m",
+            min: -0.2,
+            max: 0.4,
+            step: 0.001,
+            category: "Brakes",
+            description: "Torque rod frame mount above the swing arm pivot"
+        }
+    },
+    mass: {
+        chassisMass: {
+            displayName: "Chassis Mass",
+            value: 110,  // Without the rider
+            unit: "kg",
+            min: 10,
+            max: 400,
+            step: 0.5,
+            category: "Sprung Mass",
+            description: "Frame, engine, tank, bodywork and top fork tubes, without the rider"
+        },
+        chassisCenterOfMassForward: {
+            displayName: "Chassis CoG Forward of Pivot",
+            value: 0.35,  // Measured along the chassis, which faces negative x
+            unit: "m",
+            min: -0.3,
+            max: 1,
+            step: 0.001,
+            category: "Sprung Mass",
+            description: "Chassis centre of mass forward of the swing arm pivot"
+        },
+        chassisCenterOfMassHeight: {
+            displayName: "Chassis CoG Above Pivot",
+            value: 0.1,
+            unit: "m",
+            min: -0.3,
+            max: 0.8,
+            step: 0.001,
+            category: "Sprung Mass",
+            description: "Chassis centre of mass above the swing arm pivot"
+        },
+        chassisInertia: {
+            displayName: "Chassis Pitch Inertia",
+            value: 15,  // About the chassis centre of mass
+            unit: "kg·m²",
+            min: 0.5,
+            max: 100,
+            step: 0.1,
+            category: "Sprung Mass",
+            description: "Rotational inertia of the chassis about its centre of mass"
+        },
+        forkLowerMass: {
+            displayName: "Fork Lower Mass",
+            value: 6,  // Centred on the lower fork tubes
+            unit: "kg",
+            min: 0.5,
+            max: 30,
+            step: 0.1,
+            category: "Unsprung Mass",
+            description: "Lower fork tubes, axle and front caliper, which move with the front wheel"
+        },
+        forkLowerInertia: {
+            displayName: "Fork Lower Inertia",
+            value: 0.1,
+            unit: "kg·m²",
+            min: 0.001,
+            max: 2,
+            step: 0.001,
+            category: "Unsprung Mass",
+            description: "Rotational inertia of the lower fork about its centre of mass"
+        },
+        frontWheelMass: {
+            displayName: "Front Wheel Mass",
+            value: 10,  // Centred on the axle
+            unit: "kg",
+            min: 1,
+            max: 40,
+            step: 0.1,
+            category: "Unsprung Mass",
+            description: "Front rim, hub, spokes, tyre and brake disc"
+        },
+        frontWheelInertia: {
+            displayName: "Front Wheel Inertia",
+            value: 0.6,
+            unit: "kg·m²",
+            min: 0.01,
+            max: 5,
+            step: 0.01,
+            category: "Unsprung Mass",
+            description: "Rotational inertia of the front wheel about its axle"
+        },
+        swingarmMass: {
+            displayName: "Swingarm Mass",
+            value: 6,  // Centred halfway along the swingarm
+            unit: "kg",
+            min: 0.5,
+            max: 40,
+            step: 0.1,
+            category: "Unsprung Mass",
+            description: "Swingarm and chain adjusters, half of which moves with the rear wheel"
+        },
+        swingarmInertia: {
+            displayName: "Swingarm Inertia",
+            value: 0.15,
+            unit: "kg·m²",
+            min: 0.001,
+            max: 5,
+            step: 0.001,
+            category: "Unsprung Mass",
+            description: "Rotational inertia of the swingarm about its centre of mass"
+        },
+        rearWheelMass: {
+            displayName: "Rear Wheel Mass",
+            value: 14,  // Centred on the axle
+            unit: "kg",
+            min: 1,
+            max: 60,
+            step: 0.1,
+            category: "Unsprung Mass",
+            description: "Rear rim, hub, spokes, tyre, sprocket and brake disc"
         },
-        density: {
-            displayName: "Component Density",
-            value: 0.01,
-            unit: "kg/m³"
+        rearWheelInertia: {
+            displayName: "Rear Wheel Inertia",
+            value: 0.9,
+            unit: "kg·m²",
+            min: 0.01,
+            max: 5,
+            step: 0.01,
+            category: "Unsprung Mass",
+            description: "Rotational inertia of the rear wheel about its axle"
         }
     }
 }; 
\ No newline at end of file
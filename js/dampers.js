@@ -0,0 +1,121 @@
+/**
+ * Hydraulic damper models. Each damper maps the shaft velocity, positive in
+ * compression, to the force resisting that motion, which is positive in
+ * compression and negative in rebound.
+ */
+
+export const DAMPER_TYPES = ['adjustable', 'table'];
+
+/**
+ * Damper with separate compression and rebound circuits. Each circuit has a
+ * low-speed bleed up to its knee velocity, where the high-speed shim stack
+ * blows off and the force rises at the high-speed rate.
+ */
+class AdjustableDamper {
+    /**
+     * @param {Object} settings - See createDamper
+     */
+    constructor(settings) {
+        this.compression = AdjustableDamper.validateCircuit('compression', settings.compression);
+        this.rebound = AdjustableDamper.validateCircuit('rebound', settings.rebound);
+    }
+
+    static validateCircuit(name, circuit) {
+        if (!circuit || !(circuit.lowSpeed >= 0) || !(circuit.highSpeed >= 0)) {
+            throw new Error(`Invalid damper: ${name} low and high speed damping must not be negative`);
+        }
+        if (!(circuit.knee > 0)) {
+            throw new Error(`Invalid damper: ${name} knee velocity must be positive`);
+        }
+        return circuit;
+    }
+
+    /**
+     * @param {number} velocity - Shaft velocity in m/s, positive in compression
+     * @returns {number} Damping force in N
+     */
+    force(velocity) {
+        const circuit = velocity >= 0 ? this.compression : this.rebound;
+        const speed = Math.abs(velocity);
+        const lowSpeedForce = circuit.lowSpeed * Math.min(speed, circuit.knee);
+        const highSpeedForce = circuit.highSpeed * Math.max(0, speed - circuit.knee);
+        return Math.sign(velocity) * (lowSpeedForce + highSpeedForce);
+    }
+}
+
+/**
+ * Damper defined by a measured force/velocity table, such as a dyno plot.
+ * Forces are interpolated between points and extrapolated along the end segments.
+ */
+class TableDamper {
+    /**
+     * @param {Object} settings - See createDamper
+     */
+    constructor(settings) {
+        const table = settings.table;
+        if (!Array.isArray(table) || table.length < 2) {
+            throw new Error('Invalid damper: the force/velocity table must have at least two points');
+        }
+        for (let i = 1; i < table.length; i++) {
+            if (table[i].velocity <= table[i - 1].velocity) {
+                throw new Error('Invalid damper: the force/velocity table must be sorted by increasing velocity');
+            }
+        }
+        this.table = table;
+    }
+
+    force(velocity) {
+        const table = this.table;
+        let upper = table.findIndex(point => point.velocity >= velocity);
+        if (upper === -1) {
+            upper = table.length - 1;
+        } else if (upper === 0) {
+            upper = 1;
+        }
+        const a = table[upper - 1];
+        const b = table[upper];
+        const t = (velocity - a.velocity) / (b.velocity - a.velocity);
+        return a.force + (b.force - a.force) * t;
+    }
+}
+
+/**
+ * Create a damper model
+ * @param {Object} settings - Damper settings
+ * @param {string} settings.type - One of DAMPER_TYPES
+ * @param {Object} [settings.compression] - Compression circuit of an adjustable damper
+ * @param {number} settings.compression.lowSpeed - Low-speed damping in N·s/m
+ * @param {number} settings.compression.highSpeed - High-speed damping in N·s/m
+ * @param {number} settings.compression.knee - Velocity where the high-speed circuit opens in m/s
+ * @param {Object} [settings.rebound] - Rebound circuit of an adjustable damper, as for compression
+ * @param {Array<{velocity: number, force: number}>} [settings.table] - Force in N against velocity in m/s, sorted by velocity, positive in compression
+ * @returns {AdjustableDamper|TableDamper} The damper
+ */
+export function createDamper(settings) {
+    switch (settings.type) {
+        case 'adjustable':
+            return new AdjustableDamper(settings);
+        case 'table':
+            return new TableDamper(settings);
+        default:
+            throw new Error(`Invalid damper type "${settings.type}": must be one of ${DAMPER_TYPES.join(', ')}`);
+    }
+}
+
+/**
+ * Damper force to apply over a time step so that stiff damping stays stable.
+ * An explicit force resists the velocity at the start of the step and
+ * overshoots once the damping rate exceeds what the moving mass can absorb
+ * in one step. Scaling it as an implicit Euler step keeps the force
+ * unchanged at low damping and stops the motion within a step at very high damping.
+ * @param {number} force - Damper force at the current velocity in N
+ * @param {number} velocity - Shaft velocity in m/s
+ * @param {number} effectiveMass - Mass moved along the damper axis in kg
+ * @param {number} dt - Time step in seconds
+ * @returns {number} The force to apply in N
+ */
+export function stableDamperForce(force, velocity, effectiveMass, dt) {
+    if (velocity === 0 || !(effectiveMass > 0) || !(dt > 0)) return force;
+    const damping = Math.max(0, force / velocity);
+    return force / (1 + damping * dt / effectiveMass);
+}
@@ -105,4 +105,104 @@ export function triangleFromVerticesAndEdges(vertexA, vertexB, lengthA, lengthB)
         vertexA.x + lengthA * Math.cos(edgeAngle - angleA),
         vertexA.y + lengthA * Math.sin(edgeAngle - angleA)
     );
-} 
\ No newline at end of file
+} 
+
+export function angleAtDistance(fixedPoint, radius, targetDistance, nearAngle = 0) {
+    // Validate input parameters
+    if (!fixedPoint || typeof radius !== 'number' || typeof targetDistance !== 'number') {
+        throw new Error('Invalid input: fixedPoint must be a point with x,y coordinates, radius and targetDistance must be numbers');
+    }
+    if (radius <= 0 || targetDistance <= 0) {
+        throw new Error('Invalid input: radius and targetDistance must be positive');
+    }
+
+    // Find the angle of a point orbiting the origin at the given radius whose
+    // distance to fixedPoint equals targetDistance (law of cosines)
+    const fixedDistance = distance(Vec2(0, 0), fixedPoint);
+    const cosDelta = (fixedDistance * fixedDistance + radius * radius - targetDistance * targetDistance)
+        / (2 * fixedDistance * radius);
+    if (cosDelta < -1 || cosDelta > 1) {
+        throw new Error('Invalid triangle: each side must be less than the sum of the other two sides');
+    }
+    const delta = Math.acos(cosDelta);
+    const fixedAngle = Math.atan2(fixedPoint.y, fixedPoint.x);
+
+    // Of the two solutions, keep the one on the same side of the origin-fixedPoint line as nearAngle
+    const side = Math.sin(nearAngle - fixedAngle) >= 0 ? 1 : -1;
+    const angle = fixedAngle + side * delta;
+
+    // Wrap into the range (-PI, PI]
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+export function lineIntersection(a1, a2, b1, b2) {
+    // Intersection of the infinite lines through a1-a2 and b1-b2, null if they are parallel
+    const d1 = Vec2(a2.x - a1.x, a2.y - a1.y);
+    const d2 = Vec2(b2.x - b1.x, b2.y - b1.y);
+    const denominator = d1.x * d2.y - d1.y * d2.x;
+    if (Math.abs(denominator) < 1e-12) {
+        return null;
+    }
+
+    const t = ((b1.x - a1.x) * d2.y - (b1.y - a1.y) * d2.x) / denominator;
+    return Vec2(a1.x + d1.x * t, a1.y + d1.y * t);
+}
+
+export function sprocketPitchRadius(teeth, pitch) {
+    if (!(teeth >= 3) || !(pitch > 0)) {
+        throw new Error('Invalid sprocket: must have at least 3 teeth and a positive chain pitch');
+    }
+    return pitch / (2 * Math.sin(Math.PI / teeth));
+}
+
+export function externalTangentPoints(center1, radius1, center2, radius2, side) {
+    // Find the line touching both circles on the same side, which is the side
+    // whose normal points along the given side direction
+    const dx = center2.x - center1.x;
+    const dy = center2.y - center1.y;
+    const centerDistance = Math.sqrt(dx * dx + dy * dy);
+    if (centerDistance <= Math.abs(radius1 - radius2)) {
+        throw new Error('Invalid circles: one circle is inside the other so there is no external tangent');
+    }
+
+    // The tangent normal n satisfies n . (center2 - center1) = radius1 - radius2
+    const ux = dx / centerDistance;
+    const uy = dy / centerDistance;
+    const cosAlpha = (radius1 - radius2) / centerDistance;
+    let sinAlpha = Math.sqrt(1 - cosAlpha * cosAlpha);
+    if (-uy * side.x + ux * side.y < 0) {
+        sinAlpha = -sinAlpha;
+    }
+    const normal = Vec2(
+        ux * cosAlpha - uy * sinAlpha,
+        uy * cosAlpha + ux * sinAlpha
+    );
+
+    return [
+        Vec2(center1.x + normal.x * radius1, center1.y + normal.y * radius1),
+        Vec2(center2.x + normal.x * radius2, center2.y + normal.y * radius2)
+    ];
+}
+
+export function circleIntersection(center1, radius1, center2, radius2, side) {
+    // Intersection of two circles, picking the one of the two points on the
+    // given side (+1 or -1) of the line from center1 to center2
+    const dx = center2.x - center1.x;
+    const dy = center2.y - center1.y;
+    const centerDistance = Math.sqrt(dx * dx + dy * dy);
+    if (centerDistance >= radius1 + radius2 || centerDistance <= Math.abs(radius1 - radius2)) {
+        throw new Error('Invalid circles: the circles do not intersect');
+    }
+
+    // Distance from center1 along the center line to the chord, and half the chord length
+    const along = (radius1 * radius1 - radius2 * radius2 + centerDistance * centerDistance) / (2 * centerDistance);
+    const halfChord = Math.sqrt(radius1 * radius1 - along * along);
+    const ux = dx / centerDistance;
+    const uy = dy / centerDistance;
+    const sign = side >= 0 ? 1 : -1;
+
+    return Vec2(
+        center1.x + ux * along - uy * halfChord * sign,
+        center1.y + uy * along + ux * halfChord * sign
+    );
+}
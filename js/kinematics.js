@@ -0,0 +1,265 @@
+import { Vec2 } from 'planck';
+import { triangleVerticesNamed, triangleFromVerticesAndEdges, angleAtDistance, sprocketPitchRadius } from './geometry.js';
+import { rearSuspensionGeometry, solveRearSuspension, swingarmAngleAtShockLength, shockLengthRate } from './rearLinkage.js';
+import { analyzeChassisGeometry } from './chassisGeometry.js';
+import { convertChannels } from './units.js';
+
+/**
+ * Static suspension kinematics: the motorcycle's geometry as a pure function of
+ * its parameters, and sweeps of each end through its travel that need no physics.
+ * Points are in the chassis frame, with the swing arm pivot at the origin, the
+ * motorcycle facing negative x and positive y downward.
+ */
+
+/**
+ * Curves produced by analyzeKinematics. Axle paths are measured from the
+ * topped out axle, rearward and upward, and changes from both ends topped out.
+ */
+export const KINEMATICS_CHANNELS = {
+    rear: [
+        { key: 'wheelTravel', displayName: 'Rear Wheel Travel', unit: 'm' },
+        { key: 'shockTravel', displayName: 'Shock Travel', unit: 'm' },
+        { key: 'leverageRatio', displayName: 'Leverage Ratio', unit: '' },
+        { key: 'axleX', displayName: 'Rear Axle Path Rearward', unit: 'm' },
+        { key: 'axleY', displayName: 'Rear Axle Path Rise', unit: 'm' },
+        { key: 'chainGrowth', displayName: 'Chain Growth', unit: 'm' },
+        { key: 'wheelbaseChange', displayName: 'Wheelbase Change', unit: 'm' },
+        { key: 'trailChange', displayName: 'Trail Change', unit: 'm' }
+    ],
+    front: [
+        { key: 'wheelTravel', displayName: 'Front Wheel Travel', unit: 'm' },
+        { key: 'forkTravel', displayName: 'Fork Travel', unit: 'm' },
+        { key: 'axleX', displayName: 'Front Axle Path Rearward', unit: 'm' },
+        { key: 'axleY', displayName: 'Front Axle Path Rise', unit: 'm' },
+        { key: 'wheelbaseChange', displayName: 'Wheelbase Change', unit: 'm' },
+        { key: 'trailChange', displayName: 'Trail Change', unit: 'm' }
+    ]
+};
+
+/**
+ * Calculate the frame hardpoints and suspension limits for a set of parameters.
+ * Throws a descriptive error if the parameters do not form a valid geometry.
+ * @param {Object} params - Motorcycle parameters
+ * @returns {Object} The frame vertices, rear shock upper pivot, fork axis, swingarm limits, rear suspension layout and chain drive
+ */
+export function computeMotorcycleGeometry(params) {
+    // Generate frame geometry
+    const frameVertices = triangleVerticesNamed(
+        params.frame.headTubeLength,
+        params.frame.swingArmPivotToHeadTubeTopCenter,
+        params.frame.swingArmPivotToHeadTubeBottomCenter
+    );
+    const swingArmPivot = frameVertices[0];
+    const headTubeBottom = frameVertices[1];
+    const headTubeTop = frameVertices[2];
+
+    // Calculate rear shock upper pivot point
+    let rearShockUpperPivot;
+    try {
+        rearShockUpperPivot = triangleFromVerticesAndEdges(
+            headTubeTop,
+            swingArmPivot,
+            params.frame.rearShockUpperPivotToHeadTubeTop.value,
+            params.frame.rearShockUpperPivotToFramePivot.value
+        );
+    } catch (error) {
+        throw new Error(`Invalid geometry: "${params.frame.rearShockUpperPivotToHeadTubeTop.displayName}" and "${params.frame.rearShockUpperPivotToFramePivot.displayName}" cannot form a valid triangle with the frame`);
+    }
+
+    // Calculate fork axis
+    const forkAxis = Vec2(
+        headTubeTop.x - headTubeBottom.x,
+        headTubeTop.y - headTubeBottom.y
+    );
+    forkAxis.normalize();
+
+    // The swingarm rotation is limited to the angles where the shock is
+    // fully compressed and fully extended, which gives the shock its stroke limits
+    const shockUpperPivotLocal = Vec2(
+        rearShockUpperPivot.x - swingArmPivot.x,
+        rearShockUpperPivot.y - swingArmPivot.y
+    );
+    const rearSuspension = rearSuspensionGeometry(params, shockUpperPivotLocal);
+    const shockMountDistance = params.frame.rearShockSwingarmMountDistance.value;
+    const shockExtendedLength = params.frame.rearShockEyeToEyeLength.value;
+    const shockCompressedLength = shockExtendedLength - params.frame.rearShockStroke.value;
+    const swingarmAngleAtLength = (shockLength) => {
+        if (rearSuspension.layout !== 'direct') {
+            const angle = swingarmAngleAtShockLength(rearSuspension, shockLength);
+            if (angle === null) {
+                throw new Error(`Invalid geometry: the ${rearSuspension.layout} linkage cannot reach a shock length of ${shockLength.toFixed(3)}m from the rear shock upper pivot`);
+            }
+            return angle;
+        }
+        try {
+            return angleAtDistance(shockUpperPivotLocal, shockMountDistance, shockLength);
+        } catch (error) {
+            throw new Error(`Invalid geometry: "${params.frame.rearShockSwingarmMountDistance.displayName}" (${shockMountDistance}${params.frame.rearShockSwingarmMountDistance.unit}) cannot reach a shock length of ${shockLength.toFixed(3)}m from the rear shock upper pivot`);
+        }
+    };
+    const compressedAngle = swingarmAngleAtLength(shockCompressedLength);
+    const extendedAngle = swingarmAngleAtLength(shockExtendedLength);
+    const swingarmLowerAngle = Math.min(compressedAngle, extendedAngle);
+    const swingarmUpperAngle = Math.max(compressedAngle, extendedAngle);
+
+    // The rear end is assembled with the swingarm level, or as close to level as the shock allows
+    const swingarmBuildAngle = Math.min(swingarmUpperAngle, Math.max(swingarmLowerAngle, 0));
+    if (!solveRearSuspension(rearSuspension, swingarmBuildAngle)) {
+        throw new Error(`Invalid geometry: the ${rearSuspension.layout} linkage cannot be assembled between full extension and full compression`);
+    }
+
+    // Seat and chain drive, the motorcycle faces negative x and up is negative y
+    const seat = Vec2(
+        swingArmPivot.x - params.frame.seatForwardOfSwingArmPivot.value,
+        swingArmPivot.y - params.frame.seatAboveSwingArmPivot.value
+    );
+    const countershaft = Vec2(
+        swingArmPivot.x - params.frame.countershaftForwardOfSwingArmPivot.value,
+        swingArmPivot.y - params.frame.countershaftAboveSwingArmPivot.value
+    );
+    let frontSprocketRadius;
+    let rearSprocketRadius;
+    try {
+        frontSprocketRadius = sprocketPitchRadius(params.frame.frontSprocketTeeth.value, params.frame.chainPitch.value);
+        rearSprocketRadius = sprocketPitchRadius(params.frame.rearSprocketTeeth.value, params.frame.chainPitch.value);
+    } catch (error) {
+        throw new Error(`Invalid geometry: "${params.frame.frontSprocketTeeth.displayName}" and "${params.frame.rearSprocketTeeth.displayName}" must be at least 3 and "${params.frame.chainPitch.displayName}" must be positive`);
+    }
+
+    return {
+        swingArmPivot,
+        headTubeBottom,
+        headTubeTop,
+        rearShockUpperPivot,
+        forkAxis,
+        swingarmLowerAngle,
+        swingarmUpperAngle,
+        swingarmExtendedAngle: extendedAngle,
+        swingarmCompressedAngle: compressedAngle,
+        swingarmBuildAngle,
+        rearSuspension,
+        seat,
+        countershaft,
+        frontSprocketRadius,
+        rearSprocketRadius
+    };
+}
+
+/**
+ * Length of a chain wrapped around two sprockets
+ * @param {number} centerDistance - Distance between the sprocket centres
+ * @param {number} radius1 - Pitch radius of one sprocket
+ * @param {number} radius2 - Pitch radius of the other sprocket
+ * @returns {number} The chain length
+ */
+function chainLength(centerDistance, radius1, radius2) {
+    const difference = radius2 - radius1;
+    const run = Math.sqrt(centerDistance * centerDistance - difference * difference);
+    return 2 * run + Math.PI * (radius1 + radius2) + 2 * difference * Math.asin(difference / centerDistance);
+}
+
+/**
+ * Sweep the rear and front suspension through their travel without running
+ * the physics. The rear is swept with the fork topped out and the front with
+ * the rear topped out, from full extension to full compression.
+ * Throws a descriptive error if the parameters do not form a valid geometry.
+ * @param {Object} params - Motorcycle parameters
+ * @param {number} [steps=50] - Number of intervals across each end's travel
+ * @returns {{rear: Array<Object>, front: Array<Object>}} Points keyed by the KINEMATICS_CHANNELS names
+ */
+export function analyzeKinematics(params, steps = 50) {
+    const geometry = computeMotorcycleGeometry(params);
+    const { swingArmPivot, headTubeBottom, headTubeTop, forkAxis, swingarmExtendedAngle, swingarmCompressedAngle, rearSuspension, countershaft } = geometry;
+    const frame = params.frame;
+    const swingarmLength = frame.swingarmLength.value;
+
+    const rearAxleAt = (angle) => Vec2(swingarmLength * Math.cos(angle), swingarmLength * Math.sin(angle));
+    const frontAxleAt = (forkTravel) => Vec2.add(
+        headTubeTop,
+        Vec2.mul(forkAxis, forkTravel - frame.topForkTubeLength.value - frame.bottomForkTubeLength.value)
+    );
+    const chassisGeometry = (frontAxle, rearAxle) => analyzeChassisGeometry({
+        swingArmPivot,
+        headTubeBottom,
+        headTubeTop,
+        frontAxle,
+        rearAxle,
+        frontWheelRadius: frame.frontWheelDiameter.value / 2,
+        rearWheelRadius: frame.rearWheelDiameter.value / 2,
+        centerOfMass: swingArmPivot,  // The centre of mass and seat heights are not reported
+        seat: geometry.seat,
+        down: Vec2(0, 1)
+    });
+    const chain = (rearAxle) => chainLength(Vec2.distance(countershaft, rearAxle), geometry.frontSprocketRadius, geometry.rearSprocketRadius);
+
+    const extendedRearAxle = rearAxleAt(swingarmExtendedAngle);
+    const extendedFrontAxle = frontAxleAt(0);
+    const extendedChassis = chassisGeometry(extendedFrontAxle, extendedRearAxle);
+    const extendedChain = chain(extendedRearAxle);
+
+    const rear = [];
+    for (let i = 0; i <= steps; i++) {
+        const angle = swingarmExtendedAngle + (swingarmCompressedAngle - swingarmExtendedAngle) * i / steps;
+        const rearAxle = rearAxleAt(angle);
+        const chassis = chassisGeometry(extendedFrontAxle, rearAxle);
+
+        // Leverage ratio is the axle's rate of rise over the shock's rate of compression
+        const shock = solveRearSuspension(rearSuspension, angle);
+        const shockRate = shockLengthRate(rearSuspension, angle);
+        rear.push({
+            wheelTravel: extendedRearAxle.y - rearAxle.y,
+            shockTravel: shock ? frame.rearShockEyeToEyeLength.value - shock.shockLength : NaN,
+            leverageRatio: shockRate ? swingarmLength * Math.cos(angle) / shockRate : NaN,
+            axleX: rearAxle.x - extendedRearAxle.x,
+            axleY: extendedRearAxle.y - rearAxle.y,
+            chainGrowth: chain(rearAxle) - extendedChain,
+            wheelbaseChange: chassis.wheelbase - extendedChassis.wheelbase,
+            trailChange: chassis.trail - extendedChassis.trail
+        });
+    }
+
+    const front = [];
+    for (let i = 0; i <= steps; i++) {
+        const forkTravel = frame.forkStroke.value * i / steps;
+        const frontAxle = frontAxleAt(forkTravel);
+        const chassis = chassisGeometry(frontAxle, extendedRearAxle);
+        front.push({
+            wheelTravel: extendedFrontAxle.y - frontAxle.y,
+            forkTravel,
+            axleX: frontAxle.x - extendedFrontAxle.x,
+            axleY: extendedFrontAxle.y - frontAxle.y,
+            wheelbaseChange: chassis.wheelbase - extendedChassis.wheelbase,
+            trailChange: chassis.trail - extendedChassis.trail
+        });
+    }
+
+    return { rear, front };
+}
+
+/**
+ * Export a kinematics curve as CSV with a header row of channel names and units
+ * @param {Array<Object>} points - A curve from analyzeKinematics
+ * @param {Array<Object>} channels - The curve's channels from KINEMATICS_CHANNELS
+ * @param {string} [unitSystem] - A unit system from units.js, or none for the stored units
+ * @returns {string} The CSV text
+ */
+export function kinematicsToCSV(points, channels, unitSystem) {
+    const converted = convertChannels(channels, points, unitSystem);
+    const header = converted.channels.map(channel => channel.unit ? `${channel.key} (${channel.unit})` : channel.key);
+    const rows = converted.rows.map(point => channels.map(channel => point[channel.key]));
+    return [header, ...rows].map(row => row.join(',')).join('\n') + '\n';
+}
+
+/**
+ * Export both kinematics curves as JSON, including the channel descriptions
+ * @param {{rear: Array<Object>, front: Array<Object>}} analysis - The result of analyzeKinematics
+ * @param {string} [unitSystem] - A unit system from units.js, or none for the stored units
+ * @returns {string} The JSON text
+ */
+export function kinematicsToJSON(analysis, unitSystem) {
+    const curve = (end) => {
+        const { channels, rows } = convertChannels(KINEMATICS_CHANNELS[end], analysis[end], unitSystem);
+        return { channels, points: rows };
+    };
+    return JSON.stringify({ rear: curve('rear'), front: curve('front') }, null, 2);
+}
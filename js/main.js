@@ -3,6 +3,16 @@
 // Import simulation and configuration
 import { Simulation } from './Simulation.js';
 import { defaultParams } from './config.js';
+import { ChartPanel } from './ChartPanel.js';
+import { TimelinePanel } from './TimelinePanel.js';
+import { KinematicsPanel } from './KinematicsPanel.js';
+import { ShakerRigPanel } from './ShakerRigPanel.js';
+import { SagAssistantPanel } from './SagAssistantPanel.js';
+import { ParameterPanel } from './ParameterPanel.js';
+import { exportSetup, importSetup, encodeSetupHash, decodeSetupHash } from './setup.js';
+import { PRESETS, presetParams } from './presets.js';
+import { validateParams } from './schema.js';
+import { UNIT_SYSTEMS, DEFAULT_UNIT_SYSTEM, toDisplay, displayUnit } from './units.js';
 
 // Constants
 const CANVAS_MARGIN = 50; // Margin from edges
@@ -19,6 +29,9 @@ window.addEventListener('load', () => {
     // Initialize simulation
     const simulation = new Simulation(document.getElementById('canvas-container'), canvasSize);
 
+    // Unit system for the sliders, readouts, charts and exports. Parameters are always stored in SI units.
+    let unitSystem = DEFAULT_UNIT_SYSTEM;
+
     // Create control buttons container
     const controlButtonsContainer = document.createElement('div');
     controlButtonsContainer.style.display = 'flex';
@@ -51,22 +64,283 @@ window.addEventListener('load', () => {
     resetButton.textContent = 'Reset';
     resetButton.style.padding = '5px 10px';
 
+    // Step through a paused simulation one fixed time step at a time
+    const stepButton = document.createElement('button');
+    stepButton.textContent = 'Step';
+    stepButton.style.padding = '5px 10px';
+    stepButton.setAttribute('aria-label', 'Step one frame (.)');
+
     controlButtonsContainer.appendChild(simulationContainer);
+    controlButtonsContainer.appendChild(stepButton);
     controlButtonsContainer.appendChild(resetButton);
 
     controls.insertBefore(controlButtonsContainer, document.getElementById('sliders-container'));
 
+    // Create the camera controls. Dragging empty canvas pans and the mouse wheel zooms.
+    const cameraContainer = document.createElement('div');
+    cameraContainer.style.display = 'flex';
+    cameraContainer.style.alignItems = 'center';
+    cameraContainer.style.gap = '10px';
+    cameraContainer.style.marginBottom = '20px';
+
+    const followCheckbox = document.createElement('input');
+    followCheckbox.type = 'checkbox';
+    followCheckbox.id = 'followToggle';
+    followCheckbox.checked = false;
+
+    const followLabel = document.createElement('label');
+    followLabel.htmlFor = 'followToggle';
+    followLabel.textContent = 'Follow Bike';
+    followLabel.style.color = '#666';
+    followLabel.style.marginBottom = '0';
+
+    const fitButton = document.createElement('button');
+    fitButton.textContent = 'Fit to Scene';
+    fitButton.style.padding = '5px 10px';
+
+    const centerOfMassCheckbox = document.createElement('input');
+    centerOfMassCheckbox.type = 'checkbox';
+    centerOfMassCheckbox.id = 'centerOfMassToggle';
+    centerOfMassCheckbox.checked = simulation.showCenterOfMass;
+
+    const centerOfMassLabel = document.createElement('label');
+    centerOfMassLabel.htmlFor = 'centerOfMassToggle';
+    centerOfMassLabel.textContent = 'Show CoG';
+    centerOfMassLabel.style.color = '#666';
+    centerOfMassLabel.style.marginBottom = '0';
+
+    cameraContainer.appendChild(followCheckbox);
+    cameraContainer.appendChild(followLabel);
+    cameraContainer.appendChild(fitButton);
+    cameraContainer.appendChild(centerOfMassCheckbox);
+    cameraContainer.appendChild(centerOfMassLabel);
+
+    controls.insertBefore(cameraContainer, document.getElementById('sliders-container'));
+
+    followCheckbox.addEventListener('change', (e) => {
+        simulation.setFollowing(e.target.checked);
+    });
+
+    fitButton.addEventListener('click', () => {
+        simulation.fitToScene();
+    });
+
+    centerOfMassCheckbox.addEventListener('change', (e) => {
+        simulation.setShowCenterOfMass(e.target.checked);
+    });
+
+    // Create the physics timing controls: speed, fixed time step, substeps and solver iterations
+    const timingContainer = document.createElement('div');
+    timingContainer.style.display = 'grid';
+    timingContainer.style.gridTemplateColumns = 'auto 1fr';
+    timingContainer.style.gap = '5px 10px';
+    timingContainer.style.alignItems = 'center';
+    timingContainer.style.marginBottom = '20px';
+
+    const addTimingControl = (labelText, control) => {
+        const label = document.createElement('label');
+        label.htmlFor = control.id;
+        label.textContent = labelText;
+        label.style.color = '#666';
+        label.style.marginBottom = '0';
+        timingContainer.appendChild(label);
+        timingContainer.appendChild(control);
+    };
+
+    const createSelect = (id, choices, value) => {
+        const select = document.createElement('select');
+        select.id = id;
+        choices.forEach(choice => {
+            const option = document.createElement('option');
+            option.value = choice.value;
+            option.textContent = choice.displayName;
+            select.appendChild(option);
+        });
+        select.value = value;
+        return select;
+    };
+
+    const createCountInput = (id, value) => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.id = id;
+        input.min = 1;
+        input.step = 1;
+        input.value = value;
+        return input;
+    };
+
+    const timeScaleSelect = createSelect('timeScaleSelect',
+        [0.1, 0.25, 0.5, 1, 2, 4].map(scale => ({ value: scale, displayName: `${scale}×` })),
+        simulation.core.timeScale);
+    const timeStepSelect = createSelect('timeStepSelect',
+        [60, 120, 240, 480, 1000].map(rate => ({ value: rate, displayName: `${rate} Hz` })),
+        Math.round(1 / simulation.core.timeStep));
+    const substepsInput = createCountInput('substepsInput', simulation.core.substeps);
+    const velocityIterationsInput = createCountInput('velocityIterationsInput', simulation.core.velocityIterations);
+    const positionIterationsInput = createCountInput('positionIterationsInput', simulation.core.positionIterations);
+
+    addTimingControl('Speed', timeScaleSelect);
+    addTimingControl('Time Step', timeStepSelect);
+    addTimingControl('Substeps', substepsInput);
+    addTimingControl('Velocity Iterations', velocityIterationsInput);
+    addTimingControl('Position Iterations', positionIterationsInput);
+
+    controls.insertBefore(timingContainer, document.getElementById('sliders-container'));
+
+    timeScaleSelect.addEventListener('change', (e) => {
+        simulation.setTiming({ timeScale: parseFloat(e.target.value) });
+    });
+
+    timeStepSelect.addEventListener('change', (e) => {
+        simulation.setTiming({ timeStep: 1 / parseInt(e.target.value) });
+    });
+
+    // Counts that are not whole numbers of at least 1 go back to the current setting
+    [
+        [substepsInput, 'substeps'],
+        [velocityIterationsInput, 'velocityIterations'],
+        [positionIterationsInput, 'positionIterations']
+    ].forEach(([input, name]) => {
+        input.addEventListener('change', (e) => {
+            try {
+                simulation.setTiming({ [name]: Number(e.target.value) });
+            } catch (error) {
+                e.target.value = simulation.core[name];
+            }
+        });
+    });
+
+    // Create telemetry recording toggle and export buttons
+    const telemetryContainer = document.createElement('div');
+    telemetryContainer.style.display = 'flex';
+    telemetryContainer.style.alignItems = 'center';
+    telemetryContainer.style.gap = '10px';
+    telemetryContainer.style.marginBottom = '20px';
+
+    const recordCheckbox = document.createElement('input');
+    recordCheckbox.type = 'checkbox';
+    recordCheckbox.id = 'recordToggle';
+    recordCheckbox.checked = false;
+
+    const recordLabel = document.createElement('label');
+    recordLabel.htmlFor = 'recordToggle';
+    recordLabel.textContent = 'Record';
+    recordLabel.style.color = '#666';
+    recordLabel.style.marginBottom = '0';
+
+    const sampleCount = document.createElement('span');
+    sampleCount.className = 'value-display';
+    sampleCount.textContent = '0 samples';
+
+    const exportCSVButton = document.createElement('button');
+    exportCSVButton.textContent = 'CSV';
+    exportCSVButton.style.padding = '5px 10px';
+    exportCSVButton.setAttribute('aria-label', 'Export telemetry as CSV');
+
+    const exportJSONButton = document.createElement('button');
+    exportJSONButton.textContent = 'JSON';
+    exportJSONButton.style.padding = '5px 10px';
+    exportJSONButton.setAttribute('aria-label', 'Export telemetry as JSON');
+
+    telemetryContainer.appendChild(recordCheckbox);
+    telemetryContainer.appendChild(recordLabel);
+    telemetryContainer.appendChild(sampleCount);
+    telemetryContainer.appendChild(exportCSVButton);
+    telemetryContainer.appendChild(exportJSONButton);
+
+    controls.insertBefore(telemetryContainer, document.getElementById('sliders-container'));
+
+    recordCheckbox.addEventListener('change', (e) => {
+        if (e.target.checked) {
+            simulation.telemetry.start();
+        } else {
+            simulation.telemetry.stop();
+        }
+    });
+
+    // Save an export through a temporary download link
+    const download = (name, contents, type, extension) => {
+        const url = URL.createObjectURL(new Blob([contents], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${name}-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    exportCSVButton.addEventListener('click', () => {
+        download('telemetry', simulation.telemetry.exportCSV(unitSystem), 'text/csv', 'csv');
+    });
+
+    exportJSONButton.addEventListener('click', () => {
+        download('telemetry', simulation.telemetry.exportJSON(unitSystem), 'application/json', 'json');
+    });
+
+    setInterval(() => {
+        sampleCount.textContent = `${simulation.telemetry.samples.length} samples`;
+        // Panning or fitting the view stops following
+        followCheckbox.checked = simulation.camera.following;
+    }, 250);
+
+    // Create the timeline of the recorded run under the canvas
+    new TimelinePanel(document.getElementById('timeline-container'), simulation, {
+        onPause: () => {
+            simulationCheckbox.checked = false;
+        }
+    });
+
+    // Create live charts panel and its visibility toggle
+    const chartsContainer = document.getElementById('charts-container');
+    const chartPanel = new ChartPanel(chartsContainer, simulation.core, { unitSystem });
+
+    const chartsToggleContainer = document.createElement('div');
+    chartsToggleContainer.style.marginBottom = '20px';
+    chartsToggleContainer.style.display = 'flex';
+    chartsToggleContainer.style.alignItems = 'center';
+    chartsToggleContainer.style.gap = '10px';
+
+    const chartsCheckbox = document.createElement('input');
+    chartsCheckbox.type = 'checkbox';
+    chartsCheckbox.id = 'chartsToggle';
+    chartsCheckbox.checked = true;
+
+    const chartsLabel = document.createElement('label');
+    chartsLabel.htmlFor = 'chartsToggle';
+    chartsLabel.textContent = 'Show Charts';
+    chartsLabel.style.color = '#666';
+
+    chartsToggleContainer.appendChild(chartsCheckbox);
+    chartsToggleContainer.appendChild(chartsLabel);
+
+    controls.insertBefore(chartsToggleContainer, document.getElementById('sliders-container'));
+
+    chartsCheckbox.addEventListener('change', (e) => {
+        chartsContainer.style.display = e.target.checked ? 'block' : 'none';
+    });
+
     // Handle simulation toggle
     simulationCheckbox.addEventListener('change', (e) => {
         simulation.setRunning(e.target.checked);
     });
 
-    // Add space bar handler to toggle simulation
+    // Stepping pauses the simulation first
+    const stepOnce = () => {
+        simulationCheckbox.checked = false;
+        simulation.setRunning(false);
+        simulation.stepOnce();
+    };
+
+    stepButton.addEventListener('click', stepOnce);
+
+    // Add space bar handler to toggle simulation, and the period key to step it
     window.addEventListener('keydown', (e) => {
         if (e.code === 'Space' && !e.repeat) {
             e.preventDefault(); // Prevent page scrolling
             simulationCheckbox.checked = !simulationCheckbox.checked;
             simulation.setRunning(simulationCheckbox.checked);
+        } else if (e.code === 'Period' && e.target === document.body) {
+            stepOnce();
         }
     });
 
@@ -84,16 +358,21 @@ window.addEventListener('load', () => {
 
     // Create default frame parameters object
     const getDefaultParams = () => {
-        return defaultParams;
+        return JSON.parse(JSON.stringify(defaultParams));
+    };
+
+    // Values are shown in the selected unit system, rounded to three decimal places
+    const toDisplayValue = (config, value = config.value) => {
+        return Math.round(toDisplay(value, config.unit, unitSystem) * 1000) / 1000;
     };
 
-    // Get current parameters from UI sliders
+    const getDisplayUnit = (config) => {
+        return displayUnit(config.unit, unitSystem);
+    };
+
+    // Get current parameters from the UI
     const getCurrentParams = () => {
-        const currentParams = JSON.parse(JSON.stringify(defaultParams));
-        Object.keys(defaultParams.frame).forEach(key => {
-            currentParams.frame[key].value = parseInt(document.getElementById(key).value)/1000;
-        });
-        return currentParams;
+        return parameterPanel.getParams();
     };
 
     // Initialize the world with default values
@@ -127,137 +406,434 @@ window.addEventListener('load', () => {
         simulation.world.setGravity({ x: 0, y: gravity });
     });
 
-    // Create UI controls
-    const slidersContainer = document.getElementById('sliders-container');
-    Object.entries(defaultParams.frame).forEach(([key, config]) => {
-        const value_mm = config.value * 1000;
-
+    // Create a rider input control: a 0-100% slider plus a key that applies
+    // the full input while held and returns to the slider value on release
+    const createInputControl = (inputName, labelText, keyCode, keyName) => {
         const container = document.createElement('div');
         container.className = 'slider-container';
-        container.style.marginBottom = '15px';
-        
-        // Top row container
+        container.style.marginBottom = '20px';
+
         const topRow = document.createElement('div');
         topRow.style.display = 'flex';
-        topRow.style.alignItems = 'center';
-        topRow.style.gap = '10px';
-        topRow.style.marginBottom = '5px';
         topRow.style.justifyContent = 'space-between';
-        
+
         const label = document.createElement('label');
-        label.htmlFor = key;
-        label.textContent = config.displayName;
-        label.style.minWidth = '120px';
-        
-        // Right-aligned container for text input and units
-        const rightContainer = document.createElement('div');
-        rightContainer.style.display = 'flex';
-        rightContainer.style.alignItems = 'center';
-        rightContainer.style.gap = '5px';
-        
-        const textInput = document.createElement('input');
-        textInput.type = 'text';
-        textInput.id = `${key}Text`;
-        textInput.className = 'value-input';
-        textInput.value = value_mm;
-        textInput.style.width = '60px';
-        textInput.style.textAlign = 'right';
-        
-        const unitSpan = document.createElement('span');
-        unitSpan.className = 'unit-display';
-        unitSpan.textContent = 'mm';
-        unitSpan.style.minWidth = '40px';
-        
-        // Bottom row container
-        const bottomRow = document.createElement('div');
-        bottomRow.style.width = '100%';
-        
+        label.htmlFor = `${inputName}Control`;
+        label.textContent = `${labelText} (hold ${keyName} for full)`;
+        label.style.color = '#666';
+
+        const valueDisplay = document.createElement('span');
+        valueDisplay.className = 'value-display';
+        valueDisplay.textContent = '0%';
+
         const slider = document.createElement('input');
         slider.type = 'range';
-        slider.id = key;
-        slider.min = Math.round(value_mm * 0.5); // 50% of default
-        slider.max = Math.round(value_mm * 1.5); // 150% of default
-        slider.value = value_mm;
+        slider.id = `${inputName}Control`;
+        slider.min = 0;
+        slider.max = 100;
+        slider.value = 0;
         slider.style.width = '100%';
-        
-        // Assemble the layout
-        rightContainer.appendChild(textInput);
-        rightContainer.appendChild(unitSpan);
+        slider.setAttribute('aria-label', labelText);
+
         topRow.appendChild(label);
-        topRow.appendChild(rightContainer);
-        bottomRow.appendChild(slider);
-        
+        topRow.appendChild(valueDisplay);
         container.appendChild(topRow);
-        container.appendChild(bottomRow);
-        slidersContainer.appendChild(container);
-    });
+        container.appendChild(slider);
+
+        controls.insertBefore(container, document.getElementById('sliders-container'));
+
+        const setInput = (percent) => {
+            valueDisplay.textContent = `${percent}%`;
+            simulation.setInput(inputName, percent / 100);
+        };
 
-    // UI Event Handlers
-    // Handle slider changes
-    const sliders = document.querySelectorAll('input[type="range"]');
-    sliders.forEach(slider => {
+        // Handle slider changes
         slider.addEventListener('input', (e) => {
-            const value = e.target.value;
-            document.getElementById(`${e.target.id}Text`).value = value;
-            
-            const currentParams = getCurrentParams();
-            try {
-                simulation.updateBodies(currentParams);
-            } catch (error) {
-                // Revert the slider to its previous value
-                e.target.value = e.target.defaultValue;
-                document.getElementById(`${e.target.id}Text`).value = e.target.defaultValue;
-                alert(error.message);
+            setInput(parseInt(e.target.value));
+        });
+
+        // Hold the key for the full input, release to return to the slider value. Keys typed
+        // into a form field or held with a modifier, such as Ctrl+R to reload, are left alone.
+        window.addEventListener('keydown', (e) => {
+            const typing = ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName);
+            const modified = e.ctrlKey || e.metaKey || e.altKey;
+            if (e.code === keyCode && !e.repeat && !typing && !modified) {
+                if (keyCode === 'ArrowUp') {
+                    e.preventDefault(); // Prevent page scrolling
+                }
+                setInput(100);
             }
         });
+
+        window.addEventListener('keyup', (e) => {
+            if (e.code === keyCode) {
+                setInput(parseInt(slider.value));
+            }
+        });
+    };
+
+    createInputControl('throttle', 'Throttle', 'ArrowUp', '↑');
+    createInputControl('frontBrake', 'Front Brake', 'KeyF', 'F');
+    createInputControl('rearBrake', 'Rear Brake', 'KeyR', 'R');
+
+    // Create UI controls
+    const slidersContainer = document.getElementById('sliders-container');
+
+    // Parameter violations, each with a button to use the nearest valid value
+    const validationContainer = document.createElement('div');
+    validationContainer.id = 'validation-messages';
+    validationContainer.setAttribute('aria-live', 'polite');
+    validationContainer.style.color = '#B22222';
+    validationContainer.style.fontSize = '12px';
+    slidersContainer.appendChild(validationContainer);
+
+    // Unit system selection
+    const unitSystemContainer = document.createElement('div');
+    unitSystemContainer.className = 'slider-container';
+    unitSystemContainer.style.marginBottom = '15px';
+
+    const unitSystemLabel = document.createElement('label');
+    unitSystemLabel.htmlFor = 'unitSystemSelect';
+    unitSystemLabel.textContent = 'Units';
+
+    const unitSystemSelect = document.createElement('select');
+    unitSystemSelect.id = 'unitSystemSelect';
+    unitSystemSelect.style.width = '100%';
+    UNIT_SYSTEMS.forEach(system => {
+        const option = document.createElement('option');
+        option.value = system.key;
+        option.textContent = system.displayName;
+        unitSystemSelect.appendChild(option);
     });
+    unitSystemSelect.value = unitSystem;
 
-    // Handle text input changes
-    const textInputs = document.querySelectorAll('input[type="text"]');
-    textInputs.forEach(textInput => {
-        textInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                const value = parseInt(e.target.value);
-                const paramKey = e.target.id.replace('Text', '');
-                const slider = document.getElementById(paramKey);
-                const min = parseInt(slider.min);
-                const max = parseInt(slider.max);
-                
-                if (isNaN(value) || value < min || value > max) {
-                    // Revert to previous value if invalid
-                    e.target.value = slider.value;
-                    alert(`Please enter a valid number between ${min} and ${max}`);
-                    return;
-                }
-                
-                // Update slider
-                slider.value = value;
-                
-                const currentParams = getCurrentParams();
-                try {
-                    simulation.updateBodies(currentParams);
-                } catch (error) {
-                    // Revert all values on error
-                    slider.value = slider.defaultValue;
-                    e.target.value = slider.defaultValue;
-                    alert(error.message);
-                }
+    unitSystemContainer.appendChild(unitSystemLabel);
+    unitSystemContainer.appendChild(unitSystemSelect);
+    slidersContainer.appendChild(unitSystemContainer);
+
+    // Preset selection, which loads a reference motorcycle and returns to the prompt
+    const presetContainer = document.createElement('div');
+    presetContainer.className = 'slider-container';
+    presetContainer.style.marginBottom = '15px';
+
+    const presetLabel = document.createElement('label');
+    presetLabel.htmlFor = 'presetSelect';
+    presetLabel.textContent = 'Preset';
+
+    const presetSelect = document.createElement('select');
+    presetSelect.id = 'presetSelect';
+    presetSelect.style.width = '100%';
+    const presetPrompt = document.createElement('option');
+    presetPrompt.value = '';
+    presetPrompt.textContent = 'Load a reference motorcycle...';
+    presetSelect.appendChild(presetPrompt);
+    PRESETS.forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.key;
+        option.textContent = preset.displayName;
+        option.title = preset.description;
+        presetSelect.appendChild(option);
+    });
+
+    presetContainer.appendChild(presetLabel);
+    presetContainer.appendChild(presetSelect);
+    slidersContainer.appendChild(presetContainer);
+
+    // Parameter controls, which apply every value as it is entered
+    const parameterContainer = document.createElement('div');
+    slidersContainer.appendChild(parameterContainer);
+    const parameterPanel = new ParameterPanel(parameterContainer, getDefaultParams(), {
+        unitSystem,
+        onChange: () => applyCurrentParams()
+    });
+
+    // Create geometry readouts: the mass split, the static weight on each wheel, anti-squat
+    // plus the chassis geometry, static and at the current pose
+    const readoutsContainer = document.createElement('div');
+    readoutsContainer.className = 'value-display';
+    readoutsContainer.style.marginBottom = '20px';
+    readoutsContainer.setAttribute('aria-live', 'polite');
+
+    const massDisplay = document.createElement('div');
+    massDisplay.style.marginBottom = '5px';
+    readoutsContainer.appendChild(massDisplay);
+
+    const weightDisplay = document.createElement('div');
+    weightDisplay.style.marginBottom = '5px';
+    readoutsContainer.appendChild(weightDisplay);
+
+    const antiSquatDisplay = document.createElement('div');
+    antiSquatDisplay.style.marginBottom = '5px';
+    readoutsContainer.appendChild(antiSquatDisplay);
+
+    const geometryTable = document.createElement('table');
+    geometryTable.style.width = '100%';
+    geometryTable.style.fontSize = '12px';
+    const headerRow = geometryTable.insertRow();
+    ['', 'Static', 'Dynamic'].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        th.style.textAlign = text ? 'right' : 'left';
+        headerRow.appendChild(th);
+    });
+    readoutsContainer.appendChild(geometryTable);
+
+    controls.insertBefore(readoutsContainer, slidersContainer);
+
+    // Create the suspension kinematics plot, re-analyzed whenever the parameters change
+    const kinematicsContainer = document.createElement('div');
+    kinematicsContainer.style.marginBottom = '20px';
+    controls.insertBefore(kinematicsContainer, slidersContainer);
+    const kinematicsPanel = new KinematicsPanel(kinematicsContainer, getDefaultParams(), {
+        unitSystem,
+        onExport: (contents, type, extension) => download('kinematics', contents, type, extension)
+    });
+
+    // Create the shaker rig controls. Mounting the live simulation on the rig rebuilds its world.
+    const shakerContainer = document.createElement('div');
+    shakerContainer.style.marginBottom = '20px';
+    controls.insertBefore(shakerContainer, slidersContainer);
+    const shakerRigPanel = new ShakerRigPanel(shakerContainer, getDefaultParams(), {
+        onExport: (contents, type, extension) => download('frequency-response', contents, type, extension),
+        onMount: (options) => {
+            simulation.setShakerRig(options);
+            simulation.createWorld(appliedParams);
+        }
+    });
+
+    // Create the sag assistant, whose recommended spring settings are loaded like a preset
+    const sagContainer = document.createElement('div');
+    sagContainer.style.marginBottom = '20px';
+    controls.insertBefore(sagContainer, slidersContainer);
+    const sagAssistantPanel = new SagAssistantPanel(sagContainer, getDefaultParams(), {
+        unitSystem,
+        onApply: (params) => loadSetup(params)
+    });
+
+    // Angles are converted to degrees, lengths are shown in the selected unit system
+    const degrees = (radians) => radians * 180 / Math.PI;
+    const geometryReadouts = [
+        { key: 'rake', displayName: 'Rake', unit: '°', convert: degrees },
+        { key: 'trail', displayName: 'Trail', unit: 'm' },
+        { key: 'wheelbase', displayName: 'Wheelbase', unit: 'm' },
+        { key: 'forkOffset', displayName: 'Fork Offset', unit: 'm' },
+        { key: 'swingarmAngle', displayName: 'Swingarm Angle', unit: '°', convert: degrees },
+        { key: 'seatHeight', displayName: 'Seat Height', unit: 'm' },
+        { key: 'centerOfMassHeight', displayName: 'CoG Height', unit: 'm' }
+    ];
+    const geometryCells = geometryReadouts.map(readout => {
+        const row = geometryTable.insertRow();
+        row.insertCell().textContent = readout.displayName;
+        const staticCell = row.insertCell();
+        const dynamicCell = row.insertCell();
+        staticCell.style.textAlign = 'right';
+        dynamicCell.style.textAlign = 'right';
+        return { staticCell, dynamicCell };
+    });
+
+    // Round to one decimal place without showing negative zero
+    const formatReadout = (readout, value) => {
+        const converted = readout.convert ? readout.convert(value) : toDisplay(value, readout.unit, unitSystem);
+        const rounded = Math.round(converted * 10) / 10;
+        return `${(rounded || 0).toFixed(1)} ${displayUnit(readout.unit, unitSystem)}`;
+    };
+
+    // The dynamic values depend on the current pose, so refresh them periodically
+    const updateReadouts = () => {
+        const motorcycle = simulation.core.motorcycle;
+        if (!motorcycle) return;
+        const mass = motorcycle.getMassDistribution();
+        const massReadout = (value) => formatReadout({ unit: 'kg' }, value);
+        massDisplay.textContent = `Mass: ${massReadout(mass.total)}, sprung ${massReadout(mass.sprung)}, `
+            + `unsprung ${massReadout(mass.unsprung)} (front ${massReadout(mass.frontUnsprung)}, rear ${massReadout(mass.rearUnsprung)})`;
+
+        // The ground contacts only give the static split once the motorcycle stops moving
+        const weight = simulation.core.getWeightDistribution();
+        if (!weight) {
+            weightDisplay.textContent = 'Static weight: run the simulation to measure it';
+        } else if (weight.frontShare === null) {
+            weightDisplay.textContent = 'Static weight: not on the ground';
+        } else if (!weight.settled) {
+            weightDisplay.textContent = 'Static weight: waiting for the motorcycle to settle';
+        } else {
+            const forceReadout = (value) => formatReadout({ unit: 'N' }, value);
+            weightDisplay.textContent = `Static weight: ${(weight.frontShare * 100).toFixed(1)}% front (${forceReadout(weight.front)}), `
+                + `${((1 - weight.frontShare) * 100).toFixed(1)}% rear (${forceReadout(weight.rear)})`;
+        }
+        antiSquatDisplay.textContent = `Anti-squat: ${motorcycle.getAntiSquat().toFixed(0)}%`;
+
+        const staticGeometry = motorcycle.getStaticChassisGeometry();
+        const dynamicGeometry = motorcycle.getChassisGeometry();
+        geometryReadouts.forEach((readout, i) => {
+            geometryCells[i].staticCell.textContent = formatReadout(readout, staticGeometry[readout.key]);
+            geometryCells[i].dynamicCell.textContent = formatReadout(readout, dynamicGeometry[readout.key]);
+        });
+    };
+    updateReadouts();
+    setInterval(updateReadouts, 250);
+
+    // List the violations, or clear the list when there are none. Violations
+    // found by the schema get a button to use their suggested value.
+    const showViolations = (violations) => {
+        validationContainer.replaceChildren();
+        violations.forEach(violation => {
+            const row = document.createElement('div');
+            row.style.marginBottom = '5px';
+            const message = document.createElement('span');
+            message.textContent = violation.message;
+            row.appendChild(message);
+
+            if (violation.suggestion !== undefined) {
+                const config = defaultParams[violation.section][violation.key];
+                const unit = getDisplayUnit(config);
+                const button = document.createElement('button');
+                button.textContent = `Use ${toDisplayValue(config, violation.suggestion)}${unit ? ` ${unit}` : ''}`;
+                button.style.marginLeft = '5px';
+                button.addEventListener('click', () => {
+                    parameterPanel.setValue(violation.section, violation.key, violation.suggestion);
+                    applyCurrentParams();
+                });
+                row.appendChild(button);
             }
+            validationContainer.appendChild(row);
         });
+    };
+
+    // The world is rebuilt rather than updated after loading a setup, which can change the terrain
+    let rebuildPending = false;
+    let appliedParams = getDefaultParams();
+
+    // Validate the parameters in the UI and apply them if they are valid. Invalid
+    // values stay in the controls, listed with their suggestions, until they are fixed.
+    const applyCurrentParams = () => {
+        const currentParams = getCurrentParams();
+        const violations = validateParams(currentParams, unitSystem);
+        showViolations(violations);
+        if (violations.length > 0) return;
+
+        try {
+            if (rebuildPending) {
+                simulation.createWorld(currentParams);
+            } else {
+                simulation.updateBodies(currentParams);
+            }
+            kinematicsPanel.update(currentParams);
+            shakerRigPanel.update(currentParams);
+            sagAssistantPanel.update(currentParams);
+            rebuildPending = false;
+            appliedParams = currentParams;
+        } catch (error) {
+            if (rebuildPending) {
+                // Put back the last motorcycle that could be built
+                simulation.createWorld(appliedParams);
+            }
+            showViolations([{ message: error.message }]);
+        }
+    };
+
+    // Load a full set of parameters into the controls and rebuild the world from them
+    const loadSetup = (params) => {
+        parameterPanel.setParams(params);
+        rebuildPending = true;
+        applyCurrentParams();
+    };
+
+    presetSelect.addEventListener('change', (e) => {
+        if (e.target.value) {
+            loadSetup(presetParams(e.target.value));
+        }
+        e.target.value = '';
+    });
+
+    // Show the sliders, readouts, charts and kinematics in the chosen unit system
+    unitSystemSelect.addEventListener('change', (e) => {
+        unitSystem = e.target.value;
+        parameterPanel.setUnitSystem(unitSystem);
+        chartPanel.setUnitSystem(unitSystem);
+        kinematicsPanel.setUnitSystem(unitSystem);
+        sagAssistantPanel.setUnitSystem(unitSystem);
+        updateReadouts();
+        showViolations(validateParams(getCurrentParams(), unitSystem));
     });
 
     // Handle reset button
     resetButton.addEventListener('click', () => {
-        // Reset all sliders to default values
-        Object.entries(defaultParams.frame).forEach(([key, config]) => {
-            const value_mm = config.value * 1000;
-            const slider = document.getElementById(key);
-            const textInput = document.getElementById(`${key}Text`);
-            slider.value = value_mm;
-            textInput.value = value_mm;
-        });
+        // Reset all sliders, the rear suspension layout and the simulation to default values
+        loadSetup(getDefaultParams());
+    });
+
+    // Create setup save, load and share buttons
+    const setupContainer = document.createElement('div');
+    setupContainer.style.display = 'flex';
+    setupContainer.style.alignItems = 'center';
+    setupContainer.style.gap = '10px';
+    setupContainer.style.marginBottom = '20px';
+
+    const saveSetupButton = document.createElement('button');
+    saveSetupButton.textContent = 'Save Setup';
+    saveSetupButton.style.padding = '5px 10px';
+
+    const loadSetupButton = document.createElement('button');
+    loadSetupButton.textContent = 'Load Setup';
+    loadSetupButton.style.padding = '5px 10px';
+
+    const setupFileInput = document.createElement('input');
+    setupFileInput.type = 'file';
+    setupFileInput.accept = '.json,application/json';
+    setupFileInput.style.display = 'none';
+
+    const shareSetupButton = document.createElement('button');
+    shareSetupButton.textContent = 'Share Link';
+    shareSetupButton.style.padding = '5px 10px';
+    shareSetupButton.setAttribute('aria-label', 'Copy a link to this setup');
+
+    setupContainer.appendChild(saveSetupButton);
+    setupContainer.appendChild(loadSetupButton);
+    setupContainer.appendChild(setupFileInput);
+    setupContainer.appendChild(shareSetupButton);
+
+    controls.insertBefore(setupContainer, controlButtonsContainer.nextSibling);
+
+    saveSetupButton.addEventListener('click', () => {
+        download('setup', exportSetup(getCurrentParams()), 'application/json', 'json');
+    });
 
-        // Reset simulation
-        simulation.createWorld(getDefaultParams());
+    loadSetupButton.addEventListener('click', () => {
+        setupFileInput.click();
     });
+
+    setupFileInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow loading the same file again
+        if (!file) return;
+        try {
+            loadSetup(importSetup(await file.text()));
+        } catch (error) {
+            showViolations([{ message: error.message }]);
+        }
+    });
+
+    shareSetupButton.addEventListener('click', async () => {
+        const hash = encodeSetupHash(getCurrentParams());
+        history.replaceState(null, '', hash);
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+        } catch (error) {
+            // The link stays in the address bar when the clipboard is unavailable
+        }
+    });
+
+    // Load a setup shared through the URL
+    const loadSetupFromHash = () => {
+        try {
+            const params = decodeSetupHash(window.location.hash);
+            if (params) {
+                loadSetup(params);
+            }
+        } catch (error) {
+            showViolations([{ message: error.message }]);
+        }
+    };
+    loadSetupFromHash();
+    window.addEventListener('hashchange', loadSetupFromHash);
 }); 
\ No newline at end of file
@@ -0,0 +1,339 @@
+import { deserializeSetup, SETUP_FORMAT, SETUP_VERSION } from './setup.js';
+
+/**
+ * Reference motorcycles to start a setup from. Each preset lists only the
+ * values that differ from defaultParams, in the same form as a saved setup.
+ * Rake, wheelbase, wheel sizes, seat height, travel, masses and spring rates follow typical
+ * motorcycles of each class. The fork has no offset in this model, so trail
+ * comes out longer than on the real motorcycles. Masses exclude the rider.
+ */
+export const PRESETS = [
+    {
+        key: 'motocross',
+        displayName: 'Motocross',
+        description: '450cc motocross bike with a 21"/19" wheel pair, long travel and a linkless rear shock',
+        params: {
+            frame: {
+                swingArmPivotToHeadTubeTopCenter: 0.8175,
+                swingArmPivotToHeadTubeBottomCenter: 0.7714,
+                headTubeLength: 0.16,
+                topForkTubeLength: 0.5,
+                bottomForkTubeLength: 0.4,
+                frontWheelDiameter: 0.735,
+                swingarmLength: 0.58,
+                rearWheelDiameter: 0.69,
+                rearShockUpperPivotToHeadTubeTop: 0.8725,
+                rearShockUpperPivotToFramePivot: 0.5,
+                rearShockSwingarmMountDistance: 0.2019,
+                forkStroke: 0.31,
+                rearShockEyeToEyeLength: 0.48,
+                rearShockStroke: 0.13,
+                seatAboveSwingArmPivot: 0.371,
+                countershaftForwardOfSwingArmPivot: 0.07,
+                countershaftAboveSwingArmPivot: 0.01,
+                frontSprocketTeeth: 13,
+                rearSprocketTeeth: 50
+            },
+            suspension: {
+                forkSpringRate: 9.6,
+                forkSpringPreload: 0.005,
+                forkLowSpeedCompression: 1500,
+                forkHighSpeedCompression: 500,
+                forkLowSpeedRebound: 2500,
+                forkHighSpeedRebound: 800,
+                rearShockSpringRate: 54,
+                rearShockSpringPreload: 0.008,
+                rearShockLowSpeedCompression: 4000,
+                rearShockHighSpeedCompression: 1200,
+                rearShockLowSpeedRebound: 7000,
+                rearShockHighSpeedRebound: 2000
+            },
+            drivetrain: {
+                engineTorqueCurve: [{ rpm: 1500, torque: 25 }, { rpm: 4000, torque: 42 }, { rpm: 7000, torque: 49 }, { rpm: 9000, torque: 46 }, { rpm: 11500, torque: 36 }],
+                gearRatio: 14.9
+            },
+            brakes: {
+                frontBrakeMaxTorque: 900,
+                rearBrakeMaxTorque: 450
+            },
+            mass: {
+                chassisMass: 78,
+                chassisCenterOfMassForward: 0.3,
+                chassisCenterOfMassHeight: 0.12,
+                chassisInertia: 12,
+                forkLowerMass: 6,
+                frontWheelMass: 9,
+                frontWheelInertia: 0.55,
+                swingarmMass: 5,
+                swingarmInertia: 0.12,
+                rearWheelMass: 11,
+                rearWheelInertia: 0.75
+            }
+        }
+    },
+    {
+        key: 'sport',
+        displayName: 'Sport Bike',
+        description: '1000cc sport bike with 17" wheels, steep steering and a Pro-Link rear',
+        params: {
+            frame: {
+                swingArmPivotToHeadTubeTopCenter: 0.7474,
+                swingArmPivotToHeadTubeBottomCenter: 0.7187,
+                headTubeLength: 0.13,
+                topForkTubeLength: 0.38,
+                bottomForkTubeLength: 0.3,
+                frontWheelDiameter: 0.6,
+                swingarmLength: 0.58,
+                rearWheelDiameter: 0.635,
+                rearShockUpperPivotToHeadTubeTop: 0.8047,
+                rearShockUpperPivotToFramePivot: 0.3041,
+                forkStroke: 0.12,
+                rearShockEyeToEyeLength: 0.32,
+                rearShockStroke: 0.058,
+                seatAboveSwingArmPivot: 0.36,
+                countershaftForwardOfSwingArmPivot: 0.09,
+                countershaftAboveSwingArmPivot: 0.04,
+                frontSprocketTeeth: 16,
+                rearSprocketTeeth: 43
+            },
+            suspension: {
+                rearSuspensionLayout: 'proLink',
+                forkSpringRate: 19,
+                forkSpringPreload: 0.01,
+                forkLowSpeedCompression: 2250,
+                forkHighSpeedCompression: 750,
+                forkLowSpeedRebound: 3750,
+                forkHighSpeedRebound: 1200,
+                rearShockSpringRate: 95,
+                rearShockSpringPreload: 0.01,
+                rearShockLowSpeedCompression: 6400,
+                rearShockHighSpeedCompression: 1900,
+                rearShockLowSpeedRebound: 11200,
+                rearShockHighSpeedRebound: 3200
+            },
+            drivetrain: {
+                engineTorqueCurve: [{ rpm: 2000, torque: 50 }, { rpm: 5000, torque: 80 }, { rpm: 8000, torque: 100 }, { rpm: 11000, torque: 113 }, { rpm: 14000, torque: 95 }],
+                gearRatio: 11.2
+            },
+            brakes: {
+                frontBrakeMaxTorque: 2600,
+                rearBrakeMaxTorque: 350
+            },
+            mass: {
+                chassisMass: 160,
+                chassisCenterOfMassForward: 0.3,
+                chassisCenterOfMassHeight: 0.12,
+                chassisInertia: 25,
+                forkLowerMass: 8,
+                frontWheelMass: 10,
+                frontWheelInertia: 0.6,
+                swingarmMass: 9,
+                swingarmInertia: 0.25,
+                rearWheelMass: 13,
+                rearWheelInertia: 0.9
+            }
+        }
+    },
+    {
+        key: 'adventure',
+        displayName: 'Adventure',
+        description: '1300cc adventure bike with a 21"/17" wheel pair, long wheelbase and a stiff rear spring for luggage',
+        params: {
+            frame: {
+                swingArmPivotToHeadTubeTopCenter: 0.8434,
+                swingArmPivotToHeadTubeBottomCenter: 0.8115,
+                headTubeLength: 0.15,
+                topForkTubeLength: 0.46,
+                bottomForkTubeLength: 0.38,
+                frontWheelDiameter: 0.72,
+                swingarmLength: 0.6,
+                rearWheelDiameter: 0.67,
+                rearShockUpperPivotToHeadTubeTop: 0.8924,
+                rearShockUpperPivotToFramePivot: 0.4205,
+                rearShockSwingarmMountDistance: 0.2133,
+                forkStroke: 0.22,
+                rearShockEyeToEyeLength: 0.4,
+                rearShockStroke: 0.09,
+                seatAboveSwingArmPivot: 0.316,
+                countershaftForwardOfSwingArmPivot: 0.08,
+                countershaftAboveSwingArmPivot: 0.03,
+                frontSprocketTeeth: 16,
+                rearSprocketTeeth: 45
+            },
+            suspension: {
+                forkSpringRate: 16,
+                forkSpringPreload: 0.012,
+                forkLowSpeedCompression: 2100,
+                forkHighSpeedCompression: 700,
+                forkLowSpeedRebound: 3500,
+                forkHighSpeedRebound: 1100,
+                rearShockSpringRate: 150,
+                rearShockSpringPreload: 0.012,
+                rearShockLowSpeedCompression: 8000,
+                rearShockHighSpeedCompression: 2400,
+                rearShockLowSpeedRebound: 14000,
+                rearShockHighSpeedRebound: 4000
+            },
+            drivetrain: {
+                engineTorqueCurve: [{ rpm: 1500, torque: 80 }, { rpm: 3000, torque: 110 }, { rpm: 6500, torque: 140 }, { rpm: 8000, torque: 132 }, { rpm: 9500, torque: 115 }],
+                gearRatio: 13.6
+            },
+            brakes: {
+                frontBrakeMaxTorque: 2400,
+                rearBrakeMaxTorque: 600
+            },
+            mass: {
+                chassisMass: 190,
+                chassisCenterOfMassForward: 0.3,
+                chassisCenterOfMassHeight: 0.12,
+                chassisInertia: 34,
+                forkLowerMass: 9,
+                frontWheelMass: 12,
+                frontWheelInertia: 0.8,
+                swingarmMass: 10,
+                swingarmInertia: 0.3,
+                rearWheelMass: 14,
+                rearWheelInertia: 1
+            }
+        }
+    },
+    {
+        key: 'trials',
+        displayName: 'Trials',
+        description: '300cc two-stroke trials bike with short, steep steering and very soft springs',
+        params: {
+            frame: {
+                swingArmPivotToHeadTubeTopCenter: 0.7459,
+                swingArmPivotToHeadTubeBottomCenter: 0.6993,
+                headTubeLength: 0.14,
+                topForkTubeLength: 0.42,
+                bottomForkTubeLength: 0.36,
+                frontWheelDiameter: 0.69,
+                swingarmLength: 0.54,
+                rearWheelDiameter: 0.66,
+                rearShockUpperPivotToHeadTubeTop: 0.7861,
+                rearShockUpperPivotToFramePivot: 0.3606,
+                rearShockSwingarmMountDistance: 0.1943,
+                forkStroke: 0.175,
+                rearShockEyeToEyeLength: 0.34,
+                rearShockStroke: 0.07,
+                seatAboveSwingArmPivot: 0.106,
+                countershaftForwardOfSwingArmPivot: 0.06,
+                countershaftAboveSwingArmPivot: 0.03,
+                frontSprocketTeeth: 11,
+                rearSprocketTeeth: 41
+            },
+            suspension: {
+                forkSpringRate: 7,
+                forkSpringPreload: 0.003,
+                forkLowSpeedCompression: 900,
+                forkHighSpeedCompression: 300,
+                forkLowSpeedRebound: 1500,
+                forkHighSpeedRebound: 500,
+                rearShockSpringRate: 50,
+                rearShockSpringPreload: 0.005,
+                rearShockLowSpeedCompression: 3200,
+                rearShockHighSpeedCompression: 950,
+                rearShockLowSpeedRebound: 5600,
+                rearShockHighSpeedRebound: 1600
+            },
+            drivetrain: {
+                engineTorqueCurve: [{ rpm: 1000, torque: 18 }, { rpm: 3000, torque: 28 }, { rpm: 5000, torque: 30 }, { rpm: 7000, torque: 24 }, { rpm: 8500, torque: 15 }],
+                gearRatio: 25
+            },
+            brakes: {
+                frontBrakeMaxTorque: 450,
+                rearBrakeMaxTorque: 250
+            },
+            mass: {
+                chassisMass: 50,
+                chassisCenterOfMassForward: 0.3,
+                chassisCenterOfMassHeight: 0.12,
+                chassisInertia: 6,
+                forkLowerMass: 4,
+                frontWheelMass: 6,
+                frontWheelInertia: 0.35,
+                swingarmMass: 4,
+                swingarmInertia: 0.08,
+                rearWheelMass: 8,
+                rearWheelInertia: 0.5
+            }
+        }
+    },
+    {
+        key: 'pitBike',
+        displayName: 'Pit Bike',
+        description: '125cc pit bike with a 17"/14" wheel pair and a short wheelbase',
+        params: {
+            frame: {
+                swingArmPivotToHeadTubeTopCenter: 0.6953,
+                swingArmPivotToHeadTubeBottomCenter: 0.665,
+                headTubeLength: 0.12,
+                topForkTubeLength: 0.36,
+                bottomForkTubeLength: 0.31,
+                frontWheelDiameter: 0.56,
+                swingarmLength: 0.45,
+                rearWheelDiameter: 0.5,
+                rearShockUpperPivotToHeadTubeTop: 0.7363,
+                rearShockUpperPivotToFramePivot: 0.3306,
+                rearShockSwingarmMountDistance: 0.1602,
+                forkStroke: 0.18,
+                rearShockEyeToEyeLength: 0.31,
+                rearShockStroke: 0.07,
+                seatAboveSwingArmPivot: 0.322,
+                countershaftForwardOfSwingArmPivot: 0.06,
+                countershaftAboveSwingArmPivot: 0.02,
+                frontSprocketTeeth: 17,
+                rearSprocketTeeth: 37
+            },
+            suspension: {
+                forkSpringRate: 7,
+                forkSpringPreload: 0.005,
+                forkLowSpeedCompression: 900,
+                forkHighSpeedCompression: 300,
+                forkLowSpeedRebound: 1500,
+                forkHighSpeedRebound: 500,
+                rearShockSpringRate: 40,
+                rearShockSpringPreload: 0.005,
+                rearShockLowSpeedCompression: 2800,
+                rearShockHighSpeedCompression: 850,
+                rearShockLowSpeedRebound: 4900,
+                rearShockHighSpeedRebound: 1400
+            },
+            drivetrain: {
+                engineTorqueCurve: [{ rpm: 1500, torque: 6 }, { rpm: 4000, torque: 8.5 }, { rpm: 6500, torque: 9.5 }, { rpm: 8500, torque: 8 }, { rpm: 10000, torque: 6 }],
+                gearRatio: 14
+            },
+            brakes: {
+                frontBrakeMaxTorque: 350,
+                rearBrakeMaxTorque: 250
+            },
+            mass: {
+                chassisMass: 52,
+                chassisCenterOfMassForward: 0.3,
+                chassisCenterOfMassHeight: 0.12,
+                chassisInertia: 5,
+                forkLowerMass: 4,
+                frontWheelMass: 5,
+                frontWheelInertia: 0.2,
+                swingarmMass: 3,
+                swingarmInertia: 0.05,
+                rearWheelMass: 8,
+                rearWheelInertia: 0.3
+            }
+        }
+    }
+];
+
+/**
+ * Build the full parameters of a preset
+ * @param {string} key - The preset key from PRESETS
+ * @returns {Object} Motorcycle parameters
+ */
+export function presetParams(key) {
+    const preset = PRESETS.find(p => p.key === key);
+    if (!preset) {
+        throw new Error(`Unknown preset "${key}": must be one of ${PRESETS.map(p => p.key).join(', ')}`);
+    }
+    return deserializeSetup({ format: SETUP_FORMAT, version: SETUP_VERSION, params: preset.params });
+}
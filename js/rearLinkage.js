@@ -0,0 +1,183 @@
+import { Vec2 } from 'planck';
+import { triangleFromVerticesAndEdges, circleIntersection } from './geometry.js';
+
+/**
+ * Rear suspension layouts:
+ * - direct: the shock runs from the frame straight to the swingarm
+ * - proLink: the rocker pivots on the underside of the swingarm, a dogbone ties it to the frame
+ * - uniTrak: the rocker pivots on the frame, a dogbone ties it to the swingarm
+ * In both linkages the shock runs from the frame to the rocker.
+ */
+export const REAR_LAYOUTS = ['direct', 'proLink', 'uniTrak'];
+
+// The rocker and dogbone can be assembled two ways, mirrored about the line
+// from the rocker pivot to the dogbone's other end. See circleIntersection.
+const DOGBONE_ASSEMBLY_SIDE = 1;
+
+const rotate = (point, angle) => Vec2(
+    point.x * Math.cos(angle) - point.y * Math.sin(angle),
+    point.x * Math.sin(angle) + point.y * Math.cos(angle)
+);
+
+/**
+ * Collect the rear suspension hardpoints for a layout, in the chassis frame
+ * with the swing arm pivot at the origin. Swingarm hardpoints are given in the
+ * swingarm frame, whose x axis runs from the pivot to the rear axle.
+ * Throws a descriptive error if the rocker cannot be built.
+ * @param {Object} params - Motorcycle parameters
+ * @param {Vec2} rearShockUpperPivot - The shock's frame mount
+ * @returns {Object} The layout geometry used by solveRearSuspension
+ */
+export function rearSuspensionGeometry(params, rearShockUpperPivot) {
+    const layout = params.suspension.rearSuspensionLayout.value;
+    if (!REAR_LAYOUTS.includes(layout)) {
+        throw new Error(`Invalid rear suspension layout "${layout}": must be one of ${REAR_LAYOUTS.join(', ')}`);
+    }
+
+    if (layout === 'direct') {
+        return {
+            layout,
+            shockUpper: rearShockUpperPivot,
+            shockSwingarmMount: Vec2(params.frame.rearShockSwingarmMountDistance.value, 0)
+        };
+    }
+
+    const hardpoints = params[layout];
+    const value = (name) => hardpoints[`${layout}${name}`].value;
+
+    // The rocker frame has its pivot at the origin and the dogbone mount along the x axis
+    const rockerDogboneMount = Vec2(value('RockerPivotToDogboneMount'), 0);
+    let rockerShockMount;
+    try {
+        rockerShockMount = triangleFromVerticesAndEdges(
+            Vec2(0, 0),
+            rockerDogboneMount,
+            value('RockerPivotToShockMount'),
+            value('RockerShockMountToDogboneMount')
+        );
+    } catch (error) {
+        const displayName = (name) => hardpoints[`${layout}${name}`].displayName;
+        throw new Error(`Invalid geometry: "${displayName('RockerPivotToShockMount')}", "${displayName('RockerPivotToDogboneMount')}" and "${displayName('RockerShockMountToDogboneMount')}" cannot form a rocker`);
+    }
+
+    const geometry = {
+        layout,
+        shockUpper: rearShockUpperPivot,
+        rockerDogboneMount,
+        rockerShockMount,
+        dogboneLength: value('DogboneLength')
+    };
+
+    if (layout === 'proLink') {
+        geometry.rockerPivot = Vec2(value('RockerPivotAlongSwingarm'), value('RockerPivotBelowSwingarm'));
+        geometry.dogboneMount = Vec2(value('DogboneMountBehindSwingArmPivot'), value('DogboneMountBelowSwingArmPivot'));
+    } else {
+        geometry.rockerPivot = Vec2(value('RockerPivotBehindSwingArmPivot'), value('RockerPivotBelowSwingArmPivot'));
+        geometry.dogboneMount = Vec2(value('DogboneMountAlongSwingarm'), value('DogboneMountBelowSwingarm'));
+    }
+    return geometry;
+}
+
+/**
+ * Work out where every part of the rear suspension sits for a swingarm angle,
+ * without any physics. Points are in the chassis frame.
+ * @param {Object} geometry - The layout geometry from rearSuspensionGeometry
+ * @param {number} swingarmAngle - Swingarm angle in radians relative to the chassis
+ * @returns {Object} The shock length and lower mount, plus the rocker pivot, angle
+ * and mounts and the dogbone ends for linkages. Null if the linkage cannot be assembled at this angle.
+ */
+export function solveRearSuspension(geometry, swingarmAngle) {
+    if (geometry.layout === 'direct') {
+        const shockLower = rotate(geometry.shockSwingarmMount, swingarmAngle);
+        return {
+            shockLower,
+            shockLength: Vec2.distance(geometry.shockUpper, shockLower)
+        };
+    }
+
+    // The rocker and dogbone ends that are fixed to the frame or the swingarm
+    const rockerOnSwingarm = geometry.layout === 'proLink';
+    const rockerPivot = rockerOnSwingarm ? rotate(geometry.rockerPivot, swingarmAngle) : geometry.rockerPivot;
+    const dogboneEnd = rockerOnSwingarm ? geometry.dogboneMount : rotate(geometry.dogboneMount, swingarmAngle);
+
+    let rockerDogboneMount;
+    try {
+        rockerDogboneMount = circleIntersection(
+            rockerPivot,
+            geometry.rockerDogboneMount.x,
+            dogboneEnd,
+            geometry.dogboneLength,
+            DOGBONE_ASSEMBLY_SIDE
+        );
+    } catch (error) {
+        return null;
+    }
+
+    const rockerAngle = Math.atan2(rockerDogboneMount.y - rockerPivot.y, rockerDogboneMount.x - rockerPivot.x);
+    const shockLower = Vec2.add(rockerPivot, rotate(geometry.rockerShockMount, rockerAngle));
+
+    return {
+        shockLower,
+        shockLength: Vec2.distance(geometry.shockUpper, shockLower),
+        rockerPivot,
+        rockerAngle,
+        rockerDogboneMount,
+        dogboneEnd
+    };
+}
+
+/**
+ * Find the swingarm angle where the shock has a given length. Searches
+ * outwards from the swingarm lying level, so the nearest solution is used.
+ * @param {Object} geometry - The layout geometry from rearSuspensionGeometry
+ * @param {number} shockLength - The shock eye to eye length
+ * @returns {number|null} The swingarm angle in radians, null if the shock never reaches the length
+ */
+export function swingarmAngleAtShockLength(geometry, shockLength) {
+    const steps = 180;
+    const range = Math.PI / 2;
+    const error = (angle) => {
+        const solution = solveRearSuspension(geometry, angle);
+        return solution ? solution.shockLength - shockLength : null;
+    };
+
+    // Bisect the first sign change found walking outwards from zero in both directions
+    for (let i = 0; i < steps; i++) {
+        for (const direction of [1, -1]) {
+            let a = direction * range * i / steps;
+            let b = direction * range * (i + 1) / steps;
+            let errorA = error(a);
+            const errorB = error(b);
+            if (errorA === null || errorB === null || errorA * errorB > 0) continue;
+
+            for (let j = 0; j < 50; j++) {
+                const middle = (a + b) / 2;
+                const errorMiddle = error(middle);
+                if (errorMiddle === null) break;
+                if (errorA * errorMiddle <= 0) {
+                    b = middle;
+                } else {
+                    a = middle;
+                    errorA = errorMiddle;
+                }
+            }
+            return (a + b) / 2;
+        }
+    }
+    return null;
+}
+
+/**
+ * Rate of change of the shock length with swingarm angle. Dividing the
+ * rear axle's rate of rise by this gives the leverage ratio.
+ * @param {Object} geometry - The layout geometry from rearSuspensionGeometry
+ * @param {number} swingarmAngle - Swingarm angle in radians relative to the chassis
+ * @returns {number|null} dL/dθ in meters per radian, null if the linkage cannot be assembled around this angle
+ */
+export function shockLengthRate(geometry, swingarmAngle) {
+    const step = 1e-4;
+    const before = solveRearSuspension(geometry, swingarmAngle - step);
+    const after = solveRearSuspension(geometry, swingarmAngle + step);
+    if (!before || !after) return null;
+    return (after.shockLength - before.shockLength) / (2 * step);
+}
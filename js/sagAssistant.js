@@ -0,0 +1,360 @@
+import { Vec2 } from 'planck';
+import { SimulationCore } from './SimulationCore.js';
+import { computeMotorcycleGeometry } from './kinematics.js';
+import { formatValue } from './units.js';
+
+/**
+ * Sag setup assistant. The motorcycle is settled on flat ground without a
+ * display, once under its own weight for the static sag and once with the
+ * rider's weight on the seat for the rider sag. Sag is the fork travel at
+ * the front and the rear wheel travel at the rear, measured from full
+ * extension. Spring preload is iterated until the rider sag is on target. If
+ * the static sag is off target too, or the preload runs into its limits, a
+ * spring rate is recommended that splits the load between the two, as close
+ * to it as the preload range allows, and preload is iterated again on the new
+ * spring. The closest settings found are recommended.
+ */
+
+export const DEFAULT_SAG_OPTIONS = {
+    riderMass: 80,  // kg, in riding gear
+    frontStaticSag: 0.1,  // Fractions of the full wheel travel
+    frontRiderSag: 0.25,
+    rearStaticSag: 0.1,
+    rearRiderSag: 0.3,
+    tolerance: 0.002,  // m, how close the rider sag must come to its target
+    staticTolerance: 0.005,  // m, how far the static sag may be off before the spring rate is changed
+    adjustRate: true,
+    maxIterations: 10,
+    timeStep: 1/120,
+    settleTime: 8  // s, longest wait for the motorcycle to come to rest
+};
+
+// Speed every body must stay below for this long to count as settled
+const SETTLED_DURATION = 0.25;  // s
+const MIN_SETTLE_TIME = 0.5;  // s
+
+/**
+ * The suspension units, each with its spring parameters and how to read its
+ * sag and spring from the motorcycle
+ */
+const ENDS = [
+    {
+        key: 'front',
+        prefix: 'fork',
+        displayName: 'Fork',
+        fullTravel: (params) => params.frame.forkStroke.value,
+        measure: (motorcycle, state) => ({
+            travel: state.fork.travel,
+            springTravel: state.fork.travel,
+            springForce: state.fork.springForce
+        })
+    },
+    {
+        key: 'rear',
+        prefix: 'rearShock',
+        displayName: 'Rear Shock',
+        fullTravel: (params, geometry) => params.frame.swingarmLength.value
+            * (Math.sin(geometry.swingarmExtendedAngle) - Math.sin(geometry.swingarmCompressedAngle)),
+        measure: (motorcycle, state) => ({
+            travel: motorcycle.params.frame.swingarmLength.value
+                * (Math.sin(motorcycle.geometry.swingarmExtendedAngle) - Math.sin(motorcycle.swingarmJoint.getJointAngle())),
+            springTravel: state.rearShock.travel,
+            springForce: state.rearShock.springForce
+        })
+    }
+];
+
+const validateOptions = (options) => {
+    ['riderMass', 'tolerance', 'staticTolerance', 'timeStep', 'settleTime'].forEach(name => {
+        if (!(options[name] > 0 && Number.isFinite(options[name]))) {
+            throw new Error(`Invalid sag ${name} ${options[name]}: must be a positive number`);
+        }
+    });
+    ['frontStaticSag', 'frontRiderSag', 'rearStaticSag', 'rearRiderSag'].forEach(name => {
+        if (!(options[name] > 0 && options[name] < 1)) {
+            throw new Error(`Invalid sag ${name} ${options[name]}: must be a fraction of the travel between 0 and 1`);
+        }
+    });
+    if (!(options.frontRiderSag > options.frontStaticSag) || !(options.rearRiderSag > options.rearStaticSag)) {
+        throw new Error('Invalid sag targets: the rider sag must be more than the static sag');
+    }
+    if (!(Number.isInteger(options.maxIterations) && options.maxIterations >= 1)) {
+        throw new Error(`Invalid sag maxIterations ${options.maxIterations}: must be a whole number of at least 1`);
+    }
+};
+
+/**
+ * Settle the motorcycle on flat ground, with or without the rider, and measure the sag at each end
+ * @param {Object} params - Motorcycle parameters
+ * @param {Object} options - Assistant settings, see DEFAULT_SAG_OPTIONS
+ * @param {boolean} withRider - Whether to load the seat with the rider's weight
+ * @returns {{front: Object, rear: Object, settled: boolean}} The wheel travel, spring travel in m and
+ * spring force in N at each end, and whether the motorcycle came to rest in time
+ */
+function settle(params, options, withRider) {
+    const flat = JSON.parse(JSON.stringify(params));
+    flat.simulation.terrainType.value = 'flat';
+
+    const core = new SimulationCore({ timeStep: options.timeStep });
+    // Only the settled state matters, there is nothing to replay
+    core.recorder.recording = false;
+    core.createWorld(flat);
+    const { motorcycle } = core;
+    const riderWeight = Vec2.mul(core.world.getGravity(), withRider ? options.riderMass : 0);
+    const { seat } = motorcycle.geometry;
+
+    let settledTime = 0;
+    while (core.time < options.settleTime) {
+        motorcycle.body.applyForce(riderWeight, motorcycle.body.getWorldPoint(seat));
+        core.stepFixed();
+        const weight = core.getWeightDistribution();
+        settledTime = weight.settled ? settledTime + options.timeStep : 0;
+        if (settledTime >= SETTLED_DURATION && core.time >= MIN_SETTLE_TIME) break;
+    }
+
+    const state = motorcycle.getSuspensionState();
+    const result = { settled: settledTime >= SETTLED_DURATION };
+    ENDS.forEach(end => {
+        result[end.key] = end.measure(motorcycle, state);
+    });
+    return result;
+}
+
+/**
+ * Measure the static and rider sag of a motorcycle
+ * @param {Object} params - Motorcycle parameters
+ * @param {Object} [settings] - Assistant settings overriding DEFAULT_SAG_OPTIONS
+ * @returns {{static: Object, rider: Object}} The settled measurements without and with the rider, see settle
+ */
+export function measureSag(params, settings = {}) {
+    const options = { ...DEFAULT_SAG_OPTIONS, ...settings };
+    validateOptions(options);
+    return {
+        static: settle(params, options, false),
+        rider: settle(params, options, true)
+    };
+}
+
+// Round to the parameter's step and keep it inside its range
+const toParamRange = (config, value) => {
+    const stepped = Math.round(value / config.step) * config.step;
+    return Math.min(config.max, Math.max(config.min, Math.round(stepped * 1e6) / 1e6));
+};
+
+// The steps of a parameter inside a range, rounded inward so they stay inside
+const toStepRange = (config, low, high) => {
+    const steps = (value) => Math.round(value / config.step * 1e6) / 1e6;
+    const toValue = (count) => Math.round(count * config.step * 1e6) / 1e6;
+    return {
+        min: Math.max(config.min, toValue(Math.ceil(steps(low)))),
+        max: Math.min(config.max, toValue(Math.floor(steps(high))))
+    };
+};
+
+// Below this wheel travel an end counts as topped out, held by its limit rather than its spring
+const TOPPED_OUT_TRAVEL = 1e-4;  // m
+
+/**
+ * Find the spring preload, and if needed the spring rate, at each end that
+ * puts the static and rider sag on target. Coil springs only: throws if either
+ * end has an air spring. The settings that came closest to the targets are
+ * returned, which are the starting settings if nothing came closer.
+ * @param {Object} params - Motorcycle parameters to start from, left unchanged
+ * @param {Object} [settings] - Assistant settings overriding DEFAULT_SAG_OPTIONS
+ * @returns {Object} The recommended parameters and, for the front and rear, the targets, the sag
+ * before and after, the spring rate and preload before and after, whether the preload ran into
+ * its limits and whether the static sag is on target, plus whether every target is hit and in
+ * how many iterations
+ */
+export function solveSag(params, settings = {}) {
+    const options = { ...DEFAULT_SAG_OPTIONS, ...settings };
+    validateOptions(options);
+    const recommended = JSON.parse(JSON.stringify(params));
+    const suspension = recommended.suspension;
+
+    const geometry = computeMotorcycleGeometry(params);
+    const ends = ENDS.map(end => {
+        const setting = (name) => suspension[`${end.prefix}${name}`];
+        if (setting('SpringType').value === 'air') {
+            throw new Error(`${end.displayName}: the sag assistant needs a coil spring, not an air spring`);
+        }
+        const fullTravel = end.fullTravel(params, geometry);
+        return {
+            ...end,
+            setting,
+            fullTravel,
+            targetStatic: options[`${end.key}StaticSag`] * fullTravel,
+            targetRider: options[`${end.key}RiderSag`] * fullTravel
+        };
+    });
+
+    // How far a measurement is from the targets, in tolerances, at one end and at both
+    const endError = (end, measurement) => {
+        const riderError = Math.abs(measurement.rider[end.key].travel - end.targetRider) / options.tolerance;
+        const staticError = Math.abs(measurement.static[end.key].travel - end.targetStatic) / options.staticTolerance;
+        return Math.max(riderError - 1, 0) + (options.adjustRate ? Math.max(staticError - 1, 0) : 0);
+    };
+    const totalError = (measurement) => ends.reduce((sum, end) => sum + endError(end, measurement), 0);
+    const springSettings = () => ['SpringRate', 'SpringSecondRate', 'SpringPreload']
+        .map(name => ends.map(end => end.setting(name).value)).flat();
+
+    // The spring that takes the static and rider loads of a measurement to the two target
+    // spring travels: its rate, and the load and spring travel that set the preload it needs
+    const targetSpring = (end, measurement) => {
+        const staticState = measurement.static[end.key];
+        const riderState = measurement.rider[end.key];
+        // Spring travel per unit of sag, from the two settled poses
+        const travelDifference = riderState.travel - staticState.travel;
+        const ratio = Math.abs(travelDifference) > 1e-6
+            ? (riderState.springTravel - staticState.springTravel) / travelDifference
+            : 1;
+        const staticSpringTravel = staticState.springTravel + ratio * (end.targetStatic - staticState.travel);
+        const riderSpringTravel = riderState.springTravel + ratio * (end.targetRider - riderState.travel);
+        return {
+            ratio,
+            rate: (riderState.springForce - staticState.springForce) / (riderSpringTravel - staticSpringTravel) / 1000,
+            load: riderState.springForce / 1000,  // N to N/mm·m, as rates are in N/mm
+            riderSpringTravel
+        };
+    };
+
+    // Take one step towards the targets at one end from its last measurement
+    const adjust = (end, measurement) => {
+        const staticState = measurement.static[end.key];
+        const riderState = measurement.rider[end.key];
+        const preload = end.setting('SpringPreload');
+        const rate = end.setting('SpringRate');
+        const secondRate = end.setting('SpringSecondRate');
+        const riderError = riderState.travel - end.targetRider;
+        const staticError = staticState.travel - end.targetStatic;
+        if (endError(end, measurement) === 0) return false;
+
+        // Topped out under its own weight, the spring force is the preload rather than the
+        // load, so take the preload off to measure the load for a new rate
+        if (options.adjustRate && staticState.travel < TOPPED_OUT_TRAVEL && preload.value > preload.min) {
+            preload.value = preload.min;
+            return true;
+        }
+
+        const target = targetSpring(end, measurement);
+
+        // The target rate, kept where the preload it needs for the rider sag is within the preload range
+        const changeRate = () => {
+            if (!options.adjustRate || !(target.rate > 0 && Number.isFinite(target.rate))) return false;
+            const { load, riderSpringTravel } = target;
+            const range = toStepRange(rate, load / (preload.max + riderSpringTravel), load / (preload.min + riderSpringTravel));
+            const newRate = range.min <= range.max
+                ? Math.min(range.max, Math.max(range.min, toParamRange(rate, target.rate)))
+                : toParamRange(rate, target.rate);
+            const newPreload = toParamRange(preload, load / newRate - riderSpringTravel);
+            if (newRate !== rate.value || newPreload !== preload.value) {
+                // Keep the progression of a dual rate or progressive spring
+                if (end.setting('SpringType').value !== 'linear') {
+                    secondRate.value = toParamRange(secondRate, secondRate.value * newRate / rate.value);
+                }
+                rate.value = newRate;
+                preload.value = newPreload;
+                return true;
+            }
+            return false;
+        };
+
+        if (Math.abs(staticError) > options.staticTolerance && changeRate()) return true;
+        if (Math.abs(riderError) > options.tolerance) {
+            // Preload shortens the spring travel under the same load one for one
+            const next = toParamRange(preload, preload.value + riderError * target.ratio);
+            if (next !== preload.value) {
+                preload.value = next;
+                return true;
+            }
+            // Stuck at the end of the preload range, only another spring can help
+            return changeRate();
+        }
+        return false;
+    };
+
+    const before = measureSag(recommended, options);
+    let best = { error: totalError(before), measurement: before, suspension: JSON.stringify(suspension) };
+    let measurement = before;
+    let iterations = 1;
+    const tried = new Set([JSON.stringify(springSettings())]);
+    while (best.error > 0 && iterations < options.maxIterations) {
+        const changed = ends.map(end => adjust(end, measurement)).some(Boolean);
+        // Stop when nothing changes, or the settings come back round to ones already measured
+        const key = JSON.stringify(springSettings());
+        if (!changed || tried.has(key)) break;
+        tried.add(key);
+
+        measurement = measureSag(recommended, options);
+        iterations++;
+        // Closer overall, and no end further from its targets than it started
+        const error = totalError(measurement);
+        if (error < best.error && ends.every(end => endError(end, measurement) <= endError(end, before))) {
+            best = { error, measurement, suspension: JSON.stringify(suspension) };
+        }
+    }
+
+    // Recommend the closest settings found
+    recommended.suspension = JSON.parse(best.suspension);
+    const after = best.measurement;
+    const result = { converged: best.error === 0, iterations, options, params: recommended };
+    ends.forEach(end => {
+        const setting = (name) => params.suspension[`${end.prefix}${name}`].value;
+        const recommendedSetting = (name) => recommended.suspension[`${end.prefix}${name}`];
+        const sag = (m) => ({ static: m.static[end.key].travel, rider: m.rider[end.key].travel });
+        const afterSag = sag(after);
+        const preload = recommendedSetting('SpringPreload');
+        // The spring for both targets would need preload outside the range
+        const target = targetSpring(end, after);
+        const targetPreload = target.load / target.rate - target.riderSpringTravel;
+        const targetOutOfRange = options.adjustRate && target.rate > 0 && Number.isFinite(target.rate)
+            && (targetPreload < preload.min || targetPreload > preload.max);
+        result[end.key] = {
+            displayName: end.displayName,
+            fullTravel: end.fullTravel,
+            target: { static: end.targetStatic, rider: end.targetRider },
+            before: sag(before),
+            after: afterSag,
+            rate: { before: setting('SpringRate'), after: recommendedSetting('SpringRate').value },
+            preload: { before: setting('SpringPreload'), after: preload.value },
+            rateChanged: recommendedSetting('SpringRate').value !== setting('SpringRate'),
+            preloadLimited: endError(end, after) > 0
+                && (preload.value === preload.min || preload.value === preload.max || targetOutOfRange),
+            staticOnTarget: Math.abs(afterSag.static - end.targetStatic) <= options.staticTolerance
+        };
+    });
+    return result;
+}
+
+/**
+ * Describe the result of solveSag for people: the sag measured before and
+ * after, and the spring settings to use at each end
+ * @param {Object} result - The result of solveSag
+ * @param {string} [unitSystem] - A unit system from units.js, or none for the stored units
+ * @returns {string} The report, one line per finding
+ */
+export function sagReportToText(result, unitSystem) {
+    const length = (value) => formatValue(value, 'm', unitSystem, 3);
+    const rate = (value) => formatValue(value, 'N/mm', unitSystem, 3);
+    const percent = (value, end) => `${(value / end.fullTravel * 100).toFixed(0)}%`;
+
+    const lines = [`Rider ${formatValue(result.options.riderMass, 'kg', unitSystem, 3)}`];
+    ['front', 'rear'].forEach(key => {
+        const end = result[key];
+        const sag = (which) => `static ${length(end[which].static)} (${percent(end[which].static, end)}), `
+            + `rider ${length(end[which].rider)} (${percent(end[which].rider, end)})`;
+        lines.push(`${end.displayName}: ${length(end.fullTravel)} travel`);
+        lines.push(`  Target: static ${length(end.target.static)}, rider ${length(end.target.rider)}`);
+        lines.push(`  Before: ${sag('before')}`);
+        lines.push(`  After: ${sag('after')}` + (end.staticOnTarget ? '' : ', static sag off target'));
+        lines.push(end.rateChanged
+            ? `  Spring rate: change ${rate(end.rate.before)} to ${rate(end.rate.after)}`
+            : `  Spring rate: keep ${rate(end.rate.before)}`);
+        lines.push(`  Preload: ${end.preload.before === end.preload.after ? 'keep' : `set ${length(end.preload.before)} to`} ${length(end.preload.after)}`
+            + (end.preloadLimited ? ', limited by its range' : ''));
+    });
+    lines.push(result.converged
+        ? `Targets hit after ${result.iterations} iterations`
+        : `Targets not hit after ${result.iterations} iterations, these are the closest settings found`);
+    return lines.join('\n');
+}
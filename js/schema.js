@@ -0,0 +1,229 @@
+/**
+ * Validation of motorcycle parameters against the schema in config.js. Each
+ * numeric parameter has a range and each text parameter its options there,
+ * and CONSTRAINTS below adds the rules that span several parameters. Every
+ * violation is reported at once, each with the nearest valid value for the
+ * parameter at fault. Messages show values in the unit system they are asked for.
+ */
+
+import { formatValue } from './units.js';
+
+/**
+ * Rules that span several parameters, referenced as "section.key". A rule
+ * with `when` only applies while that parameter has the given value.
+ * - triangle: the three lengths must form a triangle
+ * - lessThan: the parameter must be shorter than the limit
+ * - airVolume: the air above the oil must be larger than the volume the piston sweeps over the stroke
+ * - shockReach: the shock, pivoting on the frame a fixed distance from the swing arm pivot, must reach
+ *   the mount on the swingarm at both its extended and its compressed length
+ */
+export const CONSTRAINTS = [
+    {
+        type: 'triangle',
+        displayName: 'Frame triangle',
+        sides: ['frame.headTubeLength', 'frame.swingArmPivotToHeadTubeTopCenter', 'frame.swingArmPivotToHeadTubeBottomCenter']
+    },
+    {
+        type: 'triangle',
+        displayName: 'Rear shock upper pivot',
+        sides: ['frame.rearShockUpperPivotToHeadTubeTop', 'frame.rearShockUpperPivotToFramePivot', 'frame.swingArmPivotToHeadTubeTopCenter']
+    },
+    {
+        type: 'triangle',
+        displayName: 'Pro-Link rocker',
+        sides: ['proLink.proLinkRockerPivotToShockMount', 'proLink.proLinkRockerPivotToDogboneMount', 'proLink.proLinkRockerShockMountToDogboneMount'],
+        when: { param: 'suspension.rearSuspensionLayout', equals: 'proLink' }
+    },
+    {
+        type: 'triangle',
+        displayName: 'Uni-Trak rocker',
+        sides: ['uniTrak.uniTrakRockerPivotToShockMount', 'uniTrak.uniTrakRockerPivotToDogboneMount', 'uniTrak.uniTrakRockerShockMountToDogboneMount'],
+        when: { param: 'suspension.rearSuspensionLayout', equals: 'uniTrak' }
+    },
+    {
+        type: 'shockReach',
+        displayName: 'Shock pivot triangle',
+        pivotDistance: 'frame.rearShockUpperPivotToFramePivot',
+        mount: 'frame.rearShockSwingarmMountDistance',
+        length: 'frame.rearShockEyeToEyeLength',
+        stroke: 'frame.rearShockStroke',
+        when: { param: 'suspension.rearSuspensionLayout', equals: 'direct' }
+    },
+    { type: 'lessThan', param: 'frame.rearShockStroke', limit: 'frame.rearShockEyeToEyeLength' },
+    { type: 'lessThan', param: 'frame.forkStroke', limit: 'frame.topForkTubeLength' },
+    {
+        type: 'lessThan',
+        param: 'suspension.forkSpringTransition',
+        limit: 'frame.forkStroke',
+        when: { param: 'suspension.forkSpringType', equals: 'dualRate' }
+    },
+    {
+        type: 'lessThan',
+        param: 'suspension.rearShockSpringTransition',
+        limit: 'frame.rearShockStroke',
+        when: { param: 'suspension.rearShockSpringType', equals: 'dualRate' }
+    },
+    {
+        type: 'airVolume',
+        chamber: 'suspension.forkAirChamberVolume',
+        oil: 'suspension.forkAirOilVolume',
+        piston: 'suspension.forkAirPistonDiameter',
+        stroke: 'frame.forkStroke',
+        when: { param: 'suspension.forkSpringType', equals: 'air' }
+    },
+    {
+        type: 'airVolume',
+        chamber: 'suspension.rearShockAirChamberVolume',
+        oil: 'suspension.rearShockAirOilVolume',
+        piston: 'suspension.rearShockAirPistonDiameter',
+        stroke: 'frame.rearShockStroke',
+        when: { param: 'suspension.rearShockSpringType', equals: 'air' }
+    }
+];
+
+const lookup = (params, path) => {
+    const [section, key] = path.split('.');
+    return { section, key, config: params[section][key] };
+};
+
+// Round off floating point noise and keep a suggested value inside the parameter's range
+const clampToRange = (config, value) => {
+    const rounded = Math.round(value * 1e6) / 1e6;
+    return Math.min(config.max, Math.max(config.min, rounded));
+};
+
+// A parameter's value, or another value in its unit, for a message
+const format = (config, value, unitSystem) => formatValue(value, config.unit, unitSystem);
+
+const violation = ({ section, key, config }, message, suggestion) => ({
+    section,
+    key,
+    displayName: config.displayName,
+    message: `"${config.displayName}" ${message}`,
+    suggestion
+});
+
+const CHECKS = {
+    triangle: (params, constraint, unitSystem) => {
+        const sides = constraint.sides.map(path => lookup(params, path));
+        const longest = sides.reduce((a, b) => b.config.value > a.config.value ? b : a);
+        const others = sides.filter(side => side !== longest).reduce((sum, side) => sum + side.config.value, 0);
+        if (longest.config.value < others) return [];
+        const names = sides.filter(side => side !== longest).map(side => `"${side.config.displayName}"`).join(' and ');
+        return [violation(
+            longest,
+            `(${format(longest.config, longest.config.value, unitSystem)}) must be shorter than ${names} combined (${format(longest.config, others, unitSystem)}) to form the ${constraint.displayName.toLowerCase()}`,
+            clampToRange(longest.config, others - longest.config.step)
+        )];
+    },
+    lessThan: (params, constraint, unitSystem) => {
+        const param = lookup(params, constraint.param);
+        const limit = lookup(params, constraint.limit);
+        if (param.config.value < limit.config.value) return [];
+        return [violation(
+            param,
+            `(${format(param.config, param.config.value, unitSystem)}) must be less than "${limit.config.displayName}" (${format(limit.config, limit.config.value, unitSystem)})`,
+            clampToRange(param.config, limit.config.value - param.config.step)
+        )];
+    },
+    shockReach: (params, constraint, unitSystem) => {
+        const pivotDistance = lookup(params, constraint.pivotDistance).config.value;
+        const mount = lookup(params, constraint.mount);
+        const stroke = lookup(params, constraint.stroke);
+        const extendedLength = lookup(params, constraint.length).config.value;
+        const compressedLength = extendedLength - stroke.config.value;
+        // A stroke as long as the shock is reported by its own rule
+        if (compressedLength <= 0) return [];
+        // The shock spans the triangle of the pivot distance and the mount distance, so its
+        // extended length must be shorter than their sum and its compressed length longer than their difference
+        const lowest = Math.max(extendedLength - pivotDistance, pivotDistance - compressedLength);
+        const highest = pivotDistance + compressedLength;
+        if (mount.config.value > lowest && mount.config.value < highest) return [];
+        if (lowest + mount.config.step >= highest - mount.config.step) {
+            // No mount distance works, the stroke is too long for the frame pivot distance
+            return [violation(
+                stroke,
+                `(${format(stroke.config, stroke.config.value, unitSystem)}) is too long for the ${constraint.displayName.toLowerCase()}: the shock cannot reach the swingarm at both ends of its stroke`,
+                clampToRange(stroke.config, Math.floor((2 * pivotDistance) / stroke.config.step - 2) * stroke.config.step)
+            )];
+        }
+        const nearest = mount.config.value <= lowest ? lowest + mount.config.step : highest - mount.config.step;
+        return [violation(
+            mount,
+            `(${format(mount.config, mount.config.value, unitSystem)}) must be more than ${format(mount.config, lowest, unitSystem)} and less than ${format(mount.config, highest, unitSystem)} for the shock to reach it from the frame at both ends of its stroke`,
+            clampToRange(mount.config, Math.round(nearest / mount.config.step) * mount.config.step)
+        )];
+    },
+    airVolume: (params, constraint, unitSystem) => {
+        const chamber = lookup(params, constraint.chamber);
+        const oil = lookup(params, constraint.oil);
+        const pistonDiameter = lookup(params, constraint.piston).config.value;
+        const stroke = lookup(params, constraint.stroke).config.value;
+        // Cubic meters to cc
+        const swept = Math.PI * pistonDiameter * pistonDiameter / 4 * stroke * 1e6;
+        const maxOil = chamber.config.value - swept;
+        if (oil.config.value < maxOil) return [];
+        return [violation(
+            oil,
+            `(${format(oil.config, oil.config.value, unitSystem)}) must leave more air in "${chamber.config.displayName}" than the ${formatValue(swept, oil.config.unit, unitSystem, 3)} the piston sweeps over the stroke`,
+            clampToRange(oil.config, Math.floor(maxOil / oil.config.step - 1) * oil.config.step)
+        )];
+    }
+};
+
+/**
+ * Check a single parameter against its own range or options
+ * @param {string} section - The parameter section
+ * @param {string} key - The parameter key
+ * @param {Object} config - The parameter, with its schema fields
+ * @param {string} [unitSystem] - A unit system from units.js for the message, or none for the stored units
+ * @returns {Object|null} The violation, or null if the value is valid
+ */
+export function checkParam(section, key, config, unitSystem) {
+    const field = { section, key, config };
+    if (config.options) {
+        if (config.options.includes(config.value)) return null;
+        return violation(field, `must be one of ${config.options.join(', ')}`, config.options[0]);
+    }
+    if (typeof config.min !== 'number') return null;
+    if (!Number.isFinite(config.value)) {
+        return violation(field, 'must be a number', Math.min(config.max, Math.max(config.min, 0)));
+    }
+    if (config.value < config.min || config.value > config.max) {
+        return violation(
+            field,
+            `(${format(config, config.value, unitSystem)}) must be between ${format(config, config.min, unitSystem)} and ${format(config, config.max, unitSystem)}`,
+            clampToRange(config, config.value)
+        );
+    }
+    return null;
+}
+
+/**
+ * Validate a full set of parameters. Cross-parameter rules are only checked
+ * once every parameter they use is within its own range.
+ * @param {Object} params - Motorcycle parameters
+ * @param {string} [unitSystem] - A unit system from units.js for the messages, or none for the stored units
+ * @returns {Array<Object>} Every violation, each with the section, key and display name of the
+ * parameter at fault, a message and the suggested nearest valid value. Empty if the parameters are valid.
+ */
+export function validateParams(params, unitSystem) {
+    const violations = [];
+    Object.entries(params).forEach(([section, configs]) => {
+        Object.entries(configs).forEach(([key, config]) => {
+            const result = checkParam(section, key, config, unitSystem);
+            if (result) violations.push(result);
+        });
+    });
+    const invalid = new Set(violations.map(v => `${v.section}.${v.key}`));
+
+    CONSTRAINTS.forEach(constraint => {
+        if (constraint.when && lookup(params, constraint.when.param).config.value !== constraint.when.equals) return;
+        const paths = Object.entries(constraint)
+            .filter(([name]) => !['type', 'displayName', 'when'].includes(name))
+            .flatMap(([, value]) => value);
+        if (paths.some(path => invalid.has(path))) return;
+        violations.push(...CHECKS[constraint.type](params, constraint, unitSystem));
+    });
+    return violations;
+}
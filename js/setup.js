@@ -0,0 +1,193 @@
+import { defaultParams } from './config.js';
+
+/**
+ * Saving and loading bike setups. A setup stores only the parameter values,
+ * keyed by section and name like defaultParams, so display names and units
+ * always come from the current config. Setups can be saved as JSON files or
+ * packed into a URL hash for sharing.
+ */
+
+export const SETUP_FORMAT = 'motorcycle-suspension-setup';
+export const SETUP_VERSION = 2;
+
+const HASH_PREFIX = '#setup=';
+
+/**
+ * Upgrades from each older version to the next, keyed by the version they
+ * upgrade from. Setups are migrated one version at a time until they reach
+ * SETUP_VERSION.
+ */
+const MIGRATIONS = {
+    // Version 1 set the mass of every motorcycle part through one density per unit
+    // area. The masses and inertias start from the defaults, scaled by how that
+    // density compared to its default of 250 kg/m².
+    1: (setup) => {
+        const { density, ...simulation } = setup.params.simulation || {};
+        const scale = Number.isFinite(density) ? density / 250 : 1;
+        const mass = {};
+        Object.entries(defaultParams.mass).forEach(([key, config]) => {
+            if (config.unit === 'kg' || config.unit === 'kg·m²') {
+                mass[key] = config.value * scale;
+            }
+        });
+        return {
+            ...setup,
+            version: 2,
+            params: { ...setup.params, simulation, mass }
+        };
+    }
+};
+
+/**
+ * Check that a stored value has the same shape as the default it replaces
+ * @param {*} value - The stored value
+ * @param {*} defaultValue - The default value from the config
+ * @returns {boolean} Whether the value can be used
+ */
+const matchesDefault = (value, defaultValue) => {
+    if (Array.isArray(defaultValue)) {
+        return Array.isArray(value) && value.every(item => item && typeof item === 'object'
+            && Object.keys(defaultValue[0]).every(key => Number.isFinite(item[key])));
+    }
+    if (typeof defaultValue === 'number') {
+        return Number.isFinite(value);
+    }
+    return typeof value === typeof defaultValue;
+};
+
+/**
+ * Collect the parameter values of a setup
+ * @param {Object} params - Motorcycle parameters
+ * @returns {Object} The versioned setup
+ */
+export function serializeSetup(params) {
+    const values = {};
+    Object.entries(params).forEach(([section, configs]) => {
+        values[section] = {};
+        Object.entries(configs).forEach(([key, config]) => {
+            values[section][key] = config.value;
+        });
+    });
+    return { format: SETUP_FORMAT, version: SETUP_VERSION, params: values };
+}
+
+/**
+ * Save a setup as JSON
+ * @param {Object} params - Motorcycle parameters
+ * @returns {string} The JSON text
+ */
+export function exportSetup(params) {
+    return JSON.stringify(serializeSetup(params), null, 2);
+}
+
+/**
+ * Migrate a setup to the current version and validate it against the config.
+ * Parameters the setup does not mention keep their default values. Throws an
+ * error listing every problem if the setup cannot be used.
+ * @param {Object} setup - A setup from serializeSetup, possibly an older version
+ * @returns {Object} Motorcycle parameters
+ */
+export function deserializeSetup(setup) {
+    if (!setup || typeof setup !== 'object') {
+        throw new Error('Invalid setup: expected an object');
+    }
+    if (setup.format !== SETUP_FORMAT) {
+        throw new Error('Invalid setup: not a motorcycle suspension setup');
+    }
+    if (!Number.isInteger(setup.version) || setup.version < 1) {
+        throw new Error('Invalid setup: missing version');
+    }
+    if (setup.version > SETUP_VERSION) {
+        throw new Error(`Invalid setup: version ${setup.version} is newer than this simulator supports (${SETUP_VERSION})`);
+    }
+    if (!setup.params || typeof setup.params !== 'object') {
+        throw new Error('Invalid setup: missing parameters');
+    }
+
+    let migrated = setup;
+    while (migrated.version < SETUP_VERSION) {
+        migrated = MIGRATIONS[migrated.version](migrated);
+    }
+
+    const params = JSON.parse(JSON.stringify(defaultParams));
+    const errors = [];
+    Object.entries(migrated.params).forEach(([section, values]) => {
+        if (!params[section]) {
+            errors.push(`unknown section "${section}"`);
+            return;
+        }
+        Object.entries(values || {}).forEach(([key, value]) => {
+            const config = params[section][key];
+            if (!config) {
+                errors.push(`unknown parameter "${section}.${key}"`);
+            } else if (!matchesDefault(value, config.value)) {
+                errors.push(`"${config.displayName}" has an invalid value ${JSON.stringify(value)}`);
+            } else {
+                config.value = value;
+            }
+        });
+    });
+    if (errors.length > 0) {
+        throw new Error(`Invalid setup: ${errors.join('; ')}`);
+    }
+    return params;
+}
+
+/**
+ * Load a setup saved by exportSetup
+ * @param {string} json - The JSON text
+ * @returns {Object} Motorcycle parameters, see deserializeSetup
+ */
+export function importSetup(json) {
+    let setup;
+    try {
+        setup = JSON.parse(json);
+    } catch (error) {
+        throw new Error(`Invalid setup: ${error.message}`);
+    }
+    return deserializeSetup(setup);
+}
+
+/**
+ * Pack a setup into a URL hash. Only values that differ from the defaults are
+ * kept, and the JSON is base64url encoded.
+ * @param {Object} params - Motorcycle parameters
+ * @returns {string} The hash, including the leading '#'
+ */
+export function encodeSetupHash(params) {
+    const setup = serializeSetup(params);
+    Object.entries(setup.params).forEach(([section, values]) => {
+        Object.entries(values).forEach(([key, value]) => {
+            const defaultConfig = defaultParams[section] && defaultParams[section][key];
+            if (defaultConfig && JSON.stringify(defaultConfig.value) === JSON.stringify(value)) {
+                delete values[key];
+            }
+        });
+        if (Object.keys(values).length === 0) {
+            delete setup.params[section];
+        }
+    });
+
+    // Drop the format name too, the hash prefix already identifies a setup
+    const compact = { v: setup.version, p: setup.params };
+    const base64 = btoa(JSON.stringify(compact));
+    return HASH_PREFIX + base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Unpack a setup from a URL hash made by encodeSetupHash
+ * @param {string} hash - The URL hash, including the leading '#'
+ * @returns {Object|null} Motorcycle parameters, or null if the hash holds no setup
+ */
+export function decodeSetupHash(hash) {
+    if (!hash || !hash.startsWith(HASH_PREFIX)) return null;
+
+    let compact;
+    try {
+        const base64 = hash.slice(HASH_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+        compact = JSON.parse(atob(base64));
+    } catch (error) {
+        throw new Error('Invalid setup: the link is damaged');
+    }
+    return deserializeSetup({ format: SETUP_FORMAT, version: compact.v, params: compact.p });
+}
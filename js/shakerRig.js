@@ -0,0 +1,380 @@
+import { seededRandom } from './terrain.js';
+
+/**
+ * Shaker rig inputs and their analysis. The rig drives a platform under each
+ * wheel with a displacement signal, upward positive in meters, and the
+ * responses are turned into transmissibility: the ratio of a response to the
+ * platform motion that drives it, with its phase, against frequency.
+ */
+
+export const SHAKER_SIGNALS = [
+    { key: 'sineSweep', displayName: 'Sine Sweep' },
+    { key: 'chirp', displayName: 'Chirp' },
+    { key: 'random', displayName: 'Random' }
+];
+
+// Heave drives both platforms together, pitch drives them in opposition
+export const SHAKER_EXCITATIONS = [
+    { key: 'heave', displayName: 'Heave' },
+    { key: 'pitch', displayName: 'Pitch' }
+];
+
+/**
+ * Default rig settings. The motorcycle's wheels are rigid, so the platforms
+ * carry the tyre stiffness and damping, which set the wheel hop resonance.
+ */
+export const DEFAULT_SHAKER_OPTIONS = {
+    signal: 'chirp',
+    excitation: 'heave',
+    amplitude: 0.002,        // Peak platform displacement in m, or the same RMS for random input
+    maxAcceleration: 9.81,   // Peak platform acceleration in m/s², which lowers the amplitude at high frequencies
+    startFrequency: 0.5,     // Hz
+    endFrequency: 20,        // Hz
+    duration: 20,            // s
+    steps: 24,               // Frequencies a sine sweep dwells at
+    seed: 1,                 // Random input seed
+    settleTime: 2,           // s for the motorcycle to settle on the platforms before the input starts
+    sampleRate: 240,         // Physics steps per second
+    frontTyreRate: 150,      // N/mm
+    rearTyreRate: 180,       // N/mm
+    tyreDamping: 300         // N·s/m
+};
+
+/**
+ * Responses measured on the rig, each against the platform motion of the
+ * same kind. A response only exists for the excitation that drives its input.
+ */
+export const SHAKER_RESPONSES = [
+    { key: 'heave', displayName: 'Chassis Heave', excitation: 'heave' },
+    { key: 'pitch', displayName: 'Chassis Pitch', excitation: 'pitch' },
+    { key: 'frontWheel', displayName: 'Front Wheel' },
+    { key: 'rearWheel', displayName: 'Rear Wheel' }
+];
+
+// Time to fade a signal in and out, so the platforms start and stop at rest
+const FADE_TIME = 0.5;
+
+// Frequencies spaced evenly on a log scale
+const logSpace = (start, end, count) => Array.from({ length: count }, (_, i) =>
+    count > 1 ? start * Math.pow(end / start, i / (count - 1)) : start
+);
+
+/**
+ * The frequencies a sine sweep dwells at
+ * @param {Object} options - Rig settings, see DEFAULT_SHAKER_OPTIONS
+ * @returns {number[]} The frequencies in Hz
+ */
+export function sweepFrequencies(options) {
+    return logSpace(options.startFrequency, options.endFrequency, options.steps);
+}
+
+/**
+ * Build a platform displacement signal from rig settings
+ * - sineSweep: dwells at each of `steps` log spaced frequencies for an equal time, keeping the phase continuous
+ * - chirp: sweeps the frequency exponentially and continuously from start to end, reaching
+ *   them as it finishes fading in and starts fading out so both ends are driven at full amplitude
+ * - random: sums sines at every frequency the duration resolves in the band, with random phases
+ * Each frequency is driven at the amplitude, or less where that would accelerate the
+ * platform harder than maxAcceleration, so the tyres stay on the platforms.
+ * @param {Object} options - Rig settings, see DEFAULT_SHAKER_OPTIONS
+ * @returns {Function} Maps the time in seconds from the start of the input to the displacement in m, zero outside it
+ */
+export function createShakerSignal(options) {
+    const { signal, amplitude, maxAcceleration, startFrequency, endFrequency, duration } = options;
+    if (!SHAKER_SIGNALS.some(s => s.key === signal)) {
+        throw new Error(`Invalid shaker signal "${signal}": must be one of ${SHAKER_SIGNALS.map(s => s.key).join(', ')}`);
+    }
+    if (!(startFrequency > 0) || !(endFrequency > startFrequency)) {
+        throw new Error('Invalid shaker signal: the end frequency must be above a positive start frequency');
+    }
+    if (!(duration > 2 * FADE_TIME)) {
+        throw new Error(`Invalid shaker signal: duration must be longer than ${2 * FADE_TIME}s`);
+    }
+
+    // Relative amplitude at a frequency
+    const limit = (frequency) => Math.min(1, maxAcceleration / (amplitude * (2 * Math.PI * frequency) ** 2));
+
+    let waveform;
+    if (signal === 'sineSweep') {
+        const frequencies = sweepFrequencies(options);
+        const dwell = duration / frequencies.length;
+        // Phase at the start of each dwell
+        const phases = [0];
+        frequencies.forEach((frequency, i) => phases.push(phases[i] + 2 * Math.PI * frequency * dwell));
+        waveform = (t) => {
+            const i = Math.min(frequencies.length - 1, Math.floor(t / dwell));
+            return limit(frequencies[i]) * Math.sin(phases[i] + 2 * Math.PI * frequencies[i] * (t - i * dwell));
+        };
+    } else if (signal === 'chirp') {
+        const rate = Math.log(endFrequency / startFrequency) / (duration - 2 * FADE_TIME);
+        const initialFrequency = startFrequency * Math.exp(-rate * FADE_TIME);
+        waveform = (t) => limit(initialFrequency * Math.exp(rate * t)) *
+            Math.sin(2 * Math.PI * initialFrequency * (Math.exp(rate * t) - 1) / rate);
+    } else {
+        // Scaled so the RMS matches a sine of the same amplitude
+        const random = seededRandom(options.seed);
+        const components = [];
+        for (let frequency = Math.ceil(startFrequency * duration) / duration; frequency <= endFrequency; frequency += 1 / duration) {
+            components.push({ frequency, phase: 2 * Math.PI * random(), amplitude: limit(frequency) });
+        }
+        const scale = 1 / Math.sqrt(components.length);
+        waveform = (t) => scale * components.reduce((sum, c) => sum + c.amplitude * Math.sin(2 * Math.PI * c.frequency * t + c.phase), 0);
+    }
+
+    return (t) => {
+        if (t <= 0 || t >= duration) return 0;
+        const fade = Math.min(1, t / FADE_TIME, (duration - t) / FADE_TIME);
+        return amplitude * (1 - Math.cos(Math.PI * fade)) / 2 * waveform(t);
+    };
+}
+
+// In-place radix-2 FFT of a power of two length
+function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < size / 2; k++) {
+                const cos = Math.cos(angle * k);
+                const sin = Math.sin(angle * k);
+                const a = start + k;
+                const b = a + size / 2;
+                const tRe = re[b] * cos - im[b] * sin;
+                const tIm = re[b] * sin + im[b] * cos;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+            }
+        }
+    }
+}
+
+// Gain, phase in degrees unwrapped along the frequencies, and coherence from complex ratios
+function toResponse(frequencies, ratios, coherence) {
+    let previous = 0;
+    const phase = ratios.map(({ re, im }) => {
+        let degrees = Math.atan2(im, re) * 180 / Math.PI;
+        degrees -= 360 * Math.round((degrees - previous) / 360);
+        previous = degrees;
+        return degrees;
+    });
+    return {
+        frequencies,
+        gain: ratios.map(({ re, im }) => Math.hypot(re, im)),
+        phase,
+        coherence
+    };
+}
+
+/**
+ * Estimate the frequency response from an input to an output with Welch's
+ * method: the cross spectrum over the input's spectrum (the H1 estimator),
+ * averaged over half overlapping Hann windowed segments
+ * @param {number[]} input - Input samples
+ * @param {number[]} output - Output samples at the same times
+ * @param {number} sampleRate - Samples per second
+ * @param {Object} [options] - Analysis options
+ * @param {number} [options.segmentLength] - Samples per segment, a power of two, defaulting to the largest that gives four segments
+ * @param {number} [options.minFrequency=0] - Lowest frequency to report in Hz
+ * @param {number} [options.maxFrequency] - Highest frequency to report in Hz, defaulting to half the sample rate
+ * @returns {{frequencies: number[], gain: number[], phase: number[], coherence: number[]}} The response at each resolved frequency,
+ * with the phase in degrees and the coherence from 0 to 1, which drops where the output is not explained by the input
+ */
+export function frequencyResponse(input, output, sampleRate, options = {}) {
+    const segmentLength = options.segmentLength || Math.pow(2, Math.floor(Math.log2(input.length / 2.5)));
+    if (!(segmentLength >= 8) || segmentLength > input.length) {
+        throw new Error(`Invalid frequency response: ${input.length} samples are too few to analyze`);
+    }
+    const minFrequency = options.minFrequency || 0;
+    const maxFrequency = options.maxFrequency || sampleRate / 2;
+    const bins = segmentLength / 2;
+    const sxx = new Float64Array(bins);
+    const syy = new Float64Array(bins);
+    const sxyRe = new Float64Array(bins);
+    const sxyIm = new Float64Array(bins);
+
+    const window = Array.from({ length: segmentLength }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / segmentLength));
+    const spectrum = (samples, start) => {
+        const segment = samples.slice(start, start + segmentLength);
+        const mean = segment.reduce((sum, value) => sum + value, 0) / segmentLength;
+        const re = segment.map((value, i) => (value - mean) * window[i]);
+        const im = new Array(segmentLength).fill(0);
+        fft(re, im);
+        return { re, im };
+    };
+
+    for (let start = 0; start + segmentLength <= input.length; start += segmentLength / 2) {
+        const x = spectrum(input, start);
+        const y = spectrum(output, start);
+        for (let k = 0; k < bins; k++) {
+            sxx[k] += x.re[k] * x.re[k] + x.im[k] * x.im[k];
+            syy[k] += y.re[k] * y.re[k] + y.im[k] * y.im[k];
+            // conj(X) * Y
+            sxyRe[k] += x.re[k] * y.re[k] + x.im[k] * y.im[k];
+            sxyIm[k] += x.re[k] * y.im[k] - x.im[k] * y.re[k];
+        }
+    }
+
+    const frequencies = [];
+    const ratios = [];
+    const coherence = [];
+    for (let k = 1; k < bins; k++) {
+        const frequency = k * sampleRate / segmentLength;
+        if (frequency < minFrequency || frequency > maxFrequency || !(sxx[k] > 0)) continue;
+        frequencies.push(frequency);
+        ratios.push({ re: sxyRe[k] / sxx[k], im: sxyIm[k] / sxx[k] });
+        coherence.push(syy[k] > 0 ? (sxyRe[k] * sxyRe[k] + sxyIm[k] * sxyIm[k]) / (sxx[k] * syy[k]) : 0);
+    }
+    return toResponse(frequencies, ratios, coherence);
+}
+
+/**
+ * Measure the response to a stepped sine at each of its frequencies, from the
+ * second half of each dwell once the transient has died away
+ * @param {number[]} input - Input samples, starting with the first dwell
+ * @param {number[]} output - Output samples at the same times
+ * @param {number} sampleRate - Samples per second
+ * @param {number[]} frequencies - The dwell frequencies in Hz
+ * @param {number} dwell - Time at each frequency in seconds
+ * @returns {{frequencies: number[], gain: number[], phase: number[], coherence: number[]}} The response at each dwell frequency,
+ * as for frequencyResponse
+ */
+export function steppedSineResponse(input, output, sampleRate, frequencies, dwell) {
+    // Complex amplitude at one frequency over a range of samples
+    const amplitude = (samples, frequency, start, end) => {
+        let re = 0;
+        let im = 0;
+        let mean = 0;
+        for (let i = start; i < end; i++) mean += samples[i];
+        mean /= end - start;
+        for (let i = start; i < end; i++) {
+            const angle = 2 * Math.PI * frequency * i / sampleRate;
+            re += (samples[i] - mean) * Math.cos(angle);
+            im -= (samples[i] - mean) * Math.sin(angle);
+        }
+        return { re, im };
+    };
+
+    const ratios = [];
+    const coherence = [];
+    frequencies.forEach((frequency, i) => {
+        const end = Math.min(input.length, Math.round((i + 1) * dwell * sampleRate));
+        // Whole periods from the middle of the dwell to its end
+        const periods = Math.max(1, Math.floor((dwell / 2) * frequency));
+        const start = Math.max(0, end - Math.round(periods / frequency * sampleRate));
+        const x = amplitude(input, frequency, start, end);
+        const y = amplitude(output, frequency, start, end);
+        const power = x.re * x.re + x.im * x.im;
+        ratios.push({
+            re: (y.re * x.re + y.im * x.im) / power,
+            im: (y.im * x.re - y.re * x.im) / power
+        });
+
+        // Share of the output's variance at the dwell frequency
+        let variance = 0;
+        let mean = 0;
+        for (let j = start; j < end; j++) mean += output[j];
+        mean /= end - start;
+        for (let j = start; j < end; j++) variance += (output[j] - mean) * (output[j] - mean);
+        const tonal = 2 * (y.re * y.re + y.im * y.im) / (end - start);
+        coherence.push(variance > 0 ? Math.min(1, tonal / variance) : 0);
+    });
+    return toResponse(frequencies, ratios, coherence);
+}
+
+/**
+ * Find the resonance with the highest gain: the highest point that is above
+ * both its neighbours, skipping points the input did not drive
+ * @param {Object} response - A frequency response
+ * @param {number} [minFrequency=0] - Frequency the resonance must be above in Hz
+ * @param {number} [minCoherence=0.8] - Lowest coherence to trust a point at
+ * @returns {{frequency: number, gain: number}|null} The peak, or null if the gain has no peak
+ */
+export function findResonance(response, minFrequency = 0, minCoherence = 0.8) {
+    const { frequencies, gain, coherence } = response;
+    let peak = null;
+    for (let i = 1; i < frequencies.length - 1; i++) {
+        if (frequencies[i] <= minFrequency || coherence[i] < minCoherence) continue;
+        if (gain[i] < gain[i - 1] || gain[i] < gain[i + 1]) continue;
+        if (!peak || gain[i] > peak.gain) {
+            peak = { frequency: frequencies[i], gain: gain[i] };
+        }
+    }
+    return peak;
+}
+
+/**
+ * Turn a recording from the rig into transmissibility and resonances
+ * @param {Object} recording - Samples from the start of the input, as recorded by runShakerTest
+ * @param {Object} options - The rig settings the recording was made with
+ * @returns {Object} For each response of the excitation, keyed as SHAKER_RESPONSES, the frequency response
+ * of the output over its platform input, plus `resonances` with the body resonance and each wheel's hop resonance
+ */
+export function analyzeShakerTest(recording, options) {
+    const { sampleRate, startFrequency, endFrequency } = options;
+    const inputs = {
+        heave: recording.platformHeave,
+        pitch: recording.platformPitch,
+        frontWheel: recording.frontPlatform,
+        rearWheel: recording.rearPlatform
+    };
+
+    const analysis = { responses: {} };
+    SHAKER_RESPONSES
+        .filter(response => !response.excitation || response.excitation === options.excitation)
+        .forEach(response => {
+            analysis.responses[response.key] = options.signal === 'sineSweep'
+                ? steppedSineResponse(inputs[response.key], recording[response.key], sampleRate,
+                    sweepFrequencies(options), options.duration / options.steps)
+                : frequencyResponse(inputs[response.key], recording[response.key], sampleRate, {
+                    minFrequency: startFrequency,
+                    maxFrequency: endFrequency
+                });
+        });
+
+    // Wheel hop is above the body resonance, where the chassis has stopped following the platforms
+    const body = findResonance(analysis.responses[options.excitation]);
+    const wheelHopFrom = body ? body.frequency : 0;
+    analysis.resonances = {
+        body,
+        frontWheelHop: findResonance(analysis.responses.frontWheel, wheelHopFrom),
+        rearWheelHop: findResonance(analysis.responses.rearWheel, wheelHopFrom)
+    };
+    return analysis;
+}
+
+/**
+ * Export an analysis as CSV, one row per frequency with the gain and phase of each response
+ * @param {Object} analysis - The result of analyzeShakerTest
+ * @returns {string} The CSV text
+ */
+export function shakerResponseToCSV(analysis) {
+    const keys = Object.keys(analysis.responses);
+    const header = ['frequency (Hz)', ...keys.flatMap(key => [`${key} gain`, `${key} phase (°)`, `${key} coherence`])];
+    const frequencies = analysis.responses[keys[0]].frequencies;
+    const rows = frequencies.map((frequency, i) => [
+        frequency,
+        ...keys.flatMap(key => [analysis.responses[key].gain[i], analysis.responses[key].phase[i], analysis.responses[key].coherence[i]])
+    ]);
+    return [header, ...rows].map(row => row.join(',')).join('\n') + '\n';
+}
+
+/**
+ * Export an analysis as JSON, with the rig settings it was made with
+ * @param {Object} analysis - The result of analyzeShakerTest
+ * @param {Object} options - The rig settings
+ * @returns {string} The JSON text
+ */
+export function shakerResponseToJSON(analysis, options) {
+    return JSON.stringify({ options, resonances: analysis.resonances, responses: analysis.responses }, null, 2);
+}
@@ -0,0 +1,56 @@
+import { SimulationCore } from './SimulationCore.js';
+import { DEFAULT_SHAKER_OPTIONS, analyzeShakerTest } from './shakerRig.js';
+
+/**
+ * Run a motorcycle through a shaker rig test without a display: settle it on
+ * the posts, record the platforms and the responses while the input runs,
+ * then analyze the recording.
+ * @param {Object} params - Motorcycle parameters
+ * @param {Object} [settings] - Rig settings overriding DEFAULT_SHAKER_OPTIONS
+ * @returns {{options: Object, recording: Object, analysis: Object}} The settings used, the recorded
+ * sample arrays in m and rad, heights positive upward, and the result of analyzeShakerTest
+ */
+export function runShakerTest(params, settings = {}) {
+    const options = { ...DEFAULT_SHAKER_OPTIONS, ...settings };
+    const dt = 1 / options.sampleRate;
+    const core = new SimulationCore({ timeStep: dt });
+    // The test keeps its own recording, there is nothing to replay
+    core.recorder.recording = false;
+    core.setShakerRig(options);
+    core.createWorld(params);
+    core.run(Math.round(options.settleTime * options.sampleRate));
+
+    const { motorcycle } = core;
+    const posts = core.shakerPosts;
+    const postSpacing = posts.rear.position.x - posts.front.position.x;
+    const recording = {
+        time: [],
+        frontPlatform: [],
+        rearPlatform: [],
+        platformHeave: [],
+        platformPitch: [],
+        heave: [],
+        pitch: [],
+        frontWheel: [],
+        rearWheel: []
+    };
+
+    const samples = Math.round(options.duration * options.sampleRate);
+    for (let i = 0; i < samples; i++) {
+        core.step();
+        const front = posts.front.getDisplacement();
+        const rear = posts.rear.getDisplacement();
+        recording.time.push(core.time - options.settleTime);
+        recording.frontPlatform.push(front);
+        recording.rearPlatform.push(rear);
+        recording.platformHeave.push((front + rear) / 2);
+        // Nose up is positive, as for the chassis pitch
+        recording.platformPitch.push((front - rear) / postSpacing);
+        recording.heave.push(-motorcycle.body.getWorldCenter().y);
+        recording.pitch.push(motorcycle.angle);
+        recording.frontWheel.push(-motorcycle.frontWheel.position.y);
+        recording.rearWheel.push(-motorcycle.rearWheel.position.y);
+    }
+
+    return { options, recording, analysis: analyzeShakerTest(recording, options) };
+}
@@ -0,0 +1,158 @@
+/**
+ * Suspension spring models. Each spring maps travel, measured from full
+ * extension, to the force pushing the suspension back towards full extension.
+ * Rates are given in N/mm as on a spring data sheet, everything else in SI units
+ * apart from the air chamber volumes in cc and pressure in kPa.
+ */
+
+export const SPRING_TYPES = ['linear', 'dualRate', 'progressive', 'air'];
+
+const ATMOSPHERIC_PRESSURE = 101.325;  // kPa
+const AIR_POLYTROPIC_INDEX = 1.4;  // Adiabatic, as the air has no time to exchange heat in a bump
+
+const toNewtonsPerMeter = (rate) => rate * 1000;
+
+/**
+ * Coil spring with a single rate
+ */
+class LinearSpring {
+    /**
+     * @param {Object} settings - See createSpring
+     */
+    constructor(settings) {
+        if (!(settings.rate > 0)) {
+            throw new Error('Invalid spring: rate must be positive');
+        }
+        if (!(settings.preload >= 0)) {
+            throw new Error('Invalid spring: preload must not be negative');
+        }
+        this.rate = toNewtonsPerMeter(settings.rate);
+        this.preload = settings.preload;
+    }
+
+    /**
+     * @param {number} travel - Travel from full extension in meters
+     * @returns {number} Spring force in N
+     */
+    force(travel) {
+        return this.rate * (this.preload + travel);
+    }
+}
+
+/**
+ * Two coil springs in series, where the softer one stacks solid at the
+ * transition travel and the stiffer rate takes over
+ */
+class DualRateSpring extends LinearSpring {
+    /**
+     * @param {Object} settings - See createSpring
+     */
+    constructor(settings) {
+        super(settings);
+        if (!(settings.secondRate > 0)) {
+            throw new Error('Invalid spring: second rate must be positive');
+        }
+        if (!(settings.transition >= 0)) {
+            throw new Error('Invalid spring: transition travel must not be negative');
+        }
+        this.secondRate = toNewtonsPerMeter(settings.secondRate);
+        this.transition = settings.transition;
+    }
+
+    force(travel) {
+        const firstStage = Math.min(travel, this.transition);
+        const secondStage = Math.max(0, travel - this.transition);
+        return this.rate * (this.preload + firstStage) + this.secondRate * secondStage;
+    }
+}
+
+/**
+ * Progressively wound coil spring whose rate rises linearly from the first
+ * rate at full extension to the second rate at full stroke
+ */
+class ProgressiveSpring extends LinearSpring {
+    /**
+     * @param {Object} settings - See createSpring
+     */
+    constructor(settings) {
+        super(settings);
+        if (!(settings.secondRate > 0)) {
+            throw new Error('Invalid spring: second rate must be positive');
+        }
+        if (!(settings.stroke > 0)) {
+            throw new Error('Invalid spring: stroke must be positive');
+        }
+        this.secondRate = toNewtonsPerMeter(settings.secondRate);
+        this.stroke = settings.stroke;
+    }
+
+    force(travel) {
+        const rateGain = (this.secondRate - this.rate) / this.stroke;
+        return this.rate * (this.preload + travel) + rateGain * travel * travel / 2;
+    }
+}
+
+/**
+ * Air spring: a sealed chamber compressed by a piston. The oil in the chamber
+ * takes up volume, so a higher oil level makes the spring more progressive.
+ */
+class AirSpring {
+    /**
+     * @param {Object} settings - See createSpring
+     */
+    constructor(settings) {
+        if (!(settings.airPressure >= 0)) {
+            throw new Error('Invalid spring: air pressure must not be negative');
+        }
+        if (!(settings.airPistonDiameter > 0)) {
+            throw new Error('Invalid spring: air piston diameter must be positive');
+        }
+        if (!(settings.airOilVolume >= 0)) {
+            throw new Error('Invalid spring: oil level must not be negative');
+        }
+
+        this.pistonArea = Math.PI * settings.airPistonDiameter * settings.airPistonDiameter / 4;
+        this.airVolume = (settings.airChamberVolume - settings.airOilVolume) * 1e-6;
+        this.pressure = settings.airPressure + ATMOSPHERIC_PRESSURE;
+
+        if (!(this.airVolume > this.pistonArea * settings.stroke)) {
+            throw new Error('Invalid spring: the air volume above the oil must be larger than the volume swept over the stroke');
+        }
+    }
+
+    force(travel) {
+        const volume = this.airVolume - this.pistonArea * travel;
+        const pressure = this.pressure * Math.pow(this.airVolume / volume, AIR_POLYTROPIC_INDEX);
+        return (pressure - ATMOSPHERIC_PRESSURE) * 1000 * this.pistonArea;
+    }
+}
+
+/**
+ * Create a spring model
+ * @param {Object} settings - Spring settings
+ * @param {string} settings.type - One of SPRING_TYPES
+ * @param {number} settings.stroke - Suspension stroke in meters
+ * @param {number} [settings.rate] - Coil spring rate in N/mm, the initial rate for dual rate and progressive springs
+ * @param {number} [settings.secondRate] - Final coil spring rate in N/mm for dual rate and progressive springs
+ * @param {number} [settings.transition] - Travel in meters where a dual rate spring changes to the second rate
+ * @param {number} [settings.preload] - Coil spring preload in meters
+ * @param {number} [settings.airPressure] - Air spring gauge pressure at full extension in kPa
+ * @param {number} [settings.airChamberVolume] - Air spring chamber volume at full extension in cc
+ * @param {number} [settings.airOilVolume] - Volume of oil in the air chamber in cc
+ * @param {number} [settings.airPistonDiameter] - Air spring piston diameter in meters
+ * @returns {LinearSpring|DualRateSpring|ProgressiveSpring|AirSpring} The spring
+ */
+export function createSpring(settings) {
+    switch (settings.type) {
+        case 'linear':
+            return new LinearSpring(settings);
+        case 'dualRate':
+            return new DualRateSpring(settings);
+        case 'progressive':
+            return new ProgressiveSpring(settings);
+        case 'air':
+            return new AirSpring(settings);
+        default:
+            throw new Error(`Invalid spring type "${settings.type}": must be one of ${SPRING_TYPES.join(', ')}`);
+    }
+}
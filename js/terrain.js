@@ -0,0 +1,174 @@
+// Terrain height profile generators.
+// A profile is an array of { x, y } points sorted by x, where y is the surface
+// height in meters (positive up) and x is the world x coordinate. The motorcycle
+// faces negative x, so features are laid out in that direction: a feature starts
+// at its `position` and extends towards negative x.
+
+// Minimum spacing between profile points, planck rejects chain vertices closer than its linear slop
+const MIN_POINT_SPACING = 0.01;
+
+// ISO 8608 road classes: geometric mean displacement PSD Gd(n0) in m³ at n0 = 0.1 cycles/m
+export const ROAD_CLASSES = {
+    A: 16e-6,
+    B: 64e-6,
+    C: 256e-6,
+    D: 1024e-6,
+    E: 4096e-6,
+    F: 16384e-6,
+    G: 65536e-6,
+    H: 262144e-6
+};
+
+export const TERRAIN_TYPES = ['flat', 'bump', 'whoops', 'step', 'pothole', 'ramp', 'roughness'];
+
+// Small seeded pseudo random number generator (mulberry32) so generated terrain is reproducible
+export function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Add flat end points at +-length/2 and drop feature points that fall outside or too close to them
+function withFlatEnds(length, featurePoints) {
+    const start = -length / 2;
+    const end = length / 2;
+    const inside = featurePoints.filter(p =>
+        p.x > start + MIN_POINT_SPACING && p.x < end - MIN_POINT_SPACING
+    );
+    return [{ x: start, y: 0 }, ...inside, { x: end, y: 0 }];
+}
+
+// Sample a height function between two x coordinates at a fixed resolution
+function sampleHeights(startX, endX, resolution, heightAt) {
+    const count = Math.max(1, Math.ceil((endX - startX) / Math.max(resolution, MIN_POINT_SPACING)));
+    const points = [];
+    for (let i = 0; i <= count; i++) {
+        const x = startX + (endX - startX) * i / count;
+        points.push({ x, y: heightAt(x) });
+    }
+    return points;
+}
+
+export function flatProfile(length) {
+    return withFlatEnds(length, []);
+}
+
+// Single smooth (cosine) bump centered on position
+export function bumpProfile(length, { position, height, width, resolution }) {
+    return withFlatEnds(length, sampleHeights(
+        position - width / 2,
+        position + width / 2,
+        resolution,
+        x => height * (1 + Math.cos(2 * Math.PI * (x - position) / width)) / 2
+    ));
+}
+
+// A series of smooth whoops of the given wavelength starting at position
+export function whoopsProfile(length, { position, height, width, count, resolution }) {
+    return withFlatEnds(length, sampleHeights(
+        position - width * count,
+        position,
+        resolution,
+        x => height * (1 - Math.cos(2 * Math.PI * (position - x) / width)) / 2
+    ));
+}
+
+// Square-edged step up of the given height at position, staying up afterwards
+export function stepProfile(length, { position, height }) {
+    const points = withFlatEnds(length, [
+        { x: position, y: height },
+        { x: position, y: 0 }
+    ]);
+    points[0].y = height;
+    return points;
+}
+
+// Square-edged pothole of the given width and depth starting at position
+export function potholeProfile(length, { position, height, width }) {
+    return withFlatEnds(length, [
+        { x: position - width, y: 0 },
+        { x: position - width, y: -height },
+        { x: position, y: -height },
+        { x: position, y: 0 }
+    ]);
+}
+
+// Kicker ramp rising linearly over its width from position, then dropping back to the ground
+export function rampProfile(length, { position, height, width }) {
+    return withFlatEnds(length, [
+        { x: position - width, y: 0 },
+        { x: position - width, y: height },
+        { x: position, y: 0 }
+    ]);
+}
+
+// Random road roughness following the ISO 8608 displacement PSD Gd(n) = Gd(n0) * (n / n0)^-2,
+// built as a sum of cosines with random phases
+export function roughnessProfile(length, { roadClass, seed, resolution }) {
+    const referencePsd = ROAD_CLASSES[roadClass];
+    if (referencePsd === undefined) {
+        throw new Error(`Invalid road class "${roadClass}": must be one of ${Object.keys(ROAD_CLASSES).join(', ')}`);
+    }
+
+    const referenceFrequency = 0.1; // n0 in cycles/m
+    const minFrequency = 1 / length;
+    const maxFrequency = 1 / (2 * Math.max(resolution, MIN_POINT_SPACING));
+    const componentCount = 200;
+    const frequencyStep = (maxFrequency - minFrequency) / componentCount;
+
+    const random = seededRandom(seed);
+    const components = [];
+    for (let i = 0; i < componentCount; i++) {
+        const frequency = minFrequency + (i + 0.5) * frequencyStep;
+        const psd = referencePsd * Math.pow(frequency / referenceFrequency, -2);
+        components.push({
+            frequency,
+            amplitude: Math.sqrt(2 * psd * frequencyStep),
+            phase: 2 * Math.PI * random()
+        });
+    }
+
+    return sampleHeights(-length / 2, length / 2, resolution, x =>
+        components.reduce((sum, c) => sum + c.amplitude * Math.cos(2 * Math.PI * c.frequency * x + c.phase), 0)
+    );
+}
+
+/**
+ * Build a terrain profile from terrain settings
+ * @param {Object} settings - Terrain settings
+ * @param {string} settings.type - One of TERRAIN_TYPES
+ * @param {number} settings.length - Total length of the terrain in meters
+ * @param {number} settings.position - x coordinate where the feature starts (or its center for a bump)
+ * @param {number} settings.height - Feature height (or depth for a pothole) in meters
+ * @param {number} settings.width - Feature length along the ground (bump width, whoop wavelength, pothole width, ramp length)
+ * @param {number} settings.count - Number of whoops
+ * @param {string} settings.roadClass - ISO 8608 road class 'A' to 'H'
+ * @param {number} settings.seed - Random seed for roughness
+ * @param {number} settings.resolution - Sampling distance for smooth profiles in meters
+ * @returns {Array<{x: number, y: number}>} The height profile
+ */
+export function createTerrainProfile(settings) {
+    switch (settings.type) {
+        case 'flat':
+            return flatProfile(settings.length);
+        case 'bump':
+            return bumpProfile(settings.length, settings);
+        case 'whoops':
+            return whoopsProfile(settings.length, settings);
+        case 'step':
+            return stepProfile(settings.length, settings);
+        case 'pothole':
+            return potholeProfile(settings.length, settings);
+        case 'ramp':
+            return rampProfile(settings.length, settings);
+        case 'roughness':
+            return roughnessProfile(settings.length, settings);
+        default:
+            throw new Error(`Invalid terrain type "${settings.type}": must be one of ${TERRAIN_TYPES.join(', ')}`);
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * Unit systems for showing and entering values. Parameters, telemetry and
+ * kinematics are always stored in the units their `unit` field names, and that
+ * unit identifies the dimension, which picks the unit each system shows.
+ * Units without a dimension here, such as degrees, radians, seconds and
+ * tooth counts, are shown as stored in every system.
+ */
+
+export const UNIT_SYSTEMS = [
+    { key: 'metric', displayName: 'Metric' },
+    { key: 'imperial', displayName: 'Imperial' }
+];
+
+export const DEFAULT_UNIT_SYSTEM = 'metric';
+
+const INCHES_PER_METER = 1 / 0.0254;
+const POUNDS_PER_KILOGRAM = 1 / 0.45359237;
+const POUNDS_FORCE_PER_NEWTON = 1 / 4.4482216152605;
+
+/**
+ * The dimension of each stored unit, with the unit each system shows and the
+ * factor from the stored unit to it
+ */
+export const DIMENSIONS = {
+    m: {
+        dimension: 'length',
+        metric: { unit: 'mm', factor: 1000 },
+        imperial: { unit: 'in', factor: INCHES_PER_METER }
+    },
+    'm/s': {
+        dimension: 'velocity',
+        metric: { unit: 'm/s', factor: 1 },
+        imperial: { unit: 'in/s', factor: INCHES_PER_METER }
+    },
+    'm/s²': {
+        dimension: 'acceleration',
+        metric: { unit: 'm/s²', factor: 1 },
+        imperial: { unit: 'ft/s²', factor: INCHES_PER_METER / 12 }
+    },
+    kg: {
+        dimension: 'mass',
+        metric: { unit: 'kg', factor: 1 },
+        imperial: { unit: 'lb', factor: POUNDS_PER_KILOGRAM }
+    },
+    'kg·m²': {
+        dimension: 'rotational inertia',
+        metric: { unit: 'kg·m²', factor: 1 },
+        imperial: { unit: 'lb·ft²', factor: POUNDS_PER_KILOGRAM * (INCHES_PER_METER / 12) ** 2 }
+    },
+    N: {
+        dimension: 'force',
+        metric: { unit: 'N', factor: 1 },
+        imperial: { unit: 'lbf', factor: POUNDS_FORCE_PER_NEWTON }
+    },
+    Nm: {
+        dimension: 'torque',
+        metric: { unit: 'Nm', factor: 1 },
+        imperial: { unit: 'lb·ft', factor: POUNDS_FORCE_PER_NEWTON * INCHES_PER_METER / 12 }
+    },
+    'N/mm': {
+        dimension: 'spring rate',
+        metric: { unit: 'N/mm', factor: 1 },
+        imperial: { unit: 'lb/in', factor: POUNDS_FORCE_PER_NEWTON * 1000 / INCHES_PER_METER }
+    },
+    'N·s/m': {
+        dimension: 'damping coefficient',
+        metric: { unit: 'N·s/m', factor: 1 },
+        imperial: { unit: 'lb·s/in', factor: POUNDS_FORCE_PER_NEWTON / INCHES_PER_METER }
+    },
+    kPa: {
+        dimension: 'pressure',
+        metric: { unit: 'kPa', factor: 1 },
+        imperial: { unit: 'psi', factor: POUNDS_FORCE_PER_NEWTON * 1000 / INCHES_PER_METER ** 2 }
+    },
+    cc: {
+        dimension: 'volume',
+        metric: { unit: 'cc', factor: 1 },
+        imperial: { unit: 'in³', factor: (INCHES_PER_METER / 100) ** 3 }
+    }
+};
+
+// The conversion for a stored unit, or null to show it as stored
+const conversion = (unit, system) => {
+    if (!system) return null;
+    if (!UNIT_SYSTEMS.some(s => s.key === system)) {
+        throw new Error(`Unknown unit system "${system}": must be one of ${UNIT_SYSTEMS.map(s => s.key).join(', ')}`);
+    }
+    return DIMENSIONS[unit] ? DIMENSIONS[unit][system] : null;
+};
+
+// Round off the floating point noise a conversion leaves
+const round = (value) => Number(value.toPrecision(12));
+
+/**
+ * The unit a system shows a stored unit in
+ * @param {string} unit - The stored unit
+ * @param {string} [system] - A key of UNIT_SYSTEMS, or none for the stored unit
+ * @returns {string} The display unit
+ */
+export function displayUnit(unit, system) {
+    const target = conversion(unit, system);
+    return target ? target.unit : unit;
+}
+
+/**
+ * Convert a stored value for display
+ * @param {number} value - The value in its stored unit
+ * @param {string} unit - The stored unit
+ * @param {string} [system] - A key of UNIT_SYSTEMS, or none to leave the value as stored
+ * @returns {number} The value in the system's display unit
+ */
+export function toDisplay(value, unit, system) {
+    const target = conversion(unit, system);
+    return target ? round(value * target.factor) : value;
+}
+
+/**
+ * Convert an entered value back to its stored unit
+ * @param {number} value - The value in the system's display unit
+ * @param {string} unit - The stored unit
+ * @param {string} [system] - A key of UNIT_SYSTEMS, or none if the value is already stored
+ * @returns {number} The value in its stored unit
+ */
+export function fromDisplay(value, unit, system) {
+    const target = conversion(unit, system);
+    return target ? round(value / target.factor) : value;
+}
+
+/**
+ * Format a stored value with its display unit, e.g. for messages
+ * @param {number} value - The value in its stored unit
+ * @param {string} unit - The stored unit
+ * @param {string} [system] - A key of UNIT_SYSTEMS, or none to show the value as stored
+ * @param {number} [precision=6] - Significant digits to round to
+ * @returns {string} The value and unit
+ */
+export function formatValue(value, unit, system, precision = 6) {
+    return `${Number(toDisplay(value, unit, system).toPrecision(precision))}${displayUnit(unit, system)}`;
+}
+
+/**
+ * Convert recorded data for export, relabelling the channels with their display units
+ * @param {Array<Object>} channels - Channel descriptions, each with a key and stored unit
+ * @param {Array<Object>} rows - Samples or points keyed by channel
+ * @param {string} [system] - A key of UNIT_SYSTEMS, or none to keep the stored units
+ * @returns {{channels: Array<Object>, rows: Array<Object>}} The converted channels and rows
+ */
+export function convertChannels(channels, rows, system) {
+    if (!system) return { channels, rows };
+    return {
+        channels: channels.map(channel => ({ ...channel, unit: displayUnit(channel.unit, system) })),
+        rows: rows.map(row => {
+            const converted = { ...row };
+            channels.forEach(channel => {
+                if (channel.key in row) {
+                    converted[channel.key] = toDisplay(row[channel.key], channel.unit, system);
+                }
+            });
+            return converted;
+        })
+    };
+}